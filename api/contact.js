@@ -0,0 +1,31 @@
+import { createContactHandler, getContactConfig } from '../src/contact/handler.js';
+import { createFileMessageStore } from '../src/contact/store.js';
+import { sendMail } from '../src/contact/smtp.js';
+
+// Used when REACT_APP_CONTACT_PROVIDER=api; see "Contact Delivery" in the README
+let contactHandler = null;
+
+const getHandler = () => {
+  if (!contactHandler) {
+    const config = getContactConfig(process.env);
+    contactHandler = createContactHandler({
+      store: createFileMessageStore(config.storeDir),
+      sendMail: mail => sendMail(config.smtp, mail),
+      addresses: { from: config.from, to: config.to }
+    });
+  }
+  return contactHandler;
+};
+
+export default async function handler(req, res) {
+  let contact;
+  try {
+    contact = getHandler();
+  } catch (error) {
+    // Missing SMTP settings: fail the request, not the deployment
+    console.error(error.message);
+    res.status(503).json({ error: 'The contact form is temporarily unavailable.' });
+    return;
+  }
+  await contact(req, res);
+}
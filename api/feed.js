@@ -0,0 +1,16 @@
+import { allWorks } from '../src/data/works.js';
+import { buildRssFeed, buildAtomFeed } from '../src/seo/feed.js';
+
+// Both documents only depend on the bundled catalog, so they are built once per instance
+const feeds = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', body: buildRssFeed(allWorks) },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', body: buildAtomFeed(allWorks) }
+};
+
+export default function handler(req, res) {
+  // /feed.xml -> RSS, /atom.xml -> ?format=atom (see vercel.json rewrites)
+  const feed = feeds[req.query && req.query.format === 'atom' ? 'atom' : 'rss'];
+
+  res.setHeader('Content-Type', feed.contentType);
+  res.status(200).end(feed.body);
+}
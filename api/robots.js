@@ -0,0 +1,8 @@
+import { buildRobotsTxt } from '../src/seo/robots.js';
+
+const robotsTxt = buildRobotsTxt();
+
+export default function handler(req, res) {
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.status(200).end(robotsTxt);
+}
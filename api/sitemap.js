@@ -1,26 +1,32 @@
-import { SitemapStream, streamToPromise } from 'sitemap';
+import { SitemapStream, SitemapIndexStream, streamToPromise } from 'sitemap';
 import { Readable } from 'stream';
 import { allWorks } from '../src/data/works.js';
+import { SITE_URL } from '../src/seo/meta.js';
+import { buildSitemapLinks, parseSitemapPage, splitSitemap, SITEMAP_URL } from '../src/seo/sitemap.js';
 
-const productLinks = allWorks.map(p => ({
-  url: `/product/${p.id}`,
-  changefreq: 'monthly',
-  priority: 0.7,
-}));
+const pages = splitSitemap(buildSitemapLinks(allWorks));
+
+const toXml = async (items, stream) => (await streamToPromise(Readable.from(items).pipe(stream))).toString();
 
 export default async function handler(req, res) {
-  const links = [
-    { url: '/',  changefreq: 'weekly', priority: 1.0 },
-    { url: '/gallery', changefreq: 'weekly', priority: 0.8 },
-    { url: '/contact', changefreq: 'yearly', priority: 0.8 },
-    { url: '/about', changefreq: 'yearly', priority: 0.8 },
-    ...productLinks
-  ];
+  const page = parseSitemapPage(req.query && req.query.page);
 
   res.setHeader('Content-Type', 'application/xml');
 
-  const stream = new SitemapStream({ hostname: 'https://thechainlair.com' });
-  const xml = await streamToPromise(Readable.from(links).pipe(stream));
-  res.status(200).end(xml.toString());
+  // Small sites fit in one sitemap; larger ones get an index of numbered pages
+  if (page === null && pages.length > 1) {
+    const index = pages.map((_, i) => ({ url: `${SITEMAP_URL}?page=${i + 1}` }));
+    res.status(200).end(await toXml(index, new SitemapIndexStream()));
+    return;
+  }
+
+  // Invalid page numbers (0) find nothing as well
+  const links = pages[(page === null ? 1 : page) - 1];
+  if (!links) {
+    res.status(404).end();
+    return;
+  }
 
-}
\ No newline at end of file
+  const stream = new SitemapStream({ hostname: SITE_URL, lastmodDateOnly: true });
+  res.status(200).end(await toXml(links, stream));
+}
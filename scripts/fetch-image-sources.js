@@ -0,0 +1,105 @@
+/**
+ * IMAGE SOURCE DOWNLOADER
+ * =======================
+ *
+ * Downloads the original of every remote catalog image into assets/source/,
+ * where scripts/optimize-images.js looks for it. The optimizer itself never
+ * touches the network, so this is the one step that needs it.
+ *
+ * PURPOSE:
+ * - Populate assets/source/<id>.<ext> for every
+ *   "https://lh3.googleusercontent.com/d/<id>" reference in the catalog
+ *   (images, video posters and turntable frames)
+ * - Skip images that already have a local source, so re-running only fetches
+ *   what was added to the catalog since
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Walks catalog.json for remote image URLs rather than its schema, so new
+ *   media types are picked up without changes here
+ * - Requests the full-size original ("=s0"); the file extension follows the
+ *   response's Content-Type
+ * - Uses the fetch built into Node 18+; downloads run one at a time
+ *
+ * USAGE:
+ * - `npm run images:sources`, then `npm run images`
+ * - Commit the downloaded files: builds (including Vercel's) only optimize
+ *   images whose source is in the repository
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT_DIR, 'assets', 'source');
+const CATALOG_FILE = path.join(ROOT_DIR, 'src', 'data', 'catalog.json');
+
+// Remote catalog images; the id is the source file's base name
+const REMOTE_IMAGE_PATTERN = /^https:\/\/lh3\.googleusercontent\.com\/d\/([A-Za-z0-9_-]+)$/;
+
+// File extension per Content-Type (the optimizer accepts all of these)
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/tiff': '.tif'
+};
+
+// Every string anywhere in the catalog that is a remote image URL
+const listRemoteImages = (value, found = new Set()) => {
+  if (typeof value === 'string') {
+    if (REMOTE_IMAGE_PATTERN.test(value)) found.add(value);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(child => listRemoteImages(child, found));
+  }
+  return found;
+};
+
+// True when assets/source already holds a file for this id (any extension)
+const hasSource = (id, existing) => existing.some(file => path.basename(file, path.extname(file)) === id);
+
+const download = async (url, id) => {
+  const response = await fetch(`${url}=s0`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+  const extension = EXTENSIONS[type];
+  if (!extension) {
+    throw new Error(`unexpected content type "${type}"`);
+  }
+  const file = path.join(SOURCE_DIR, `${id}${extension}`);
+  fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+  return file;
+};
+
+const main = async () => {
+  fs.mkdirSync(SOURCE_DIR, { recursive: true });
+  const catalog = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+  const existing = fs.readdirSync(SOURCE_DIR);
+  const failed = [];
+  let fetched = 0;
+
+  for (const url of listRemoteImages(catalog.works)) {
+    const [, id] = REMOTE_IMAGE_PATTERN.exec(url);
+    if (hasSource(id, existing)) continue;
+    try {
+      const file = await download(url, id);
+      console.log(`Fetched ${path.relative(ROOT_DIR, file)}`);
+      fetched += 1;
+    } catch (error) {
+      failed.push(`${url} (${error.message})`);
+    }
+  }
+
+  console.log(`Image sources: ${fetched} fetched, ${failed.length} failed`);
+  if (failed.length > 0) {
+    console.log(`Could not fetch:\n  ${failed.join('\n  ')}`);
+    process.exit(1);
+  }
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
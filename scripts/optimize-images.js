@@ -0,0 +1,262 @@
+/**
+ * RESPONSIVE IMAGE PIPELINE
+ * =========================
+ *
+ * Generates optimized, content-hashed image variants for every catalog image,
+ * video poster and turntable frame (and the Home hero) into public/assets/optimized, plus the manifest the app
+ * reads to render srcset/sizes (src/data/image-manifest.json).
+ *
+ * PURPOSE:
+ * - Serve AVIF/WebP/JPEG at several widths instead of one full-size original
+ * - Give every file a content hash in its name so vercel.json can cache
+ *   /assets/optimized/* as immutable
+ * - Keep the work offline: sources are read from local folders, never downloaded
+ * - Record intrinsic dimensions, a tiny inline placeholder and the dominant
+ *   color so images can blur up in place without layout shift
+ *
+ * SOURCE LOOKUP (first match wins):
+ * - Root-relative images ("/images/TheChainLair.webp") are read from public/
+ * - Remote images ("https://lh3.googleusercontent.com/d/<id>") are read from
+ *   assets/source/<id>.<jpg|jpeg|png|webp|avif|tif|tiff>, downloaded once
+ *   with `npm run images:sources` (scripts/fetch-image-sources.js) and committed
+ * - Images without a local source are reported and keep their original URL
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - sharp encodes each source once per width/format
+ * - Unchanged sources (same bytes and settings) are skipped on the next run
+ * - Files no longer referenced by the manifest are deleted
+ *
+ * USAGE:
+ * - Runs automatically before `npm start` and `npm run build`
+ * - Manually: `npm run images`
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const SOURCE_DIR = path.join(ROOT_DIR, 'assets', 'source');
+const OUTPUT_DIR = path.join(PUBLIC_DIR, 'assets', 'optimized');
+const OUTPUT_URL = '/assets/optimized';
+const MANIFEST_FILE = path.join(ROOT_DIR, 'src', 'data', 'image-manifest.json');
+const CATALOG_FILE = path.join(ROOT_DIR, 'src', 'data', 'catalog.json');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+// Manifest format version (bump when the entry shape changes)
+const MANIFEST_VERSION = 2;
+
+// Target widths in pixels; widths above the source width are not generated
+const WIDTHS = [320, 640, 960, 1280, 1920];
+
+// Output formats in order of preference (the last one is the <img> fallback)
+const FORMATS = [
+  { format: 'avif', options: { quality: 50, effort: 4 } },
+  { format: 'webp', options: { quality: 75 } },
+  { format: 'jpeg', options: { quality: 78, mozjpeg: true } }
+];
+
+// Width of the inline blur-up placeholder (height follows the aspect ratio)
+const PLACEHOLDER_WIDTH = 16;
+
+// Images used outside the catalog
+const EXTRA_IMAGES = ['/images/TheChainLair.webp'];
+
+// Extensions tried when looking up a remote image in assets/source
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tif', '.tiff'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const hash = (...parts) => {
+  const digest = crypto.createHash('sha256');
+  parts.forEach(part => digest.update(part));
+  return digest.digest('hex');
+};
+
+// Settings are part of the source hash so changing them re-encodes everything
+const SETTINGS_KEY = JSON.stringify({ MANIFEST_VERSION, WIDTHS, FORMATS, PLACEHOLDER_WIDTH });
+
+// Base name of an image reference, used for source lookup and output names
+const baseNameOf = (reference) => {
+  const { pathname } = new URL(reference, 'https://local.invalid');
+  return path.basename(pathname, path.extname(pathname));
+};
+
+// Output file prefix: lowercase, filesystem and URL safe
+const outputNameOf = (reference) => baseNameOf(reference).replace(/[^A-Za-z0-9_-]+/g, '-').toLowerCase();
+
+/**
+ * Finds the local source file for an image reference.
+ *
+ * @param {string} reference - Image URL or root-relative path from the catalog
+ * @returns {string|null} Absolute source path, or null when not available locally
+ */
+const findSource = (reference) => {
+  if (reference.startsWith('/')) {
+    const file = path.join(PUBLIC_DIR, reference);
+    return fs.existsSync(file) ? file : null;
+  }
+  const candidates = SOURCE_EXTENSIONS.map(extension => path.join(SOURCE_DIR, `${baseNameOf(reference)}${extension}`));
+  return candidates.find(file => fs.existsSync(file)) || null;
+};
+
+// Image files shown by one catalog media item (mirrors getMediaImages in src/data/media.js):
+// videos contribute their poster, turntables every frame
+const mediaImagesOf = (item) => {
+  if (item.type === 'image') return [item.src];
+  if (item.type === 'turntable') return [item.poster, ...(item.frames || [])].filter(Boolean);
+  return item.poster ? [item.poster] : [];
+};
+
+// Lists every image reference the app displays, without duplicates
+const listImages = () => {
+  const catalog = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+  const catalogImages = catalog.works.flatMap(work => (
+    work.media ? work.media.flatMap(mediaImagesOf) : work.images || []
+  ));
+  return [...new Set([...EXTRA_IMAGES, ...catalogImages])];
+};
+
+const readManifest = () => {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    return manifest.version === MANIFEST_VERSION ? manifest : { images: {} };
+  } catch (error) {
+    return { images: {} };
+  }
+};
+
+// True when every file of a manifest entry is still on disk
+const isEntryComplete = (entry) => Object.values(entry.formats)
+  .flat()
+  .every(variant => fs.existsSync(path.join(PUBLIC_DIR, variant.src)));
+
+// =============================================================================
+// ENCODING
+// =============================================================================
+
+// Formats an { r, g, b } color as "#rrggbb"
+const toHexColor = ({ r, g, b }) => `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Builds the blur-up data for one source: a tiny WebP inlined as a data URI
+ * (stretched and blurred by the browser) and the dominant color shown before it.
+ *
+ * @param {Buffer} input - Source image bytes
+ * @returns {Promise<{placeholder: string, color: string}>} Placeholder data URI and hex color
+ */
+const buildPlaceholder = async (input) => {
+  const tiny = await sharp(input)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .webp({ quality: 40 })
+    .toBuffer();
+  const { dominant } = await sharp(input).stats();
+  return {
+    placeholder: `data:image/webp;base64,${tiny.toString('base64')}`,
+    color: toHexColor(dominant)
+  };
+};
+
+/**
+ * Encodes one source image at every width and format.
+ *
+ * @param {string} reference - Image reference (manifest key)
+ * @param {Buffer} input - Source image bytes
+ * @param {string} sourceHash - Hash of the source bytes and settings
+ * @returns {Promise<Object>} Manifest entry
+ */
+const encodeImage = async (reference, input, sourceHash) => {
+  const { width, height } = await sharp(input).metadata().then(meta => (
+    // EXIF orientations 5-8 swap the displayed width and height
+    meta.orientation >= 5 ? { width: meta.height, height: meta.width } : meta
+  ));
+
+  // Every configured width below the source width, plus the source width itself
+  // (capped at the largest configured width)
+  const widths = [...new Set([
+    ...WIDTHS.filter(target => target < width),
+    Math.min(width, WIDTHS[WIDTHS.length - 1])
+  ])];
+
+  const name = outputNameOf(reference);
+  const formats = {};
+
+  for (const { format, options } of FORMATS) {
+    formats[format] = [];
+    for (const targetWidth of widths) {
+      const buffer = await sharp(input)
+        .rotate()
+        .resize({ width: targetWidth, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toBuffer();
+      const extension = format === 'jpeg' ? 'jpg' : format;
+      const fileName = `${name}-${targetWidth}.${hash(buffer).slice(0, 10)}.${extension}`;
+      fs.writeFileSync(path.join(OUTPUT_DIR, fileName), buffer);
+      formats[format].push({ width: targetWidth, src: `${OUTPUT_URL}/${fileName}` });
+    }
+  }
+
+  const { placeholder, color } = await buildPlaceholder(input);
+
+  return { sourceHash, width, height, color, placeholder, formats };
+};
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+const main = async () => {
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const previous = readManifest();
+  const images = {};
+  const missing = [];
+  let encoded = 0;
+
+  for (const reference of listImages()) {
+    const source = findSource(reference);
+    if (!source) {
+      missing.push(reference);
+      continue;
+    }
+
+    const input = fs.readFileSync(source);
+    const sourceHash = hash(input, SETTINGS_KEY).slice(0, 16);
+    const cached = previous.images[reference];
+
+    if (cached && cached.sourceHash === sourceHash && isEntryComplete(cached)) {
+      images[reference] = cached;
+    } else {
+      images[reference] = await encodeImage(reference, input, sourceHash);
+      encoded += 1;
+    }
+  }
+
+  // Remove variants that no manifest entry points at anymore
+  const referenced = new Set(Object.values(images)
+    .flatMap(entry => Object.values(entry.formats).flat())
+    .map(variant => path.basename(variant.src)));
+  fs.readdirSync(OUTPUT_DIR)
+    .filter(file => !referenced.has(file))
+    .forEach(file => fs.unlinkSync(path.join(OUTPUT_DIR, file)));
+
+  const manifest = { version: MANIFEST_VERSION, images };
+  fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+
+  console.log(`Optimized images: ${Object.keys(images).length} ready (${encoded} encoded), ${missing.length} without a local source`);
+  if (missing.length > 0) {
+    console.log(`Add sources to ${path.relative(ROOT_DIR, SOURCE_DIR)}/ (\`npm run images:sources\` fetches remote ones) to optimize:\n  ${missing.join('\n  ')}`);
+  }
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+/**
+ * BUILD-TIME PRERENDERING
+ * =======================
+ *
+ * Renders every route of the site to static HTML after `react-scripts build`,
+ * so crawlers and link-preview bots receive real content and per-page meta
+ * tags instead of an empty <div id="root">.
+ *
+ * PURPOSE:
+ * - Enumerate the static routes declared in src/App.js (appRoutes)
+ * - Expand /product/:slug for every work in allWorks
+ * - Render each path with StaticRouter and write build/<path>/index.html
+ * - Inject the page's title, canonical, Open Graph/Twitter tags and JSON-LD
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Runs in plain Node with no browser and no network access
+ * - @babel/register transpiles src/ (JSX + ES modules) on the fly
+ * - CSS and media imports are stubbed (styles come from the built bundle)
+ * - PageMeta reports its tags through HeadContext during render
+ * - The client (src/index.js) hydrates when data-prerendered-path matches
+ *
+ * USAGE:
+ * - Runs automatically as the "postbuild" npm script
+ * - Manually: `npm run prerender` (requires an existing build/ directory)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const BUILD_DIR = path.join(ROOT_DIR, 'build');
+const SRC_DIR = path.join(ROOT_DIR, 'src');
+
+// =============================================================================
+// NODE ENVIRONMENT SETUP
+// =============================================================================
+// Match the production bundle (React production build, no dev warnings)
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+
+// Transpile application sources only; node_modules ship CommonJS builds
+require('@babel/register')({
+  babelrc: false,
+  configFile: false,
+  only: [SRC_DIR],
+  presets: [
+    [require.resolve('@babel/preset-env'), { targets: { node: 'current' } }],
+    [require.resolve('@babel/preset-react'), { runtime: 'automatic' }]
+  ]
+});
+
+// Stylesheets are already bundled by webpack; media files (images, game
+// sounds) resolve to their file name, they are only used once running in the browser
+['.css'].forEach(extension => {
+  require.extensions[extension] = () => {};
+});
+['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.mp3', '.wav', '.ogg'].forEach(extension => {
+  require.extensions[extension] = (module, filename) => {
+    module.exports = `/static/media/${path.basename(filename)}`;
+  };
+});
+
+const React = require('react');
+const { renderToString } = require('react-dom/server');
+const { StaticRouter, createRoutesFromElements } = require('react-router-dom');
+
+const { default: App, appRoutes } = require('../src/App');
+const { default: HeadContext } = require('../src/seo/HeadContext');
+const { serializeHeadTags } = require('../src/seo/meta');
+const { allWorks, getWorkPath } = require('../src/data/works');
+
+// =============================================================================
+// ROUTE ENUMERATION
+// =============================================================================
+
+/**
+ * Lists every path to prerender: static routes from App.js plus one product
+ * page per work. Routes with parameters other than /product/:slug are skipped.
+ *
+ * @returns {string[]} Route paths ("/", "/about", "/product/pyramid-lamp", ...)
+ */
+const listPaths = () => {
+  const paths = [];
+  const collect = (routes) => routes.forEach(route => {
+    if (route.path && !route.path.includes(':')) paths.push(route.path);
+    if (route.children) collect(route.children);
+  });
+  collect(createRoutesFromElements(appRoutes));
+
+  return [...new Set([...paths, ...allWorks.map(getWorkPath)])];
+};
+
+// =============================================================================
+// HTML GENERATION
+// =============================================================================
+
+// Default head tags in public/index.html that each page replaces with its own
+const REPLACED_HEAD_TAGS = [
+  /<title>[\s\S]*?<\/title>/g,
+  /<link rel="canonical"[^>]*>/g,
+  /<meta name="(?:description|robots|twitter:[^"]+)"[^>]*>/g,
+  /<meta property="og:[^"]+"[^>]*>/g
+];
+
+/**
+ * Renders one path and merges it into the built index.html template.
+ *
+ * @param {string} template - Contents of build/index.html from react-scripts
+ * @param {string} routePath - Path to render
+ * @returns {string} Complete HTML document
+ */
+const renderPage = (template, routePath) => {
+  const head = {};
+  const markup = renderToString(
+    React.createElement(HeadContext.Provider, { value: head },
+      React.createElement(StaticRouter, { location: routePath },
+        React.createElement(App)
+      )
+    )
+  );
+
+  if (!head.tags) {
+    throw new Error(`No PageMeta rendered for ${routePath}`);
+  }
+
+  const html = REPLACED_HEAD_TAGS.reduce((result, pattern) => result.replace(pattern, ''), template);
+  return html
+    .replace('</head>', `${serializeHeadTags(head.tags, head.jsonLd)}</head>`)
+    .replace('<div id="root"></div>', `<div id="root" data-prerendered-path="${routePath}">${markup}</div>`);
+};
+
+// Maps a route path to its output file ("/" -> build/index.html,
+// "/about" -> build/about/index.html)
+const outputFileFor = (routePath) => path.join(BUILD_DIR, ...routePath.split('/').filter(Boolean), 'index.html');
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+const main = () => {
+  const templateFile = path.join(BUILD_DIR, 'index.html');
+  if (!fs.existsSync(templateFile)) {
+    throw new Error('build/index.html not found. Run `npm run build` first.');
+  }
+
+  // Always start from the untouched template, even when re-running the script
+  const shellFile = path.join(BUILD_DIR, 'shell.html');
+  if (!fs.existsSync(shellFile)) {
+    fs.copyFileSync(templateFile, shellFile);
+  }
+  const template = fs.readFileSync(shellFile, 'utf8');
+
+  const paths = listPaths();
+  paths.forEach(routePath => {
+    const file = outputFileFor(routePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderPage(template, routePath));
+  });
+
+  console.log(`Prerendered ${paths.length} routes to ${path.relative(ROOT_DIR, BUILD_DIR)}/`);
+};
+
+main();
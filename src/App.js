@@ -25,16 +25,20 @@
  * - "/about" - About page (artist information)
  * - "/gallery" - Gallery page (portfolio showcase)
  * - "/contact" - Contact page (contact form)
- * - "/product/:id" - Dynamic product detail pages
+ * - "/search" - Catalog search results (?q= query)
+ * - "/product/:slug" - Dynamic product detail pages (legacy numeric ids redirect)
  * - "/games" - Games collection page
  * - "/games/pong" - Pong game page
+ * - "/games/pong-refined" - Refined Pong game page
  * 
  * LAYOUT HIERARCHY:
- * 1. Router (enables client-side navigation)
- * 2. App div (main application container)
- * 3. Navbar (persistent navigation header)
- * 4. Main (content area that changes based on route)
- * 5. Footer (persistent footer across all pages)
+ * 1. Router (provided by src/index.js, or StaticRouter when prerendering)
+ * 2. OutboxProvider (offline contact queue and its status toasts)
+ * 3. InquiryProvider (inquiry list shared by the Navbar and pages)
+ * 4. App div (main application container)
+ * 5. Navbar (persistent navigation header)
+ * 6. Main (content area that changes based on route)
+ * 7. Footer (persistent footer across all pages)
  */
 
 // ========================================
@@ -43,10 +47,11 @@
 import React from 'react';
 
 // React Router components for client-side navigation
-// BrowserRouter: Enables HTML5 history API for clean URLs
 // Routes: Container for all route definitions
 // Route: Individual route configuration
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+// The router itself (BrowserRouter in the browser, StaticRouter while
+// prerendering) is provided by the caller, see src/index.js and scripts/prerender.js
+import { Routes, Route } from 'react-router-dom';
 
 // ========================================
 // GLOBAL STYLE IMPORTS
@@ -66,6 +71,14 @@ import 'bootstrap-icons/font/bootstrap-icons.css';
 // Persistent layout components that appear on every page
 import Navbar from './components/Navbar';    // Top navigation bar
 import Footer from './components/Footer';    // Bottom footer
+import OutboxProvider from './components/OutboxProvider';  // Offline contact queue and its status
+import InquiryProvider from './components/InquiryProvider';  // Pieces to ask about in one message
+
+// ========================================
+// ROUTE REGISTRY
+// ========================================
+// Route paths shared with the sitemap endpoint (api/sitemap.js)
+import { ROUTES } from './routes';
 
 // ========================================
 // PAGE COMPONENT IMPORTS
@@ -75,11 +88,123 @@ import Home from './pages/Home';                    // Landing/welcome page
 import About from './pages/About';                  // Artist information page
 import Gallery from './pages/Gallery';              // Portfolio showcase page
 import Contact from './pages/Contact';              // Contact form page
+import Search from './pages/Search';                // Catalog search results page
 import ProductDetail from './pages/ProductDetail';  // Dynamic product detail pages
 import Games from './pages/Games';                  // Games collection page
 import Pong from './pages/pong/Pong';              // Pong game component
 import PongV2 from './pages/pongV2/PongV2';        // Refined Pong game component
 
+// ========================================
+// ROUTE DEFINITIONS
+// ========================================
+/**
+ * Application Routes
+ * 
+ * Every route of the site, exported so build-time prerendering
+ * (scripts/prerender.js) can enumerate the same paths App renders.
+ * Paths come from the route registry (src/routes.js); a new page needs an
+ * entry there and a <Route> here.
+ * Only one route component renders at a time based on current URL.
+ */
+export const appRoutes = (
+  <>
+    {/* ========================================
+        HOME PAGE ROUTE
+        ======================================== */}
+    {/* 
+      Root path route - displays when user visits the base URL
+      - path="/": Matches exactly the root URL
+      - element={<Home />}: Renders the Home component
+    */}
+    <Route path={ROUTES.home.path} element={<Home />} />
+    
+    {/* ========================================
+        ABOUT PAGE ROUTE
+        ======================================== */}
+    {/* 
+      About page route - artist information and background
+      - path="/about": Matches /about URL
+      - element={<About />}: Renders the About component
+    */}
+    <Route path={ROUTES.about.path} element={<About />} />
+    
+    {/* ========================================
+        GALLERY PAGE ROUTE
+        ======================================== */}
+    {/* 
+      Gallery page route - portfolio showcase
+      - path="/gallery": Matches /gallery URL
+      - element={<Gallery />}: Renders the Gallery component
+    */}
+    <Route path={ROUTES.gallery.path} element={<Gallery />} />
+    
+    {/* ========================================
+        CONTACT PAGE ROUTE
+        ======================================== */}
+    {/* 
+      Contact page route - contact form and information
+      - path="/contact": Matches /contact URL
+      - element={<Contact />}: Renders the Contact component
+    */}
+    <Route path={ROUTES.contact.path} element={<Contact />} />
+    
+    {/* ========================================
+        SEARCH RESULTS ROUTE
+        ======================================== */}
+    {/* 
+      Search page route - ranked catalog search
+      - path="/search": Matches /search URL, query read from ?q=
+      - element={<Search />}: Renders the Search component
+    */}
+    <Route path={ROUTES.search.path} element={<Search />} />
+    
+    {/* ========================================
+        DYNAMIC PRODUCT DETAIL ROUTE
+        ======================================== */}
+    {/* 
+      Dynamic route for individual product pages
+      - path="/product/:slug": Matches /product/[anything] URLs
+      - :slug is a URL parameter accessible in the ProductDetail component
+      - element={<ProductDetail />}: Renders ProductDetail with route params
+      - Example URLs: /product/pyramid-lamp, /product/v-cut-coif, etc.
+      - Legacy numeric URLs (/product/1) redirect to the slug URL
+    */}
+    <Route path={ROUTES.product.path} element={<ProductDetail />} />
+    
+    {/* ========================================
+        GAMES COLLECTION ROUTE
+        ======================================== */}
+    {/* 
+      Games main page route - displays available games
+      - path="/games": Matches /games URL
+      - element={<Games />}: Renders the Games collection component
+    */}
+    <Route path={ROUTES.games.path} element={<Games />} />
+    
+    {/* ========================================
+        PONG GAME ROUTE
+        ======================================== */}
+    {/* 
+      Specific game route - Pong game page
+      - path="/games/pong": Matches /games/pong URL (nested route)
+      - element={<Pong />}: Renders the Pong game component
+      - Demonstrates nested routing structure for game organization
+    */}
+    <Route path={ROUTES.pong.path} element={<Pong />} />
+    
+    {/* ========================================
+        REFINED PONG GAME ROUTE
+        ======================================== */}
+    {/* 
+      Refined Pong game route - Enhanced version with improvements
+      - path="/games/pong-refined": Matches /games/pong-refined URL
+      - element={<PongV2 />}: Renders the refined Pong game component
+      - Implements architectural improvements from code review
+    */}
+    <Route path={ROUTES.pongRefined.path} element={<PongV2 />} />
+  </>
+);
+
 /**
  * App Component
  * 
@@ -89,7 +214,7 @@ import PongV2 from './pages/pongV2/PongV2';        // Refined Pong game componen
  * ROUTING BEHAVIOR:
  * - Uses HTML5 History API for clean URLs (no hash fragments)
  * - Client-side navigation (no page reloads when navigating)
- * - Dynamic route parameters supported (e.g., /product/:id)
+ * - Dynamic route parameters supported (e.g., /product/:slug)
  * - Nested routes supported (e.g., /games/pong)
  * 
  * LAYOUT STRUCTURE:
@@ -102,153 +227,69 @@ import PongV2 from './pages/pongV2/PongV2';        // Refined Pong game componen
 function App() {
   return (
     // ========================================
-    // ROUTER CONFIGURATION
+    // MAIN APPLICATION CONTAINER
     // ========================================
-    // BrowserRouter enables client-side routing with clean URLs
-    // This allows navigation without page reloads and maintains browser history
-    <Router>
+    // Main application wrapper div
+    // - className="App": Provides CSS targeting for app-wide styles
+    // - Contains all application content and layout structure
+    // - Rendered inside a router supplied by the caller:
+    //   BrowserRouter in src/index.js, StaticRouter in scripts/prerender.js
+    // - Wrapped in OutboxProvider, which retries contact messages queued
+    //   while offline and shows their status on every page
+    // - Wrapped in InquiryProvider, which keeps the pieces the visitor wants
+    //   to ask about (Navbar badge, product pages, Contact page)
+    <OutboxProvider>
+      <InquiryProvider>
+        <div className="App">
       
-      {/* ========================================
-          MAIN APPLICATION CONTAINER
-          ======================================== */}
-      {/* 
-        Main application wrapper div
-        - className="App": Provides CSS targeting for app-wide styles
-        - Contains all application content and layout structure
-      */}
-      <div className="App">
-        
-        {/* ========================================
-            PERSISTENT NAVIGATION HEADER
-            ======================================== */}
-        {/* 
-          Navigation bar component that appears on every page
-          - Provides consistent navigation across the entire application
-          - Contains links to main sections (Home, About, Gallery, etc.)
-          - Responsive design that adapts to different screen sizes
-        */}
-        <Navbar />
-        
-        {/* ========================================
-            MAIN CONTENT AREA
-            ======================================== */}
-        {/* 
-          Main content container that changes based on current route
-          - Semantic HTML5 <main> element for accessibility
-          - Content area between navbar and footer
-          - Houses the route-specific page components
-        */}
-        <main>
-          
           {/* ========================================
-              ROUTE DEFINITIONS
+              PERSISTENT NAVIGATION HEADER
               ======================================== */}
           {/* 
-            Routes container holds all route configurations
-            Only one route component renders at a time based on current URL
+            Navigation bar component that appears on every page
+            - Provides consistent navigation across the entire application
+            - Contains links to main sections (Home, About, Gallery, etc.)
+            - Responsive design that adapts to different screen sizes
           */}
-          <Routes>
-            
-            {/* ========================================
-                HOME PAGE ROUTE
-                ======================================== */}
-            {/* 
-              Root path route - displays when user visits the base URL
-              - path="/": Matches exactly the root URL
-              - element={<Home />}: Renders the Home component
-            */}
-            <Route path="/" element={<Home />} />
-            
-            {/* ========================================
-                ABOUT PAGE ROUTE
-                ======================================== */}
-            {/* 
-              About page route - artist information and background
-              - path="/about": Matches /about URL
-              - element={<About />}: Renders the About component
-            */}
-            <Route path="/about" element={<About />} />
-            
-            {/* ========================================
-                GALLERY PAGE ROUTE
-                ======================================== */}
-            {/* 
-              Gallery page route - portfolio showcase
-              - path="/gallery": Matches /gallery URL
-              - element={<Gallery />}: Renders the Gallery component
-            */}
-            <Route path="/gallery" element={<Gallery />} />
-            
-            {/* ========================================
-                CONTACT PAGE ROUTE
-                ======================================== */}
-            {/* 
-              Contact page route - contact form and information
-              - path="/contact": Matches /contact URL
-              - element={<Contact />}: Renders the Contact component
-            */}
-            <Route path="/contact" element={<Contact />} />
-            
-            {/* ========================================
-                DYNAMIC PRODUCT DETAIL ROUTE
-                ======================================== */}
-            {/* 
-              Dynamic route for individual product pages
-              - path="/product/:id": Matches /product/[anything] URLs
-              - :id is a URL parameter accessible in the ProductDetail component
-              - element={<ProductDetail />}: Renders ProductDetail with route params
-              - Example URLs: /product/123, /product/chainmail-armor, etc.
-            */}
-            <Route path="/product/:id" element={<ProductDetail />} />
-            
-            {/* ========================================
-                GAMES COLLECTION ROUTE
-                ======================================== */}
-            {/* 
-              Games main page route - displays available games
-              - path="/games": Matches /games URL
-              - element={<Games />}: Renders the Games collection component
-            */}
-            <Route path="/games" element={<Games />} />
-            
-            {/* ========================================
-                PONG GAME ROUTE
-                ======================================== */}
-            {/* 
-              Specific game route - Pong game page
-              - path="/games/pong": Matches /games/pong URL (nested route)
-              - element={<Pong />}: Renders the Pong game component
-              - Demonstrates nested routing structure for game organization
-            */}
-            <Route path="/games/pong" element={<Pong />} />
-            
+          <Navbar />
+      
+          {/* ========================================
+              MAIN CONTENT AREA
+              ======================================== */}
+          {/* 
+            Main content container that changes based on current route
+            - Semantic HTML5 <main> element for accessibility
+            - Content area between navbar and footer
+            - Houses the route-specific page components
+          */}
+          <main>
+        
             {/* ========================================
-                REFINED PONG GAME ROUTE
+                ROUTE DEFINITIONS
                 ======================================== */}
             {/* 
-              Refined Pong game route - Enhanced version with improvements
-              - path="/games/pong-refined": Matches /games/pong-refined URL
-              - element={<PongV2 />}: Renders the refined Pong game component
-              - Implements architectural improvements from code review
+              Routes container holds all route configurations
+              Only one route component renders at a time based on current URL
             */}
-            <Route path="/games/pong-refined" element={<PongV2 />} />
-            
-          </Routes>
-        </main>
-        
-        {/* ========================================
-            PERSISTENT FOOTER
-            ======================================== */}
-        {/* 
-          Footer component that appears on every page
-          - Provides consistent branding and links across the application
-          - Contains copyright, social links, and additional navigation
-          - Responsive design that adapts to different screen sizes
-        */}
-        <Footer />
-        
-      </div>
-    </Router>
+            <Routes>
+              {appRoutes}
+            </Routes>
+          </main>
+      
+          {/* ========================================
+              PERSISTENT FOOTER
+              ======================================== */}
+          {/* 
+            Footer component that appears on every page
+            - Provides consistent branding and links across the application
+            - Contains copyright, social links, and additional navigation
+            - Responsive design that adapts to different screen sizes
+          */}
+          <Footer />
+      
+        </div>
+      </InquiryProvider>
+    </OutboxProvider>
   );
 }
 
@@ -1,8 +1,21 @@
 import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The router comes from src/index.js in the browser; App brings its own providers
+const renderAt = (url) => render(
+  <MemoryRouter initialEntries={[url]}>
+    <App />
+  </MemoryRouter>
+);
+
+test('renders the home page inside the site layout', () => {
+  renderAt('/');
+  expect(screen.getByRole('heading', { level: 1, name: /The Chain Lair/ })).toBeInTheDocument();
+  expect(screen.getAllByRole('link', { name: 'Gallery' }).length).toBeGreaterThan(0);
+});
+
+test('routes product URLs to the product page', () => {
+  renderAt('/product/v-cut-coif');
+  expect(screen.getByRole('heading', { level: 1, name: 'V-Cut Coif' })).toBeInTheDocument();
 });
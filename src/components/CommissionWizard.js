@@ -0,0 +1,545 @@
+/*
+========================================
+COMMISSION WIZARD COMPONENT
+========================================
+
+PURPOSE:
+The CommissionWizard component walks visitors through a custom commission
+request step by step (piece, material and size, budget and deadline,
+reference images, contact details), so the artist receives everything needed
+to quote a piece in the first message.
+
+TECHNICAL ARCHITECTURE:
+- Steps, choices, validation and the email summary live in the commission
+  data module (src/data/commission.js), a pure and unit-tested module
+- Each step is validated before moving on; errors show under their fields
+- The request is saved to localStorage as a draft after every change and
+  restored on the next visit (after mount, so prerendered markup matches)
+- Reference images are downscaled in the browser until each fits its share
+  of the EmailJS request limit, and sent as data URLs
+- Spam protection: a honeypot field on the last step and the time spent on
+  the form travel with the request (see src/contact/spam.js)
+- Sending is delegated to the parent (onSubmit), which owns the delivery
+  and the success/error alerts
+
+USAGE:
+<CommissionWizard onSubmit={templateParams => sendContactMessage(templateParams)} />
+*/
+
+// ========================================
+// REACT AND UI LIBRARY IMPORTS
+// ========================================
+import React, { useEffect, useState } from 'react';
+import { Form, Button, Row, Col, Alert, Spinner, ProgressBar, InputGroup, Card, CloseButton } from 'react-bootstrap';
+
+// ========================================
+// DATA IMPORTS
+// ========================================
+// Wizard steps, choices, validation, email content and draft storage
+import {
+  COMMISSION_STEPS,
+  EMPTY_COMMISSION,
+  PIECE_TYPES,
+  WEAVE_CHOICES,
+  MATERIALS,
+  BUDGET_RANGES,
+  MAX_REFERENCE_IMAGES,
+  MAX_REFERENCE_DATA_URL_LENGTH,
+  REFERENCE_ENCODINGS,
+  NO_PREFERENCE,
+  getSizingFields,
+  getEarliestDeadline,
+  validateCommissionStep,
+  findFirstInvalidStep,
+  buildCommissionSummary,
+  buildCommissionTemplateParams,
+  loadCommissionDraft,
+  saveCommissionDraft,
+  clearCommissionDraft
+} from '../data/commission';
+
+// Short description shown under the chosen weave
+import { getWeaveDescription } from '../data/weaves';
+
+// Spam protection parameters
+import { HONEYPOT_FIELD, FILL_TIME_FIELD, MIN_FILL_TIME_MS } from '../contact/spam';
+
+// ========================================
+// CUSTOM COMPONENT AND HOOK IMPORTS
+// ========================================
+// Off-screen field that only bots fill in
+import HoneypotField from './HoneypotField';
+
+// Time the form has been on screen (minimum time-to-submit check)
+import useFillTimer from '../hooks/useFillTimer';
+
+// ========================================
+// REFERENCE IMAGE PROCESSING
+// ========================================
+// Larger files are rejected before decoding
+const MAX_REFERENCE_FILE_BYTES = 15 * 1024 * 1024;
+
+/**
+ * Downscales an image file into a JPEG data URL small enough to email and to
+ * keep in the draft, trying REFERENCE_ENCODINGS until one fits
+ * MAX_REFERENCE_DATA_URL_LENGTH.
+ *
+ * @param {File} file - Image chosen by the visitor
+ * @returns {Promise<{name: string, dataUrl: string}>} Reference image
+ */
+const readReferenceImage = (file) => new Promise((resolve, reject) => {
+  if (!file.type.startsWith('image/')) {
+    reject(new Error(`${file.name} is not an image.`));
+    return;
+  }
+  if (file.size > MAX_REFERENCE_FILE_BYTES) {
+    reject(new Error(`${file.name} is larger than 15 MB.`));
+    return;
+  }
+
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const canvas = document.createElement('canvas');
+    for (const { maxSize, quality } of REFERENCE_ENCODINGS) {
+      const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+      canvas.width = Math.round(image.naturalWidth * scale);
+      canvas.height = Math.round(image.naturalHeight * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      const dataUrl = canvas.toDataURL('image/jpeg', quality);
+      if (dataUrl.length <= MAX_REFERENCE_DATA_URL_LENGTH) {
+        resolve({ name: file.name, dataUrl });
+        return;
+      }
+    }
+    reject(new Error(`${file.name} is too detailed to send; please try a simpler or cropped photo.`));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name} could not be read.`));
+  };
+  image.src = url;
+});
+
+// ========================================
+// COMMISSION WIZARD COMPONENT DEFINITION
+// ========================================
+/**
+ * CommissionWizard Component
+ *
+ * Props:
+ * @param {function(Object): Promise} onSubmit - Sends the contact template
+ *   parameters; resolves when delivered (the draft is then cleared) and
+ *   rejects on failure (the request is kept)
+ *
+ * @returns {JSX.Element} The multi-step commission form
+ */
+const CommissionWizard = ({ onSubmit }) => {
+  const [data, setData] = useState(EMPTY_COMMISSION);
+  const [step, setStep] = useState(0);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [imageError, setImageError] = useState('');
+
+  // Spam protection (not part of the saved draft)
+  const [honeypot, setHoneypot] = useState('');
+  const fillTimer = useFillTimer();
+
+  // Draft handling: nothing is saved until the stored draft has been read
+  const [draftReady, setDraftReady] = useState(false);
+  const [draftRestored, setDraftRestored] = useState(false);
+
+  useEffect(() => {
+    const draft = loadCommissionDraft(window.localStorage);
+    if (draft) {
+      setData(draft.data);
+      setStep(draft.step);
+      setDraftRestored(true);
+      // The draft was typed on an earlier visit: sending it at once is not bot speed
+      fillTimer.restart(MIN_FILL_TIME_MS);
+    }
+    setDraftReady(true);
+  }, [fillTimer]);
+
+  // An untouched form leaves no draft behind (e.g. right after sending)
+  useEffect(() => {
+    if (!draftReady) return;
+    if (data === EMPTY_COMMISSION && step === 0) {
+      clearCommissionDraft(window.localStorage);
+    } else {
+      saveCommissionDraft(window.localStorage, data, step);
+    }
+  }, [draftReady, data, step]);
+
+  const currentStep = COMMISSION_STEPS[step];
+  const isLastStep = step === COMMISSION_STEPS.length - 1;
+  const sizingFields = getSizingFields(data.pieceType);
+
+  // ========================================
+  // FIELD HANDLERS
+  // ========================================
+  const clearError = (field) => {
+    if (errors[field]) {
+      setErrors(({ [field]: _removed, ...rest }) => rest);
+    }
+  };
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setData(current => ({ ...current, [name]: value }));
+    clearError(name);
+  };
+
+  const handleMeasurementChange = (event) => {
+    const { name, value } = event.target;
+    setData(current => ({ ...current, measurements: { ...current.measurements, [name]: value } }));
+    clearError(`measurements.${name}`);
+  };
+
+  const handleFilesChange = (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    setImageError('');
+
+    const room = MAX_REFERENCE_IMAGES - data.references.length;
+    if (files.length > room) {
+      setImageError(`You can attach up to ${MAX_REFERENCE_IMAGES} images.`);
+    }
+    Promise.allSettled(files.slice(0, Math.max(room, 0)).map(readReferenceImage)).then(results => {
+      const added = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+      const failed = results.filter(result => result.status === 'rejected').map(result => result.reason.message);
+      if (failed.length > 0) setImageError(failed.join(' '));
+      setData(current => ({ ...current, references: [...current.references, ...added].slice(0, MAX_REFERENCE_IMAGES) }));
+    });
+  };
+
+  const removeReference = (index) => {
+    setData(current => ({ ...current, references: current.references.filter((_, i) => i !== index) }));
+  };
+
+  // ========================================
+  // NAVIGATION AND SUBMISSION
+  // ========================================
+  const goToStep = (index) => {
+    setStep(index);
+    setErrors(validateCommissionStep(COMMISSION_STEPS[index].id, data));
+  };
+
+  const handleNext = () => {
+    const stepErrors = validateCommissionStep(currentStep.id, data);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length === 0) {
+      setStep(step + 1);
+    }
+  };
+
+  const handleBack = () => {
+    setErrors({});
+    setStep(step - 1);
+  };
+
+  // Resetting to EMPTY_COMMISSION also removes the stored draft (see above)
+  const startOver = () => {
+    setData(EMPTY_COMMISSION);
+    setStep(0);
+    setErrors({});
+    setDraftRestored(false);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!isLastStep) {
+      handleNext();
+      return;
+    }
+
+    // Re-check every step: a restored draft may predate the current rules
+    const invalidStep = findFirstInvalidStep(data);
+    if (invalidStep !== -1) {
+      goToStep(invalidStep);
+      return;
+    }
+
+    setIsSubmitting(true);
+    const templateParams = {
+      ...buildCommissionTemplateParams(data),
+      [HONEYPOT_FIELD]: honeypot,
+      [FILL_TIME_FIELD]: fillTimer.elapsed()
+    };
+    Promise.resolve(onSubmit(templateParams))
+      .then(() => {
+        startOver();
+        setHoneypot('');
+        fillTimer.restart();
+      })
+      .catch(() => {
+        // The parent shows the error; the request stays for another try
+      })
+      .finally(() => setIsSubmitting(false));
+  };
+
+  // Props shared by validated controls
+  const invalidProps = (field) => ({ isInvalid: Boolean(errors[field]) });
+  const feedback = (field) => (
+    <Form.Control.Feedback type="invalid">{errors[field]}</Form.Control.Feedback>
+  );
+
+  return (
+    <Form noValidate onSubmit={handleSubmit} className="commission-wizard">
+
+      {/* ========================================
+          DRAFT NOTICE
+          ======================================== */}
+      {draftRestored && (
+        <Alert variant="info" onClose={() => setDraftRestored(false)} dismissible>
+          We restored the commission request you started earlier.{' '}
+          <Button variant="link" className="p-0 align-baseline" onClick={startOver}>
+            Start over
+          </Button>
+        </Alert>
+      )}
+
+      {/* ========================================
+          PROGRESS
+          ======================================== */}
+      <p className="mb-1 text-muted small">
+        Step {step + 1} of {COMMISSION_STEPS.length}
+      </p>
+      <h4>{currentStep.title}</h4>
+      <ProgressBar
+        now={((step + 1) / COMMISSION_STEPS.length) * 100}
+        className="mb-4"
+        aria-label={`Step ${step + 1} of ${COMMISSION_STEPS.length}`}
+      />
+
+      {/* ========================================
+          STEP 1: THE PIECE
+          ======================================== */}
+      {currentStep.id === 'piece' && (
+        <>
+          <Form.Group className="mb-3" controlId="commissionPieceType">
+            <Form.Label>What would you like made?</Form.Label>
+            <Form.Select name="pieceType" value={data.pieceType} onChange={handleChange} {...invalidProps('pieceType')}>
+              <option value="">Choose a type of piece...</option>
+              {PIECE_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </Form.Select>
+            {feedback('pieceType')}
+          </Form.Group>
+
+          <Form.Group className="mb-3" controlId="commissionWeave">
+            <Form.Label>Preferred weave</Form.Label>
+            <Form.Select name="weave" value={data.weave} onChange={handleChange} {...invalidProps('weave')}>
+              <option value="">Choose a weave...</option>
+              {WEAVE_CHOICES.map(weave => <option key={weave} value={weave}>{weave}</option>)}
+            </Form.Select>
+            {feedback('weave')}
+            {data.weave && (
+              <Form.Text muted>
+                {data.weave === NO_PREFERENCE
+                  ? 'I will suggest a weave that suits the piece.'
+                  : getWeaveDescription(data.weave)}
+              </Form.Text>
+            )}
+          </Form.Group>
+
+          <Form.Group className="mb-4" controlId="commissionDescription">
+            <Form.Label>Describe your idea</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={4}
+              name="description"
+              value={data.description}
+              onChange={handleChange}
+              placeholder="Colors, style, where it will be worn or displayed..."
+              {...invalidProps('description')}
+            />
+            {feedback('description')}
+          </Form.Group>
+        </>
+      )}
+
+      {/* ========================================
+          STEP 2: MATERIAL AND SIZE
+          ======================================== */}
+      {currentStep.id === 'material' && (
+        <>
+          <Form.Group className="mb-3" controlId="commissionMaterial">
+            <Form.Label>Material</Form.Label>
+            <Form.Select name="material" value={data.material} onChange={handleChange} {...invalidProps('material')}>
+              <option value="">Choose a material...</option>
+              {MATERIALS.map(material => <option key={material} value={material}>{material}</option>)}
+            </Form.Select>
+            {feedback('material')}
+          </Form.Group>
+
+          {sizingFields.length > 0 && (
+            <Row className="mb-3">
+              {sizingFields.map(field => (
+                <Form.Group as={Col} md={6} key={field.name} controlId={`commissionMeasurement-${field.name}`} className="mb-3 mb-md-0">
+                  <Form.Label>{field.label}</Form.Label>
+                  <InputGroup hasValidation>
+                    <Form.Control
+                      type="number"
+                      inputMode="decimal"
+                      min="0"
+                      step="0.5"
+                      name={field.name}
+                      value={data.measurements[field.name] || ''}
+                      onChange={handleMeasurementChange}
+                      {...invalidProps(`measurements.${field.name}`)}
+                    />
+                    <InputGroup.Text>{field.unit}</InputGroup.Text>
+                    {feedback(`measurements.${field.name}`)}
+                  </InputGroup>
+                </Form.Group>
+              ))}
+            </Row>
+          )}
+
+          <Form.Group className="mb-4" controlId="commissionSizingNotes">
+            <Form.Label>Sizing notes{data.pieceType === 'other' ? '' : ' (optional)'}</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={2}
+              name="sizingNotes"
+              value={data.sizingNotes}
+              onChange={handleChange}
+              placeholder="Fit preferences, clasp position, overall size..."
+              {...invalidProps('sizingNotes')}
+            />
+            {feedback('sizingNotes')}
+          </Form.Group>
+        </>
+      )}
+
+      {/* ========================================
+          STEP 3: BUDGET AND DEADLINE
+          ======================================== */}
+      {currentStep.id === 'budget' && (
+        <>
+          <Form.Group className="mb-3">
+            <Form.Label as="legend" className="fs-6">Budget</Form.Label>
+            {BUDGET_RANGES.map(range => (
+              <Form.Check
+                key={range.value}
+                type="radio"
+                id={`commissionBudget-${range.value}`}
+                name="budget"
+                value={range.value}
+                label={range.label}
+                checked={data.budget === range.value}
+                onChange={handleChange}
+                isInvalid={Boolean(errors.budget)}
+              />
+            ))}
+            {errors.budget && <div className="invalid-feedback d-block">{errors.budget}</div>}
+          </Form.Group>
+
+          <Form.Group className="mb-4" controlId="commissionDeadline">
+            <Form.Label>Deadline (optional)</Form.Label>
+            <Form.Control
+              type="date"
+              name="deadline"
+              min={getEarliestDeadline()}
+              value={data.deadline}
+              onChange={handleChange}
+              {...invalidProps('deadline')}
+            />
+            {feedback('deadline')}
+            <Form.Text muted>Leave empty if there is no fixed date.</Form.Text>
+          </Form.Group>
+        </>
+      )}
+
+      {/* ========================================
+          STEP 4: REFERENCE IMAGES
+          ======================================== */}
+      {currentStep.id === 'references' && (
+        <Form.Group className="mb-4" controlId="commissionReferences">
+          <Form.Label>Reference images (optional, up to {MAX_REFERENCE_IMAGES})</Form.Label>
+          <Form.Control
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleFilesChange}
+            disabled={data.references.length >= MAX_REFERENCE_IMAGES}
+            {...invalidProps('references')}
+          />
+          {feedback('references')}
+          <Form.Text muted>Sketches or photos of pieces you like. Images are resized before sending.</Form.Text>
+          {imageError && <Alert variant="warning" className="mt-2 mb-0 py-2">{imageError}</Alert>}
+
+          {data.references.length > 0 && (
+            <div className="commission-references mt-3">
+              {data.references.map((reference, index) => (
+                <figure key={`${reference.name}-${index}`} className="commission-reference">
+                  <img src={reference.dataUrl} alt={`Reference ${index + 1}: ${reference.name}`} />
+                  <CloseButton
+                    className="commission-reference-remove"
+                    aria-label={`Remove ${reference.name}`}
+                    onClick={() => removeReference(index)}
+                  />
+                  <figcaption className="small text-truncate">{reference.name}</figcaption>
+                </figure>
+              ))}
+            </div>
+          )}
+        </Form.Group>
+      )}
+
+      {/* ========================================
+          STEP 5: CONTACT DETAILS AND REVIEW
+          ======================================== */}
+      {currentStep.id === 'contact' && (
+        <>
+          <Row className="mb-3">
+            <Form.Group as={Col} md="6" controlId="commissionName" className="mb-3 mb-md-0">
+              <Form.Label>Your Name</Form.Label>
+              <Form.Control type="text" name="name" value={data.name} onChange={handleChange} placeholder="J. Doe" {...invalidProps('name')} />
+              {feedback('name')}
+            </Form.Group>
+            <Form.Group as={Col} md="6" controlId="commissionEmail">
+              <Form.Label>Email Address</Form.Label>
+              <Form.Control type="email" name="email" value={data.email} onChange={handleChange} placeholder="jDoe@example.com" {...invalidProps('email')} />
+              {feedback('email')}
+            </Form.Group>
+          </Row>
+
+          {/* Spam trap hidden from visitors and assistive technology */}
+          <HoneypotField value={honeypot} onChange={event => setHoneypot(event.target.value)} />
+
+          {/* Summary exactly as it will be sent */}
+          <Card className="mb-4">
+            <Card.Header>Your request</Card.Header>
+            <Card.Body>
+              <pre className="commission-summary mb-0">{buildCommissionSummary(data)}</pre>
+            </Card.Body>
+          </Card>
+        </>
+      )}
+
+      {/* ========================================
+          STEP NAVIGATION
+          ======================================== */}
+      <div className="d-flex justify-content-between">
+        <Button variant="outline-secondary" onClick={handleBack} disabled={step === 0 || isSubmitting}>
+          Back
+        </Button>
+        <Button type="submit" variant="primary" disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2" />
+              Sending...
+            </>
+          ) : isLastStep ? 'Send Commission Request' : 'Next'}
+        </Button>
+      </div>
+    </Form>
+  );
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default CommissionWizard;
@@ -19,6 +19,8 @@ FUNCTIONALITY FEATURES:
 - Displays artwork image, title, and short description
 - Provides click-through navigation to detailed product pages
 - Handles missing or invalid image URLs with fallback
+- Highlights search terms in the title and description when given
+- Marks sold pieces with a "Sold" badge over the image
 - Maintains consistent visual presentation across different contexts
 
 USER EXPERIENCE:
@@ -42,7 +44,8 @@ import React from 'react';
 
 // Bootstrap Card component for consistent card-based layout
 // Provides structured presentation with image, title, and description areas
-import { Card } from 'react-bootstrap';
+// Badge: "Sold" marker over the image
+import { Card, Badge } from 'react-bootstrap';
 
 // ========================================
 // ROUTING IMPORTS
@@ -51,6 +54,51 @@ import { Card } from 'react-bootstrap';
 // Enables seamless navigation to product detail pages without page refresh
 import { Link } from 'react-router-dom';
 
+// ========================================
+// DATA IMPORTS
+// ========================================
+// Canonical product path builder (slug-based product URLs)
+import { getWorkPath } from '../data/works';
+
+// Splits text into plain and matched segments for search highlighting
+import { splitHighlights } from '../data/search';
+
+// Layout hint for the optimized card image variants
+import { IMAGE_SIZES } from '../data/images';
+
+// Still image representing a work (poster of its first media item)
+import { getWorkPoster } from '../data/media';
+
+// Display label of the sold status
+import { AVAILABILITY_LABELS } from '../data/catalog';
+
+// ========================================
+// CUSTOM COMPONENT IMPORTS
+// ========================================
+// <picture> with AVIF/WebP/JPEG variants from the image pipeline
+import ResponsiveImage from './ResponsiveImage';
+
+// ========================================
+// HIGHLIGHTED TEXT HELPER
+// ========================================
+/**
+ * HighlightedText Component
+ * 
+ * Renders text with the words found in `terms` wrapped in <mark>.
+ * Without terms the text is rendered unchanged.
+ * 
+ * @param {string} text - Text to display
+ * @param {string[]} terms - Normalized search terms to highlight
+ * @returns {JSX.Element} The text with highlighted matches
+ */
+const HighlightedText = ({ text, terms }) => (
+  <>
+    {splitHighlights(text, terms).map((segment, index) => (
+      segment.match ? <mark key={index}>{segment.text}</mark> : segment.text
+    ))}
+  </>
+);
+
 // ========================================
 // GALLERY ITEM COMPONENT DEFINITION
 // ========================================
@@ -64,9 +112,12 @@ import { Link } from 'react-router-dom';
  * Props:
  * @param {Object} work - The artwork object containing all piece information
  * @param {string} work.id - Unique identifier for the artwork
+ * @param {string} work.slug - URL slug used for the product page link
  * @param {string} work.title - Display title of the artwork
  * @param {string} work.shortDescription - Brief description for card display
- * @param {Array} work.images - Array of image URLs for the artwork
+ * @param {Array} work.media - Typed media list (the first item's poster is shown)
+ * @param {string} work.availability - Sale status (sold pieces are badged)
+ * @param {string[]} [highlight] - Search terms to highlight (used by the Search page)
  * 
  * Features:
  * - Bootstrap Card layout for consistent presentation
@@ -77,30 +128,28 @@ import { Link } from 'react-router-dom';
  * 
  * @returns {JSX.Element} The rendered gallery item card
  */
-const GalleryItem = ({ work }) => {
+const GalleryItem = ({ work, highlight }) => {
 
   // ========================================
   // IMAGE URL PROCESSING
   // ========================================
   // Determine the primary image URL with fallback handling
-  // - work.images && work.images.length > 0: Checks if images array exists and has content
-  // - work.images[0]: Uses the first image in the array as primary
-  // - Fallback URL: Default image if no valid images are available
+  // - getWorkPoster: Still image of the first media item (a video or 360° turntable
+  //   contributes its poster, so the card always shows a picture)
+  // - Fallback URL: Default image if the work has no media
   // This ensures the component always displays an image, preventing broken layouts
-  const imageUrl = work.images && work.images.length > 0 
-    ? work.images[0] 
-    : 'https://lh3.googleusercontent.com/d/1m75dzoP_RBT4WIXQstCaxe-_s6LUUsEv';
+  const imageUrl = getWorkPoster(work) || 'https://lh3.googleusercontent.com/d/1m75dzoP_RBT4WIXQstCaxe-_s6LUUsEv';
 
   return (
     // ========================================
     // NAVIGATION WRAPPER
     // ========================================
     // React Router Link component for navigation to product detail page
-    // - to={`/product/${work.id}`}: Dynamic route to individual product page
+    // - to={getWorkPath(work)}: Slug-based route to individual product page
     // - className="gallery-item-link": Custom styling hook for link behavior
     // - Wraps entire card to make it fully clickable
     // - Provides semantic navigation structure
-    <Link to={`/product/${work.id}`} className="gallery-item-link">
+    <Link to={getWorkPath(work)} className="gallery-item-link">
       
       {/* ========================================
           GALLERY ITEM CONTAINER
@@ -131,12 +180,32 @@ const GalleryItem = ({ work }) => {
           {/* 
             Bootstrap Card Image component for artwork display
             - variant="top": Positions image at the top of the card
+            - as={ResponsiveImage}: Renders optimized variants (srcset) when available
             - src={imageUrl}: Uses processed image URL with fallback handling
             - alt={work.title}: Accessibility description using artwork title
+            - sizes: Card width at each breakpoint, so small screens fetch small files
+            - lazy: Loads when the card nears the viewport, blurring up from a placeholder
             - Provides consistent image sizing and aspect ratio
-            - Handles responsive image scaling
           */}
-          <Card.Img variant="top" src={imageUrl} alt={work.title} />
+          <Card.Img
+            as={ResponsiveImage}
+            variant="top"
+            src={imageUrl}
+            alt={work.title}
+            sizes={IMAGE_SIZES.galleryCard}
+            lazy
+          />
+          
+          {/* ========================================
+              SOLD BADGE
+              ======================================== */}
+          {/* 
+            Shown over the image corner for sold pieces
+            - Cards stay in the gallery as portfolio pieces
+          */}
+          {work.availability === 'sold' && (
+            <Badge bg="dark" className="gallery-item-badge">{AVAILABILITY_LABELS.sold}</Badge>
+          )}
           
           {/* ========================================
               CARD CONTENT BODY
@@ -159,8 +228,9 @@ const GalleryItem = ({ work }) => {
               - Uses semantic heading structure for accessibility
               - Provides consistent typography and spacing
               - Serves as the primary identifier for the piece
+              - Search terms are highlighted when the highlight prop is set
             */}
-            <Card.Title>{work.title}</Card.Title>
+            <Card.Title><HighlightedText text={work.title} terms={highlight} /></Card.Title>
             
             {/* ========================================
                 ARTWORK DESCRIPTION
@@ -172,7 +242,7 @@ const GalleryItem = ({ work }) => {
               - Uses consistent typography for readability
               - Helps users understand the piece before clicking through
             */}
-            <Card.Text>{work.shortDescription}</Card.Text>
+            <Card.Text><HighlightedText text={work.shortDescription} terms={highlight} /></Card.Text>
             
           </Card.Body>
         </Card>
@@ -0,0 +1,60 @@
+/*
+========================================
+HONEYPOT FIELD COMPONENT
+========================================
+
+PURPOSE:
+The HoneypotField component renders a form field that people never see but
+form-filling bots do, so a filled-in value marks a submission as spam
+(see src/contact/spam.js). It replaces a third-party CAPTCHA.
+
+TECHNICAL ARCHITECTURE:
+- Moved off screen with CSS (.contact-honeypot) rather than display: none,
+  which some bots detect and skip
+- aria-hidden and tabIndex -1 keep it away from screen readers and keyboard
+  users; autoComplete="off" stops browsers from filling it in
+- Controlled by the parent form like its other fields
+
+USAGE:
+<HoneypotField value={formData.website} onChange={handleChange} />
+*/
+
+// ========================================
+// REACT IMPORTS
+// ========================================
+import React from 'react';
+
+// Field name checked by the spam protection
+import { HONEYPOT_FIELD } from '../contact/spam';
+
+// ========================================
+// HONEYPOT FIELD COMPONENT DEFINITION
+// ========================================
+/**
+ * HoneypotField Component
+ *
+ * Props:
+ * @param {string} value - Current value (stays empty for people)
+ * @param {function(Event)} onChange - Change handler (the input is named HONEYPOT_FIELD)
+ *
+ * @returns {JSX.Element} The hidden field
+ */
+const HoneypotField = ({ value, onChange }) => (
+  <div className="contact-honeypot" aria-hidden="true">
+    <label htmlFor={`contact-${HONEYPOT_FIELD}`}>Leave this field empty</label>
+    <input
+      type="text"
+      id={`contact-${HONEYPOT_FIELD}`}
+      name={HONEYPOT_FIELD}
+      value={value}
+      onChange={onChange}
+      tabIndex={-1}
+      autoComplete="off"
+    />
+  </div>
+);
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default HoneypotField;
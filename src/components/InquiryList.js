@@ -0,0 +1,102 @@
+/*
+========================================
+INQUIRY LIST COMPONENT
+========================================
+
+PURPOSE:
+The InquiryList component shows the pieces the visitor added with "Add to
+Inquiry List" above the Contact page's message form, so they can check what
+they are asking about and remove pieces before sending.
+
+TECHNICAL ARCHITECTURE:
+- Reads the list from InquiryContext (see InquiryProvider)
+- 60px thumbnails use the same responsive variants as the product page
+  thumbnails (IMAGE_SIZES.thumbnail)
+- The Contact page appends the listed pieces to the message
+  (buildInquiryTemplateParams) and clears the list once it was sent
+
+USAGE:
+<InquiryList />
+*/
+
+// ========================================
+// REACT AND UI LIBRARY IMPORTS
+// ========================================
+import React, { useContext } from 'react';
+import { Card, ListGroup, Button } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+
+// ========================================
+// DATA AND COMPONENT IMPORTS
+// ========================================
+import { getWorkPath } from '../data/works';
+import { getWorkPoster } from '../data/media';
+import { IMAGE_SIZES } from '../data/images';
+import ResponsiveImage from './ResponsiveImage';
+import InquiryContext from '../contact/InquiryContext';
+
+// ========================================
+// INQUIRY LIST COMPONENT DEFINITION
+// ========================================
+/**
+ * InquiryList Component
+ *
+ * @returns {JSX.Element|null} The listed pieces, or null when the list is empty
+ */
+const InquiryList = () => {
+  const inquiry = useContext(InquiryContext);
+
+  if (!inquiry || inquiry.works.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="inquiry-list mb-3">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <span>
+          <i className="bi bi-bookmark-heart me-2" aria-hidden="true"></i>
+          Asking about {inquiry.works.length} {inquiry.works.length === 1 ? 'piece' : 'pieces'}
+        </span>
+        <Button variant="link" size="sm" className="p-0" onClick={inquiry.clear}>
+          Clear list
+        </Button>
+      </Card.Header>
+
+      {/* 
+        One row per piece
+        - Title links back to the piece
+        - Remove button names the piece for screen readers
+      */}
+      <ListGroup variant="flush">
+        {inquiry.works.map(work => (
+          <ListGroup.Item key={work.id} className="d-flex align-items-center gap-3">
+            <ResponsiveImage
+              src={getWorkPoster(work)}
+              alt=""
+              sizes={IMAGE_SIZES.thumbnail}
+              className="inquiry-list-thumbnail"
+            />
+            <Link to={getWorkPath(work)} className="flex-grow-1">{work.title}</Link>
+            <Button
+              variant="outline-danger"
+              size="sm"
+              onClick={() => inquiry.remove(work.id)}
+              aria-label={`Remove ${work.title} from the inquiry list`}
+            >
+              <i className="bi bi-x-lg" aria-hidden="true"></i>
+            </Button>
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+
+      <Card.Footer className="text-muted small">
+        Links to these pieces are added to your message.
+      </Card.Footer>
+    </Card>
+  );
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default InquiryList;
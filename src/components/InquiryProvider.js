@@ -0,0 +1,107 @@
+/*
+========================================
+INQUIRY PROVIDER COMPONENT
+========================================
+
+PURPOSE:
+The InquiryProvider component keeps the visitor's inquiry list: the pieces
+they added with "Add to Inquiry List" and will ask about in one message.
+The Navbar shows how many pieces are listed, product pages add and remove
+them, and the Contact page sends them.
+
+TECHNICAL ARCHITECTURE:
+- List rules and storage live in src/contact/inquiry.js
+- The saved list is read after mount, so prerendered HTML (which has no
+  localStorage) and the first client render match
+- Every change is saved to localStorage; the "storage" event picks up
+  changes made in other tabs
+- Provides { ids, works, add, remove, clear, isFull } through InquiryContext
+
+USAGE:
+<InquiryProvider>{...application}</InquiryProvider>
+*/
+
+// ========================================
+// REACT IMPORTS
+// ========================================
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+
+// ========================================
+// DATA AND CONTACT IMPORTS
+// ========================================
+// Catalog the stored ids are looked up in
+import { allWorks } from '../data/works';
+
+// List rules and storage
+import {
+  INQUIRY_STORAGE_KEY,
+  MAX_INQUIRY_ITEMS,
+  loadInquiryList,
+  saveInquiryList,
+  addToInquiryList,
+  removeFromInquiryList,
+  resolveInquiryList
+} from '../contact/inquiry';
+
+// Context read by the Navbar, product pages and Contact page
+import InquiryContext from '../contact/InquiryContext';
+
+// ========================================
+// INQUIRY PROVIDER COMPONENT DEFINITION
+// ========================================
+/**
+ * InquiryProvider Component
+ *
+ * Props:
+ * @param {React.ReactNode} children - Application content
+ *
+ * @returns {JSX.Element} The children with the inquiry list in context
+ */
+const InquiryProvider = ({ children }) => {
+  const [ids, setIds] = useState([]);
+
+  // Restore the saved list and follow changes made in other tabs
+  useEffect(() => {
+    setIds(loadInquiryList(window.localStorage));
+    const handleStorage = (event) => {
+      if (event.key === INQUIRY_STORAGE_KEY || event.key === null) {
+        setIds(loadInquiryList(window.localStorage));
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Applies a list update and saves the result
+  const update = useCallback((change) => {
+    setIds(current => {
+      const next = change(current);
+      if (next !== current) saveInquiryList(window.localStorage, next);
+      return next;
+    });
+  }, []);
+
+  const add = useCallback(id => update(current => addToInquiryList(current, id)), [update]);
+  const remove = useCallback(id => update(current => removeFromInquiryList(current, id)), [update]);
+  const clear = useCallback(() => update(current => (current.length === 0 ? current : [])), [update]);
+
+  const value = useMemo(() => ({
+    ids,
+    works: resolveInquiryList(ids, allWorks),
+    add,
+    remove,
+    clear,
+    isFull: ids.length >= MAX_INQUIRY_ITEMS
+  }), [ids, add, remove, clear]);
+
+  return (
+    <InquiryContext.Provider value={value}>
+      {children}
+    </InquiryContext.Provider>
+  );
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default InquiryProvider;
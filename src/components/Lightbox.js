@@ -0,0 +1,200 @@
+/*
+========================================
+LIGHTBOX COMPONENT
+========================================
+
+PURPOSE:
+The Lightbox component shows a work's media full screen so visitors can
+inspect individual rings up close.
+
+TECHNICAL ARCHITECTURE:
+- Bootstrap Modal rendering each media item with WorkMedia at lightbox size
+- Gesture handling and zoom math live in the usePanZoom hook
+- Zoom and swipe apply to still images; videos get their native controls and
+  turntables keep their own drag-to-rotate
+- Controlled component: the parent owns the open image index (ProductDetail
+  mirrors it in the URL hash so a specific photo can be shared)
+
+FUNCTIONALITY FEATURES:
+- Wheel, pinch and double-tap zoom on images (up to 4x) anchored under the pointer
+- Drag to pan while zoomed; panning stops at the image edges
+- Swipe left/right to change images while not zoomed
+- Keyboard: ArrowLeft/ArrowRight change images, +/-/0 zoom, Escape closes
+- Previous/Next buttons and an "n / total" counter
+- Zoom resets whenever the image changes
+*/
+
+// ========================================
+// REACT AND UI LIBRARY IMPORTS
+// ========================================
+import React, { useEffect } from 'react';
+import { Modal, Button } from 'react-bootstrap';
+
+// ========================================
+// CUSTOM COMPONENT AND HOOK IMPORTS
+// ========================================
+// Image, looping video or 360° turntable, by media type
+import WorkMedia from './WorkMedia';
+
+// Wheel/pinch zoom, panning and swipe detection
+import usePanZoom from '../hooks/usePanZoom';
+
+// Layout hint for the optimized image variants
+import { IMAGE_SIZES } from '../data/images';
+
+// ========================================
+// LIGHTBOX COMPONENT DEFINITION
+// ========================================
+/**
+ * Lightbox Component
+ *
+ * Props:
+ * @param {boolean} show - Whether the lightbox is open
+ * @param {Array<Object>} media - Media items of the work (see src/data/media.js)
+ * @param {number} index - Index of the displayed item
+ * @param {string} title - Work title (alt text)
+ * @param {function()} onHide - Closes the lightbox
+ * @param {function(number)} onNavigate - Shows the item at the given index
+ *
+ * @returns {JSX.Element|null} The lightbox modal (null when index is past the last item)
+ */
+const Lightbox = ({ show, media, index, title, onHide, onNavigate }) => {
+  // Circular navigation (wraps at both ends)
+  const showPrevious = () => onNavigate((index + media.length - 1) % media.length);
+  const showNext = () => onNavigate((index + 1) % media.length);
+
+  const { stageRef, layerRef, style, handlers, scale, zoomIn, zoomOut, reset } = usePanZoom({
+    onSwipe: direction => (direction === 'next' ? showNext() : showPrevious())
+  });
+
+  // Every image starts unzoomed
+  useEffect(() => {
+    reset();
+  }, [index, show, reset]);
+
+  /*
+    Keyboard Controls
+    - Escape is handled by the Modal itself (onHide)
+    - The listener only exists while the lightbox is open
+  */
+  useEffect(() => {
+    if (!show) return undefined;
+    const handleKeyDown = (event) => {
+      // Leave keys to focused controls (turntable slider, video controls)
+      if (event.target.closest && event.target.closest('input, video')) return;
+      const actions = {
+        ArrowLeft: showPrevious,
+        ArrowRight: showNext,
+        '+': zoomIn,
+        '=': zoomIn,
+        '-': zoomOut,
+        '0': reset
+      };
+      const action = actions[event.key];
+      if (action) {
+        event.preventDefault();
+        action();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Nothing to show for an index past the end (e.g. a stale one from another piece)
+  const item = media[index];
+  if (!item) return null;
+  const zoomable = item.type === 'image';
+  const zoomed = scale > 1;
+
+  return (
+    <Modal
+      show={show}
+      onHide={onHide}
+      size="xl"
+      centered
+      className="lightbox-modal"
+      aria-label={`${title} - view ${index + 1} of ${media.length}`}
+    >
+      <Modal.Body className="p-0 position-relative">
+
+        {/* ========================================
+            CLOSE BUTTON
+            ======================================== */}
+        <Button
+          variant="light"
+          className="lightbox-close position-absolute top-0 end-0 m-2"
+          onClick={onHide}
+          aria-label="Close"
+        >
+          <span aria-hidden="true">&times;</span>
+        </Button>
+
+        <div className="lightbox-container text-center">
+
+          {/* ========================================
+              ZOOM STAGE
+              ======================================== */}
+          {/*
+            - The stage receives the gestures and clips the zoomed image
+            - The layer carries the pan/zoom transform
+            - draggable={false}: Stops the browser's native image drag
+            - Videos and turntables render without the stage (their own
+              controls and drag would fight the zoom gestures)
+          */}
+          {zoomable ? (
+            <div
+              ref={stageRef}
+              className={`lightbox-stage${zoomed ? ' is-zoomed' : ''}`}
+              {...handlers}
+            >
+              <div ref={layerRef} className="lightbox-zoom-layer" style={style}>
+                <WorkMedia
+                  item={item}
+                  sizes={IMAGE_SIZES.lightbox}
+                  alt={`${title} - view ${index + 1}`}
+                  className="lightbox-image"
+                  draggable={false}
+                />
+              </div>
+            </div>
+          ) : (
+            <WorkMedia
+              key={index}
+              item={item}
+              sizes={IMAGE_SIZES.lightbox}
+              alt={`${title} - view ${index + 1}`}
+              className="lightbox-image"
+              controls
+            />
+          )}
+
+          {/* ========================================
+              LIGHTBOX NAVIGATION
+              ======================================== */}
+          <div className="lightbox-navigation">
+            <Button variant="dark" className="lightbox-nav-btn me-2" onClick={showPrevious}>
+              Previous
+            </Button>
+            <Button variant="dark" className="lightbox-nav-btn me-2" onClick={zoomOut} disabled={!zoomable || !zoomed} aria-label="Zoom out">
+              &minus;
+            </Button>
+            <span className="lightbox-counter me-2" aria-live="polite">
+              {index + 1} / {media.length}
+            </span>
+            <Button variant="dark" className="lightbox-nav-btn me-2" onClick={zoomIn} disabled={!zoomable} aria-label="Zoom in">
+              +
+            </Button>
+            <Button variant="dark" className="lightbox-nav-btn" onClick={showNext}>
+              Next
+            </Button>
+          </div>
+        </div>
+      </Modal.Body>
+    </Modal>
+  );
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default Lightbox;
@@ -19,6 +19,9 @@ NAVIGATION STRUCTURE:
 - Collapsible navigation menu for mobile responsiveness
 - Five main navigation links: Home, About, Gallery, Contact, Games
 - Right-aligned navigation links for better visual balance
+- Catalog search box that opens the /search results page
+- Inquiry list link with a count badge, shown once the visitor has added
+  pieces to ask about (see InquiryProvider)
 
 RESPONSIVE DESIGN:
 - Automatically collapses navigation links on smaller screens
@@ -37,20 +40,30 @@ USER EXPERIENCE:
 // REACT AND UI LIBRARY IMPORTS
 // ========================================
 // Core React library for component functionality
-import React from 'react';
+import React, { useContext, useState } from 'react';
 
 // Bootstrap components for responsive navigation UI
 // - Navbar: Main navigation container component
 // - Nav: Navigation links container
 // - Container: Bootstrap container for consistent layout
-import { Navbar as Navibar, Nav, Container } from 'react-bootstrap';
+// - Form: Search form wrapper and input
+// - Badge: Number of pieces in the inquiry list
+import { Navbar as Navibar, Nav, Container, Form, Badge } from 'react-bootstrap';
 
 // ========================================
 // ROUTING IMPORTS
 // ========================================
 // React Router Link component for client-side navigation
 // Enables SPA navigation without page refreshes
-import { Link } from 'react-router-dom';
+// useNavigate: Opens the search page when the search form is submitted
+import { Link, useNavigate } from 'react-router-dom';
+
+// ========================================
+// CONTACT IMPORTS
+// ========================================
+// Pieces the visitor wants to ask about, and where they are sent from
+import InquiryContext from '../contact/InquiryContext';
+import { INQUIRY_CONTACT_PATH } from '../contact/inquiry';
 
 // ========================================
 // NAVBAR COMPONENT DEFINITION
@@ -66,10 +79,43 @@ import { Link } from 'react-router-dom';
  * - Dark theme styling for brand consistency
  * - React Router integration for SPA navigation
  * - Accessibility features with proper ARIA labels
+ * - Search box submitting to /search?q=
+ * - Inquiry list badge linking to the Contact page
  * 
  * @returns {JSX.Element} The rendered navigation component
  */
 const Navbar = () => {
+  // ========================================
+  // SEARCH STATE AND HANDLERS
+  // ========================================
+  // Navigation hook used to open the search results page
+  const navigate = useNavigate();
+
+  // Text typed in the navbar search box
+  const [query, setQuery] = useState('');
+
+  /**
+   * Search Submit Handler
+   * 
+   * Navigates to the search page with the typed query and clears the box.
+   * Empty queries are ignored.
+   * 
+   * @param {Event} event - Form submit event
+   */
+  const handleSearch = (event) => {
+    event.preventDefault();
+    const trimmed = query.trim();
+    if (!trimmed) return;
+    navigate(`/search?q=${encodeURIComponent(trimmed)}`);
+    setQuery('');
+  };
+
+  // ========================================
+  // INQUIRY LIST
+  // ========================================
+  // Listed pieces (null outside InquiryProvider)
+  const inquiry = useContext(InquiryContext);
+
   return (
     // ========================================
     // MAIN NAVIGATION CONTAINER
@@ -183,7 +229,46 @@ const Navbar = () => {
             */}
             <Nav.Link as={Link} to="/games">Games</Nav.Link>
             
+            {/* ========================================
+                INQUIRY LIST LINK
+                ======================================== */}
+            {/* 
+              Shown once pieces were added with "Add to Inquiry List"
+              - to={INQUIRY_CONTACT_PATH}: Contact page, where the list is reviewed and sent
+              - Badge: Number of listed pieces (also in the accessible name)
+            */}
+            {inquiry && inquiry.works.length > 0 && (
+              <Nav.Link
+                as={Link}
+                to={INQUIRY_CONTACT_PATH}
+                aria-label={`Inquiry list, ${inquiry.works.length} ${inquiry.works.length === 1 ? 'piece' : 'pieces'}`}
+              >
+                <i className="bi bi-bookmark-heart me-1" aria-hidden="true"></i>
+                Inquiry <Badge bg="light" text="dark" pill>{inquiry.works.length}</Badge>
+              </Nav.Link>
+            )}
+            
           </Nav>
+          
+          {/* ========================================
+              CATALOG SEARCH FORM
+              ======================================== */}
+          {/* 
+            Search box for finding pieces by keyword
+            - role="search": Landmark for assistive technology
+            - onSubmit: Opens /search?q= with the typed text
+            - className="d-flex ms-lg-3": Inline next to the links on large screens
+          */}
+          <Form className="d-flex ms-lg-3 my-2 my-lg-0" role="search" onSubmit={handleSearch}>
+            <Form.Control
+              type="search"
+              size="sm"
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+              placeholder="Search pieces"
+              aria-label="Search pieces"
+            />
+          </Form>
         </Navibar.Collapse>
       </Container>
     </Navibar>
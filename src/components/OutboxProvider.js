@@ -0,0 +1,169 @@
+/*
+========================================
+OUTBOX PROVIDER COMPONENT
+========================================
+
+PURPOSE:
+The OutboxProvider component sends contact messages and commission requests
+that were queued while the visitor was offline, and shows their status on
+every page ("waiting to be sent", "sent", "could not be sent").
+
+TECHNICAL ARCHITECTURE:
+- Opens the IndexedDB outbox (src/contact/outbox.js) after mount
+- Flushes it on mount, on the browser's "online" event and every 30 seconds
+  while something is queued ("online" only means a network interface is up,
+  not that the site is reachable)
+- Provides { enqueue, queued } to the forms through OutboxContext
+- Status toasts sit in the bottom corner, outside the page content, so they
+  stay visible after the visitor leaves the Contact page
+
+USAGE:
+<OutboxProvider>{...application}</OutboxProvider>
+*/
+
+// ========================================
+// REACT AND UI LIBRARY IMPORTS
+// ========================================
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Toast, ToastContainer } from 'react-bootstrap';
+
+// ========================================
+// CONTACT IMPORTS
+// ========================================
+// Queue storage and sending
+import { openOutbox, flushOutbox } from '../contact/outbox';
+
+// Delivery through the configured provider
+import { sendContactMessage } from '../contact/delivery';
+
+// Context read by the contact forms
+import OutboxContext from '../contact/OutboxContext';
+
+// How often to retry while messages are waiting
+const RETRY_INTERVAL_MS = 30000;
+
+// Readable name of a queued entry for the status toasts
+const describe = (entry) => (entry.kind === 'commission' ? 'commission request' : `message "${entry.params.subject}"`);
+
+// ========================================
+// OUTBOX PROVIDER COMPONENT DEFINITION
+// ========================================
+/**
+ * OutboxProvider Component
+ *
+ * Props:
+ * @param {React.ReactNode} children - Application content
+ *
+ * @returns {JSX.Element} The children plus the outbox status toasts
+ */
+const OutboxProvider = ({ children }) => {
+  const outboxRef = useRef(null);
+  const flushingRef = useRef(false);
+  const [queued, setQueued] = useState(0);
+  // Latest outcome: { variant, text }
+  const [notice, setNotice] = useState(null);
+
+  const flush = useCallback(async () => {
+    const outbox = outboxRef.current;
+    if (!outbox || flushingRef.current) return;
+    flushingRef.current = true;
+    try {
+      const { sent, failed, remaining } = await flushOutbox(outbox, sendContactMessage);
+      setQueued(remaining);
+      if (failed.length > 0) {
+        console.error('Queued contact submissions failed:', failed);
+        setNotice({
+          variant: 'danger',
+          text: `Your queued ${failed.map(({ entry }) => describe(entry)).join(' and ')} could not be sent. Please contact me directly via email.`
+        });
+      } else if (sent.length > 0) {
+        setNotice({
+          variant: 'success',
+          text: `You're back online: your queued ${sent.map(describe).join(' and ')} ${sent.length === 1 ? 'has' : 'have'} been sent.`
+        });
+      }
+    } catch (error) {
+      console.error('Contact outbox could not be flushed:', error);
+    } finally {
+      flushingRef.current = false;
+    }
+  }, []);
+
+  // Open the outbox and send anything left from an earlier visit
+  useEffect(() => {
+    let cancelled = false;
+    openOutbox().then(async (outbox) => {
+      if (cancelled || !outbox) return;
+      outboxRef.current = outbox;
+      setQueued((await outbox.list()).length);
+      flush();
+    });
+    window.addEventListener('online', flush);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('online', flush);
+    };
+  }, [flush]);
+
+  // Keep trying while something is waiting
+  useEffect(() => {
+    if (queued === 0) return undefined;
+    const timer = setInterval(flush, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [queued, flush]);
+
+  const enqueue = useCallback(async (params, kind) => {
+    const outbox = outboxRef.current;
+    if (!outbox) return false;
+    try {
+      await outbox.add({ kind, params, queuedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error('Contact submission could not be queued:', error);
+      return false;
+    }
+    setQueued(count => count + 1);
+    setNotice(null);
+    return true;
+  }, []);
+
+  const value = useMemo(() => ({ enqueue, queued }), [enqueue, queued]);
+
+  return (
+    <OutboxContext.Provider value={value}>
+      {children}
+
+      {/* ========================================
+          OUTBOX STATUS
+          ======================================== */}
+      {/*
+        - Waiting: stays while anything is queued
+        - Outcome: dismissible; replaced by the next outcome
+      */}
+      <ToastContainer position="bottom-end" className="p-3 position-fixed outbox-status">
+        {queued > 0 && (
+          <Toast bg="warning">
+            <Toast.Body role="status">
+              <i className="bi bi-cloud-slash me-2" aria-hidden="true"></i>
+              {queued === 1 ? 'Your message is queued' : `${queued} messages are queued`} and will be sent when you're back online.
+            </Toast.Body>
+          </Toast>
+        )}
+        {notice && (
+          <Toast bg={notice.variant} onClose={() => setNotice(null)}>
+            <Toast.Header closeButton>
+              <strong className="me-auto">{notice.variant === 'success' ? 'Message sent' : 'Message not sent'}</strong>
+            </Toast.Header>
+            <Toast.Body className="text-white" role="status">
+              {notice.text}
+            </Toast.Body>
+          </Toast>
+        )}
+      </ToastContainer>
+    </OutboxContext.Provider>
+  );
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default OutboxProvider;
@@ -0,0 +1,125 @@
+/*
+========================================
+PAGE META COMPONENT
+========================================
+
+PURPOSE:
+The PageMeta component sets the document title, meta description, canonical URL,
+Open Graph/Twitter tags and optional JSON-LD for the page that renders it, so
+every route is indexed and previewed with its own information instead of the
+single defaults from public/index.html.
+
+TECHNICAL ARCHITECTURE:
+- Tag contents come from the pure builders in src/seo/meta.js
+- Existing tags in <head> (from index.html) are updated in place, missing ones
+  are created, so there is never more than one tag per name/property
+- JSON-LD is written to a dedicated <script> that is removed on unmount
+- During build-time prerendering (scripts/prerender.js) effects do not run;
+  the tags are handed to the HeadContext collector instead
+- Renders nothing itself
+*/
+
+// ========================================
+// REACT IMPORTS
+// ========================================
+import { useContext, useEffect } from 'react';
+
+// ========================================
+// SEO IMPORTS
+// ========================================
+import { buildHeadTags, JSON_LD_ID } from '../seo/meta';
+
+// Collects head tags while prerendering (null in the browser)
+import HeadContext from '../seo/HeadContext';
+
+// ========================================
+// HEAD MANIPULATION HELPERS
+// ========================================
+
+// Updates or creates <meta name|property="..." content="...">
+const upsertMeta = ({ name, property, content }) => {
+  const attribute = name ? 'name' : 'property';
+  const key = name || property;
+  let element = document.head.querySelector(`meta[${attribute}="${key}"]`);
+  if (!element) {
+    element = document.createElement('meta');
+    element.setAttribute(attribute, key);
+    document.head.appendChild(element);
+  }
+  element.setAttribute('content', content);
+};
+
+// Updates or creates <link rel="canonical" href="...">
+const upsertCanonical = (href) => {
+  let element = document.head.querySelector('link[rel="canonical"]');
+  if (!element) {
+    element = document.createElement('link');
+    element.setAttribute('rel', 'canonical');
+    document.head.appendChild(element);
+  }
+  element.setAttribute('href', href);
+};
+
+// Writes or removes the page JSON-LD script
+const setJsonLd = (data) => {
+  let element = document.getElementById(JSON_LD_ID);
+  if (!data) {
+    if (element) element.remove();
+    return;
+  }
+  if (!element) {
+    element = document.createElement('script');
+    element.type = 'application/ld+json';
+    element.id = JSON_LD_ID;
+    document.head.appendChild(element);
+  }
+  element.textContent = JSON.stringify(data);
+};
+
+// ========================================
+// PAGE META COMPONENT DEFINITION
+// ========================================
+/**
+ * PageMeta Component
+ * 
+ * Props:
+ * @param {string} [title] - Page title without the site suffix (omit on the home page)
+ * @param {string} [description] - Meta description
+ * @param {string} path - Canonical route path, without query string
+ * @param {string} [image] - Preview image URL
+ * @param {string} [type] - Open Graph type ("website", "product", ...)
+ * @param {boolean} [noIndex] - Exclude the page from search indexes
+ * @param {Object} [jsonLd] - Structured data for the page
+ * 
+ * @returns {null} Nothing is rendered; the document head is updated
+ */
+const PageMeta = ({ title, description, path, image, type, noIndex, jsonLd }) => {
+  // Serialized so the effect only re-runs when the structured data really changes
+  const jsonLdText = jsonLd ? JSON.stringify(jsonLd) : '';
+
+  // Prerendering: record the tags during render, since effects never run
+  const headCollector = useContext(HeadContext);
+  if (headCollector) {
+    headCollector.tags = buildHeadTags({ title, description, path, image, type, noIndex });
+    headCollector.jsonLd = jsonLd || null;
+  }
+
+  useEffect(() => {
+    const tags = buildHeadTags({ title, description, path, image, type, noIndex });
+    document.title = tags.title;
+    upsertCanonical(tags.canonical);
+    tags.meta.forEach(upsertMeta);
+  }, [title, description, path, image, type, noIndex]);
+
+  useEffect(() => {
+    setJsonLd(jsonLdText ? JSON.parse(jsonLdText) : null);
+    return () => setJsonLd(null);
+  }, [jsonLdText]);
+
+  return null;
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default PageMeta;
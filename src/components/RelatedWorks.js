@@ -0,0 +1,97 @@
+/*
+========================================
+RELATED WORKS COMPONENT
+========================================
+
+PURPOSE:
+The RelatedWorks component shows a short strip of pieces similar to a given
+work ("You may also like"), so a product page is not a dead end and visitors
+keep exploring the collection.
+
+TECHNICAL ARCHITECTURE:
+- Similarity scoring lives in the related data module (getRelatedWorks), a pure
+  and unit-tested function shared by every page that suggests works
+- Uses the GalleryItem component for consistent item presentation
+- Same responsive three-column grid as FeaturedWorks
+
+FUNCTIONALITY FEATURES:
+- Ranks works by shared weave type, materials, category and creation era
+- Renders nothing when no other work is related
+- Configurable heading and number of suggestions
+*/
+
+// ========================================
+// REACT AND UI LIBRARY IMPORTS
+// ========================================
+// Core React library and memoization hook
+import React, { useMemo } from 'react';
+
+// Bootstrap grid components for the suggestion strip
+import { Row, Col } from 'react-bootstrap';
+
+// ========================================
+// CUSTOM COMPONENT IMPORTS
+// ========================================
+// GalleryItem component for consistent work presentation
+import GalleryItem from './GalleryItem';
+
+// ========================================
+// DATA IMPORTS
+// ========================================
+// allWorks: Candidate pool for suggestions
+// getRelatedWorks: Similarity ranking (see src/data/related.js)
+import { allWorks } from '../data/works';
+import { getRelatedWorks } from '../data/related';
+
+// ========================================
+// RELATED WORKS COMPONENT DEFINITION
+// ========================================
+/**
+ * RelatedWorks Component
+ * 
+ * Renders the works most similar to `work` using GalleryItem cards.
+ * 
+ * Props:
+ * @param {Object} work - Reference work the suggestions are based on
+ * @param {string} [title="You may also like"] - Section heading
+ * @param {number} [limit=3] - Maximum number of suggested works
+ * 
+ * @returns {JSX.Element|null} The suggestion strip, or null when nothing is related
+ */
+const RelatedWorks = ({ work, title = 'You may also like', limit = 3 }) => {
+  // Recomputed only when the reference work or limit changes
+  const relatedWorks = useMemo(() => getRelatedWorks(work, allWorks, limit), [work, limit]);
+
+  if (relatedWorks.length === 0) {
+    return null;
+  }
+
+  return (
+    // ========================================
+    // RELATED WORKS SECTION
+    // ========================================
+    // Semantic section with top margin to separate it from the content above
+    <section className="related-works mt-5">
+      <h3 className="mb-4">{title}</h3>
+
+      {/* 
+        Bootstrap Row with one column per suggestion
+        - md={4}: Three columns on medium+ screens, stacked on mobile
+      */}
+      <Row>
+        {relatedWorks.map(related => (
+          <Col md={4} key={related.id}>
+            <GalleryItem work={related} />
+          </Col>
+        ))}
+      </Row>
+    </section>
+  );
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+// Export the RelatedWorks component as the default export
+// Used by ProductDetail.js (and reusable on the Home page)
+export default RelatedWorks;
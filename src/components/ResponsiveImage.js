@@ -0,0 +1,172 @@
+/*
+========================================
+RESPONSIVE IMAGE COMPONENT
+========================================
+
+PURPOSE:
+The ResponsiveImage component renders a catalog image with the optimized
+AVIF/WebP/JPEG variants produced by the image pipeline, so browsers download
+the smallest file that fits the layout slot.
+
+TECHNICAL ARCHITECTURE:
+- Variants come from the image manifest (src/data/images.js)
+- Renders <picture> with one <source> per format and an <img> fallback
+- Images without optimized variants render as a plain <img src>
+- Every other prop (className, alt, loading, ...) is passed to the <img>,
+  so existing CSS selectors keep matching
+- width/height from the manifest let the browser reserve the right space
+
+LAZY MODE (lazy prop):
+- The slot first shows the dominant color and a blurred inline placeholder
+- The full image is requested only when the slot nears the viewport
+  (IntersectionObserver via useInView)
+- Once the full image has decoded it fades in over the placeholder
+- The placeholder keeps the <img> className, so the slot has its final size
+  from the first paint (no layout shift)
+- Images without a manifest entry have no intrinsic size to reserve: their
+  placeholder uses width/height when given, else a 4:3 box (main.css), and
+  slots with a fixed height keep that height
+- A <noscript> copy keeps the image visible without JavaScript and in the
+  prerendered HTML
+
+USAGE:
+<ResponsiveImage src={work.images[0]} alt={work.title} sizes={IMAGE_SIZES.galleryCard} lazy />
+*/
+
+// ========================================
+// REACT IMPORTS
+// ========================================
+import React, { useState } from 'react';
+
+// ========================================
+// DATA AND HOOK IMPORTS
+// ========================================
+import { getResponsiveImage } from '../data/images';
+
+// Reports when the image slot first comes near the viewport
+import useInView from '../hooks/useInView';
+
+// Transparent 1x1 GIF: sizes the slot when an image has no generated placeholder
+const EMPTY_PLACEHOLDER = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+// ========================================
+// PICTURE ELEMENT
+// ========================================
+/**
+ * Renders the <picture> (or plain <img>) for an image.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.image - Result of getResponsiveImage
+ * @param {string} props.src - Original image reference
+ * @param {string} props.alt - Alternative text
+ * @param {string} [props.sizes] - Rendered width of the image slot
+ * @param {Object} props.imgProps - Remaining <img> attributes
+ * @returns {JSX.Element} Picture or image element
+ */
+const PictureElement = ({ image, src, alt, sizes, imgProps }) => {
+  if (!image) {
+    return <img src={src} alt={alt} {...imgProps} />;
+  }
+
+  return (
+    // display: contents (see main.css) keeps <picture> out of the layout,
+    // so the <img> sizes exactly as it did without the wrapper
+    <picture className="responsive-picture">
+      {image.sources.map(source => (
+        <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      <img src={image.fallback} alt={alt} width={image.width} height={image.height} {...imgProps} />
+    </picture>
+  );
+};
+
+// ========================================
+// LAZY (BLUR-UP) IMAGE
+// ========================================
+/**
+ * Placeholder first, full image once near the viewport, fade-in after decode.
+ *
+ * @param {Object} props - Same props as ResponsiveImage
+ * @returns {JSX.Element} Progressive image slot
+ */
+const LazyImage = ({ image, src, alt, sizes, className = '', imgProps }) => {
+  const [slotRef, inView] = useInView();
+  const [loaded, setLoaded] = useState(false);
+
+  // Reveal only after decoding, so the fade never shows a half-painted image
+  const handleLoad = (event) => {
+    const decoding = event.currentTarget.decode ? event.currentTarget.decode() : Promise.resolve();
+    decoding.catch(() => {}).then(() => setLoaded(true));
+  };
+
+  return (
+    <span
+      ref={slotRef}
+      className={`progressive-image${loaded ? ' is-loaded' : ''}`}
+      style={image ? { backgroundColor: image.color } : undefined}
+    >
+      {/* Blurred placeholder, styled like the final image so the slot never resizes */}
+      <img
+        src={image ? image.placeholder : EMPTY_PLACEHOLDER}
+        alt=""
+        aria-hidden="true"
+        className={`${className} progressive-image-placeholder${image ? '' : ' progressive-image-unsized'}`}
+        width={image ? image.width : imgProps.width}
+        height={image ? image.height : imgProps.height}
+      />
+
+      {inView && (
+        <PictureElement
+          image={image}
+          src={src}
+          alt={alt}
+          sizes={sizes}
+          imgProps={{
+            ...imgProps,
+            className: `${className} progressive-image-full`,
+            onLoad: handleLoad,
+            onError: () => setLoaded(true)
+          }}
+        />
+      )}
+
+      <noscript>
+        <img src={image ? image.fallback : src} alt={alt} className={className} />
+      </noscript>
+    </span>
+  );
+};
+
+// ========================================
+// RESPONSIVE IMAGE COMPONENT DEFINITION
+// ========================================
+/**
+ * ResponsiveImage Component
+ *
+ * Props:
+ * @param {string} src - Image reference as stored in the catalog (manifest key)
+ * @param {string} alt - Alternative text
+ * @param {string} [sizes] - Rendered width of the image slot (see IMAGE_SIZES)
+ * @param {boolean} [lazy] - Defer loading until near the viewport, with blur-up placeholder
+ * @param {Object} [rest] - Other <img> attributes (className, loading, ...)
+ *
+ * @returns {JSX.Element} A <picture> element, or an <img> when no variants exist
+ */
+const ResponsiveImage = ({ src, alt, sizes, lazy = false, ...rest }) => {
+  const image = getResponsiveImage(src);
+
+  if (lazy) {
+    const { className, ...imgProps } = rest;
+    // key: a new src (e.g. navigating between products) restarts the blur-up
+    return (
+      <LazyImage key={src} image={image} src={src} alt={alt} sizes={sizes} className={className} imgProps={imgProps} />
+    );
+  }
+
+  return <PictureElement image={image} src={src} alt={alt} sizes={sizes} imgProps={rest} />;
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default ResponsiveImage;
@@ -0,0 +1,138 @@
+/*
+========================================
+TURNTABLE COMPONENT
+========================================
+
+PURPOSE:
+The Turntable component shows a 360° image sequence of a piece and lets
+visitors spin it by dragging, so the drape and back of a work can be seen
+without a video.
+
+TECHNICAL ARCHITECTURE:
+- Frames are optimized images (ResponsiveImage) stacked on top of each other;
+  only the current frame is visible, so spinning never waits for a download
+- The first frame stays in the layout and sizes the viewer; the others are
+  mounted once the viewer nears the viewport (useInView)
+- A full drag across the viewer turns the piece once
+
+FUNCTIONALITY FEATURES:
+- Drag (mouse, pen or touch) to rotate; vertical touch scrolling still works
+- A range slider under the viewer for keyboard and assistive technology users
+- A tap without dragging calls onActivate (e.g. to open the lightbox)
+*/
+
+// ========================================
+// REACT IMPORTS
+// ========================================
+import React, { useRef, useState } from 'react';
+
+// ========================================
+// CUSTOM COMPONENT AND HOOK IMPORTS
+// ========================================
+// <picture> with AVIF/WebP/JPEG variants from the image pipeline
+import ResponsiveImage from './ResponsiveImage';
+
+// Defers mounting the remaining frames until the viewer is about to be seen
+import useInView from '../hooks/useInView';
+
+// A pointer that moves less than this (px) before release counts as a tap
+const TAP_SLOP = 10;
+
+// Wraps a frame index into 0..count-1 (spinning past the last frame starts over)
+const wrapFrame = (index, count) => ((index % count) + count) % count;
+
+// ========================================
+// TURNTABLE COMPONENT DEFINITION
+// ========================================
+/**
+ * Turntable Component
+ *
+ * Props:
+ * @param {Array<string>} frames - Image references in rotation order
+ * @param {string} alt - Alternative text
+ * @param {string} [sizes] - Rendered width of the viewer (see IMAGE_SIZES)
+ * @param {string} [className] - Class for every frame <img>
+ * @param {function()} [onActivate] - Called when the viewer is tapped without dragging
+ *
+ * @returns {JSX.Element} The turntable viewer
+ */
+const Turntable = ({ frames, alt, sizes, className = '', onActivate }) => {
+  const [slotRef, inView] = useInView();
+  const [frame, setFrame] = useState(0);
+
+  // Drag start (pointer position, frame and pixels per frame)
+  const drag = useRef(null);
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const { width } = event.currentTarget.getBoundingClientRect();
+    drag.current = {
+      startX: event.clientX,
+      startFrame: frame,
+      pixelsPerFrame: Math.max(1, width / frames.length),
+      moved: false
+    };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag.current) return;
+    const dx = event.clientX - drag.current.startX;
+    if (Math.abs(dx) > TAP_SLOP) drag.current.moved = true;
+    // Dragging left turns the piece to the right, like grabbing its front
+    setFrame(wrapFrame(drag.current.startFrame - Math.round(dx / drag.current.pixelsPerFrame), frames.length));
+  };
+
+  const handlePointerUp = () => {
+    const finished = drag.current;
+    drag.current = null;
+    if (finished && !finished.moved && onActivate) onActivate();
+  };
+
+  return (
+    <div className="turntable">
+      <div
+        ref={slotRef}
+        className="turntable-stage"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => { drag.current = null; }}
+      >
+        {frames.map((src, index) => (index === 0 || inView) && (
+          <ResponsiveImage
+            key={src}
+            src={src}
+            sizes={sizes}
+            alt={index === frame ? alt : ''}
+            aria-hidden={index === frame ? undefined : 'true'}
+            draggable={false}
+            className={[
+              className,
+              'turntable-frame',
+              index > 0 ? 'turntable-frame-stacked' : '',
+              index === frame ? 'is-active' : ''
+            ].filter(Boolean).join(' ')}
+          />
+        ))}
+        <span className="turntable-badge" aria-hidden="true">360°</span>
+      </div>
+
+      {/* Keyboard / assistive technology control for the same rotation */}
+      <input
+        type="range"
+        className="form-range turntable-slider"
+        min={0}
+        max={frames.length - 1}
+        value={frame}
+        onChange={(event) => setFrame(Number(event.target.value))}
+        aria-label={`Rotate ${alt}`}
+        aria-valuetext={`${Math.round((frame / frames.length) * 360)}°`}
+      />
+    </div>
+  );
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default Turntable;
@@ -0,0 +1,125 @@
+/*
+========================================
+WORK MEDIA COMPONENT
+========================================
+
+PURPOSE:
+The WorkMedia component renders one item of a work's typed media list
+(src/data/media.js) the way its type needs: optimized still images, short
+looping videos, or a draggable 360° turntable.
+
+TECHNICAL ARCHITECTURE:
+- image: ResponsiveImage (optimized variants, optional blur-up lazy loading)
+- video: Muted, looping, inline <video> that shows its poster until it is
+  near the viewport; visitors who prefer reduced motion get controls instead
+  of autoplay
+- turntable: Turntable viewer
+- Used by the ProductDetail carousel and the Lightbox
+
+USAGE:
+<WorkMedia item={work.media[0]} alt={work.title} sizes={IMAGE_SIZES.productMain} className="d-block w-100" />
+*/
+
+// ========================================
+// REACT IMPORTS
+// ========================================
+import React, { useEffect, useRef, useState } from 'react';
+
+// ========================================
+// CUSTOM COMPONENT AND HOOK IMPORTS
+// ========================================
+// <picture> with AVIF/WebP/JPEG variants from the image pipeline
+import ResponsiveImage from './ResponsiveImage';
+
+// Draggable 360° image sequence
+import Turntable from './Turntable';
+
+// Defers loading the video file until it is about to be seen
+import useInView from '../hooks/useInView';
+
+// ========================================
+// LOOPING VIDEO
+// ========================================
+/**
+ * Short looping clip (drape, movement) with a poster until it loads.
+ *
+ * @param {Object} props
+ * @param {Object} props.item - Video media item ({ src, poster })
+ * @param {string} props.alt - Accessible label
+ * @param {string} [props.className] - <video> class
+ * @param {boolean} [props.controls] - Show the native controls
+ * @returns {JSX.Element} Video element
+ */
+const LoopingVideo = ({ item, alt, className, controls = false }) => {
+  const [slotRef, inView] = useInView();
+  const videoRef = useRef(null);
+  const [reduceMotion, setReduceMotion] = useState(false);
+
+  // Read after mount so the prerendered markup and the first client render match
+  useEffect(() => {
+    if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      setReduceMotion(true);
+    }
+  }, []);
+
+  // Attach both refs: useInView watches the element, videoRef pauses it
+  const setRefs = (node) => {
+    slotRef.current = node;
+    videoRef.current = node;
+  };
+
+  useEffect(() => {
+    if (reduceMotion && videoRef.current) videoRef.current.pause();
+  }, [reduceMotion]);
+
+  return (
+    <video
+      ref={setRefs}
+      className={className}
+      src={inView ? item.src : undefined}
+      poster={item.poster}
+      aria-label={alt}
+      autoPlay={!reduceMotion}
+      controls={controls || reduceMotion}
+      muted
+      loop
+      playsInline
+      preload="metadata"
+    />
+  );
+};
+
+// ========================================
+// WORK MEDIA COMPONENT DEFINITION
+// ========================================
+/**
+ * WorkMedia Component
+ *
+ * Props:
+ * @param {Object} item - Normalized media item ({ type, ... })
+ * @param {string} alt - Alternative text / accessible label
+ * @param {string} [sizes] - Rendered width of the slot (see IMAGE_SIZES)
+ * @param {string} [className] - Class for the image, video or turntable frames
+ * @param {boolean} [lazy] - Blur-up lazy loading for images
+ * @param {boolean} [controls] - Native video controls (lightbox)
+ * @param {function()} [onActivate] - Tap handler for turntables (which consume drags)
+ * @param {Object} [rest] - Other <img> attributes for images
+ *
+ * @returns {JSX.Element} The rendered media item
+ */
+const WorkMedia = ({ item, alt, sizes, className, lazy = false, controls = false, onActivate, ...rest }) => {
+  if (item.type === 'video') {
+    return <LoopingVideo item={item} alt={alt} className={className} controls={controls} />;
+  }
+
+  if (item.type === 'turntable') {
+    return <Turntable frames={item.frames} alt={alt} sizes={sizes} className={className} onActivate={onActivate} />;
+  }
+
+  return <ResponsiveImage src={item.src} alt={alt} sizes={sizes} className={className} lazy={lazy} {...rest} />;
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+export default WorkMedia;
@@ -0,0 +1,19 @@
+/**
+ * INQUIRY CONTEXT
+ * ===============
+ *
+ * React context holding the visitor's inquiry list (pieces they want to ask
+ * about in one message).
+ *
+ * USAGE:
+ * - InquiryProvider (rendered by App) supplies
+ *   { ids, works, add, remove, clear, isFull }
+ * - works are the listed pieces looked up in the catalog, in the order they
+ *   were added
+ * - Without a provider the value is null and pages hide the inquiry controls
+ */
+import { createContext } from 'react';
+
+const InquiryContext = createContext(null);
+
+export default InquiryContext;
@@ -0,0 +1,19 @@
+/**
+ * OUTBOX CONTEXT
+ * ==============
+ *
+ * React context through which forms queue submissions that could not be sent
+ * while offline.
+ *
+ * USAGE:
+ * - OutboxProvider (rendered by App) supplies { enqueue, queued }
+ * - enqueue(params, kind) resolves with true once the submission is stored,
+ *   or false when this browser cannot store it (the caller then shows the
+ *   error as usual)
+ * - Without a provider the value is null and forms report failures directly
+ */
+import { createContext } from 'react';
+
+const OutboxContext = createContext(null);
+
+export default OutboxContext;
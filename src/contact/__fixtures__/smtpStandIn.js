@@ -0,0 +1,132 @@
+/**
+ * SMTP STAND-IN MODULE
+ * ====================
+ *
+ * A tiny in-process SMTP server that accepts mail on a local port and keeps
+ * it in memory, so the contact endpoint can be tested end to end without a
+ * real mail provider or network access.
+ *
+ * PURPOSE:
+ * - Speak just enough SMTP for smtp.js (EHLO, AUTH PLAIN, MAIL, RCPT, DATA, QUIT)
+ * - Record each delivered message (envelope, raw data, credentials used) and
+ *   every command verb received, so tests can check what was never sent
+ * - Optionally refuse one command to exercise failure handling
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Node only (net); test support kept in __fixtures__, beside the tests
+ *   that use it, so app code never imports it
+ * - Listens on 127.0.0.1 with an OS-assigned port; never offers STARTTLS
+ *
+ * EXPORTS:
+ * - startSmtpStandIn: Starts a server and resolves with its port, messages,
+ *   commands and close()
+ */
+
+import net from 'net';
+
+/**
+ * Starts an SMTP stand-in.
+ *
+ * @param {Object} [options]
+ * @param {{command: string, reply: string}} [options.refuse] - Answer this
+ *   command (e.g. 'RCPT') with the given reply instead of accepting it
+ * @returns {Promise<{port: number, messages: Array<Object>, commands: string[], close: function(): Promise<void>}>}
+ *   `messages` entries are { from, to, data, auth } with the raw message data;
+ *   `commands` lists the verbs received, in order
+ */
+export const startSmtpStandIn = ({ refuse } = {}) => new Promise((resolve, reject) => {
+  const messages = [];
+  const commands = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = '';
+    let envelope = { from: null, to: [], auth: null };
+    let dataLines = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const handleCommand = (line) => {
+      const verb = line.split(' ')[0].toUpperCase();
+      commands.push(verb);
+      if (refuse && refuse.command === verb) {
+        reply(refuse.reply);
+        return;
+      }
+      switch (verb) {
+        case 'EHLO':
+          reply('250-localhost');
+          reply('250 AUTH PLAIN');
+          break;
+        case 'HELO':
+          reply('250 localhost');
+          break;
+        case 'AUTH': {
+          const [, user, pass] = Buffer.from(line.split(' ')[2] || '', 'base64').toString('utf8').split('\u0000');
+          envelope.auth = { user, pass };
+          reply('235 Authenticated');
+          break;
+        }
+        case 'MAIL':
+          envelope.from = /<(.*)>/.exec(line)[1];
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          envelope.to.push(/<(.*)>/.exec(line)[1]);
+          reply('250 OK');
+          break;
+        case 'DATA':
+          dataLines = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          envelope = { from: null, to: [], auth: envelope.auth };
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Command not implemented');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let end = buffer.indexOf('\r\n');
+      while (end !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (dataLines === null) {
+          handleCommand(line);
+        } else if (line === '.') {
+          // Undo dot-stuffing and keep the message as sent
+          messages.push({ ...envelope, data: dataLines.map(text => text.replace(/^\./, '')).join('\r\n') });
+          envelope = { from: null, to: [], auth: envelope.auth };
+          dataLines = null;
+          reply('250 Queued');
+        } else {
+          dataLines.push(line);
+        }
+        end = buffer.indexOf('\r\n');
+      }
+    });
+
+    reply('220 localhost SMTP stand-in');
+  });
+
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    messages,
+    commands,
+    close: () => new Promise(done => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => done());
+    })
+  }));
+});
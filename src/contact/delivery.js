@@ -0,0 +1,233 @@
+/**
+ * CONTACT DELIVERY MODULE
+ * =======================
+ *
+ * Sends contact messages and commission requests through the provider chosen
+ * by configuration, so the Contact page never depends on one email service.
+ *
+ * PURPOSE:
+ * - emailjs: Sends from the browser through EmailJS (the original setup)
+ * - api: Posts to the site's own /api/contact endpoint, which validates,
+ *   stores and mails the message over SMTP (api/contact.js)
+ * - Pick the provider with REACT_APP_CONTACT_PROVIDER (defaults to emailjs)
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Each adapter is a factory returning `send(templateParams)`, a Promise of
+ *   `{ status, text }` (the shape EmailJS resolves with)
+ * - Messages are checked with normalizeContactMessage before any request,
+ *   so invalid input fails the same way for both providers
+ * - Spam checks (spam.js) run where the rejection can be recorded: on the
+ *   server for the api provider, which stores and logs it; in the browser for
+ *   EmailJS, which forwards the rejected submission, labelled, to a review
+ *   template (or the regular one) so false positives are not lost
+ * - Failures to reach the provider at all (offline, DNS, dropped connection)
+ *   reject with `network: true`, so callers can queue the message for later
+ *   (see outbox.js) instead of reporting an error
+ * - The EmailJS client and fetch are injectable for tests
+ *
+ * EXPORTS:
+ * - CONTACT_PROVIDERS / DEFAULT_CONTACT_PROVIDER / CONTACT_ENDPOINT
+ * - REVIEW_SUBJECT_PREFIX: Subject label of rejected EmailJS submissions
+ * - ContactDeliveryError: Rejection reason carrying the HTTP status, field
+ *   errors, the spam rejection reason and whether the network failed
+ * - createEmailJsDelivery / createApiDelivery: Provider adapters
+ * - getContactProvider: Provider name from the environment
+ * - createContactDelivery: Adapter for the configured provider
+ * - sendContactMessage: Sends with the build's configuration
+ */
+
+import emailjs from '@emailjs/browser';
+import { normalizeContactMessage } from './message';
+import { checkSubmission, REJECTION_MESSAGES } from './spam';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const CONTACT_PROVIDERS = ['emailjs', 'api'];
+export const DEFAULT_CONTACT_PROVIDER = 'emailjs';
+
+// Serverless endpoint used by the api provider
+export const CONTACT_ENDPOINT = '/api/contact';
+
+// Marks rejected EmailJS submissions forwarded for review (easy to filter)
+export const REVIEW_SUBJECT_PREFIX = '[Spam review]';
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Rejection reason of a failed delivery.
+ *
+ * `status` is the HTTP status (0 when no response arrived), `errors` maps
+ * invalid fields to explanations when the message was rejected, `reason` is
+ * set when the spam protection turned it away (a REJECTION_MESSAGES key; the
+ * error message is then meant for the visitor), and `network` is true when
+ * the provider could not be reached (worth retrying once back online).
+ */
+export class ContactDeliveryError extends Error {
+  constructor(message, { status = 0, errors = {}, reason = null, network = false } = {}) {
+    super(message);
+    this.name = 'ContactDeliveryError';
+    this.status = status;
+    this.errors = errors;
+    this.reason = reason;
+    this.network = network;
+  }
+}
+
+// fetch rejects (rather than resolving with an error status) when no response arrives
+const networkError = (error) => new ContactDeliveryError(`Could not reach the contact service (${error.message || error})`, { network: true });
+
+// Rejects invalid messages before any network request
+const checkFields = (templateParams) => {
+  const { errors } = normalizeContactMessage(templateParams);
+  if (Object.keys(errors).length > 0) {
+    throw new ContactDeliveryError('The message is incomplete or invalid.', { errors });
+  }
+};
+
+// Copy of a rejected submission for the artist to review
+const forReview = (templateParams, { reason, detail }) => ({
+  ...templateParams,
+  subject: `${REVIEW_SUBJECT_PREFIX} (${reason}) ${templateParams.subject || ''}`.trim(),
+  rejection_reason: reason,
+  rejection_detail: detail
+});
+
+// =============================================================================
+// ADAPTERS
+// =============================================================================
+
+/**
+ * EmailJS adapter: sends the template parameters from the browser.
+ *
+ * Submissions failing the spam checks are not sent as messages. With no
+ * server to store them, a copy goes to the review template instead (the
+ * regular template when none is set), its subject starting with
+ * REVIEW_SUBJECT_PREFIX and `rejection_reason` / `rejection_detail` added;
+ * the visitor is turned away either way.
+ *
+ * @param {Object} config
+ * @param {string} config.serviceId - EmailJS service ID
+ * @param {string} config.templateId - EmailJS template ID
+ * @param {string} [config.reviewTemplateId] - EmailJS template for rejected submissions
+ * @param {string} config.publicKey - EmailJS public key
+ * @param {{send: function}} [config.client=emailjs] - EmailJS client
+ * @returns {function(Object): Promise<{status: number, text: string}>} send function
+ */
+export const createEmailJsDelivery = ({ serviceId, templateId, reviewTemplateId, publicKey, client = emailjs }) => async (templateParams) => {
+  checkFields(templateParams);
+  const verdict = checkSubmission(templateParams);
+  if (!verdict.ok) {
+    try {
+      await client.send(serviceId, reviewTemplateId || templateId, forReview(templateParams, verdict), publicKey);
+    } catch (error) {
+      // The review copy is best effort: the visitor gets the same answer
+    }
+    throw new ContactDeliveryError(REJECTION_MESSAGES[verdict.reason], { reason: verdict.reason });
+  }
+  try {
+    return await client.send(serviceId, templateId, templateParams, publicKey);
+  } catch (error) {
+    // EmailJS rejects with { status, text } for answers from its API
+    if (error && error.status > 0) {
+      throw new ContactDeliveryError(error.text || `EmailJS responded with ${error.status}.`, { status: error.status });
+    }
+    throw networkError(error);
+  }
+};
+
+/**
+ * API adapter: posts the template parameters to the contact endpoint.
+ *
+ * Spam is left to the endpoint, which stores and logs every rejection for
+ * review and answers 422 with the reason.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.endpoint=CONTACT_ENDPOINT] - Endpoint URL
+ * @param {function} [config.fetch] - fetch implementation (defaults to the global one)
+ * @returns {function(Object): Promise<{status: number, text: string}>} send function
+ */
+export const createApiDelivery = ({ endpoint = CONTACT_ENDPOINT, fetch: fetchImpl } = {}) => async (templateParams) => {
+  checkFields(templateParams);
+  let response;
+  try {
+    response = await (fetchImpl || fetch)(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(templateParams)
+    });
+  } catch (error) {
+    throw networkError(error);
+  }
+
+  // Error responses still carry JSON; a proxy error page may not
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ContactDeliveryError(body.error || `Contact endpoint responded with ${response.status}.`, {
+      status: response.status,
+      errors: body.errors || {},
+      reason: body.reason || null
+    });
+  }
+  return { status: response.status, text: body.id || 'OK' };
+};
+
+// =============================================================================
+// PROVIDER SELECTION
+// =============================================================================
+
+/**
+ * Reads the configured provider.
+ *
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {string} One of CONTACT_PROVIDERS
+ * @throws {Error} When REACT_APP_CONTACT_PROVIDER names an unknown provider
+ */
+export const getContactProvider = (env) => {
+  const provider = (env.REACT_APP_CONTACT_PROVIDER || DEFAULT_CONTACT_PROVIDER).trim().toLowerCase();
+  if (!CONTACT_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown REACT_APP_CONTACT_PROVIDER "${provider}" (expected ${CONTACT_PROVIDERS.join(' or ')})`);
+  }
+  return provider;
+};
+
+/**
+ * Builds the send function of the configured provider.
+ *
+ * @param {Object} env - Environment variables (process.env)
+ * @param {Object} [overrides] - Adapter options (EmailJS client, fetch) for tests
+ * @returns {function(Object): Promise<{status: number, text: string}>} send function
+ */
+export const createContactDelivery = (env, overrides = {}) => {
+  if (getContactProvider(env) === 'api') {
+    return createApiDelivery({ endpoint: env.REACT_APP_CONTACT_ENDPOINT || CONTACT_ENDPOINT, ...overrides });
+  }
+  return createEmailJsDelivery({
+    serviceId: env.REACT_APP_EMAILJS_SERVICE_ID,
+    templateId: env.REACT_APP_EMAILJS_TEMPLATE_ID,
+    reviewTemplateId: env.REACT_APP_EMAILJS_REVIEW_TEMPLATE_ID,
+    publicKey: env.REACT_APP_EMAILJS_PUBLIC_KEY,
+    ...overrides
+  });
+};
+
+/**
+ * Sends a message with the provider configured for this build.
+ *
+ * CRA inlines each `process.env.REACT_APP_*` reference at build time, so the
+ * variables are listed explicitly rather than passing process.env along.
+ *
+ * @param {Object} templateParams - Contact form or commission parameters
+ * @returns {Promise<{status: number, text: string}>} Resolves once the message is accepted
+ */
+export const sendContactMessage = (templateParams) => createContactDelivery({
+  REACT_APP_CONTACT_PROVIDER: process.env.REACT_APP_CONTACT_PROVIDER,
+  REACT_APP_CONTACT_ENDPOINT: process.env.REACT_APP_CONTACT_ENDPOINT,
+  REACT_APP_EMAILJS_SERVICE_ID: process.env.REACT_APP_EMAILJS_SERVICE_ID,
+  REACT_APP_EMAILJS_TEMPLATE_ID: process.env.REACT_APP_EMAILJS_TEMPLATE_ID,
+  REACT_APP_EMAILJS_REVIEW_TEMPLATE_ID: process.env.REACT_APP_EMAILJS_REVIEW_TEMPLATE_ID,
+  REACT_APP_EMAILJS_PUBLIC_KEY: process.env.REACT_APP_EMAILJS_PUBLIC_KEY
+})(templateParams);
@@ -0,0 +1,126 @@
+import {
+  createContactDelivery,
+  getContactProvider,
+  ContactDeliveryError,
+  CONTACT_ENDPOINT,
+  REVIEW_SUBJECT_PREFIX
+} from './delivery';
+
+const params = {
+  name: 'J. Doe',
+  email: 'jdoe@example.com',
+  subject: 'Hello',
+  message: 'A question about a piece',
+  website: '',
+  form_fill_time: 45000
+};
+
+const EMAILJS_ENV = {
+  REACT_APP_EMAILJS_SERVICE_ID: 'service',
+  REACT_APP_EMAILJS_TEMPLATE_ID: 'template',
+  REACT_APP_EMAILJS_PUBLIC_KEY: 'key'
+};
+
+// fetch stand-in answering with the given status and JSON body
+const fakeFetch = (status, body) => jest.fn(async () => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+}));
+
+describe('getContactProvider', () => {
+  test('defaults to EmailJS and rejects unknown providers', () => {
+    expect(getContactProvider({})).toBe('emailjs');
+    expect(getContactProvider({ REACT_APP_CONTACT_PROVIDER: ' API ' })).toBe('api');
+    expect(() => getContactProvider({ REACT_APP_CONTACT_PROVIDER: 'smtp' })).toThrow(/Unknown REACT_APP_CONTACT_PROVIDER "smtp"/);
+  });
+});
+
+describe('createContactDelivery', () => {
+  test('emailjs sends the template parameters with the configured ids', async () => {
+    const client = { send: jest.fn(async () => ({ status: 200, text: 'OK' })) };
+    const send = createContactDelivery(EMAILJS_ENV, { client });
+
+    await expect(send(params)).resolves.toEqual({ status: 200, text: 'OK' });
+    expect(client.send).toHaveBeenCalledWith('service', 'template', params, 'key');
+  });
+
+  test('api posts JSON to the contact endpoint', async () => {
+    const fetch = fakeFetch(200, { id: 'message-1' });
+    const send = createContactDelivery({ REACT_APP_CONTACT_PROVIDER: 'api' }, { fetch });
+
+    await expect(send(params)).resolves.toEqual({ status: 200, text: 'message-1' });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe(CONTACT_ENDPOINT);
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body)).toEqual(params);
+  });
+
+  test('api rejections carry the status and field errors', async () => {
+    const fetch = fakeFetch(400, { error: 'The message is incomplete or invalid.', errors: { email: 'Please provide a valid email.' } });
+    const send = createContactDelivery({ REACT_APP_CONTACT_PROVIDER: 'api' }, { fetch });
+
+    const error = await send(params).catch(rejection => rejection);
+    expect(error).toBeInstanceOf(ContactDeliveryError);
+    expect(error.status).toBe(400);
+    expect(error.errors).toEqual({ email: 'Please provide a valid email.' });
+  });
+
+  test('invalid messages fail before any request', async () => {
+    const fetch = fakeFetch(200, {});
+    const send = createContactDelivery({ REACT_APP_CONTACT_PROVIDER: 'api' }, { fetch });
+
+    await expect(send({ ...params, email: 'nope' })).rejects.toMatchObject({ status: 0, errors: { email: expect.any(String) } });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('emailjs turns obvious spam away and forwards it for review', async () => {
+    const client = { send: jest.fn(async () => ({ status: 200, text: 'OK' })) };
+    const send = createContactDelivery(EMAILJS_ENV, { client });
+
+    await expect(send({ ...params, website: 'https://spam.example' }))
+      .rejects.toMatchObject({ reason: 'honeypot', message: expect.stringMatching(/email me directly/) });
+    expect(client.send).toHaveBeenCalledTimes(1);
+    expect(client.send).toHaveBeenCalledWith('service', 'template', {
+      ...params,
+      website: 'https://spam.example',
+      subject: `${REVIEW_SUBJECT_PREFIX} (honeypot) Hello`,
+      rejection_reason: 'honeypot',
+      rejection_detail: 'honeypot field filled in'
+    }, 'key');
+
+    // A review template keeps the copies apart; failing to send one changes nothing for the visitor
+    client.send.mockClear().mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const reviewed = createContactDelivery({ ...EMAILJS_ENV, REACT_APP_EMAILJS_REVIEW_TEMPLATE_ID: 'review' }, { client });
+    await expect(reviewed({ ...params, form_fill_time: 900 })).rejects.toMatchObject({ reason: 'too-fast', network: false });
+    expect(client.send.mock.calls[0][1]).toBe('review');
+  });
+
+  test('api leaves the spam checks to the endpoint, which records the rejection', async () => {
+    const fetch = fakeFetch(422, { error: 'Please email me directly.', reason: 'honeypot' });
+    const send = createContactDelivery({ REACT_APP_CONTACT_PROVIDER: 'api' }, { fetch });
+
+    await expect(send({ ...params, website: 'https://spam.example' })).rejects.toMatchObject({ status: 422, reason: 'honeypot' });
+    expect(JSON.parse(fetch.mock.calls[0][1].body).website).toBe('https://spam.example');
+  });
+
+  test('failures to reach either provider are flagged as network errors', async () => {
+    const client = { send: jest.fn(async () => { throw new TypeError('Failed to fetch'); }) };
+    await expect(createContactDelivery(EMAILJS_ENV, { client })(params)).rejects.toMatchObject({ network: true, status: 0 });
+
+    const fetch = jest.fn(async () => { throw new TypeError('Failed to fetch'); });
+    await expect(createContactDelivery({ REACT_APP_CONTACT_PROVIDER: 'api' }, { fetch })(params)).rejects.toMatchObject({ network: true });
+
+    // An answer from EmailJS, even an error, is not a network failure
+    client.send.mockRejectedValueOnce({ status: 400, text: 'The template ID is invalid' });
+    await expect(createContactDelivery(EMAILJS_ENV, { client })(params))
+      .rejects.toMatchObject({ network: false, status: 400, message: 'The template ID is invalid' });
+  });
+
+  test('api rejections keep the server reason', async () => {
+    const fetch = fakeFetch(429, { error: 'Please wait a little.', reason: 'rate-limit' });
+    const send = createContactDelivery({ REACT_APP_CONTACT_PROVIDER: 'api' }, { fetch });
+
+    await expect(send(params)).rejects.toMatchObject({ status: 429, reason: 'rate-limit', message: 'Please wait a little.' });
+  });
+});
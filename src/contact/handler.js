@@ -0,0 +1,205 @@
+/**
+ * CONTACT HANDLER MODULE
+ * ======================
+ *
+ * Request handler behind api/contact.js: validates a contact message, stores
+ * it and mails it to the artist over SMTP.
+ *
+ * PURPOSE:
+ * - Accept POST requests carrying the same parameters the EmailJS template
+ *   receives (general messages and commission requests)
+ * - Reject invalid input with 400 and the field errors
+ * - Turn away spam (honeypot, fill time, content score) and floods (per-IP
+ *   and per-email rate limits) with a friendly message; spam is still
+ *   stored as "rejected" and logged so false positives can be reviewed
+ * - Store the message before sending, then record whether sending worked
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - createContactHandler receives its store, mailer, rate limiters and
+ *   logger, so tests run it against a temporary directory and a local SMTP
+ *   stand-in
+ * - getContactConfig reads the SMTP and address settings from the environment
+ * - Imports use explicit .js extensions so the api/ handler can load them
+ *
+ * EXPORTS:
+ * - getContactConfig: SMTP and address settings from environment variables
+ * - buildContactMail: Email for one normalized message
+ * - createContactHandler: (req, res) handler
+ */
+
+import { normalizeContactMessage } from './message.js';
+import { checkSubmission, createRateLimiter, RATE_LIMITS, REJECTION_MESSAGES } from './spam.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Reads the endpoint settings.
+ *
+ * - SMTP_HOST / SMTP_PORT / SMTP_SECURE ("true" for implicit TLS)
+ * - SMTP_USER / SMTP_PASS (optional credentials, only sent over TLS)
+ * - SMTP_IGNORE_TLS ("true" to allow a plain text connection, e.g. a local relay)
+ * - CONTACT_TO: Inbox receiving the messages
+ * - CONTACT_FROM: Sender address (defaults to CONTACT_TO)
+ * - CONTACT_STORE_DIR: Message store directory (see store.js)
+ *
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {{smtp: Object, to: string, from: string, storeDir: string|undefined}} Settings
+ * @throws {Error} When SMTP_HOST or CONTACT_TO is missing
+ */
+export const getContactConfig = (env) => {
+  const missing = ['SMTP_HOST', 'CONTACT_TO'].filter(name => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Contact endpoint is not configured (missing ${missing.join(', ')})`);
+  }
+  return {
+    smtp: {
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+      secure: env.SMTP_SECURE === 'true',
+      ignoreTLS: env.SMTP_IGNORE_TLS === 'true',
+      user: env.SMTP_USER || undefined,
+      pass: env.SMTP_PASS || undefined
+    },
+    to: env.CONTACT_TO,
+    from: env.CONTACT_FROM || env.CONTACT_TO,
+    storeDir: env.CONTACT_STORE_DIR || undefined
+  };
+};
+
+// =============================================================================
+// EMAIL
+// =============================================================================
+
+/**
+ * Builds the email for a normalized message.
+ *
+ * The visitor becomes the Reply-To, so answering the email answers them;
+ * the sender stays the site's own address (mail servers reject mail "from"
+ * domains they do not serve).
+ *
+ * @param {Object} message - Result of normalizeContactMessage
+ * @param {{from: string, to: string}} addresses - Site sender and artist inbox
+ * @returns {Object} Mail for sendMail
+ */
+export const buildContactMail = (message, { from, to }) => ({
+  from: { name: `${message.name} via The Chain Lair`, address: from },
+  to: [to],
+  replyTo: { name: message.name, address: message.email },
+  subject: message.subject,
+  text: `From: ${message.name} <${message.email}>\n\n${message.message}\n`,
+  attachments: message.attachments
+});
+
+// =============================================================================
+// HANDLER
+// =============================================================================
+
+// Vercel parses JSON bodies; other runtimes may hand over the raw string
+const readBody = (req) => {
+  if (typeof req.body !== 'string') return req.body;
+  try {
+    return JSON.parse(req.body);
+  } catch (error) {
+    return null;
+  }
+};
+
+// First address in X-Forwarded-For (set by the platform's proxy), else the socket's
+const clientIp = (req) => {
+  const forwarded = req.headers && req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+};
+
+// Default rejection log: one line per rejected submission in the function logs
+const logRejection = ({ reason, detail, ip, email }) => {
+  console.warn(`Contact submission rejected (${reason}): ${detail}`, { ip, email });
+};
+
+/**
+ * Creates the contact request handler.
+ *
+ * Responses are JSON: 200 { id } once mailed, 400 { error, errors } for
+ * invalid input, 405 for other methods, 422 { error, reason } for spam,
+ * 429 { error, reason } (with Retry-After) past a rate limit, 502 { error, id }
+ * when the message was stored but the mail server refused it, 500 when it
+ * could not be stored.
+ *
+ * @param {Object} deps
+ * @param {{save: function, update: function}} deps.store - Message store
+ * @param {function(Object): Promise} deps.sendMail - Sends a mail (smtp.js sendMail bound to a server)
+ * @param {{from: string, to: string}} deps.addresses - Site sender and artist inbox
+ * @param {{ip: Object, email: Object}} [deps.limiters] - Rate limiters (see createRateLimiter)
+ * @param {function(Object): void} [deps.log] - Receives { reason, detail, ip, email } per rejection
+ * @param {function(): Date} [deps.now] - Clock (tests)
+ * @returns {function(Object, Object): Promise<void>} (req, res) handler
+ */
+export const createContactHandler = ({
+  store,
+  sendMail,
+  addresses,
+  limiters = { ip: createRateLimiter(RATE_LIMITS.ip), email: createRateLimiter(RATE_LIMITS.email) },
+  log = logRejection,
+  now = () => new Date()
+}) => async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed.' });
+    return;
+  }
+
+  const ip = clientIp(req);
+  const reject = (status, reason, detail, email) => {
+    log({ reason, detail, ip, email });
+    res.status(status).json({ error: REJECTION_MESSAGES[reason], reason });
+  };
+  const rateLimited = (limiter, key, email) => {
+    const { allowed, retryAfterMs } = limiter.hit(key, now().getTime());
+    if (allowed) return false;
+    res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    reject(429, 'rate-limit', `too many messages from ${key}`, email);
+    return true;
+  };
+
+  // Counted before anything else, so floods of junk are cut off cheaply
+  if (rateLimited(limiters.ip, ip)) return;
+
+  const body = readBody(req);
+  const { message, errors } = normalizeContactMessage(body);
+  if (!message) {
+    res.status(400).json({ error: 'The message is incomplete or invalid.', errors });
+    return;
+  }
+
+  const verdict = checkSubmission(body);
+  if (!verdict.ok) {
+    // Kept for review in case a real message was caught
+    await store.save({ receivedAt: now().toISOString(), status: 'rejected', reason: verdict.reason, detail: verdict.detail, ip, message })
+      .catch(error => console.error('Rejected contact message could not be stored:', error));
+    reject(422, verdict.reason, verdict.detail, message.email);
+    return;
+  }
+
+  if (rateLimited(limiters.email, message.email.toLowerCase(), message.email)) return;
+
+  let id;
+  try {
+    id = await store.save({ receivedAt: now().toISOString(), status: 'received', message });
+  } catch (error) {
+    console.error('Contact message could not be stored:', error);
+    res.status(500).json({ error: 'The message could not be saved. Please try again later.' });
+    return;
+  }
+
+  try {
+    await sendMail(buildContactMail(message, addresses));
+    await store.update(id, { status: 'sent', sentAt: now().toISOString() });
+    res.status(200).json({ id });
+  } catch (error) {
+    console.error(`Contact message ${id} could not be sent:`, error);
+    await store.update(id, { status: 'failed', error: error.message }).catch(() => {});
+    res.status(502).json({ error: 'The message was saved but could not be sent. Please try again later.', id });
+  }
+};
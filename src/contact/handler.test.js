@@ -0,0 +1,192 @@
+/**
+ * @jest-environment node
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createContactHandler, getContactConfig } from './handler';
+import { createFileMessageStore } from './store';
+import { sendMail } from './smtp';
+import { startSmtpStandIn } from './__fixtures__/smtpStandIn';
+import { createRateLimiter, REJECTION_MESSAGES } from './spam';
+
+const ADDRESSES = { from: 'site@thechainlair.com', to: 'artist@thechainlair.com' };
+const PIXEL = '/9j/4AAQSkZJRg==';
+
+const params = (overrides = {}) => ({
+  name: 'Jördis Doe',
+  email: 'jdoe@example.com',
+  subject: 'Persian cuff',
+  message: 'Could you make this in copper?',
+  website: '',
+  form_fill_time: 60000,
+  ...overrides
+});
+
+// Minimal Vercel-style response recording status, headers and JSON body
+const fakeResponse = () => {
+  const res = { statusCode: null, headers: {}, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  return res;
+};
+
+// Decodes the base64 text part of a raw message
+const textOf = (data) => {
+  const [, body] = /Content-Type: text\/plain; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+)/.exec(data);
+  return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+};
+
+describe('contact endpoint', () => {
+  let smtp;
+  let storeDir;
+  let store;
+
+  let rejections;
+
+  // The stand-in never offers STARTTLS, so plain text AUTH has to be allowed explicitly
+  const handlerFor = (server, options = {}, smtpOptions = { ignoreTLS: true }) => createContactHandler({
+    store,
+    sendMail: mail => sendMail({ host: '127.0.0.1', port: server.port, user: 'site', pass: 'secret', timeout: 2000, ...smtpOptions }, mail),
+    addresses: ADDRESSES,
+    log: entry => rejections.push(entry),
+    now: () => new Date('2026-01-10T12:00:00Z'),
+    ...options
+  });
+
+  const post = async (server, body, handler = handlerFor(server)) => {
+    const res = fakeResponse();
+    await handler({ method: 'POST', body, headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' } }, res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    smtp = await startSmtpStandIn();
+    rejections = [];
+    storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'contact-test-'));
+    store = createFileMessageStore(storeDir);
+  });
+
+  afterEach(async () => {
+    await smtp.close();
+    await fs.rm(storeDir, { recursive: true, force: true });
+  });
+
+  test('stores the message and mails it with the visitor as Reply-To', async () => {
+    const res = await post(smtp, params({ reference_image_1: `data:image/jpeg;base64,${PIXEL}` }));
+
+    expect(res.statusCode).toBe(200);
+    expect(smtp.messages).toHaveLength(1);
+    const [mail] = smtp.messages;
+    expect(mail).toMatchObject({ from: ADDRESSES.from, to: [ADDRESSES.to], auth: { user: 'site', pass: 'secret' } });
+    expect(mail.data).toContain('Reply-To: =?UTF-8?B?');
+    expect(mail.data).toContain('<jdoe@example.com>');
+    expect(mail.data).toContain('Subject: Persian cuff');
+    expect(mail.data).toContain('Content-Disposition: attachment; filename=reference-1.jpg');
+    expect(mail.data).toContain(PIXEL);
+    expect(textOf(mail.data)).toBe('From: Jördis Doe <jdoe@example.com>\n\nCould you make this in copper?\n');
+
+    const record = await store.read(res.body.id);
+    expect(record).toMatchObject({ status: 'sent', receivedAt: '2026-01-10T12:00:00.000Z', message: { subject: 'Persian cuff' } });
+  });
+
+  test('rejects invalid input without storing or mailing it', async () => {
+    const res = await post(smtp, JSON.stringify(params({ email: 'not-an-email' })));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual({ email: 'Please provide a valid email.' });
+    expect(smtp.messages).toHaveLength(0);
+    expect(await fs.readdir(storeDir)).toEqual([]);
+  });
+
+  test('stores spam as rejected for review instead of mailing it', async () => {
+    const res = await post(smtp, params({ website: 'https://spam.example' }));
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body).toEqual({ error: REJECTION_MESSAGES.honeypot, reason: 'honeypot' });
+    expect(smtp.messages).toHaveLength(0);
+    expect(rejections).toEqual([{ reason: 'honeypot', detail: 'honeypot field filled in', ip: '203.0.113.7', email: 'jdoe@example.com' }]);
+
+    const [file] = await fs.readdir(storeDir);
+    const record = await store.read(path.basename(file, '.json'));
+    expect(record).toMatchObject({ status: 'rejected', reason: 'honeypot', ip: '203.0.113.7' });
+  });
+
+  test('rate limits per IP address and per email address', async () => {
+    const handler = handlerFor(smtp, {
+      limiters: {
+        ip: createRateLimiter({ limit: 3, windowMs: 60000 }),
+        email: createRateLimiter({ limit: 1, windowMs: 60000 })
+      }
+    });
+
+    expect((await post(smtp, params(), handler)).statusCode).toBe(200);
+    const sameEmail = await post(smtp, params({ email: 'JDoe@example.com' }), handler);
+    expect(sameEmail.statusCode).toBe(429);
+    expect(sameEmail.headers['Retry-After']).toBe('60');
+    expect((await post(smtp, params({ email: 'other@example.com' }), handler)).statusCode).toBe(200);
+    expect((await post(smtp, params({ email: 'third@example.com' }), handler)).body.reason).toBe('rate-limit');
+
+    expect(smtp.messages).toHaveLength(2);
+    expect(rejections.map(entry => entry.detail)).toEqual(['too many messages from jdoe@example.com', 'too many messages from 203.0.113.7']);
+  });
+
+  test('only accepts POST', async () => {
+    const res = fakeResponse();
+    await handlerFor(smtp)({ method: 'GET' }, res);
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.Allow).toBe('POST');
+  });
+
+  test('keeps the message when the mail server refuses it', async () => {
+    const refusing = await startSmtpStandIn({ refuse: { command: 'RCPT', reply: '550 Mailbox unavailable' } });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const res = await post(refusing, params());
+
+      expect(res.statusCode).toBe(502);
+      const record = await store.read(res.body.id);
+      expect(record.status).toBe('failed');
+      expect(record.error).toMatch(/550 Mailbox unavailable/);
+    } finally {
+      consoleError.mockRestore();
+      await refusing.close();
+    }
+  });
+
+  test('never sends credentials when the server offers no STARTTLS', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const res = await post(smtp, params(), handlerFor(smtp, {}, {}));
+
+      expect(res.statusCode).toBe(502);
+      expect(smtp.commands).not.toContain('AUTH');
+      expect(smtp.messages).toHaveLength(0);
+      expect((await store.read(res.body.id)).status).toBe('failed');
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+});
+
+describe('getContactConfig', () => {
+  test('reads the SMTP settings and requires a host and an inbox', () => {
+    expect(getContactConfig({ SMTP_HOST: 'smtp.example.com', SMTP_PORT: '465', SMTP_SECURE: 'true', CONTACT_TO: 'artist@example.com' }))
+      .toEqual({
+        smtp: { host: 'smtp.example.com', port: 465, secure: true, ignoreTLS: false, user: undefined, pass: undefined },
+        to: 'artist@example.com',
+        from: 'artist@example.com',
+        storeDir: undefined
+      });
+    expect(() => getContactConfig({ SMTP_HOST: 'smtp.example.com' })).toThrow(/missing CONTACT_TO/);
+  });
+});
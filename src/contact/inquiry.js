@@ -0,0 +1,159 @@
+/**
+ * INQUIRY LIST MODULE
+ * ===================
+ *
+ * Lets a visitor collect several pieces while browsing and ask about all of
+ * them in one contact message, instead of sending one message per piece.
+ *
+ * PURPOSE:
+ * - Keep the list of chosen pieces across pages and visits (localStorage)
+ * - Describe every chosen piece (title, id, link) in the message parameters
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - The list stores work ids only; titles and links are looked up in the
+ *   catalog when needed, so a renamed piece never shows a stale title and a
+ *   removed piece simply drops out
+ * - Every helper returns a new array, so the list can live in React state
+ * - Storage is passed in (like the commission draft helpers), so the rules
+ *   are unit-testable without a browser
+ * - InquiryProvider shares the list between the Navbar badge, the product
+ *   pages and the Contact page
+ *
+ * EXPORTS:
+ * - INQUIRY_STORAGE_KEY / MAX_INQUIRY_ITEMS: Storage key and list size limit
+ * - INQUIRY_CONTACT_PATH: Contact page link for sending the list
+ * - loadInquiryList / saveInquiryList: Storage
+ * - addToInquiryList / removeFromInquiryList: List updates
+ * - resolveInquiryList: Works for the stored ids
+ * - formatInquiryPieces / buildInquiryTemplateParams: Message parameters
+ */
+
+import { getWorkPath } from '../data/works';
+import { absoluteUrl } from '../seo/meta';
+
+export const INQUIRY_STORAGE_KEY = 'chainlair.inquiryList';
+
+// Keeps the piece list within the contact service's field limits
+export const MAX_INQUIRY_ITEMS = 10;
+
+// Contact page with the subject for a message about the whole list
+export const INQUIRY_CONTACT_PATH = `/contact?subject=${encodeURIComponent('Inquiry about several pieces')}`;
+
+// Bump when the saved shape changes; older lists are ignored
+const INQUIRY_VERSION = 1;
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+/**
+ * Restores the saved list.
+ *
+ * @param {Storage} storage - localStorage (or a test double)
+ * @returns {number[]} Work ids in the order they were added (empty when none is usable)
+ */
+export const loadInquiryList = (storage) => {
+  try {
+    const saved = JSON.parse(storage.getItem(INQUIRY_STORAGE_KEY));
+    if (!saved || saved.version !== INQUIRY_VERSION || !Array.isArray(saved.ids)) return [];
+    return saved.ids
+      .filter((id, index) => Number.isInteger(id) && saved.ids.indexOf(id) === index)
+      .slice(0, MAX_INQUIRY_ITEMS);
+  } catch (error) {
+    // Unavailable storage or a corrupted entry: start with an empty list
+    return [];
+  }
+};
+
+/**
+ * Saves the list; an empty list removes the entry.
+ *
+ * @param {Storage} storage - localStorage (or a test double)
+ * @param {number[]} ids - Work ids
+ * @returns {boolean} Whether the list was saved
+ */
+export const saveInquiryList = (storage, ids) => {
+  try {
+    if (ids.length === 0) {
+      storage.removeItem(INQUIRY_STORAGE_KEY);
+    } else {
+      storage.setItem(INQUIRY_STORAGE_KEY, JSON.stringify({ version: INQUIRY_VERSION, ids }));
+    }
+    return true;
+  } catch (error) {
+    // Storage unavailable: the list still works for this visit
+    return false;
+  }
+};
+
+// =============================================================================
+// LIST UPDATES
+// =============================================================================
+
+/**
+ * Adds a piece to the end of the list.
+ *
+ * @param {number[]} ids - Current list
+ * @param {number} id - Work id
+ * @returns {number[]} New list (unchanged when the piece is already listed or the list is full)
+ */
+export const addToInquiryList = (ids, id) => (
+  ids.includes(id) || ids.length >= MAX_INQUIRY_ITEMS ? ids : [...ids, id]
+);
+
+/**
+ * Removes a piece from the list.
+ *
+ * @param {number[]} ids - Current list
+ * @param {number} id - Work id
+ * @returns {number[]} New list
+ */
+export const removeFromInquiryList = (ids, id) => ids.filter(listed => listed !== id);
+
+/**
+ * Looks up the listed pieces in the catalog.
+ *
+ * @param {number[]} ids - Work ids
+ * @param {Object[]} works - Catalog works
+ * @returns {Object[]} Works in list order; ids no longer in the catalog are skipped
+ */
+export const resolveInquiryList = (ids, works) => ids
+  .map(id => works.find(work => work.id === id))
+  .filter(Boolean);
+
+// =============================================================================
+// MESSAGE PARAMETERS
+// =============================================================================
+
+/**
+ * Describes the pieces, one numbered line each.
+ *
+ * @param {Object[]} works - Listed works
+ * @returns {string} e.g. "1. Dragon Scale Bracelet (#12): https://thechainlair.com/product/dragon-scale-bracelet"
+ */
+export const formatInquiryPieces = (works) => works
+  .map((work, index) => `${index + 1}. ${work.title} (#${work.id}): ${absoluteUrl(getWorkPath(work))}`)
+  .join('\n');
+
+/**
+ * Adds the listed pieces to the contact form's template parameters.
+ *
+ * The list is appended to `message`, so the existing EmailJS template and
+ * the /api/contact email show it unchanged; inquiry_pieces and
+ * inquiry_count let a dedicated template lay it out separately.
+ *
+ * @param {Object<string, string>} params - Contact form parameters
+ * @param {Object[]} works - Listed works (none: params are returned as they are)
+ * @returns {Object<string, string>} Template parameters
+ */
+export const buildInquiryTemplateParams = (params, works) => {
+  if (works.length === 0) return params;
+  const pieces = formatInquiryPieces(works);
+  return {
+    ...params,
+    message: `${params.message}\n\nPieces I'm asking about:\n${pieces}`,
+    request_type: 'inquiry',
+    inquiry_pieces: pieces,
+    inquiry_count: String(works.length)
+  };
+};
@@ -0,0 +1,87 @@
+import {
+  loadInquiryList,
+  saveInquiryList,
+  addToInquiryList,
+  removeFromInquiryList,
+  resolveInquiryList,
+  buildInquiryTemplateParams,
+  INQUIRY_STORAGE_KEY,
+  MAX_INQUIRY_ITEMS
+} from './inquiry';
+
+// Minimal localStorage stand-in
+const memoryStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: key => { delete items[key]; },
+    items
+  };
+};
+
+const works = [
+  { id: 1, title: 'Dragon Scale Bracelet', slug: 'dragon-scale-bracelet' },
+  { id: 2, title: 'Byzantine Chain', slug: 'byzantine-chain' }
+];
+
+describe('inquiry list storage', () => {
+  test('round-trips the list and removes the entry once it is empty', () => {
+    const storage = memoryStorage();
+    expect(saveInquiryList(storage, [2, 1])).toBe(true);
+    expect(loadInquiryList(storage)).toEqual([2, 1]);
+
+    saveInquiryList(storage, []);
+    expect(storage.items).toEqual({});
+    expect(loadInquiryList(storage)).toEqual([]);
+  });
+
+  test('ignores corrupted, outdated or invalid entries', () => {
+    expect(loadInquiryList(memoryStorage({ [INQUIRY_STORAGE_KEY]: '{not json' }))).toEqual([]);
+    expect(loadInquiryList(memoryStorage({ [INQUIRY_STORAGE_KEY]: JSON.stringify({ version: 0, ids: [1] }) }))).toEqual([]);
+    expect(loadInquiryList(memoryStorage({ [INQUIRY_STORAGE_KEY]: JSON.stringify({ version: 1, ids: [1, '2', 1, 3] }) }))).toEqual([1, 3]);
+  });
+
+  test('reports storage that cannot be written', () => {
+    const storage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(saveInquiryList(storage, [1])).toBe(false);
+  });
+});
+
+describe('inquiry list updates', () => {
+  test('adds each piece once, up to the limit', () => {
+    expect(addToInquiryList([1], 2)).toEqual([1, 2]);
+    expect(addToInquiryList([1, 2], 1)).toEqual([1, 2]);
+
+    const full = Array.from({ length: MAX_INQUIRY_ITEMS }, (_, index) => index + 1);
+    expect(addToInquiryList(full, 99)).toBe(full);
+  });
+
+  test('removes pieces and skips ids no longer in the catalog', () => {
+    expect(removeFromInquiryList([1, 2], 1)).toEqual([2]);
+    expect(resolveInquiryList([2, 42, 1], works).map(work => work.id)).toEqual([2, 1]);
+  });
+});
+
+describe('buildInquiryTemplateParams', () => {
+  const params = { name: 'J. Doe', email: 'jdoe@example.com', subject: 'A few pieces', message: 'Are these still available?' };
+
+  test('lists every piece with its title, id and link', () => {
+    const pieces = [
+      '1. Dragon Scale Bracelet (#1): https://thechainlair.com/product/dragon-scale-bracelet',
+      '2. Byzantine Chain (#2): https://thechainlair.com/product/byzantine-chain'
+    ].join('\n');
+
+    expect(buildInquiryTemplateParams(params, works)).toEqual({
+      ...params,
+      message: `Are these still available?\n\nPieces I'm asking about:\n${pieces}`,
+      request_type: 'inquiry',
+      inquiry_pieces: pieces,
+      inquiry_count: '2'
+    });
+  });
+
+  test('leaves a message without pieces unchanged', () => {
+    expect(buildInquiryTemplateParams(params, [])).toBe(params);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * CONTACT MESSAGE MODULE
+ * ======================
+ *
+ * Defines what a contact message may contain and checks it, on the client
+ * before sending and again in api/contact.js before anything is stored or
+ * mailed, so both sides accept exactly the same messages.
+ *
+ * PURPOSE:
+ * - Name the fields of the general contact form and of commission requests
+ *   (see buildCommissionTemplateParams in src/data/commission.js)
+ * - Trim values, enforce length limits and the email format
+ * - Decode reference images (JPEG/PNG/WebP data URLs) into attachments
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Pure functions with no browser or Node dependencies
+ * - Imports use explicit .js extensions so the api/ handler can load them
+ *
+ * EXPORTS:
+ * - MESSAGE_LIMITS: Maximum length of each text field
+ * - MAX_ATTACHMENT_LENGTH: Maximum length of one reference image data URL
+ * - normalizeContactMessage: Validates and normalizes template parameters
+ * - parseDataUrl: Splits a base64 image data URL into type and content
+ */
+
+import { MAX_REFERENCE_IMAGES } from '../data/commission.js';
+
+// =============================================================================
+// LIMITS
+// =============================================================================
+
+// Required fields of every message, with their maximum lengths
+export const MESSAGE_LIMITS = {
+  name: 100,
+  email: 254,
+  subject: 200,
+  message: 10000
+};
+
+// Optional structured fields sent by the commission wizard and inquiry list
+const DETAIL_FIELDS = [
+  'request_type',
+  'piece_type',
+  'weave',
+  'material',
+  'measurements',
+  'sizing_notes',
+  'budget',
+  'deadline',
+  'inquiry_pieces',
+  'inquiry_count'
+];
+// Room for a full inquiry list (MAX_INQUIRY_ITEMS lines with titles and links)
+const MAX_DETAIL_LENGTH = 2000;
+
+// The wizard keeps reference images near 12 kB (MAX_REFERENCE_DATA_URL_LENGTH);
+// the endpoint carries no EmailJS limit, so this only stops abuse
+export const MAX_ATTACHMENT_LENGTH = 2 * 1024 * 1024;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATA_URL_PATTERN = /^data:(image\/(?:jpeg|png|webp));base64,([A-Za-z0-9+/]+={0,2})$/;
+
+const FIELD_LABELS = {
+  name: 'your name',
+  email: 'your email',
+  subject: 'a subject',
+  message: 'a message'
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Splits a base64 image data URL.
+ *
+ * @param {string} dataUrl - data:image/<jpeg|png|webp>;base64,<content>
+ * @returns {{contentType: string, base64: string}|null} Parts, or null when the URL is not a supported image
+ */
+export const parseDataUrl = (dataUrl) => {
+  const match = typeof dataUrl === 'string' ? DATA_URL_PATTERN.exec(dataUrl) : null;
+  return match ? { contentType: match[1], base64: match[2] } : null;
+};
+
+// File name for the n-th reference image, by content type
+const attachmentName = (index, contentType) => `reference-${index}.${contentType === 'image/jpeg' ? 'jpg' : contentType.split('/')[1]}`;
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+/**
+ * Validates and normalizes contact template parameters.
+ *
+ * Unknown keys are dropped. Reference images (reference_image_1 ...) become
+ * attachments so the server can mail them as real files.
+ *
+ * @param {Object} params - Template parameters from the contact form or the commission wizard
+ * @returns {{message: Object|null, errors: Object<string, string>}}
+ *   `message` ({ name, email, subject, message, details, attachments }) when valid,
+ *   otherwise `errors` maps each invalid field to a readable explanation
+ */
+export const normalizeContactMessage = (params) => {
+  const input = params && typeof params === 'object' ? params : {};
+  const errors = {};
+  const message = { details: {}, attachments: [] };
+
+  Object.entries(MESSAGE_LIMITS).forEach(([field, limit]) => {
+    if (!isText(input[field])) {
+      errors[field] = `Please provide ${FIELD_LABELS[field]}.`;
+      return;
+    }
+    const value = input[field].trim();
+    if (value.length > limit) {
+      errors[field] = `Please keep this under ${limit} characters.`;
+      return;
+    }
+    message[field] = value;
+  });
+
+  if (message.email && !EMAIL_PATTERN.test(message.email)) {
+    errors.email = 'Please provide a valid email.';
+  }
+
+  DETAIL_FIELDS.forEach(field => {
+    if (input[field] === undefined || input[field] === '') return;
+    if (typeof input[field] !== 'string' || input[field].length > MAX_DETAIL_LENGTH) {
+      errors[field] = `Please keep this under ${MAX_DETAIL_LENGTH} characters.`;
+      return;
+    }
+    message.details[field] = input[field].trim();
+  });
+
+  for (let index = 1; index <= MAX_REFERENCE_IMAGES; index += 1) {
+    const field = `reference_image_${index}`;
+    if (input[field] === undefined || input[field] === '') continue;
+    const image = String(input[field]).length <= MAX_ATTACHMENT_LENGTH ? parseDataUrl(input[field]) : null;
+    if (!image) {
+      errors[field] = 'Reference images must be JPEG, PNG or WebP images under 2 MB.';
+      continue;
+    }
+    message.attachments.push({ filename: attachmentName(index, image.contentType), ...image });
+  }
+
+  return Object.keys(errors).length > 0 ? { message: null, errors } : { message, errors };
+};
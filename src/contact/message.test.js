@@ -0,0 +1,67 @@
+import { normalizeContactMessage, parseDataUrl, MESSAGE_LIMITS } from './message';
+import { buildCommissionTemplateParams, EMPTY_COMMISSION } from '../data/commission';
+
+const PIXEL = 'data:image/jpeg;base64,/9j/4AAQSkZJRg==';
+
+const contactParams = (overrides = {}) => ({
+  name: '  J. Doe ',
+  email: 'jdoe@example.com',
+  subject: 'Byzantine bracelet',
+  message: 'Is this piece still available?',
+  ...overrides
+});
+
+describe('normalizeContactMessage', () => {
+  test('trims a general message and drops unknown keys', () => {
+    const { message, errors } = normalizeContactMessage(contactParams({ admin: 'true' }));
+    expect(errors).toEqual({});
+    expect(message).toEqual({
+      name: 'J. Doe',
+      email: 'jdoe@example.com',
+      subject: 'Byzantine bracelet',
+      message: 'Is this piece still available?',
+      details: {},
+      attachments: []
+    });
+  });
+
+  test('reports every missing, oversized or malformed field', () => {
+    const { message, errors } = normalizeContactMessage({
+      name: ' ',
+      email: 'jdoe@example',
+      subject: 'x'.repeat(MESSAGE_LIMITS.subject + 1)
+    });
+    expect(message).toBeNull();
+    expect(errors).toEqual({
+      name: 'Please provide your name.',
+      email: 'Please provide a valid email.',
+      subject: `Please keep this under ${MESSAGE_LIMITS.subject} characters.`,
+      message: 'Please provide a message.'
+    });
+    expect(Object.keys(normalizeContactMessage(null).errors)).toEqual(['name', 'email', 'subject', 'message']);
+  });
+
+  test('keeps commission details and turns reference images into attachments', () => {
+    const params = buildCommissionTemplateParams({
+      ...EMPTY_COMMISSION,
+      pieceType: 'bracelet',
+      weave: 'Persian',
+      description: 'A wide Persian cuff in copper',
+      material: 'Copper',
+      measurements: { wrist: '17' },
+      budget: '100-250',
+      references: [{ name: 'cuff.jpg', dataUrl: PIXEL }],
+      name: 'J. Doe',
+      email: 'jdoe@example.com'
+    });
+    const { message } = normalizeContactMessage(params);
+    expect(message.details).toMatchObject({ request_type: 'commission', piece_type: 'Bracelet', budget: '$100 - $250' });
+    expect(message.attachments).toEqual([{ filename: 'reference-1.jpg', contentType: 'image/jpeg', base64: '/9j/4AAQSkZJRg==' }]);
+  });
+
+  test('rejects reference images that are not base64 images', () => {
+    const { errors } = normalizeContactMessage(contactParams({ reference_image_1: 'data:text/html;base64,PGI+' }));
+    expect(Object.keys(errors)).toEqual(['reference_image_1']);
+    expect(parseDataUrl('https://example.com/a.jpg')).toBeNull();
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * CONTACT OUTBOX MODULE
+ * =====================
+ *
+ * Keeps contact messages and commission requests that could not be sent
+ * because the visitor was offline, and sends them once the connection is
+ * back, so a long commission description is never lost to a dropped network.
+ *
+ * PURPOSE:
+ * - Store queued submissions in IndexedDB (they survive reloads and closed tabs)
+ * - Send them again in the order they were written
+ * - Tell retryable failures (network, rate limit, server errors) apart from
+ *   real rejections
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - openOutbox wraps the raw IndexedDB API in three promise-based methods
+ *   (add, list, remove); it resolves with null where IndexedDB is missing or
+ *   blocked (old browsers, some private modes), and callers fall back to
+ *   reporting the error as before
+ * - flushOutbox only needs an object with those methods and a send function,
+ *   so it is tested with an in-memory outbox
+ * - Retrying is driven by OutboxProvider (online events and a timer); there
+ *   is no service worker, so messages go out on the visitor's next visit if
+ *   the tab was closed while offline
+ *
+ * EXPORTS:
+ * - OUTBOX_DATABASE / OUTBOX_STORE: IndexedDB names
+ * - isNetworkError: Whether a delivery failure never reached the service
+ * - isRetryableError: Whether a queued submission is worth sending again
+ * - openOutbox: IndexedDB-backed outbox
+ * - flushOutbox: Sends every queued submission
+ */
+
+export const OUTBOX_DATABASE = 'chainlair-contact';
+export const OUTBOX_STORE = 'outbox';
+
+// Bump (with a migration in onupgradeneeded) when the stored shape changes
+const OUTBOX_VERSION = 1;
+
+/**
+ * Whether a delivery failure came from the network rather than the service.
+ *
+ * @param {Error} error - Rejection from src/contact/delivery.js
+ * @returns {boolean} True when sending again later may succeed
+ */
+export const isNetworkError = (error) => Boolean(error && error.network);
+
+/**
+ * Whether a queued submission should stay queued after this failure: the
+ * network dropped, a rate limit answered 429 (the api provider allows a few
+ * messages per hour), or the service failed with a 5xx status.
+ *
+ * @param {Error} error - Rejection from src/contact/delivery.js
+ * @returns {boolean} True when sending again later may succeed
+ */
+export const isRetryableError = (error) => isNetworkError(error)
+  || Boolean(error && (error.status === 429 || error.status >= 500));
+
+// =============================================================================
+// INDEXEDDB STORAGE
+// =============================================================================
+
+// Resolves with the result of an IDBRequest
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens the outbox.
+ *
+ * Entries are { id, kind, params, queuedAt }; ids are auto-incremented, so
+ * list() returns them oldest first.
+ *
+ * @param {IDBFactory} [indexedDB=window.indexedDB] - IndexedDB implementation
+ * @returns {Promise<{add: function(Object): Promise<number>, list: function(): Promise<Object[]>, remove: function(number): Promise<void>}|null>}
+ *   The outbox, or null when IndexedDB cannot be used
+ */
+export const openOutbox = async (indexedDB = typeof window === 'undefined' ? undefined : window.indexedDB) => {
+  if (!indexedDB) return null;
+
+  let database;
+  try {
+    const request = indexedDB.open(OUTBOX_DATABASE, OUTBOX_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    database = await settle(request);
+  } catch (error) {
+    return null;
+  }
+
+  // Runs one request in its own transaction and resolves once it is committed
+  const run = (mode, makeRequest) => new Promise((resolve, reject) => {
+    const transaction = database.transaction(OUTBOX_STORE, mode);
+    const request = makeRequest(transaction.objectStore(OUTBOX_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  return {
+    add: (entry) => run('readwrite', store => store.add(entry)),
+    list: () => run('readonly', store => store.getAll()),
+    remove: (id) => run('readwrite', store => store.delete(id)).then(() => undefined)
+  };
+};
+
+// =============================================================================
+// SENDING
+// =============================================================================
+
+/**
+ * Sends every queued submission, oldest first.
+ *
+ * Sent entries are removed. A retryable failure (see isRetryableError) stops
+ * the run and keeps the rest for the next attempt; any other failure (spam
+ * rejection, invalid message) will not improve with retries, so that entry
+ * is removed and reported.
+ *
+ * @param {{list: function, remove: function}} outbox - Outbox (see openOutbox)
+ * @param {function(Object): Promise} send - Delivers template parameters
+ * @returns {Promise<{sent: Object[], failed: Array<{entry: Object, error: Error}>, remaining: number}>}
+ *   What happened to each entry, and how many are still queued
+ */
+export const flushOutbox = async (outbox, send) => {
+  const entries = await outbox.list();
+  const result = { sent: [], failed: [], remaining: 0 };
+
+  for (let index = 0; index < entries.length; index += 1) {
+    const entry = entries[index];
+    try {
+      await send(entry.params);
+      result.sent.push(entry);
+    } catch (error) {
+      if (isRetryableError(error)) {
+        result.remaining = entries.length - index;
+        break;
+      }
+      result.failed.push({ entry, error });
+    }
+    await outbox.remove(entry.id);
+  }
+
+  return result;
+};
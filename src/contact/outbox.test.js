@@ -0,0 +1,105 @@
+import { flushOutbox, isNetworkError, isRetryableError, openOutbox } from './outbox';
+import { ContactDeliveryError } from './delivery';
+
+// In-memory stand-in with the same methods as the IndexedDB outbox
+const memoryOutbox = (entries) => {
+  let items = entries.map((entry, index) => ({ id: index + 1, ...entry }));
+  return {
+    list: async () => [...items],
+    remove: async (id) => {
+      items = items.filter(item => item.id !== id);
+    },
+    get items() {
+      return items;
+    }
+  };
+};
+
+const entry = (subject, kind = 'message') => ({ kind, params: { subject }, queuedAt: '2026-01-10T12:00:00.000Z' });
+const offline = () => new ContactDeliveryError('Could not reach the contact service', { network: true });
+
+describe('isNetworkError', () => {
+  test('only retries failures that never reached the service', () => {
+    expect(isNetworkError(offline())).toBe(true);
+    expect(isNetworkError(new ContactDeliveryError('Rejected', { status: 422, reason: 'content' }))).toBe(false);
+    expect(isNetworkError(undefined)).toBe(false);
+  });
+});
+
+describe('isRetryableError', () => {
+  test('also retries rate limits and server errors, but not rejections', () => {
+    expect(isRetryableError(offline())).toBe(true);
+    expect(isRetryableError(new ContactDeliveryError('Please wait', { status: 429, reason: 'rate-limit' }))).toBe(true);
+    expect(isRetryableError(new ContactDeliveryError('Bad gateway', { status: 502 }))).toBe(true);
+    expect(isRetryableError(new ContactDeliveryError('Invalid', { status: 400 }))).toBe(false);
+    expect(isRetryableError(undefined)).toBe(false);
+  });
+});
+
+describe('flushOutbox', () => {
+  test('sends queued submissions oldest first and empties the outbox', async () => {
+    const outbox = memoryOutbox([entry('First'), entry('Second', 'commission')]);
+    const sent = [];
+
+    const result = await flushOutbox(outbox, async params => sent.push(params.subject));
+
+    expect(sent).toEqual(['First', 'Second']);
+    expect(result).toMatchObject({ failed: [], remaining: 0 });
+    expect(result.sent.map(item => item.id)).toEqual([1, 2]);
+    expect(outbox.items).toEqual([]);
+  });
+
+  test('stops at the first network failure and keeps the rest', async () => {
+    const outbox = memoryOutbox([entry('First'), entry('Second'), entry('Third')]);
+    const send = jest.fn()
+      .mockResolvedValueOnce({ status: 200 })
+      .mockRejectedValueOnce(offline());
+
+    const result = await flushOutbox(outbox, send);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(result.remaining).toBe(2);
+    expect(outbox.items.map(item => item.params.subject)).toEqual(['Second', 'Third']);
+  });
+
+  test('keeps rate-limited submissions for a later attempt', async () => {
+    const outbox = memoryOutbox([entry('Commission', 'commission'), entry('Second')]);
+    const send = jest.fn().mockRejectedValueOnce(new ContactDeliveryError('Please wait a little.', { status: 429, reason: 'rate-limit' }));
+
+    const result = await flushOutbox(outbox, send);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ sent: [], failed: [], remaining: 2 });
+    expect(outbox.items.map(item => item.params.subject)).toEqual(['Commission', 'Second']);
+  });
+
+  test.each([502, 503, 504])('keeps submissions when the service answers %i', async (status) => {
+    const outbox = memoryOutbox([entry('Commission', 'commission')]);
+    const send = jest.fn().mockRejectedValueOnce(new ContactDeliveryError('The contact service is unavailable.', { status }));
+
+    const result = await flushOutbox(outbox, send);
+
+    expect(result).toMatchObject({ sent: [], failed: [], remaining: 1 });
+    expect(outbox.items).toHaveLength(1);
+  });
+
+  test('drops and reports submissions the service rejects', async () => {
+    const outbox = memoryOutbox([entry('Spam'), entry('Fine')]);
+    const rejection = new ContactDeliveryError('Looks like spam', { status: 422, reason: 'content' });
+    const send = jest.fn()
+      .mockRejectedValueOnce(rejection)
+      .mockResolvedValueOnce({ status: 200 });
+
+    const result = await flushOutbox(outbox, send);
+
+    expect(result.failed).toEqual([{ entry: expect.objectContaining({ id: 1 }), error: rejection }]);
+    expect(result.sent.map(item => item.params.subject)).toEqual(['Fine']);
+    expect(outbox.items).toEqual([]);
+  });
+});
+
+describe('openOutbox', () => {
+  test('resolves with null where IndexedDB is unavailable', async () => {
+    await expect(openOutbox(undefined)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * SMTP MODULE
+ * ===========
+ *
+ * Mails contact messages for api/contact.js through nodemailer, so the
+ * serverless endpoint works with any mail provider (or a local stand-in in
+ * tests).
+ *
+ * PURPOSE:
+ * - Map the contact mail (text body, Reply-To, reference images) onto a
+ *   nodemailer message
+ * - Deliver it over SMTP: implicit TLS (port 465) or STARTTLS, AUTH when
+ *   credentials are configured
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Node only; never imported by the browser bundle
+ * - One transport per message, so a serverless instance keeps no connection
+ *   open between requests
+ * - Credentials only ever travel over TLS: with a user name the transport
+ *   requires STARTTLS (unless `secure`), and fails before AUTH when the
+ *   server does not offer it. `ignoreTLS` is the explicit opt-out for local
+ *   relays and the test stand-in
+ * - The text body is base64 encoded, so no line exceeds the SMTP line limit
+ *   whatever the visitor typed
+ *
+ * EXPORTS:
+ * - createSmtpTransport: nodemailer transport for the server settings
+ * - sendMail: Delivers one message
+ */
+
+import nodemailer from 'nodemailer';
+
+// Give up on servers that stop answering
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Creates a nodemailer transport.
+ *
+ * @param {Object} server
+ * @param {string} server.host - SMTP host
+ * @param {number} [server.port] - Port (465 with `secure`, 587 otherwise)
+ * @param {boolean} [server.secure=false] - Implicit TLS from the first byte
+ * @param {boolean} [server.ignoreTLS=false] - Never use STARTTLS and allow
+ *   AUTH in plain text (local relays and stand-ins only)
+ * @param {string} [server.user] - AUTH user name
+ * @param {string} [server.pass] - AUTH password
+ * @param {number} [server.timeout] - Connection and inactivity timeout in ms
+ * @returns {Object} nodemailer transport
+ */
+export const createSmtpTransport = ({ host, port, secure = false, ignoreTLS = false, user, pass, timeout = DEFAULT_TIMEOUT }) => nodemailer.createTransport({
+  host,
+  port: port || (secure ? 465 : 587),
+  secure,
+  ignoreTLS,
+  // Refuse to send credentials over a connection STARTTLS did not upgrade
+  requireTLS: Boolean(user) && !secure && !ignoreTLS,
+  auth: user ? { user, pass: pass || '' } : undefined,
+  connectionTimeout: timeout,
+  greetingTimeout: timeout,
+  socketTimeout: timeout
+});
+
+/**
+ * Delivers one message over SMTP.
+ *
+ * @param {Object} server - Server settings (see createSmtpTransport)
+ * @param {Object} mail
+ * @param {string|{name: string, address: string}} mail.from - Sender
+ * @param {Array<string|Object>} mail.to - Recipients
+ * @param {string|Object} [mail.replyTo] - Reply-To mailbox
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.text - Plain text body
+ * @param {Array<{filename: string, contentType: string, base64: string}>} [mail.attachments] - Attached files
+ * @param {Date} [mail.date=new Date()] - Date header
+ * @returns {Promise<{accepted: string[], response: string}>} Accepted recipients and the final server reply
+ * @throws {Error} When the connection fails, TLS is unavailable for AUTH or a command is refused
+ */
+export const sendMail = async (server, { from, to, replyTo, subject, text, attachments = [], date = new Date() }) => {
+  const transport = createSmtpTransport(server);
+  try {
+    const { accepted, response } = await transport.sendMail({
+      from,
+      to,
+      replyTo,
+      subject,
+      text,
+      textEncoding: 'base64',
+      date,
+      attachments: attachments.map(file => ({
+        filename: file.filename,
+        contentType: file.contentType,
+        content: file.base64,
+        encoding: 'base64'
+      }))
+    });
+    return { accepted, response };
+  } finally {
+    transport.close();
+  }
+};
@@ -0,0 +1,206 @@
+/**
+ * SPAM PROTECTION MODULE
+ * ======================
+ *
+ * Self-hosted defenses against automated contact form submissions, used by
+ * the browser before sending and by api/contact.js before storing or mailing.
+ * No third-party CAPTCHA is involved.
+ *
+ * PURPOSE:
+ * - Honeypot: a field hidden from people that bots tend to fill in
+ * - Minimum time to submit: people need a few seconds to write a message
+ * - Content scoring: many links and blocked keywords add up to a spam score
+ * - Rate limiting: a few messages per IP address and per email address
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Pure functions plus an in-memory sliding-window rate limiter
+ * - The form sends the elapsed fill time (not a timestamp), so visitor clock
+ *   skew cannot cause false rejections
+ * - Rate limits live in the memory of one serverless instance: they slow
+ *   floods down without needing a database, but reset on cold starts
+ * - Links to the site itself are not counted, so an inquiry about several
+ *   pieces (src/contact/inquiry.js) is never mistaken for link spam
+ * - Imports use explicit .js extensions so the api/ handler can load them
+ *
+ * EXPORTS:
+ * - HONEYPOT_FIELD / FILL_TIME_FIELD: Extra form parameters
+ * - MIN_FILL_TIME_MS / SPAM_SCORE_THRESHOLD / BLOCKED_KEYWORDS / RATE_LIMITS
+ * - REJECTION_MESSAGES: Friendly explanation per rejection reason
+ * - scoreContent: Spam score of a message with the reasons
+ * - checkSubmission: Honeypot, timing and content checks
+ * - createRateLimiter: Sliding-window limiter
+ */
+
+import { SITE_URL } from '../seo/meta.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Hidden input name; "website" is attractive to form-filling bots
+export const HONEYPOT_FIELD = 'website';
+
+// Milliseconds between the form appearing and being sent
+export const FILL_TIME_FIELD = 'form_fill_time';
+
+// Faster than this is not a person typing
+export const MIN_FILL_TIME_MS = 3000;
+
+// Messages scoring this or more are rejected
+export const SPAM_SCORE_THRESHOLD = 5;
+
+// Links in the message body before they start counting against it
+const FREE_LINKS = 2;
+
+// Terms that only show up in unsolicited offers (matched as whole words)
+export const BLOCKED_KEYWORDS = [
+  'viagra',
+  'cialis',
+  'casino',
+  'forex',
+  'crypto',
+  'bitcoin',
+  'backlinks',
+  'seo services',
+  'guest post',
+  'payday loan',
+  'escort'
+];
+
+// Accepted messages per key within the window
+export const RATE_LIMITS = {
+  ip: { limit: 5, windowMs: 10 * 60 * 1000 },
+  email: { limit: 3, windowMs: 60 * 60 * 1000 }
+};
+
+export const REJECTION_MESSAGES = {
+  honeypot: 'Sorry, your message could not be sent. Please email me directly instead.',
+  'too-fast': 'That was quick! Please take a moment to check your message, then send it again.',
+  content: 'Sorry, your message looks like spam to my filters (for example, it has many links). Please shorten it or email me directly.',
+  'rate-limit': 'You have sent several messages in a short time. Please wait a little before trying again, or email me directly.'
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const BBCODE_PATTERN = /\[(?:url|link)=/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Links to the site itself, with or without scheme and "www."
+const SITE_LINK_PATTERN = new RegExp(`^(?:https?://)?(?:www\\.)?${escapeRegExp(new URL(SITE_URL).host.replace(/^www\./, ''))}(?:[/?#]|$)`, 'i');
+const KEYWORD_PATTERNS = BLOCKED_KEYWORDS.map(keyword => ({
+  keyword,
+  pattern: new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i')
+}));
+
+const textOf = (value) => (typeof value === 'string' ? value : '');
+
+// =============================================================================
+// CONTENT SCORING
+// =============================================================================
+
+/**
+ * Scores how spam-like a message is.
+ *
+ * - Each link past the first two in the message: 2 points (links to this
+ *   site do not count)
+ * - Any link in the name or subject: 5 points
+ * - BBCode links ([url=...]): 5 points
+ * - Each blocked keyword: 3 points
+ *
+ * @param {Object} params - Contact parameters (name, subject, message)
+ * @returns {{score: number, reasons: string[]}} Total score and what contributed
+ */
+export const scoreContent = (params) => {
+  const name = textOf(params.name);
+  const subject = textOf(params.subject);
+  const message = textOf(params.message);
+  const reasons = [];
+  let score = 0;
+
+  const links = (message.match(LINK_PATTERN) || []).filter(link => !SITE_LINK_PATTERN.test(link)).length;
+  if (links > FREE_LINKS) {
+    score += (links - FREE_LINKS) * 2;
+    reasons.push(`${links} links`);
+  }
+  if (`${name} ${subject}`.match(LINK_PATTERN)) {
+    score += 5;
+    reasons.push('link in name or subject');
+  }
+  if (BBCODE_PATTERN.test(message)) {
+    score += 5;
+    reasons.push('BBCode link');
+  }
+  const text = `${name}\n${subject}\n${message}`;
+  KEYWORD_PATTERNS.forEach(({ keyword, pattern }) => {
+    if (pattern.test(text)) {
+      score += 3;
+      reasons.push(`keyword "${keyword}"`);
+    }
+  });
+
+  return { score, reasons };
+};
+
+/**
+ * Runs the checks that need no server state.
+ *
+ * @param {Object} params - Contact parameters including HONEYPOT_FIELD and FILL_TIME_FIELD
+ * @returns {{ok: true}|{ok: false, reason: string, detail: string}} Verdict;
+ *   `reason` is a REJECTION_MESSAGES key, `detail` explains it for the log
+ */
+export const checkSubmission = (params) => {
+  const input = params && typeof params === 'object' ? params : {};
+
+  if (textOf(input[HONEYPOT_FIELD]).trim() !== '') {
+    return { ok: false, reason: 'honeypot', detail: 'honeypot field filled in' };
+  }
+
+  const fillTime = Number(input[FILL_TIME_FIELD]);
+  if (!Number.isFinite(fillTime) || fillTime < MIN_FILL_TIME_MS) {
+    return { ok: false, reason: 'too-fast', detail: `filled in ${input[FILL_TIME_FIELD] === undefined ? '(no time)' : `${fillTime} ms`}` };
+  }
+
+  const { score, reasons } = scoreContent(input);
+  if (score >= SPAM_SCORE_THRESHOLD) {
+    return { ok: false, reason: 'content', detail: `score ${score}: ${reasons.join(', ')}` };
+  }
+
+  return { ok: true };
+};
+
+// =============================================================================
+// RATE LIMITING
+// =============================================================================
+
+/**
+ * Creates a sliding-window rate limiter.
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Allowed hits per key within the window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {{hit: function(string, number): {allowed: boolean, retryAfterMs: number}}}
+ *   `hit(key, now)` records an attempt and says whether it is within the limit
+ */
+export const createRateLimiter = ({ limit, windowMs }) => {
+  const hits = new Map();
+
+  // Forget keys whose hits have all expired, so memory stays bounded
+  const prune = (now) => {
+    hits.forEach((times, key) => {
+      if (times[times.length - 1] <= now - windowMs) hits.delete(key);
+    });
+  };
+
+  return {
+    hit: (key, now) => {
+      if (hits.size > 1000) prune(now);
+      const recent = (hits.get(key) || []).filter(time => time > now - windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return { allowed: false, retryAfterMs: recent[0] + windowMs - now };
+      }
+      recent.push(now);
+      hits.set(key, recent);
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  };
+};
@@ -0,0 +1,73 @@
+import {
+  scoreContent,
+  checkSubmission,
+  createRateLimiter,
+  MIN_FILL_TIME_MS
+} from './spam';
+
+const params = (overrides = {}) => ({
+  name: 'J. Doe',
+  email: 'jdoe@example.com',
+  subject: 'Custom bracelet',
+  message: 'I loved the Persian weave bracelet, see https://example.com/inspiration for the colors.',
+  website: '',
+  form_fill_time: 42000,
+  ...overrides
+});
+
+describe('scoreContent', () => {
+  test('a normal message with a link or two scores nothing', () => {
+    expect(scoreContent(params())).toEqual({ score: 0, reasons: [] });
+  });
+
+  test('adds up links, links in the name and blocked keywords', () => {
+    const links = Array.from({ length: 5 }, (_, index) => `https://shop${index}.example`).join(' ');
+    expect(scoreContent(params({ message: links }))).toEqual({ score: 6, reasons: ['5 links'] });
+
+    const { score, reasons } = scoreContent(params({ name: 'www.cheap.example', message: 'Best CASINO bonus and crypto tips' }));
+    expect(score).toBe(11);
+    expect(reasons).toEqual(['link in name or subject', 'keyword "casino"', 'keyword "crypto"']);
+  });
+
+  test('does not count links to the site itself', () => {
+    const pieces = [1, 2, 3, 4, 5].map(id => `https://thechainlair.com/product/piece-${id}`).join('\n');
+    expect(scoreContent(params({ message: pieces })).score).toBe(0);
+    expect(scoreContent(params({ message: `${pieces}\nhttps://thechainlair.com.example/a https://a.example https://b.example` })))
+      .toEqual({ score: 2, reasons: ['3 links'] });
+  });
+
+  test('matches keywords as whole words only', () => {
+    expect(scoreContent(params({ message: 'A cryptographic pattern in the scales' })).score).toBe(0);
+    expect(scoreContent(params({ message: 'Bitcoin accepted?' })).reasons).toEqual(['keyword "bitcoin"']);
+  });
+});
+
+describe('checkSubmission', () => {
+  test('accepts a message typed by a person', () => {
+    expect(checkSubmission(params())).toEqual({ ok: true });
+  });
+
+  test('rejects a filled honeypot, a missing or short fill time and spammy content', () => {
+    expect(checkSubmission(params({ website: 'https://spam.example' })).reason).toBe('honeypot');
+    expect(checkSubmission(params({ form_fill_time: MIN_FILL_TIME_MS - 1 })).reason).toBe('too-fast');
+    expect(checkSubmission(params({ form_fill_time: undefined }))).toEqual({ ok: false, reason: 'too-fast', detail: 'filled in (no time)' });
+
+    expect(checkSubmission(params({ message: '[url=https://pills.example]viagra[/url]' })))
+      .toEqual({ ok: false, reason: 'content', detail: 'score 8: BBCode link, keyword "viagra"' });
+    // One keyword alone stays under the spam threshold
+    expect(checkSubmission(params({ message: 'Bitcoin accepted?' }))).toEqual({ ok: true });
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('allows `limit` hits per key within the sliding window', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+
+    expect(limiter.hit('a', 0).allowed).toBe(true);
+    expect(limiter.hit('a', 400).allowed).toBe(true);
+    expect(limiter.hit('a', 600)).toEqual({ allowed: false, retryAfterMs: 400 });
+    expect(limiter.hit('b', 600).allowed).toBe(true);
+    // The first hit has left the window
+    expect(limiter.hit('a', 1001).allowed).toBe(true);
+  });
+});
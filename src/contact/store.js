@@ -0,0 +1,55 @@
+/**
+ * MESSAGE STORE MODULE
+ * ====================
+ *
+ * Keeps a record of every accepted contact message, so nothing is lost when
+ * the mail server is down and there is a history independent of the inbox.
+ *
+ * PURPOSE:
+ * - Save each message as one JSON file before it is mailed
+ * - Record the delivery outcome (sent / failed) on the same file
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Node only (fs); never imported by the browser bundle
+ * - Any object with async save(record) -> id and update(id, changes) can
+ *   replace this store in createContactHandler (e.g. a database)
+ * - The directory comes from CONTACT_STORE_DIR; serverless platforms only
+ *   allow writing to the temporary directory, which does not survive
+ *   redeploys, so production setups should point it at persistent storage
+ *
+ * EXPORTS:
+ * - DEFAULT_STORE_DIR: Fallback directory in the OS temporary directory
+ * - createFileMessageStore: File-per-message store
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+export const DEFAULT_STORE_DIR = path.join(os.tmpdir(), 'chainlair-messages');
+
+/**
+ * Creates a store writing one JSON file per message.
+ *
+ * Ids start with the receive time, so a directory listing is chronological.
+ *
+ * @param {string} [directory=DEFAULT_STORE_DIR] - Directory for the message files
+ * @returns {{save: function(Object): Promise<string>, update: function(string, Object): Promise<void>, read: function(string): Promise<Object>}} Store
+ */
+export const createFileMessageStore = (directory = DEFAULT_STORE_DIR) => {
+  const fileOf = (id) => path.join(directory, `${id}.json`);
+  const read = async (id) => JSON.parse(await fs.readFile(fileOf(id), 'utf8'));
+  const write = (id, record) => fs.writeFile(fileOf(id), `${JSON.stringify(record, null, 2)}\n`);
+
+  return {
+    save: async (record) => {
+      await fs.mkdir(directory, { recursive: true });
+      const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomBytes(4).toString('hex')}`;
+      await write(id, { id, ...record });
+      return id;
+    },
+    update: async (id, changes) => write(id, { ...(await read(id)), ...changes }),
+    read
+  };
+};
@@ -0,0 +1,679 @@
+/**
+ * CATALOG LOADER MODULE
+ * =====================
+ *
+ * Loads the versioned catalog source (catalog.json), validates every work against
+ * the catalog schema and normalizes it into the shape the rest of the application
+ * consumes through works.js.
+ *
+ * PURPOSE:
+ * - Keep the catalog content in a plain, versioned data file instead of code
+ * - Catch authoring mistakes (typos, duplicate ids, wrong types) before they ship
+ * - Normalize loose values (string booleans, "147 grams") into typed values
+ * - Report every problem at once with the exact field that caused it
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Pure functions with no React or DOM dependency (usable from api/ handlers)
+ * - Small hand-written field readers that collect errors instead of throwing early
+ * - A work lists either `media` (typed items) or `images` (a shorthand for a
+ *   list of image-only media)
+ * - A single CatalogValidationError thrown at the end listing all failures
+ *
+ * NORMALIZED WORK SHAPE:
+ * - id, slug, title, description, shortDescription, category, featured
+ * - media: Typed media list (images, looping videos, 360° turntables; see media.js)
+ * - images: Still image of every media item (posters), for image-only consumers
+ * - dateAdded: ISO date (YYYY-MM-DD) the work was published on the site (feed order)
+ * - lastModified: ISO date (YYYY-MM-DD) of the last content change (sitemap lastmod)
+ * - specs: Typed specifications (materials array, numeric weight/dimensions with units)
+ * - details: Display strings derived from specs (rendered by ProductDetail)
+ * - availability: Sale status (for sale, made to order, sold, display only)
+ * - price: Optional { amount, currency } for works that can be bought or ordered
+ * - variants: Option groups a buyer can choose from (ring metal, length, lining),
+ *   each option with an optional price difference
+ *
+ * EXPORTS:
+ * - CATALOG_SCHEMA_VERSION: Schema version this loader understands
+ * - WORK_CATEGORIES: Allowed category values
+ * - AVAILABILITY_STATUSES / AVAILABILITY_LABELS / DEFAULT_AVAILABILITY: Sale statuses
+ * - CatalogValidationError: Error thrown when the source does not match the schema
+ * - loadCatalog: Validates and normalizes a catalog source object
+ * - slugify: Derives a URL slug from a title
+ * - formatWeight / formatDimensions: Display helpers for typed specs
+ * - formatPrice / formatVariantOption / getVariantPrice: Display helpers for prices
+ */
+
+import { MEDIA_TYPES, getMediaPoster } from './media.js';
+
+// =============================================================================
+// SCHEMA CONSTANTS
+// =============================================================================
+// Version of the catalog.json format understood by this loader
+// Bump together with the source file whenever the schema changes shape
+// 2: media, dateAdded/lastModified, availability/price/variants
+export const CATALOG_SCHEMA_VERSION = 2;
+
+// Allowed category values, used by Gallery filtering
+export const WORK_CATEGORIES = ['jewelry', 'art'];
+
+// Sale statuses, in the order the Gallery lists them
+// - for-sale: This piece can be bought
+// - made-to-order: A new one is made for each buyer (price is the starting price)
+// - sold: No longer available
+// - display-only: Part of the portfolio, not for sale
+export const AVAILABILITY_STATUSES = ['for-sale', 'made-to-order', 'sold', 'display-only'];
+export const AVAILABILITY_LABELS = {
+  'for-sale': 'For sale',
+  'made-to-order': 'Made to order',
+  sold: 'Sold',
+  'display-only': 'Display only'
+};
+
+// Works without an availability are portfolio pieces
+export const DEFAULT_AVAILABILITY = 'display-only';
+
+// Only these statuses can carry a price (and priced variant options)
+const PRICED_AVAILABILITY = ['for-sale', 'made-to-order'];
+
+// ISO 4217 currency codes ("USD", "EUR")
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Product URL slugs: lowercase words separated by single dashes, at least one letter
+// (purely numeric slugs would be mistaken for legacy numeric ids)
+const SLUG_PATTERN = /^(?=[a-z0-9-]*[a-z])[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Supported weight units and how they are displayed
+const WEIGHT_UNITS = {
+  g: 'grams',
+  kg: 'kg'
+};
+
+// Supported dimension units and how they are displayed
+const DIMENSION_UNITS = {
+  mm: 'mm',
+  cm: 'cm',
+  m: 'm',
+  cm3: 'cm³'
+};
+
+// Fields allowed on a work entry and on its specs object
+// Anything else is reported so misspelled keys do not silently disappear
+const WORK_FIELDS = ['id', 'slug', 'title', 'description', 'shortDescription', 'images', 'media', 'specs', 'category', 'featured', 'dateAdded', 'lastModified', 'availability', 'price', 'variants'];
+const SPEC_FIELDS = ['materials', 'dimensions', 'weight', 'weaveType', 'closureType', 'yearCreated'];
+
+// Fields allowed on each media item type
+const MEDIA_FIELDS = {
+  image: ['type', 'src'],
+  video: ['type', 'src', 'poster'],
+  turntable: ['type', 'frames', 'poster']
+};
+
+// A turntable needs enough frames to suggest rotation
+const MIN_TURNTABLE_FRAMES = 8;
+
+// =============================================================================
+// VALIDATION ERROR
+// =============================================================================
+/**
+ * CatalogValidationError
+ *
+ * Thrown by loadCatalog when the source does not match the schema.
+ * The message lists one line per failing field; the same data is available
+ * as structured { path, message } objects on the `errors` property.
+ */
+export class CatalogValidationError extends Error {
+  constructor(errors) {
+    const lines = errors.map(error => `  - ${error.path}: ${error.message}`);
+    super(`Invalid catalog (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${lines.join('\n')}`);
+    this.name = 'CatalogValidationError';
+    this.errors = errors;
+  }
+}
+
+// =============================================================================
+// FIELD READERS
+// =============================================================================
+// Each reader validates one value, pushes { path, message } entries into the
+// shared errors array when something is wrong, and returns the normalized value
+// (or undefined). Collecting instead of throwing lets a single run report every
+// problem in the catalog.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const readString = (value, path, errors, { required = true } = {}) => {
+  if (value === undefined || value === null) {
+    if (required) errors.push({ path, message: 'is required' });
+    return undefined;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push({ path, message: 'expected a non-empty string' });
+    return undefined;
+  }
+  return value.trim();
+};
+
+const readInteger = (value, path, errors, { min = -Infinity, max = Infinity } = {}) => {
+  // Accept digit-only strings ("2022") from hand-edited sources
+  const number = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+  if (!Number.isInteger(number)) {
+    errors.push({ path, message: `expected an integer, got ${JSON.stringify(value)}` });
+    return undefined;
+  }
+  if (number < min || number > max) {
+    errors.push({ path, message: `expected a value between ${min} and ${max}, got ${number}` });
+    return undefined;
+  }
+  return number;
+};
+
+const readPositiveNumber = (value, path, errors) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    errors.push({ path, message: `expected a positive number, got ${JSON.stringify(value)}` });
+    return undefined;
+  }
+  return value;
+};
+
+const readBoolean = (value, path, errors) => {
+  // Older sources stored flags as the strings "true" / "false"
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false' || value === undefined) return false;
+  errors.push({ path, message: `expected a boolean, got ${JSON.stringify(value)}` });
+  return undefined;
+};
+
+const readEnum = (value, allowed, path, errors) => {
+  if (!allowed.includes(value)) {
+    errors.push({ path, message: `expected one of ${allowed.join(', ')}, got ${JSON.stringify(value)}` });
+    return undefined;
+  }
+  return value;
+};
+
+const readStringList = (value, path, errors) => {
+  // A comma separated string ("Stainless Steel, Velvet") is split into a list
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push({ path, message: 'expected a non-empty list of strings' });
+    return undefined;
+  }
+  const items = list.map((item, index) => readString(item, `${path}[${index}]`, errors));
+  return items.every(item => item !== undefined) ? items : undefined;
+};
+
+const readUrl = (value, path, errors) => {
+  if (typeof value !== 'string' || !/^(https?:\/\/|\/)/.test(value)) {
+    errors.push({ path, message: `expected an absolute URL or root-relative path, got ${JSON.stringify(value)}` });
+    return undefined;
+  }
+  return value;
+};
+
+const readUrlList = (value, path, errors) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push({ path, message: 'expected a non-empty list of image URLs' });
+    return undefined;
+  }
+  const urls = value.map((url, index) => readUrl(url, `${path}[${index}]`, errors));
+  return urls.every(url => url !== undefined) ? urls : undefined;
+};
+
+const readIsoDate = (value, path, errors) => {
+  // Calendar dates only ("2024-03-01"); round-tripping through Date rejects 2024-02-30
+  const isValid = typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && !Number.isNaN(Date.parse(value))
+    && new Date(value).toISOString().startsWith(value);
+  if (!isValid) {
+    errors.push({ path, message: `expected a date in YYYY-MM-DD format, got ${JSON.stringify(value)}` });
+    return undefined;
+  }
+  return value;
+};
+
+const readUnknownKeys = (object, allowed, path, errors) => {
+  Object.keys(object)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push({ path: `${path}.${key}`, message: 'is not a known field' }));
+};
+
+// =============================================================================
+// MEASUREMENT READERS
+// =============================================================================
+
+// Parses weights such as { value: 147, unit: "g" } or the legacy "147 grams"
+const readWeight = (value, path, errors) => {
+  let weight = value;
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(g|grams?|kg|kilograms?)$/i);
+    if (!match) {
+      errors.push({ path, message: `could not parse weight ${JSON.stringify(value)} (expected e.g. "147 g")` });
+      return undefined;
+    }
+    weight = { value: Number(match[1]), unit: match[2].toLowerCase().startsWith('k') ? 'kg' : 'g' };
+  }
+  if (!isPlainObject(weight)) {
+    errors.push({ path, message: 'expected { value, unit }' });
+    return undefined;
+  }
+  const amount = readPositiveNumber(weight.value, `${path}.value`, errors);
+  const unit = readEnum(weight.unit, Object.keys(WEIGHT_UNITS), `${path}.unit`, errors);
+  return amount !== undefined && unit !== undefined ? { value: amount, unit } : undefined;
+};
+
+// Parses a list of labelled measurements, e.g. [{ label: "Case", values: [30, 25], unit: "cm" }]
+const readDimensions = (value, path, errors) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push({ path, message: 'expected a non-empty list of { values, unit } measurements' });
+    return undefined;
+  }
+  const dimensions = value.map((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!isPlainObject(entry)) {
+      errors.push({ path: entryPath, message: 'expected { values, unit } measurement' });
+      return undefined;
+    }
+    readUnknownKeys(entry, ['label', 'values', 'unit', 'note'], entryPath, errors);
+
+    let values;
+    if (!Array.isArray(entry.values) || entry.values.length === 0 || entry.values.length > 3) {
+      errors.push({ path: `${entryPath}.values`, message: 'expected 1 to 3 numbers' });
+    } else {
+      values = entry.values.map((number, valueIndex) => readPositiveNumber(number, `${entryPath}.values[${valueIndex}]`, errors));
+    }
+
+    const measurement = {
+      label: readString(entry.label, `${entryPath}.label`, errors, { required: false }),
+      values,
+      unit: readEnum(entry.unit, Object.keys(DIMENSION_UNITS), `${entryPath}.unit`, errors),
+      note: readString(entry.note, `${entryPath}.note`, errors, { required: false })
+    };
+    const isValid = values && values.every(number => number !== undefined) && measurement.unit !== undefined;
+    return isValid ? measurement : undefined;
+  });
+  return dimensions.every(entry => entry !== undefined) ? dimensions : undefined;
+};
+
+// =============================================================================
+// MEDIA READERS
+// =============================================================================
+
+// Reads one typed media item, e.g. { type: "video", src: "/media/drape.mp4", poster: "/media/drape.jpg" }
+const readMediaItem = (value, path, errors) => {
+  if (!isPlainObject(value)) {
+    errors.push({ path, message: 'expected a media item { type, ... }' });
+    return undefined;
+  }
+  const type = readEnum(value.type, MEDIA_TYPES, `${path}.type`, errors);
+  if (type === undefined) return undefined;
+  readUnknownKeys(value, MEDIA_FIELDS[type], path, errors);
+
+  if (type === 'image') {
+    const src = readUrl(value.src, `${path}.src`, errors);
+    return src !== undefined ? { type, src } : undefined;
+  }
+
+  if (type === 'video') {
+    const src = readUrl(value.src, `${path}.src`, errors);
+    // Required: the poster stands in for the clip wherever only a picture fits
+    const poster = readUrl(value.poster, `${path}.poster`, errors);
+    return src !== undefined && poster !== undefined ? { type, src, poster } : undefined;
+  }
+
+  const frames = readUrlList(value.frames, `${path}.frames`, errors);
+  if (frames !== undefined && frames.length < MIN_TURNTABLE_FRAMES) {
+    errors.push({ path: `${path}.frames`, message: `expected at least ${MIN_TURNTABLE_FRAMES} frames, got ${frames.length}` });
+    return undefined;
+  }
+  const poster = value.poster === undefined ? frames && frames[0] : readUrl(value.poster, `${path}.poster`, errors);
+  return frames !== undefined && poster !== undefined ? { type, frames, poster } : undefined;
+};
+
+// Reads the work's media list, or converts the `images` shorthand into image items
+const readMedia = (raw, path, errors) => {
+  if (raw.media !== undefined && raw.images !== undefined) {
+    errors.push({ path: `${path}.images`, message: 'use either "images" or "media", not both' });
+    return undefined;
+  }
+
+  if (raw.media === undefined) {
+    const images = readUrlList(raw.images, `${path}.images`, errors);
+    return images && images.map(src => ({ type: 'image', src }));
+  }
+
+  if (!Array.isArray(raw.media) || raw.media.length === 0) {
+    errors.push({ path: `${path}.media`, message: 'expected a non-empty list of media items' });
+    return undefined;
+  }
+  const media = raw.media.map((item, index) => readMediaItem(item, `${path}.media[${index}]`, errors));
+  return media.every(item => item !== undefined) ? media : undefined;
+};
+
+// =============================================================================
+// SALE READERS
+// =============================================================================
+
+// Parses a price such as { amount: 180, currency: "USD" }
+const readPrice = (value, path, errors) => {
+  if (!isPlainObject(value)) {
+    errors.push({ path, message: 'expected { amount, currency }' });
+    return undefined;
+  }
+  readUnknownKeys(value, ['amount', 'currency'], path, errors);
+  const amount = readPositiveNumber(value.amount, `${path}.amount`, errors);
+  let currency;
+  if (typeof value.currency !== 'string' || !CURRENCY_PATTERN.test(value.currency)) {
+    errors.push({ path: `${path}.currency`, message: `expected a three-letter currency code such as "USD", got ${JSON.stringify(value.currency)}` });
+  } else {
+    currency = value.currency;
+  }
+  return amount !== undefined && currency !== undefined ? { amount, currency } : undefined;
+};
+
+// Parses one variant option: "Black velvet" or { label: "Suede", priceDelta: 10 }
+const readVariantOption = (value, path, errors) => {
+  if (typeof value === 'string') {
+    const label = readString(value, path, errors);
+    return label !== undefined ? { label, priceDelta: 0 } : undefined;
+  }
+  if (!isPlainObject(value)) {
+    errors.push({ path, message: 'expected an option label or { label, priceDelta }' });
+    return undefined;
+  }
+  readUnknownKeys(value, ['label', 'priceDelta'], path, errors);
+  const label = readString(value.label, `${path}.label`, errors);
+  let priceDelta = 0;
+  if (value.priceDelta !== undefined) {
+    if (typeof value.priceDelta !== 'number' || !Number.isFinite(value.priceDelta)) {
+      errors.push({ path: `${path}.priceDelta`, message: `expected a number, got ${JSON.stringify(value.priceDelta)}` });
+      return undefined;
+    }
+    priceDelta = value.priceDelta;
+  }
+  return label !== undefined ? { label, priceDelta } : undefined;
+};
+
+// Parses option groups, e.g. [{ name: "Lining", options: ["Black velvet", { label: "Suede", priceDelta: 10 }] }]
+const readVariants = (value, path, errors) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    errors.push({ path, message: 'expected a list of { name, options } variants' });
+    return undefined;
+  }
+  const seenNames = new Set();
+  const variants = value.map((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!isPlainObject(entry)) {
+      errors.push({ path: entryPath, message: 'expected { name, options } variant' });
+      return undefined;
+    }
+    readUnknownKeys(entry, ['name', 'options'], entryPath, errors);
+    const name = readString(entry.name, `${entryPath}.name`, errors);
+    if (name !== undefined && seenNames.has(name.toLowerCase())) {
+      errors.push({ path: `${entryPath}.name`, message: `duplicate variant "${name}"` });
+      return undefined;
+    }
+    if (name !== undefined) seenNames.add(name.toLowerCase());
+
+    // At least two options, otherwise there is nothing to choose
+    if (!Array.isArray(entry.options) || entry.options.length < 2) {
+      errors.push({ path: `${entryPath}.options`, message: 'expected a list of at least 2 options' });
+      return undefined;
+    }
+    const options = entry.options.map((option, optionIndex) => readVariantOption(option, `${entryPath}.options[${optionIndex}]`, errors));
+    if (!options.every(option => option !== undefined)) return undefined;
+    const labels = options.map(option => option.label.toLowerCase());
+    const duplicate = labels.find((label, labelIndex) => labels.indexOf(label) !== labelIndex);
+    if (duplicate !== undefined) {
+      errors.push({ path: `${entryPath}.options`, message: `duplicate option "${options[labels.indexOf(duplicate)].label}"` });
+      return undefined;
+    }
+    return name !== undefined ? { name, options } : undefined;
+  });
+  return variants.every(variant => variant !== undefined) ? variants : undefined;
+};
+
+// Reads availability, price and variants, and checks they fit together
+const readSale = (raw, path, errors) => {
+  const availability = raw.availability === undefined
+    ? DEFAULT_AVAILABILITY
+    : readEnum(raw.availability, AVAILABILITY_STATUSES, `${path}.availability`, errors);
+  const price = raw.price === undefined ? undefined : readPrice(raw.price, `${path}.price`, errors);
+  const variants = readVariants(raw.variants, `${path}.variants`, errors);
+
+  if (raw.price !== undefined && availability !== undefined && !PRICED_AVAILABILITY.includes(availability)) {
+    errors.push({ path: `${path}.price`, message: `only ${PRICED_AVAILABILITY.join(' and ')} works have a price (availability is ${availability})` });
+  }
+  // A price difference needs a base price to apply to
+  if (raw.price === undefined && variants && variants.some(variant => variant.options.some(option => option.priceDelta !== 0))) {
+    errors.push({ path: `${path}.variants`, message: 'option price differences need a work price' });
+  }
+
+  const sale = { availability, variants };
+  if (price !== undefined) sale.price = price;
+  return sale;
+};
+
+// =============================================================================
+// SLUGS
+// =============================================================================
+
+/**
+ * Derives a URL slug from a title, e.g. "European 4-in-1 Book Bag" -> "european-4-in-1-book-bag"
+ *
+ * @param {string} title - Work title
+ * @returns {string} Lowercase, dash separated slug (accents stripped)
+ */
+export const slugify = (title) => title
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Uses the explicit slug when the entry pins one (so retitling a piece keeps its
+// URL), otherwise derives it from the title
+const readSlug = (raw, title, path, errors) => {
+  const explicit = readString(raw.slug, `${path}.slug`, errors, { required: false });
+  const slug = explicit !== undefined ? explicit : title !== undefined ? slugify(title) : undefined;
+  if (slug === undefined) return undefined;
+  if (!SLUG_PATTERN.test(slug)) {
+    errors.push({ path: `${path}.slug`, message: `${JSON.stringify(slug)} is not a valid slug (lowercase letters, digits and dashes)` });
+    return undefined;
+  }
+  return slug;
+};
+
+// =============================================================================
+// DISPLAY FORMATTERS
+// =============================================================================
+
+/**
+ * Formats a typed weight for display, e.g. { value: 147, unit: "g" } -> "147 grams"
+ *
+ * @param {{value: number, unit: string}} weight - Normalized weight
+ * @returns {string} Human readable weight
+ */
+export const formatWeight = (weight) => `${weight.value} ${WEIGHT_UNITS[weight.unit]}`;
+
+/**
+ * Formats typed dimensions for display, e.g. "Case: 30 x 25 cm. Strap: 55 cm"
+ *
+ * @param {Array<Object>} dimensions - Normalized measurement list
+ * @returns {string} Human readable dimensions
+ */
+export const formatDimensions = (dimensions) => dimensions
+  .map(({ label, values, unit, note }) => {
+    const measurement = `${values.join(' x ')} ${DIMENSION_UNITS[unit]}`;
+    return `${label ? `${label}: ` : ''}${measurement}${note ? `, ${note}` : ''}`;
+  })
+  .join('. ');
+
+/**
+ * Formats a price for display, e.g. { amount: 180, currency: "USD" } -> "$180.00"
+ *
+ * @param {{amount: number, currency: string}} price - Normalized price
+ * @returns {string} Localized currency amount
+ */
+export const formatPrice = ({ amount, currency }) => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+/**
+ * Formats a variant option for display, e.g. "Suede (+$10.00)"
+ *
+ * @param {{label: string, priceDelta: number}} option - Normalized option
+ * @param {{amount: number, currency: string}} [price] - Work price (gives the difference its currency)
+ * @returns {string} Option label with its price difference, if any
+ */
+export const formatVariantOption = (option, price) => {
+  if (!price || option.priceDelta === 0) return option.label;
+  const sign = option.priceDelta > 0 ? '+' : '-';
+  return `${option.label} (${sign}${formatPrice({ amount: Math.abs(option.priceDelta), currency: price.currency })})`;
+};
+
+/**
+ * Computes the price of a work with the chosen options.
+ *
+ * @param {Object} work - Normalized work
+ * @param {Object<string, string>} selection - Chosen option label per variant name (missing: first option)
+ * @returns {{amount: number, currency: string}|undefined} Price, or undefined when the work has none
+ */
+export const getVariantPrice = (work, selection = {}) => {
+  if (!work.price) return undefined;
+  const amount = work.variants.reduce((total, variant) => {
+    const option = variant.options.find(item => item.label === selection[variant.name]) || variant.options[0];
+    return total + option.priceDelta;
+  }, work.price.amount);
+  return { amount, currency: work.price.currency };
+};
+
+// =============================================================================
+// WORK NORMALIZATION
+// =============================================================================
+
+const normalizeSpecs = (specs, path, errors) => {
+  if (!isPlainObject(specs)) {
+    errors.push({ path, message: 'is required' });
+    return undefined;
+  }
+  readUnknownKeys(specs, SPEC_FIELDS, path, errors);
+
+  const normalized = {
+    materials: readStringList(specs.materials, `${path}.materials`, errors),
+    dimensions: readDimensions(specs.dimensions, `${path}.dimensions`, errors),
+    weight: readWeight(specs.weight, `${path}.weight`, errors),
+    weaveType: readString(specs.weaveType, `${path}.weaveType`, errors),
+    yearCreated: readInteger(specs.yearCreated, `${path}.yearCreated`, errors, { min: 1900, max: 2100 })
+  };
+  const closureType = readString(specs.closureType, `${path}.closureType`, errors, { required: false });
+  if (closureType !== undefined) normalized.closureType = closureType;
+  return normalized;
+};
+
+// Builds the display-only details object from typed specs
+// Key order matches how ProductDetail lists them
+const buildDetails = (specs) => {
+  const details = {
+    materials: specs.materials.join(', '),
+    dimensions: formatDimensions(specs.dimensions),
+    weight: formatWeight(specs.weight),
+    weaveType: specs.weaveType
+  };
+  if (specs.closureType) details.closureType = specs.closureType;
+  details.yearCreated = String(specs.yearCreated);
+  return details;
+};
+
+const normalizeWork = (raw, path, errors) => {
+  if (!isPlainObject(raw)) {
+    errors.push({ path, message: 'expected a work object' });
+    return undefined;
+  }
+  readUnknownKeys(raw, WORK_FIELDS, path, errors);
+
+  const title = readString(raw.title, `${path}.title`, errors);
+  const work = {
+    id: readInteger(raw.id, `${path}.id`, errors, { min: 1 }),
+    slug: readSlug(raw, title, path, errors),
+    title,
+    description: readString(raw.description, `${path}.description`, errors),
+    shortDescription: readString(raw.shortDescription, `${path}.shortDescription`, errors),
+    media: readMedia(raw, path, errors),
+    specs: normalizeSpecs(raw.specs, `${path}.specs`, errors),
+    category: readEnum(raw.category, WORK_CATEGORIES, `${path}.category`, errors),
+    featured: readBoolean(raw.featured, `${path}.featured`, errors),
+    dateAdded: readIsoDate(raw.dateAdded, `${path}.dateAdded`, errors),
+    lastModified: readIsoDate(raw.lastModified, `${path}.lastModified`, errors),
+    ...readSale(raw, path, errors)
+  };
+
+  // Still images for consumers that can only show pictures (SEO, feeds, sitemaps)
+  work.images = work.media && work.media.map(getMediaPoster);
+
+  // ISO dates compare correctly as strings
+  if (work.dateAdded && work.lastModified && work.lastModified < work.dateAdded) {
+    errors.push({ path: `${path}.lastModified`, message: `must not be earlier than dateAdded (${work.dateAdded})` });
+  }
+  return work;
+};
+
+// =============================================================================
+// CATALOG LOADER
+// =============================================================================
+
+/**
+ * Validates and normalizes a catalog source object.
+ *
+ * @param {Object} source - Parsed catalog file ({ schemaVersion, works })
+ * @returns {Array<Object>} Normalized works, in source order
+ * @throws {CatalogValidationError} When any entry fails validation
+ */
+export const loadCatalog = (source) => {
+  const errors = [];
+
+  if (!isPlainObject(source)) {
+    throw new CatalogValidationError([{ path: 'catalog', message: 'expected an object with schemaVersion and works' }]);
+  }
+  if (source.schemaVersion !== CATALOG_SCHEMA_VERSION) {
+    errors.push({
+      path: 'schemaVersion',
+      message: `expected ${CATALOG_SCHEMA_VERSION}, got ${JSON.stringify(source.schemaVersion)}`
+    });
+  }
+  if (!Array.isArray(source.works)) {
+    errors.push({ path: 'works', message: 'expected a list of works' });
+    throw new CatalogValidationError(errors);
+  }
+
+  const works = source.works.map((raw, index) => normalizeWork(raw, `works[${index}]`, errors));
+
+  // Ids are used in URLs and lookups, so they must be unique across the catalog
+  const seenIds = new Map();
+  works.forEach((work, index) => {
+    if (!work || work.id === undefined) return;
+    if (seenIds.has(work.id)) {
+      errors.push({ path: `works[${index}].id`, message: `duplicate id ${work.id} (already used by works[${seenIds.get(work.id)}])` });
+    } else {
+      seenIds.set(work.id, index);
+    }
+  });
+
+  // Slugs are the public product URLs, so two works may never resolve to the same one
+  const seenSlugs = new Map();
+  works.forEach((work, index) => {
+    if (!work || work.slug === undefined) return;
+    if (seenSlugs.has(work.slug)) {
+      errors.push({
+        path: `works[${index}].slug`,
+        message: `slug "${work.slug}" collides with works[${seenSlugs.get(work.slug)}] (set an explicit "slug" on one of them)`
+      });
+    } else {
+      seenSlugs.set(work.slug, index);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new CatalogValidationError(errors);
+  }
+
+  return works.map(work => ({ ...work, details: buildDetails(work.specs) }));
+};
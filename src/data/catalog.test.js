@@ -0,0 +1,289 @@
+import catalogSource from './catalog.json';
+import {
+  loadCatalog,
+  CatalogValidationError,
+  CATALOG_SCHEMA_VERSION,
+  slugify,
+  formatPrice,
+  formatVariantOption,
+  getVariantPrice
+} from './catalog';
+import { allWorks, featuredWorks, getWorkById, getWorkBySlug, getWorkPath } from './works';
+
+// Minimal valid work used as a base for the failure cases below
+const validWork = (overrides = {}) => ({
+  id: 1,
+  title: 'Test Piece',
+  description: 'A test piece',
+  shortDescription: 'Test',
+  images: ['https://example.com/a.jpg'],
+  specs: {
+    materials: ['Stainless Steel'],
+    dimensions: [{ values: [10, 20], unit: 'cm' }],
+    weight: { value: 100, unit: 'g' },
+    weaveType: 'European 4 in 1',
+    yearCreated: 2020
+  },
+  category: 'jewelry',
+  featured: true,
+  dateAdded: '2024-01-15',
+  lastModified: '2024-01-15',
+  ...overrides
+});
+
+const catalogOf = (...works) => ({ schemaVersion: CATALOG_SCHEMA_VERSION, works });
+
+// Runs the loader and returns the reported { path, message } errors
+const errorsFor = (source) => {
+  try {
+    loadCatalog(source);
+  } catch (error) {
+    expect(error).toBeInstanceOf(CatalogValidationError);
+    return error.errors;
+  }
+  throw new Error('expected the catalog to be rejected');
+};
+
+describe('catalog.json', () => {
+  test('passes schema validation', () => {
+    expect(() => loadCatalog(catalogSource)).not.toThrow();
+  });
+
+  test('keeps the works.js exports working', () => {
+    expect(allWorks).toHaveLength(catalogSource.works.length);
+    expect(featuredWorks.every(work => work.featured === true)).toBe(true);
+    expect(getWorkById('2').title).toBe('European 4-in-1 Book Bag');
+    expect(getWorkById(999)).toBeUndefined();
+  });
+
+  test('gives every work a slug URL', () => {
+    expect(getWorkBySlug('pyramid-lamp').id).toBe(1);
+    expect(getWorkPath(getWorkById(2))).toBe('/product/european-4-in-1-book-bag');
+    expect(getWorkBySlug('1')).toBeUndefined();
+  });
+});
+
+describe('slugs', () => {
+  test('slugify strips accents and punctuation', () => {
+    expect(slugify('V-Cut Coif')).toBe('v-cut-coif');
+    expect(slugify('  Collar de Morán!  ')).toBe('collar-de-moran');
+  });
+
+  test('an explicit slug overrides the title', () => {
+    const [work] = loadCatalog(catalogOf(validWork({ slug: 'old-name' })));
+    expect(work.slug).toBe('old-name');
+  });
+
+  test('reports slug collisions', () => {
+    const errors = errorsFor(catalogOf(validWork({ title: 'Dice Bag' }), validWork({ id: 2, title: 'Dice  Bag!' })));
+    expect(errors).toEqual([{
+      path: 'works[1].slug',
+      message: 'slug "dice-bag" collides with works[0] (set an explicit "slug" on one of them)'
+    }]);
+  });
+
+  test('rejects slugs that look like numeric ids', () => {
+    expect(errorsFor(catalogOf(validWork({ slug: '2013' })))[0].path).toBe('works[0].slug');
+  });
+});
+
+describe('loadCatalog normalization', () => {
+  test('derives display details from typed specs', () => {
+    const [work] = loadCatalog(catalogOf(validWork({
+      specs: {
+        materials: ['Stainless Steel', 'Velvet'],
+        dimensions: [
+          { label: 'Case', values: [30, 25], unit: 'cm' },
+          { label: 'Strap', values: [55], unit: 'cm', note: 'adjustable' }
+        ],
+        weight: { value: 350, unit: 'g' },
+        weaveType: 'European 4 in 1',
+        closureType: 'Magnetic',
+        yearCreated: 2013
+      }
+    })));
+
+    expect(work.details).toEqual({
+      materials: 'Stainless Steel, Velvet',
+      dimensions: 'Case: 30 x 25 cm. Strap: 55 cm, adjustable',
+      weight: '350 grams',
+      weaveType: 'European 4 in 1',
+      closureType: 'Magnetic',
+      yearCreated: '2013'
+    });
+  });
+
+  test('coerces legacy string values', () => {
+    const [work] = loadCatalog(catalogOf(validWork({
+      featured: 'true',
+      specs: { ...validWork().specs, materials: 'Galvanized Steel, Velvet', weight: '147 grams', yearCreated: '2022' }
+    })));
+
+    expect(work.featured).toBe(true);
+    expect(work.specs.materials).toEqual(['Galvanized Steel', 'Velvet']);
+    expect(work.specs.weight).toEqual({ value: 147, unit: 'g' });
+    expect(work.specs.yearCreated).toBe(2022);
+  });
+});
+
+describe('loadCatalog sale data', () => {
+  const lining = { name: 'Lining', options: ['Black Velvet', { label: 'Suede', priceDelta: 10 }] };
+
+  test('defaults to a display-only work without price or variants', () => {
+    const [work] = loadCatalog(catalogOf(validWork()));
+    expect(work.availability).toBe('display-only');
+    expect(work.price).toBeUndefined();
+    expect(work.variants).toEqual([]);
+  });
+
+  test('normalizes price and variant options', () => {
+    const [work] = loadCatalog(catalogOf(validWork({
+      availability: 'made-to-order',
+      price: { amount: 45, currency: 'USD' },
+      variants: [lining]
+    })));
+
+    expect(work.price).toEqual({ amount: 45, currency: 'USD' });
+    expect(work.variants).toEqual([{
+      name: 'Lining',
+      options: [{ label: 'Black Velvet', priceDelta: 0 }, { label: 'Suede', priceDelta: 10 }]
+    }]);
+    expect(getVariantPrice(work, {})).toEqual({ amount: 45, currency: 'USD' });
+    expect(getVariantPrice(work, { Lining: 'Suede' })).toEqual({ amount: 55, currency: 'USD' });
+  });
+
+  test('formats prices and price differences', () => {
+    expect(formatPrice({ amount: 1250, currency: 'USD' })).toBe('$1,250.00');
+    expect(formatVariantOption({ label: 'Suede', priceDelta: 10 }, { amount: 45, currency: 'EUR' })).toBe('Suede (+€10.00)');
+    expect(formatVariantOption({ label: 'Plain', priceDelta: -5 }, { amount: 45, currency: 'USD' })).toBe('Plain (-$5.00)');
+    expect(formatVariantOption({ label: 'Black Velvet', priceDelta: 0 }, { amount: 45, currency: 'USD' })).toBe('Black Velvet');
+  });
+
+  test('reports invalid sale fields with their path', () => {
+    const errors = errorsFor(catalogOf(validWork({
+      availability: 'reserved',
+      price: { amount: 0, currency: 'usd' },
+      variants: [
+        { name: 'Length', options: ['45 cm'] },
+        { name: 'Lining', options: ['Suede', 'suede'] }
+      ]
+    })));
+
+    expect(errors.map(error => error.path)).toEqual([
+      'works[0].availability',
+      'works[0].price.amount',
+      'works[0].price.currency',
+      'works[0].variants[0].options',
+      'works[0].variants[1].options'
+    ]);
+  });
+
+  test('only lets works that can be bought carry prices', () => {
+    expect(errorsFor(catalogOf(validWork({ availability: 'sold', price: { amount: 45, currency: 'USD' } })))).toEqual([
+      { path: 'works[0].price', message: 'only for-sale and made-to-order works have a price (availability is sold)' }
+    ]);
+    expect(errorsFor(catalogOf(validWork({ availability: 'for-sale', variants: [lining] })))).toEqual([
+      { path: 'works[0].variants', message: 'option price differences need a work price' }
+    ]);
+  });
+});
+
+const frames = (count) => Array.from({ length: count }, (_, index) => `/media/spin-${index}.jpg`);
+
+describe('loadCatalog media', () => {
+  test('turns the images shorthand into image media', () => {
+    const [work] = loadCatalog(catalogOf(validWork()));
+    expect(work.media).toEqual([{ type: 'image', src: 'https://example.com/a.jpg' }]);
+    expect(work.images).toEqual(['https://example.com/a.jpg']);
+  });
+
+  test('normalizes typed media and derives still images from posters', () => {
+    const [work] = loadCatalog(catalogOf(validWork({
+      images: undefined,
+      media: [
+        { type: 'video', src: '/media/drape.mp4', poster: '/media/drape.jpg' },
+        { type: 'turntable', frames: frames(12) },
+        { type: 'image', src: '/media/detail.jpg' }
+      ]
+    })));
+
+    expect(work.media[1]).toEqual({ type: 'turntable', frames: frames(12), poster: '/media/spin-0.jpg' });
+    expect(work.images).toEqual(['/media/drape.jpg', '/media/spin-0.jpg', '/media/detail.jpg']);
+  });
+
+  test('reports invalid media items with their path', () => {
+    const errors = errorsFor(catalogOf(validWork({
+      images: undefined,
+      media: [
+        { type: 'video', src: '/media/drape.mp4' },
+        { type: 'turntable', frames: frames(3) },
+        { type: 'audio', src: '/media/clink.mp3' },
+        { type: 'image', src: '/media/a.jpg', caption: 'Detail' }
+      ]
+    })));
+
+    expect(errors).toEqual([
+      { path: 'works[0].media[0].poster', message: 'expected an absolute URL or root-relative path, got undefined' },
+      { path: 'works[0].media[1].frames', message: 'expected at least 8 frames, got 3' },
+      { path: 'works[0].media[2].type', message: 'expected one of image, video, turntable, got "audio"' },
+      { path: 'works[0].media[3].caption', message: 'is not a known field' }
+    ]);
+  });
+
+  test('rejects works listing both images and media', () => {
+    expect(errorsFor(catalogOf(validWork({ media: [{ type: 'image', src: '/a.jpg' }] })))).toEqual([
+      { path: 'works[0].images', message: 'use either "images" or "media", not both' }
+    ]);
+  });
+});
+
+describe('loadCatalog validation', () => {
+  test('rejects unsupported schema versions', () => {
+    expect(errorsFor({ schemaVersion: 99, works: [] })).toEqual([
+      { path: 'schemaVersion', message: `expected ${CATALOG_SCHEMA_VERSION}, got 99` }
+    ]);
+  });
+
+  test('reports duplicate ids', () => {
+    const errors = errorsFor(catalogOf(validWork(), validWork({ title: 'Copy' })));
+    expect(errors).toEqual([{ path: 'works[1].id', message: 'duplicate id 1 (already used by works[0])' }]);
+  });
+
+  test('reports every invalid field with its path', () => {
+    const errors = errorsFor(catalogOf(validWork({
+      title: '',
+      category: 'armor',
+      featured: 'yes',
+      colour: 'silver',
+      specs: { ...validWork().specs, weight: 'heavy', dimensions: [{ values: [0], unit: 'in' }] }
+    })));
+
+    expect(errors.map(error => error.path)).toEqual([
+      'works[0].colour',
+      'works[0].title',
+      'works[0].specs.dimensions[0].values[0]',
+      'works[0].specs.dimensions[0].unit',
+      'works[0].specs.weight',
+      'works[0].category',
+      'works[0].featured'
+    ]);
+  });
+
+  test('requires a valid lastModified date', () => {
+    expect(errorsFor(catalogOf(validWork({ lastModified: '2024-02-30' })))).toEqual([
+      { path: 'works[0].lastModified', message: 'expected a date in YYYY-MM-DD format, got "2024-02-30"' }
+    ]);
+    expect(errorsFor(catalogOf(validWork({ lastModified: undefined })))[0].path).toBe('works[0].lastModified');
+  });
+
+  test('rejects a lastModified date before dateAdded', () => {
+    expect(errorsFor(catalogOf(validWork({ dateAdded: '2024-03-01', lastModified: '2024-02-01' })))).toEqual([
+      { path: 'works[0].lastModified', message: 'must not be earlier than dateAdded (2024-03-01)' }
+    ]);
+  });
+
+  test('lists all errors in the thrown message', () => {
+    expect(() => loadCatalog(catalogOf(validWork({ id: 'abc', images: [] }))))
+      .toThrow(/works\[0\]\.id: expected an integer[\s\S]*works\[0\]\.images: expected a non-empty list/);
+  });
+});
@@ -0,0 +1,406 @@
+/**
+ * COMMISSION REQUEST MODULE
+ * =========================
+ *
+ * Steps, choices, validation and message building for the commission wizard
+ * on the Contact page (src/components/CommissionWizard.js).
+ *
+ * PURPOSE:
+ * - Describe the wizard steps and the fields each one validates
+ * - Keep the choice lists (piece types, weaves, materials, budgets) in one place
+ * - Validate a step at a time so visitors fix problems before moving on
+ * - Turn a finished request into the structured summary sent by email
+ * - Save and restore an unfinished request as a localStorage draft
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Pure functions with no React or DOM dependency (usable from api/ handlers);
+ *   storage and "today" are passed in, so every rule is unit-testable
+ * - Validation returns { field: message } objects (empty when valid); nested
+ *   measurement fields use "measurements.<name>" keys
+ *
+ * EXPORTS:
+ * - PIECE_TYPES / WEAVE_CHOICES / MATERIALS / BUDGET_RANGES: Choice lists
+ *   (NO_PREFERENCE leaves the weave or material to the artist)
+ * - COMMISSION_STEPS: Wizard steps in order
+ * - EMPTY_COMMISSION: Initial request data
+ * - MIN_LEAD_DAYS / MAX_REFERENCE_IMAGES / MAX_REFERENCE_DATA_URL_LENGTH:
+ *   Request limits
+ * - REFERENCE_ENCODINGS: Reference image sizes to try, largest first
+ * - getSizingFields: Measurements asked for a piece type
+ * - getEarliestDeadline: First date a deadline may fall on
+ * - validateCommissionStep / findFirstInvalidStep: Validation
+ * - buildCommissionSummary / buildCommissionTemplateParams: Email content
+ * - DRAFT_STORAGE_KEY / loadCommissionDraft / saveCommissionDraft /
+ *   clearCommissionDraft: Draft storage
+ */
+
+import { SPECIALTY_WEAVES } from './weaves.js';
+
+// =============================================================================
+// CHOICES
+// =============================================================================
+
+// Piece types and the measurements needed to size each one
+export const PIECE_TYPES = [
+  { value: 'necklace', label: 'Necklace', sizing: [{ name: 'length', label: 'Necklace length', unit: 'cm' }] },
+  { value: 'bracelet', label: 'Bracelet', sizing: [{ name: 'wrist', label: 'Wrist circumference', unit: 'cm' }] },
+  { value: 'earrings', label: 'Earrings', sizing: [{ name: 'drop', label: 'Drop length', unit: 'cm' }] },
+  {
+    value: 'bag',
+    label: 'Bag or pouch',
+    sizing: [{ name: 'width', label: 'Width', unit: 'cm' }, { name: 'height', label: 'Height', unit: 'cm' }]
+  },
+  {
+    value: 'lamp',
+    label: 'Lamp or lighting',
+    sizing: [{ name: 'width', label: 'Width', unit: 'cm' }, { name: 'height', label: 'Height', unit: 'cm' }]
+  },
+  {
+    value: 'armor',
+    label: 'Armor or costume',
+    sizing: [
+      { name: 'chest', label: 'Chest circumference', unit: 'cm' },
+      { name: 'torso', label: 'Shoulder to hip length', unit: 'cm' }
+    ]
+  },
+  // Free-form pieces are sized in the notes
+  { value: 'other', label: 'Something else', sizing: [] }
+];
+
+// Weaves listed on the About page, plus leaving the choice to the artist
+export const NO_PREFERENCE = 'No preference';
+export const WEAVE_CHOICES = [...SPECIALTY_WEAVES, NO_PREFERENCE];
+
+export const MATERIALS = [
+  'Stainless Steel',
+  'Galvanized Steel',
+  'Anodized Aluminum',
+  'Bright Aluminum',
+  'Copper',
+  'Bronze',
+  'Sterling Silver',
+  NO_PREFERENCE
+];
+
+export const BUDGET_RANGES = [
+  { value: 'under-100', label: 'Under $100' },
+  { value: '100-250', label: '$100 - $250' },
+  { value: '250-500', label: '$250 - $500' },
+  { value: '500-1000', label: '$500 - $1,000' },
+  { value: 'over-1000', label: 'Over $1,000' }
+];
+
+// =============================================================================
+// LIMITS
+// =============================================================================
+
+// Shortest turnaround the artist accepts for a deadline
+export const MIN_LEAD_DAYS = 14;
+
+// Reference images per request (each is downscaled before it is attached)
+export const MAX_REFERENCE_IMAGES = 3;
+
+// EmailJS caps a request at 50 KB of variables (free plan). Three images of
+// this data URL length leave about 14 KB for the text fields.
+export const MAX_REFERENCE_DATA_URL_LENGTH = 12000;
+
+// Longest side and JPEG quality of a reference image, tried in order until
+// the data URL fits MAX_REFERENCE_DATA_URL_LENGTH
+export const REFERENCE_ENCODINGS = [
+  { maxSize: 640, quality: 0.7 },
+  { maxSize: 640, quality: 0.5 },
+  { maxSize: 480, quality: 0.5 },
+  { maxSize: 360, quality: 0.5 },
+  { maxSize: 280, quality: 0.4 }
+];
+
+// Shortest useful idea description
+const MIN_DESCRIPTION_LENGTH = 20;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// =============================================================================
+// STEPS AND INITIAL DATA
+// =============================================================================
+
+// Wizard steps in order; `fields` lists what each step validates
+export const COMMISSION_STEPS = [
+  { id: 'piece', title: 'The piece', fields: ['pieceType', 'weave', 'description'] },
+  { id: 'material', title: 'Material and size', fields: ['material', 'measurements', 'sizingNotes'] },
+  { id: 'budget', title: 'Budget and deadline', fields: ['budget', 'deadline'] },
+  { id: 'references', title: 'Reference images', fields: ['references'] },
+  { id: 'contact', title: 'Your details', fields: ['name', 'email'] }
+];
+
+export const EMPTY_COMMISSION = {
+  pieceType: '',
+  weave: '',
+  description: '',
+  material: '',
+  measurements: {},
+  sizingNotes: '',
+  budget: '',
+  deadline: '',
+  // [{ name, dataUrl }] downscaled JPEG data URLs
+  references: [],
+  name: '',
+  email: ''
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const labelOf = (choices, value) => {
+  const choice = choices.find(option => option.value === value);
+  return choice ? choice.label : value;
+};
+
+/**
+ * Measurements asked for a piece type.
+ *
+ * @param {string} pieceType - PIECE_TYPES value
+ * @returns {Array<{name: string, label: string, unit: string}>} Sizing fields (empty for unknown types)
+ */
+export const getSizingFields = (pieceType) => {
+  const type = PIECE_TYPES.find(option => option.value === pieceType);
+  return type ? type.sizing : [];
+};
+
+// Local calendar date as YYYY-MM-DD (deadlines are picked in the visitor's time zone)
+const toIsoDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Earliest deadline that can be requested.
+ *
+ * @param {Date} [today=new Date()] - Current date
+ * @returns {string} YYYY-MM-DD date MIN_LEAD_DAYS after today
+ */
+export const getEarliestDeadline = (today = new Date()) => {
+  const earliest = new Date(today.getFullYear(), today.getMonth(), today.getDate() + MIN_LEAD_DAYS);
+  return toIsoDate(earliest);
+};
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+// One validator per step: (data, today) => { field: message }
+const STEP_VALIDATORS = {
+  piece: (data) => {
+    const errors = {};
+    if (!PIECE_TYPES.some(type => type.value === data.pieceType)) errors.pieceType = 'Please choose the type of piece.';
+    if (!WEAVE_CHOICES.includes(data.weave)) errors.weave = 'Please choose a weave, or "No preference".';
+    if (!isText(data.description) || data.description.trim().length < MIN_DESCRIPTION_LENGTH) {
+      errors.description = `Please describe your idea in at least ${MIN_DESCRIPTION_LENGTH} characters.`;
+    }
+    return errors;
+  },
+
+  material: (data) => {
+    const errors = {};
+    if (!MATERIALS.includes(data.material)) errors.material = 'Please choose a material, or "No preference".';
+    getSizingFields(data.pieceType).forEach(({ name, label }) => {
+      const value = Number(data.measurements && data.measurements[name]);
+      if (!Number.isFinite(value) || value <= 0) {
+        errors[`measurements.${name}`] = `Please enter the ${label.toLowerCase()} in cm.`;
+      }
+    });
+    // Pieces without standard measurements are sized in the notes
+    if (data.pieceType === 'other' && !isText(data.sizingNotes)) {
+      errors.sizingNotes = 'Please describe the size you have in mind.';
+    }
+    return errors;
+  },
+
+  budget: (data, today) => {
+    const errors = {};
+    if (!BUDGET_RANGES.some(range => range.value === data.budget)) errors.budget = 'Please choose a budget range.';
+    if (isText(data.deadline)) {
+      const earliest = getEarliestDeadline(today);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(data.deadline)) {
+        errors.deadline = 'Please enter a valid date.';
+      } else if (data.deadline < earliest) {
+        errors.deadline = `Commissions need at least ${MIN_LEAD_DAYS} days; please choose ${earliest} or later.`;
+      }
+    }
+    return errors;
+  },
+
+  references: (data) => {
+    const errors = {};
+    if (Array.isArray(data.references) && data.references.length > MAX_REFERENCE_IMAGES) {
+      errors.references = `Please attach at most ${MAX_REFERENCE_IMAGES} images.`;
+    } else if (Array.isArray(data.references)) {
+      // Drafts saved by an earlier version may hold larger images
+      const tooLarge = data.references.filter(reference => String(reference.dataUrl).length > MAX_REFERENCE_DATA_URL_LENGTH);
+      if (tooLarge.length > 0) {
+        errors.references = `Please remove and attach again: ${tooLarge.map(reference => reference.name).join(', ')} (too large to send).`;
+      }
+    }
+    return errors;
+  },
+
+  contact: (data) => {
+    const errors = {};
+    if (!isText(data.name)) errors.name = 'Please provide your name.';
+    if (!isText(data.email) || !EMAIL_PATTERN.test(data.email.trim())) errors.email = 'Please provide a valid email.';
+    return errors;
+  }
+};
+
+/**
+ * Validates the fields of one wizard step.
+ *
+ * @param {string} stepId - COMMISSION_STEPS id
+ * @param {Object} data - Request data (EMPTY_COMMISSION shape)
+ * @param {Date} [today=new Date()] - Current date (deadline checks)
+ * @returns {Object<string, string>} Error message per invalid field (empty when valid)
+ */
+export const validateCommissionStep = (stepId, data, today = new Date()) => STEP_VALIDATORS[stepId](data, today);
+
+/**
+ * Finds the first step with invalid fields (used before the final submission,
+ * e.g. when a restored draft was started under older rules).
+ *
+ * @param {Object} data - Request data
+ * @param {Date} [today=new Date()] - Current date
+ * @returns {number} Step index, or -1 when every step is valid
+ */
+export const findFirstInvalidStep = (data, today = new Date()) => COMMISSION_STEPS
+  .findIndex(step => Object.keys(validateCommissionStep(step.id, data, today)).length > 0);
+
+// =============================================================================
+// EMAIL CONTENT
+// =============================================================================
+
+// "Necklace length: 45 cm, ..." for the chosen piece type
+const formatMeasurements = (data) => getSizingFields(data.pieceType)
+  .map(({ name, label, unit }) => `${label}: ${data.measurements[name]} ${unit}`)
+  .join(', ');
+
+/**
+ * Builds the plain-text summary of a commission request.
+ *
+ * @param {Object} data - Validated request data
+ * @returns {string} Multi-line summary
+ */
+export const buildCommissionSummary = (data) => {
+  const references = data.references || [];
+  const lines = [
+    `Piece type: ${labelOf(PIECE_TYPES, data.pieceType)}`,
+    `Preferred weave: ${data.weave}`,
+    `Material: ${data.material}`,
+    `Measurements: ${formatMeasurements(data) || 'See sizing notes'}`,
+    `Sizing notes: ${isText(data.sizingNotes) ? data.sizingNotes.trim() : 'None'}`,
+    `Budget: ${labelOf(BUDGET_RANGES, data.budget)}`,
+    `Deadline: ${isText(data.deadline) ? data.deadline : 'Flexible'}`,
+    `Reference images: ${references.length > 0 ? `${references.length} attached (${references.map(ref => ref.name).join(', ')})` : 'None'}`,
+    '',
+    'Idea:',
+    data.description.trim()
+  ];
+  return lines.join('\n');
+};
+
+/**
+ * Builds the EmailJS template parameters for a commission request.
+ *
+ * name/email/subject/message match the general contact form, so the existing
+ * template works unchanged; the remaining keys let a dedicated template lay
+ * the request out field by field. Reference images are data URLs for
+ * EmailJS variable attachments (reference_image_1 ... reference_image_N).
+ *
+ * @param {Object} data - Validated request data
+ * @returns {Object<string, string>} Template parameters
+ */
+export const buildCommissionTemplateParams = (data) => {
+  const params = {
+    name: data.name.trim(),
+    email: data.email.trim(),
+    subject: `Commission request: ${labelOf(PIECE_TYPES, data.pieceType)} (${data.weave})`,
+    message: buildCommissionSummary(data),
+    request_type: 'commission',
+    piece_type: labelOf(PIECE_TYPES, data.pieceType),
+    weave: data.weave,
+    material: data.material,
+    measurements: formatMeasurements(data),
+    sizing_notes: data.sizingNotes.trim(),
+    budget: labelOf(BUDGET_RANGES, data.budget),
+    deadline: data.deadline || 'Flexible'
+  };
+  (data.references || []).forEach((reference, index) => {
+    params[`reference_image_${index + 1}`] = reference.dataUrl;
+  });
+  return params;
+};
+
+// =============================================================================
+// DRAFT STORAGE
+// =============================================================================
+
+export const DRAFT_STORAGE_KEY = 'chainlair.commissionDraft';
+
+// Bump when the saved shape changes; older drafts are ignored
+const DRAFT_VERSION = 1;
+
+/**
+ * Restores a saved draft.
+ *
+ * @param {Storage} storage - localStorage (or a test double)
+ * @returns {{data: Object, step: number}|null} Draft merged over EMPTY_COMMISSION, or null when none is usable
+ */
+export const loadCommissionDraft = (storage) => {
+  try {
+    const draft = JSON.parse(storage.getItem(DRAFT_STORAGE_KEY));
+    if (!draft || draft.version !== DRAFT_VERSION || typeof draft.data !== 'object') return null;
+    const step = Number.isInteger(draft.step) ? Math.min(Math.max(draft.step, 0), COMMISSION_STEPS.length - 1) : 0;
+    return { data: { ...EMPTY_COMMISSION, ...draft.data }, step };
+  } catch (error) {
+    // Unavailable storage or a corrupted entry: start fresh
+    return null;
+  }
+};
+
+/**
+ * Saves a draft. Reference images are dropped when the browser's storage quota
+ * cannot hold them, so the rest of the request is never lost.
+ *
+ * @param {Storage} storage - localStorage (or a test double)
+ * @param {Object} data - Request data
+ * @param {number} step - Current step index
+ * @returns {boolean} Whether anything was saved
+ */
+export const saveCommissionDraft = (storage, data, step) => {
+  const write = (draftData) => storage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ version: DRAFT_VERSION, step, data: draftData }));
+  try {
+    write(data);
+    return true;
+  } catch (error) {
+    try {
+      write({ ...data, references: [] });
+      return true;
+    } catch (retryError) {
+      return false;
+    }
+  }
+};
+
+/**
+ * Removes the saved draft (after a successful submission or "Start over").
+ *
+ * @param {Storage} storage - localStorage (or a test double)
+ */
+export const clearCommissionDraft = (storage) => {
+  try {
+    storage.removeItem(DRAFT_STORAGE_KEY);
+  } catch (error) {
+    // Storage unavailable: nothing to clear
+  }
+};
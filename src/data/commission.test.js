@@ -0,0 +1,168 @@
+import {
+  COMMISSION_STEPS,
+  EMPTY_COMMISSION,
+  MAX_REFERENCE_IMAGES,
+  MAX_REFERENCE_DATA_URL_LENGTH,
+  WEAVE_CHOICES,
+  validateCommissionStep,
+  findFirstInvalidStep,
+  getEarliestDeadline,
+  buildCommissionSummary,
+  buildCommissionTemplateParams,
+  loadCommissionDraft,
+  saveCommissionDraft,
+  clearCommissionDraft,
+  DRAFT_STORAGE_KEY
+} from './commission';
+import { SPECIALTY_WEAVES } from './weaves';
+
+const TODAY = new Date(2026, 0, 10);
+
+// A complete, valid necklace request
+const completeRequest = (overrides = {}) => ({
+  ...EMPTY_COMMISSION,
+  pieceType: 'necklace',
+  weave: 'Byzantine',
+  description: 'A Byzantine choker with a lobster clasp',
+  material: 'Sterling Silver',
+  measurements: { length: '42' },
+  budget: '250-500',
+  deadline: '2026-03-01',
+  references: [{ name: 'choker.jpg', dataUrl: 'data:image/jpeg;base64,AAAA' }],
+  name: 'J. Doe',
+  email: 'jdoe@example.com',
+  ...overrides
+});
+
+// In-memory localStorage stand-in; `quota` limits the stored value length
+const memoryStorage = ({ quota = Infinity } = {}) => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (value.length > quota) throw new Error('QuotaExceededError');
+      items.set(key, value);
+    },
+    removeItem: key => items.delete(key)
+  };
+};
+
+describe('commission choices', () => {
+  test('offers the About page weaves plus no preference', () => {
+    expect(WEAVE_CHOICES).toEqual([...SPECIALTY_WEAVES, 'No preference']);
+    expect(WEAVE_CHOICES).toContain('European 4-in-1');
+  });
+});
+
+describe('validateCommissionStep', () => {
+  test('a complete request passes every step', () => {
+    COMMISSION_STEPS.forEach(step => {
+      expect(validateCommissionStep(step.id, completeRequest(), TODAY)).toEqual({});
+    });
+    expect(findFirstInvalidStep(completeRequest(), TODAY)).toBe(-1);
+  });
+
+  test('reports the missing choices of the first step', () => {
+    expect(Object.keys(validateCommissionStep('piece', EMPTY_COMMISSION, TODAY)))
+      .toEqual(['pieceType', 'weave', 'description']);
+  });
+
+  test('asks for the measurements of the chosen piece type', () => {
+    const errors = validateCommissionStep('material', completeRequest({ pieceType: 'armor', measurements: { chest: '100' } }), TODAY);
+    expect(errors).toEqual({ 'measurements.torso': 'Please enter the shoulder to hip length in cm.' });
+  });
+
+  test('sizes "something else" through the notes', () => {
+    const request = completeRequest({ pieceType: 'other', measurements: {} });
+    expect(Object.keys(validateCommissionStep('material', request, TODAY))).toEqual(['sizingNotes']);
+    expect(validateCommissionStep('material', { ...request, sizingNotes: 'About 20 x 30 cm' }, TODAY)).toEqual({});
+  });
+
+  test('accepts no deadline, but not one inside the minimum lead time', () => {
+    expect(getEarliestDeadline(TODAY)).toBe('2026-01-24');
+    expect(validateCommissionStep('budget', completeRequest({ deadline: '' }), TODAY)).toEqual({});
+    expect(validateCommissionStep('budget', completeRequest({ deadline: '2026-01-24' }), TODAY)).toEqual({});
+    expect(validateCommissionStep('budget', completeRequest({ deadline: '2026-01-20' }), TODAY).deadline)
+      .toMatch(/at least 14 days; please choose 2026-01-24 or later/);
+  });
+
+  test('limits reference images and checks the email', () => {
+    const references = Array.from({ length: MAX_REFERENCE_IMAGES + 1 }, (_, index) => ({ name: `${index}.jpg`, dataUrl: '' }));
+    expect(Object.keys(validateCommissionStep('references', completeRequest({ references }), TODAY))).toEqual(['references']);
+    expect(Object.keys(validateCommissionStep('contact', completeRequest({ email: 'jdoe@example' }), TODAY))).toEqual(['email']);
+  });
+
+  test('asks to attach again images too large for the EmailJS request limit', () => {
+    const prefix = 'data:image/jpeg;base64,';
+    const fitting = { name: 'fits.jpg', dataUrl: `${prefix}${'A'.repeat(MAX_REFERENCE_DATA_URL_LENGTH - prefix.length)}` };
+    const large = { name: 'old-draft.jpg', dataUrl: `${fitting.dataUrl}AAAA` };
+
+    expect(validateCommissionStep('references', completeRequest({ references: [fitting] }), TODAY)).toEqual({});
+    expect(validateCommissionStep('references', completeRequest({ references: [fitting, large] }), TODAY).references)
+      .toMatch(/old-draft\.jpg \(too large to send\)/);
+    expect(findFirstInvalidStep(completeRequest({ references: [large] }), TODAY)).toBe(3);
+  });
+
+  test('findFirstInvalidStep points at the earliest step to fix', () => {
+    expect(findFirstInvalidStep(completeRequest({ budget: '' }), TODAY)).toBe(2);
+  });
+});
+
+describe('commission email', () => {
+  test('summarizes the request field by field', () => {
+    expect(buildCommissionSummary(completeRequest())).toBe([
+      'Piece type: Necklace',
+      'Preferred weave: Byzantine',
+      'Material: Sterling Silver',
+      'Measurements: Necklace length: 42 cm',
+      'Sizing notes: None',
+      'Budget: $250 - $500',
+      'Deadline: 2026-03-01',
+      'Reference images: 1 attached (choker.jpg)',
+      '',
+      'Idea:',
+      'A Byzantine choker with a lobster clasp'
+    ].join('\n'));
+  });
+
+  test('keeps the contact form template keys and adds structured ones', () => {
+    const params = buildCommissionTemplateParams(completeRequest({ deadline: '' }));
+    expect(params).toMatchObject({
+      name: 'J. Doe',
+      email: 'jdoe@example.com',
+      subject: 'Commission request: Necklace (Byzantine)',
+      request_type: 'commission',
+      budget: '$250 - $500',
+      deadline: 'Flexible',
+      reference_image_1: 'data:image/jpeg;base64,AAAA'
+    });
+    expect(params.message).toMatch(/^Piece type: Necklace/);
+  });
+});
+
+describe('commission drafts', () => {
+  test('round-trips a draft and its step', () => {
+    const storage = memoryStorage();
+    expect(saveCommissionDraft(storage, completeRequest(), 3)).toBe(true);
+    expect(loadCommissionDraft(storage)).toEqual({ data: completeRequest(), step: 3 });
+
+    clearCommissionDraft(storage);
+    expect(loadCommissionDraft(storage)).toBeNull();
+  });
+
+  test('drops reference images when the storage quota is exceeded', () => {
+    const storage = memoryStorage({ quota: 500 });
+    const request = completeRequest({ references: [{ name: 'big.jpg', dataUrl: `data:image/jpeg;base64,${'A'.repeat(1000)}` }] });
+
+    expect(saveCommissionDraft(storage, request, 1)).toBe(true);
+    expect(loadCommissionDraft(storage).data.references).toEqual([]);
+  });
+
+  test('ignores corrupted or foreign entries', () => {
+    const storage = memoryStorage();
+    storage.setItem(DRAFT_STORAGE_KEY, '{not json');
+    expect(loadCommissionDraft(storage)).toBeNull();
+    storage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ version: 99, data: {} }));
+    expect(loadCommissionDraft(storage)).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * GALLERY FACETS MODULE
+ * =====================
+ *
+ * Builds the Gallery filter facets (category, availability, material, weave,
+ * year) from the catalog and keeps the active selection in the URL query string.
+ *
+ * PURPOSE:
+ * - Derive filter options automatically from work data (no hard-coded buttons)
+ * - Support multi-select within a facet and combination across facets
+ * - Provide per-value counts so visitors know what a filter will return
+ * - Serialize the selection to/from URLSearchParams for shareable views
+ *
+ * FILTERING RULES:
+ * - Values inside one facet are combined with OR (Stainless Steel or Velvet)
+ * - Different facets are combined with AND (European 4 in 1 and Stainless Steel)
+ * - A value's count is the number of works it would show given the other
+ *   active facets, so counts never drop to zero just because a sibling is selected
+ *
+ * URL FORMAT:
+ * - One query parameter per selected value, repeated for multi-select
+ * - Example: /gallery?weave=European+4+in+1&material=Stainless+Steel&material=Velvet
+ * - Unrelated query parameters are preserved when the selection changes
+ *
+ * EXPORTS:
+ * - FACETS: Facet definitions (key, query parameter, label, value accessor)
+ * - parseFacetSelection / applyFacetSelection: URL <-> selection conversion
+ * - toggleFacetValue: Immutable selection update for a clicked value
+ * - filterWorks / buildFacets: Filtering and facet/count generation
+ */
+
+import { AVAILABILITY_LABELS, AVAILABILITY_STATUSES } from './catalog';
+
+// =============================================================================
+// FACET DEFINITIONS
+// =============================================================================
+// Display labels for category values (the catalog stores lowercase keys)
+const CATEGORY_LABELS = {
+  jewelry: 'Jewelry',
+  art: 'Art Pieces'
+};
+
+// Value ordering helpers
+const byLabel = (a, b) => a.label.localeCompare(b.label);
+const byValueDescending = (a, b) => b.value.localeCompare(a.value);
+const byAvailability = (a, b) => AVAILABILITY_STATUSES.indexOf(a.value) - AVAILABILITY_STATUSES.indexOf(b.value);
+
+// Each facet describes:
+// - key: Selection key and query parameter name
+// - label: Heading shown above the facet buttons
+// - getValues: Returns the facet values of a work (always a list of strings)
+// - formatValue: Optional display label for a value
+// - compare: Ordering of the facet buttons
+export const FACETS = [
+  {
+    key: 'category',
+    label: 'Category',
+    getValues: work => [work.category],
+    formatValue: value => CATEGORY_LABELS[value] || value,
+    compare: byLabel
+  },
+  {
+    key: 'availability',
+    label: 'Availability',
+    getValues: work => [work.availability],
+    formatValue: value => AVAILABILITY_LABELS[value] || value,
+    compare: byAvailability
+  },
+  {
+    key: 'material',
+    label: 'Material',
+    getValues: work => work.specs.materials,
+    compare: byLabel
+  },
+  {
+    key: 'weave',
+    label: 'Weave',
+    getValues: work => [work.specs.weaveType],
+    compare: byLabel
+  },
+  {
+    key: 'year',
+    label: 'Year',
+    getValues: work => [String(work.specs.yearCreated)],
+    compare: byValueDescending
+  }
+];
+
+// =============================================================================
+// URL SERIALIZATION
+// =============================================================================
+
+/**
+ * Reads the active facet selection from URL query parameters.
+ *
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {Object<string, string[]>} Selected values keyed by facet key (only non-empty facets)
+ */
+export const parseFacetSelection = (searchParams) => {
+  const selection = {};
+  FACETS.forEach(({ key }) => {
+    const values = [...new Set(searchParams.getAll(key).filter(Boolean))];
+    if (values.length > 0) selection[key] = values;
+  });
+  return selection;
+};
+
+/**
+ * Writes a facet selection into a copy of the given query parameters.
+ * Facet parameters are replaced; every other parameter is kept as is.
+ *
+ * @param {URLSearchParams} searchParams - Current query string
+ * @param {Object<string, string[]>} selection - Selection to serialize
+ * @returns {URLSearchParams} New query parameters
+ */
+export const applyFacetSelection = (searchParams, selection) => {
+  const next = new URLSearchParams(searchParams);
+  FACETS.forEach(({ key }) => {
+    next.delete(key);
+    (selection[key] || []).forEach(value => next.append(key, value));
+  });
+  return next;
+};
+
+/**
+ * Adds or removes one value from a facet selection without mutating it.
+ *
+ * @param {Object<string, string[]>} selection - Current selection
+ * @param {string} facetKey - Facet the value belongs to
+ * @param {string} value - Value that was clicked
+ * @returns {Object<string, string[]>} Updated selection
+ */
+export const toggleFacetValue = (selection, facetKey, value) => {
+  const current = selection[facetKey] || [];
+  const values = current.includes(value)
+    ? current.filter(item => item !== value)
+    : [...current, value];
+
+  const next = { ...selection };
+  if (values.length > 0) {
+    next[facetKey] = values;
+  } else {
+    delete next[facetKey];
+  }
+  return next;
+};
+
+// =============================================================================
+// FILTERING AND COUNTS
+// =============================================================================
+
+// True when the work satisfies every active facet except `ignoredKey`
+const matchesSelection = (work, selection, ignoredKey) => FACETS.every(facet => {
+  const selected = selection[facet.key];
+  if (facet.key === ignoredKey || !selected || selected.length === 0) return true;
+  return facet.getValues(work).some(value => selected.includes(value));
+});
+
+/**
+ * Returns the works matching the selection (OR within a facet, AND across facets).
+ *
+ * @param {Array<Object>} works - Works to filter
+ * @param {Object<string, string[]>} selection - Active selection
+ * @returns {Array<Object>} Matching works, in original order
+ */
+export const filterWorks = (works, selection) => works.filter(work => matchesSelection(work, selection));
+
+/**
+ * Builds the facet groups shown in the Gallery.
+ *
+ * Every value present in the catalog is listed (so options never disappear),
+ * with the number of works it would show given the other active facets.
+ *
+ * @param {Array<Object>} works - Full catalog
+ * @param {Object<string, string[]>} selection - Active selection
+ * @returns {Array<{key, label, values: Array<{value, label, count, selected}>}>} Facet groups
+ */
+export const buildFacets = (works, selection) => FACETS.map(facet => {
+  const selected = selection[facet.key] || [];
+  const counts = new Map();
+
+  works.forEach(work => {
+    const matchesOthers = matchesSelection(work, selection, facet.key);
+    new Set(facet.getValues(work)).forEach(value => {
+      counts.set(value, (counts.get(value) || 0) + (matchesOthers ? 1 : 0));
+    });
+  });
+
+  const values = [...counts.entries()].map(([value, count]) => ({
+    value,
+    label: facet.formatValue ? facet.formatValue(value) : value,
+    count,
+    selected: selected.includes(value)
+  }));
+
+  return {
+    key: facet.key,
+    label: facet.label,
+    values: values.sort(facet.compare)
+  };
+});
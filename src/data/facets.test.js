@@ -0,0 +1,91 @@
+import {
+  parseFacetSelection,
+  applyFacetSelection,
+  toggleFacetValue,
+  filterWorks,
+  buildFacets
+} from './facets';
+
+const work = (id, category, materials, weaveType, yearCreated, availability = 'display-only') => ({
+  id,
+  category,
+  availability,
+  specs: { materials, weaveType, yearCreated }
+});
+
+const works = [
+  work(1, 'art', ['Niquel Coated Steel'], 'Modified Captive Inverted Round', 2022, 'sold'),
+  work(2, 'jewelry', ['Galvanized Steel'], 'European 4 in 1', 2013),
+  work(3, 'jewelry', ['Stainless Steel', 'Velvet'], 'European 4 in 1', 2004, 'made-to-order'),
+  work(4, 'jewelry', ['Stainless Steel'], 'European 6 in 1', 2004, 'for-sale')
+];
+
+const ids = list => list.map(item => item.id);
+
+describe('URL serialization', () => {
+  test('reads repeated parameters as multi-select values', () => {
+    const params = new URLSearchParams('weave=European+4+in+1&material=Stainless+Steel&material=Velvet&page=2');
+    expect(parseFacetSelection(params)).toEqual({
+      weave: ['European 4 in 1'],
+      material: ['Stainless Steel', 'Velvet']
+    });
+  });
+
+  test('replaces facet parameters and keeps the others', () => {
+    const params = new URLSearchParams('material=Velvet&page=2');
+    const next = applyFacetSelection(params, { weave: ['European 4 in 1'] });
+    expect(next.toString()).toBe('page=2&weave=European+4+in+1');
+  });
+
+  test('toggles values without mutating the selection', () => {
+    const selection = { year: ['2004'] };
+    expect(toggleFacetValue(selection, 'year', '2013')).toEqual({ year: ['2004', '2013'] });
+    expect(toggleFacetValue(selection, 'year', '2004')).toEqual({});
+    expect(selection).toEqual({ year: ['2004'] });
+  });
+});
+
+describe('filterWorks', () => {
+  test('combines values with OR inside a facet and AND across facets', () => {
+    expect(ids(filterWorks(works, { material: ['Velvet', 'Galvanized Steel'] }))).toEqual([2, 3]);
+    expect(ids(filterWorks(works, { material: ['Stainless Steel'], weave: ['European 4 in 1'] }))).toEqual([3]);
+    expect(ids(filterWorks(works, {}))).toEqual([1, 2, 3, 4]);
+  });
+});
+
+describe('buildFacets', () => {
+  test('counts each value against the other active facets', () => {
+    const facets = buildFacets(works, { weave: ['European 4 in 1'] });
+    const material = facets.find(facet => facet.key === 'material');
+    const weave = facets.find(facet => facet.key === 'weave');
+
+    expect(material.values.map(({ value, count }) => [value, count])).toEqual([
+      ['Galvanized Steel', 1],
+      ['Niquel Coated Steel', 0],
+      ['Stainless Steel', 1],
+      ['Velvet', 1]
+    ]);
+    // The weave facet ignores its own selection so siblings keep their counts
+    expect(weave.values.find(option => option.value === 'European 6 in 1').count).toBe(1);
+    expect(weave.values.find(option => option.value === 'European 4 in 1').selected).toBe(true);
+  });
+
+  test('lists availability in sale order with readable labels', () => {
+    const facets = buildFacets(works, { category: ['jewelry'] });
+    expect(facets.find(facet => facet.key === 'availability').values.map(({ label, count }) => [label, count])).toEqual([
+      ['For sale', 1],
+      ['Made to order', 1],
+      ['Sold', 0],
+      ['Display only', 1]
+    ]);
+    expect(ids(filterWorks(works, { availability: ['for-sale', 'made-to-order'] }))).toEqual([3, 4]);
+  });
+
+  test('labels categories and lists years newest first', () => {
+    const facets = buildFacets(works, {});
+    expect(facets.find(facet => facet.key === 'category').values.map(option => option.label))
+      .toEqual(['Art Pieces', 'Jewelry']);
+    expect(facets.find(facet => facet.key === 'year').values.map(option => option.value))
+      .toEqual(['2022', '2013', '2004']);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * RESPONSIVE IMAGES MODULE
+ * ========================
+ *
+ * Looks up the optimized variants generated by scripts/optimize-images.js
+ * (recorded in image-manifest.json) for an image reference from the catalog.
+ *
+ * PURPOSE:
+ * - Let components render <picture> with AVIF/WebP/JPEG srcsets
+ * - Fall back to the original URL for images that have no local source yet
+ * - Provide intrinsic dimensions, a blur-up placeholder and dominant color
+ * - Keep the `sizes` hints for each layout in one place
+ *
+ * EXPORTS:
+ * - IMAGE_SIZES: `sizes` attribute per layout (gallery card, product, ...)
+ * - getResponsiveImage: Variants and dimensions for an image reference
+ * - buildSrcSet: Formats a list of variants as a srcset string
+ */
+
+import manifest from './image-manifest.json';
+
+// =============================================================================
+// LAYOUT SIZES
+// =============================================================================
+// Rendered width of each image slot, matching the Bootstrap grid in use
+export const IMAGE_SIZES = {
+  // Col md={4} cards in Gallery, Search and Home; full width below md
+  galleryCard: '(min-width: 1400px) 416px, (min-width: 1200px) 356px, (min-width: 992px) 296px, (min-width: 768px) 216px, 100vw',
+  // Col md={6} carousel on ProductDetail
+  productMain: '(min-width: 1400px) 636px, (min-width: 1200px) 546px, (min-width: 992px) 456px, (min-width: 768px) 336px, 100vw',
+  // 60px thumbnails under the carousel
+  thumbnail: '60px',
+  // Full-screen lightbox
+  lightbox: '100vw',
+  // Home hero (never wider than the source artwork)
+  hero: '(max-width: 720px) 100vw, 720px'
+};
+
+// MIME types of the generated formats, in <source> order
+const FORMAT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg'
+};
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Formats variants as a srcset string ("a-320.jpg 320w, a-640.jpg 640w").
+ *
+ * @param {Array<{width: number, src: string}>} variants - Variants of one format
+ * @returns {string} srcset value
+ */
+export const buildSrcSet = (variants) => variants.map(({ src, width }) => `${src} ${width}w`).join(', ');
+
+/**
+ * Returns the optimized variants of an image, or null when the pipeline has
+ * not produced any (the caller then uses the original URL).
+ *
+ * @param {string} src - Image reference as stored in the catalog
+ * @returns {{width: number, height: number, color: string, placeholder: string, fallback: string,
+ *   sources: Array<{type: string, srcSet: string}>}|null}
+ *   Intrinsic size, dominant color, inline placeholder data URI, fallback URL
+ *   (largest JPEG) and one <source> per format
+ */
+export const getResponsiveImage = (src) => {
+  const entry = manifest.images[src];
+  if (!entry) return null;
+
+  const jpeg = entry.formats.jpeg || [];
+  return {
+    width: entry.width,
+    height: entry.height,
+    color: entry.color,
+    placeholder: entry.placeholder,
+    fallback: jpeg.length > 0 ? jpeg[jpeg.length - 1].src : src,
+    sources: Object.keys(FORMAT_TYPES)
+      .filter(format => entry.formats[format] && entry.formats[format].length > 0)
+      .map(format => ({ type: FORMAT_TYPES[format], srcSet: buildSrcSet(entry.formats[format]) }))
+  };
+};
@@ -0,0 +1,38 @@
+import manifest from './image-manifest.json';
+import { getResponsiveImage, buildSrcSet } from './images';
+
+describe('image manifest', () => {
+  test('every variant is a content-hashed file under /assets/optimized', () => {
+    Object.values(manifest.images).forEach(entry => {
+      Object.values(entry.formats).flat().forEach(variant => {
+        expect(variant.src).toMatch(/^\/assets\/optimized\/[a-z0-9_-]+-\d+\.[0-9a-f]{10}\.(avif|webp|jpg)$/);
+        expect(variant.width).toBeLessThanOrEqual(entry.width);
+      });
+    });
+  });
+});
+
+describe('getResponsiveImage', () => {
+  test('returns sources in preference order with a JPEG fallback', () => {
+    const [reference] = Object.keys(manifest.images);
+    const image = getResponsiveImage(reference);
+
+    expect(image.sources.map(source => source.type)).toEqual(['image/avif', 'image/webp', 'image/jpeg']);
+    expect(image.fallback).toMatch(/\.jpg$/);
+    expect(image.width).toBeGreaterThan(0);
+    expect(image.height).toBeGreaterThan(0);
+    expect(image.color).toMatch(/^#[0-9a-f]{6}$/);
+    expect(image.placeholder).toMatch(/^data:image\/webp;base64,/);
+  });
+
+  test('returns null for images the pipeline has not processed', () => {
+    expect(getResponsiveImage('https://example.com/not-optimized.jpg')).toBeNull();
+  });
+});
+
+describe('buildSrcSet', () => {
+  test('lists each variant with its width descriptor', () => {
+    expect(buildSrcSet([{ src: '/a-320.jpg', width: 320 }, { src: '/a-640.jpg', width: 640 }]))
+      .toBe('/a-320.jpg 320w, /a-640.jpg 640w');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * GALLERY LISTING MODULE
+ * ======================
+ *
+ * Sorting and pagination for the Gallery grid, with both settings stored in
+ * the URL query string next to the facet filters.
+ *
+ * PURPOSE:
+ * - Offer predictable orderings (newest, oldest, weight, title)
+ * - Split a growing catalog into pages instead of one endless Row
+ * - Keep sort and page in the URL so the back button returns to the same view
+ *
+ * URL FORMAT:
+ * - ?sort=<option>&page=<number>
+ * - Default values (newest, page 1) are omitted to keep URLs short
+ * - Example: /gallery?material=Stainless+Steel&sort=title&page=2
+ *
+ * EXPORTS:
+ * - SORT_OPTIONS / DEFAULT_SORT / PAGE_SIZE: Listing configuration
+ * - parseListingParams / applyListingParams: URL <-> { sort, page }
+ * - sortWorks: Returns a sorted copy of a works list
+ * - paginate: Slices a list into the requested page
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+// Number of works per Gallery page (a multiple of the 3-column grid)
+export const PAGE_SIZE = 9;
+
+// Tie breaker so works with equal sort keys keep a stable, readable order
+const byTitle = (a, b) => a.title.localeCompare(b.title);
+
+// Converts a normalized weight ({ value, unit }) to grams for comparison
+const toGrams = (weight) => (weight.unit === 'kg' ? weight.value * 1000 : weight.value);
+
+// Available sort options, in the order shown in the sort dropdown
+// - value: Query parameter value
+// - label: Dropdown label
+// - compare: Comparator applied to work objects
+export const SORT_OPTIONS = [
+  {
+    value: 'newest',
+    label: 'Newest first',
+    compare: (a, b) => b.specs.yearCreated - a.specs.yearCreated || byTitle(a, b)
+  },
+  {
+    value: 'oldest',
+    label: 'Oldest first',
+    compare: (a, b) => a.specs.yearCreated - b.specs.yearCreated || byTitle(a, b)
+  },
+  {
+    value: 'lightest',
+    label: 'Lightest first',
+    compare: (a, b) => toGrams(a.specs.weight) - toGrams(b.specs.weight) || byTitle(a, b)
+  },
+  {
+    value: 'heaviest',
+    label: 'Heaviest first',
+    compare: (a, b) => toGrams(b.specs.weight) - toGrams(a.specs.weight) || byTitle(a, b)
+  },
+  {
+    value: 'title',
+    label: 'Title (A-Z)',
+    compare: byTitle
+  }
+];
+
+export const DEFAULT_SORT = SORT_OPTIONS[0].value;
+
+// =============================================================================
+// URL SERIALIZATION
+// =============================================================================
+
+/**
+ * Reads sort and page from the query string, falling back to defaults for
+ * missing or invalid values.
+ *
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {{sort: string, page: number}} Listing settings
+ */
+export const parseListingParams = (searchParams) => {
+  const sort = searchParams.get('sort');
+  const page = Number(searchParams.get('page'));
+  return {
+    sort: SORT_OPTIONS.some(option => option.value === sort) ? sort : DEFAULT_SORT,
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+};
+
+/**
+ * Writes sort and page into a copy of the query string.
+ * Default values are removed instead of written.
+ *
+ * @param {URLSearchParams} searchParams - Current query string
+ * @param {{sort?: string, page?: number}} listing - Settings to apply
+ * @returns {URLSearchParams} New query parameters
+ */
+export const applyListingParams = (searchParams, { sort = DEFAULT_SORT, page = 1 }) => {
+  const next = new URLSearchParams(searchParams);
+  if (sort === DEFAULT_SORT) next.delete('sort'); else next.set('sort', sort);
+  if (page === 1) next.delete('page'); else next.set('page', String(page));
+  return next;
+};
+
+// =============================================================================
+// SORTING AND PAGINATION
+// =============================================================================
+
+/**
+ * Returns a sorted copy of the works list.
+ *
+ * @param {Array<Object>} works - Works to sort
+ * @param {string} sort - One of the SORT_OPTIONS values
+ * @returns {Array<Object>} Sorted copy
+ */
+export const sortWorks = (works, sort) => {
+  const option = SORT_OPTIONS.find(item => item.value === sort) || SORT_OPTIONS[0];
+  return [...works].sort(option.compare);
+};
+
+/**
+ * Slices a list into one page. Pages past the end are clamped to the last page.
+ *
+ * @param {Array} items - Full list
+ * @param {number} page - Requested page (1-based)
+ * @param {number} [pageSize=PAGE_SIZE] - Items per page
+ * @returns {{items: Array, page: number, pageCount: number}} Page slice and clamped page info
+ */
+export const paginate = (items, page, pageSize = PAGE_SIZE) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pageCount);
+  const start = (currentPage - 1) * pageSize;
+  return {
+    items: items.slice(start, start + pageSize),
+    page: currentPage,
+    pageCount
+  };
+};
@@ -0,0 +1,51 @@
+import { parseListingParams, applyListingParams, sortWorks, paginate, DEFAULT_SORT } from './listing';
+
+const work = (title, yearCreated, weight) => ({ title, specs: { yearCreated, weight } });
+
+const works = [
+  work('Coif', 2010, { value: 420, unit: 'g' }),
+  work('Lamp', 2022, { value: 147, unit: 'g' }),
+  work('Armor', 2010, { value: 1.2, unit: 'kg' }),
+  work('Bag', 2004, { value: 125, unit: 'g' })
+];
+
+const titles = list => list.map(item => item.title);
+
+describe('URL parameters', () => {
+  test('falls back to defaults for missing or invalid values', () => {
+    expect(parseListingParams(new URLSearchParams('sort=bogus&page=-3'))).toEqual({ sort: DEFAULT_SORT, page: 1 });
+    expect(parseListingParams(new URLSearchParams('sort=title&page=2'))).toEqual({ sort: 'title', page: 2 });
+  });
+
+  test('omits default values and keeps other parameters', () => {
+    const params = new URLSearchParams('material=Velvet&sort=title&page=3');
+    expect(applyListingParams(params, { sort: DEFAULT_SORT, page: 1 }).toString()).toBe('material=Velvet');
+    expect(applyListingParams(params, { sort: 'oldest', page: 2 }).toString()).toBe('material=Velvet&sort=oldest&page=2');
+  });
+});
+
+describe('sortWorks', () => {
+  test('orders by year with title as tie breaker', () => {
+    expect(titles(sortWorks(works, 'newest'))).toEqual(['Lamp', 'Armor', 'Coif', 'Bag']);
+    expect(titles(sortWorks(works, 'oldest'))).toEqual(['Bag', 'Armor', 'Coif', 'Lamp']);
+  });
+
+  test('compares weights across units', () => {
+    expect(titles(sortWorks(works, 'heaviest'))).toEqual(['Armor', 'Coif', 'Lamp', 'Bag']);
+    expect(titles(sortWorks(works, 'lightest'))).toEqual(['Bag', 'Lamp', 'Coif', 'Armor']);
+  });
+
+  test('does not mutate the input', () => {
+    sortWorks(works, 'title');
+    expect(titles(works)).toEqual(['Coif', 'Lamp', 'Armor', 'Bag']);
+  });
+});
+
+describe('paginate', () => {
+  test('slices the requested page and clamps out-of-range pages', () => {
+    const items = Array.from({ length: 10 }, (_, index) => index);
+    expect(paginate(items, 2, 4)).toEqual({ items: [4, 5, 6, 7], page: 2, pageCount: 3 });
+    expect(paginate(items, 9, 4)).toEqual({ items: [8, 9], page: 3, pageCount: 3 });
+    expect(paginate([], 1, 4)).toEqual({ items: [], page: 1, pageCount: 1 });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * WORK MEDIA MODULE
+ * =================
+ *
+ * Helpers for the typed `media` list of a work: still images, short looping
+ * videos and 360° turntable image sequences.
+ *
+ * MEDIA ITEM SHAPES (normalized by catalog.js):
+ * - { type: 'image', src }
+ * - { type: 'video', src, poster }: Muted looping clip; poster is a still image
+ * - { type: 'turntable', frames, poster }: Image sequence shot around the piece,
+ *   in rotation order; poster defaults to the first frame
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Pure functions with no React or DOM dependency (usable from api/ handlers)
+ * - Every item has a still image (its poster), so places that can only show a
+ *   picture (gallery cards, social previews, feeds, sitemaps) keep working
+ *
+ * EXPORTS:
+ * - MEDIA_TYPES: Supported media item types
+ * - getMediaPoster: Still image representing a media item
+ * - getMediaImages: Every image file a media item displays (image pipeline input)
+ * - getWorkPoster: Still image representing a work (first media item)
+ */
+
+// =============================================================================
+// MEDIA TYPES
+// =============================================================================
+export const MEDIA_TYPES = ['image', 'video', 'turntable'];
+
+// =============================================================================
+// POSTERS
+// =============================================================================
+
+/**
+ * Still image representing a media item.
+ *
+ * @param {Object} item - Normalized media item
+ * @returns {string} Image URL (the image itself, or the video/turntable poster)
+ */
+export const getMediaPoster = (item) => (item.type === 'image' ? item.src : item.poster);
+
+/**
+ * Every image file a media item displays, without duplicates.
+ *
+ * @param {Object} item - Media item
+ * @returns {Array<string>} Image URLs (videos contribute only their poster)
+ */
+export const getMediaImages = (item) => {
+  if (item.type === 'turntable') {
+    return [...new Set([getMediaPoster(item), ...item.frames])];
+  }
+  return [getMediaPoster(item)];
+};
+
+/**
+ * Still image representing a work, e.g. for gallery cards.
+ *
+ * @param {Object} work - Normalized work
+ * @returns {string|undefined} Poster of the first media item
+ */
+export const getWorkPoster = (work) => (work.media && work.media.length > 0 ? getMediaPoster(work.media[0]) : undefined);
@@ -0,0 +1,25 @@
+import { getMediaPoster, getMediaImages, getWorkPoster } from './media';
+
+const turntable = { type: 'turntable', frames: ['/spin-0.jpg', '/spin-1.jpg'], poster: '/spin-0.jpg' };
+
+describe('getMediaPoster', () => {
+  test('uses the image itself or the item poster', () => {
+    expect(getMediaPoster({ type: 'image', src: '/a.jpg' })).toBe('/a.jpg');
+    expect(getMediaPoster({ type: 'video', src: '/drape.mp4', poster: '/drape.jpg' })).toBe('/drape.jpg');
+    expect(getMediaPoster(turntable)).toBe('/spin-0.jpg');
+  });
+});
+
+describe('getMediaImages', () => {
+  test('lists every turntable frame once and only the poster of a video', () => {
+    expect(getMediaImages(turntable)).toEqual(['/spin-0.jpg', '/spin-1.jpg']);
+    expect(getMediaImages({ type: 'video', src: '/drape.mp4', poster: '/drape.jpg' })).toEqual(['/drape.jpg']);
+  });
+});
+
+describe('getWorkPoster', () => {
+  test('uses the poster of the first media item', () => {
+    expect(getWorkPoster({ media: [turntable, { type: 'image', src: '/a.jpg' }] })).toBe('/spin-0.jpg');
+    expect(getWorkPoster({ media: [] })).toBeUndefined();
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * RELATED WORKS MODULE
+ * ====================
+ *
+ * Scores catalog works by similarity to a given work, powering the
+ * "You may also like" strip on ProductDetail (and reusable on Home).
+ *
+ * SCORING:
+ * - Same weave type: 3 points
+ * - Each shared material: 2 points
+ * - Same category: 1 point
+ * - Created in the same era (within ERA_SPAN years): 1 point
+ *
+ * RANKING:
+ * - Highest score first, then closest creation year, then title
+ * - Works with no similarity at all (score 0) are never suggested
+ *
+ * EXPORTS:
+ * - RELATED_WEIGHTS / ERA_SPAN: Scoring configuration
+ * - scoreSimilarity: Similarity score between two works
+ * - getRelatedWorks: Top related works for a work
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+// Points awarded for each kind of shared attribute
+export const RELATED_WEIGHTS = {
+  weaveType: 3,
+  material: 2,
+  category: 1,
+  era: 1
+};
+
+// Maximum difference in years for two works to count as the same era
+export const ERA_SPAN = 5;
+
+// Normalizes strings so "Stainless Steel" and "stainless steel" match
+const normalize = (value) => String(value).trim().toLowerCase();
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+/**
+ * Computes how similar two works are.
+ *
+ * @param {Object} work - Reference work
+ * @param {Object} other - Candidate work
+ * @returns {number} Similarity score (0 means nothing in common)
+ */
+export const scoreSimilarity = (work, other) => {
+  let score = 0;
+
+  if (normalize(work.specs.weaveType) === normalize(other.specs.weaveType)) {
+    score += RELATED_WEIGHTS.weaveType;
+  }
+
+  const materials = new Set(work.specs.materials.map(normalize));
+  other.specs.materials.forEach(material => {
+    if (materials.has(normalize(material))) score += RELATED_WEIGHTS.material;
+  });
+
+  if (work.category === other.category) {
+    score += RELATED_WEIGHTS.category;
+  }
+
+  if (Math.abs(work.specs.yearCreated - other.specs.yearCreated) <= ERA_SPAN) {
+    score += RELATED_WEIGHTS.era;
+  }
+
+  return score;
+};
+
+/**
+ * Returns the works most similar to `work`, excluding the work itself.
+ *
+ * @param {Object} work - Reference work
+ * @param {Array<Object>} works - Candidate pool (normally allWorks)
+ * @param {number} [limit=3] - Maximum number of suggestions
+ * @returns {Array<Object>} Related works, best match first
+ */
+export const getRelatedWorks = (work, works, limit = 3) => works
+  .filter(other => other.id !== work.id)
+  .map(other => ({
+    other,
+    score: scoreSimilarity(work, other),
+    yearGap: Math.abs(work.specs.yearCreated - other.specs.yearCreated)
+  }))
+  .filter(({ score }) => score > 0)
+  .sort((a, b) => b.score - a.score || a.yearGap - b.yearGap || a.other.title.localeCompare(b.other.title))
+  .slice(0, limit)
+  .map(({ other }) => other);
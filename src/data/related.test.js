@@ -0,0 +1,54 @@
+import { scoreSimilarity, getRelatedWorks, RELATED_WEIGHTS } from './related';
+
+const work = (id, title, { weaveType, materials, category, yearCreated }) => ({
+  id,
+  title,
+  category,
+  specs: { weaveType, materials, yearCreated }
+});
+
+const bag = work(1, 'Book Bag', { weaveType: 'European 4 in 1', materials: ['Galvanized Steel'], category: 'jewelry', yearCreated: 2013 });
+const coif = work(2, 'Coif', { weaveType: 'European 4 in 1', materials: ['Galvanized Steel'], category: 'jewelry', yearCreated: 2010 });
+const diceBag = work(3, 'Dice Bag', { weaveType: 'European 4 in 1', materials: ['Stainless Steel', 'Velvet'], category: 'jewelry', yearCreated: 2004 });
+const sleeve = work(4, 'Sleeve', { weaveType: 'European 6 in 1', materials: ['stainless steel'], category: 'jewelry', yearCreated: 2004 });
+const lamp = work(5, 'Lamp', { weaveType: 'Captive Round', materials: ['Niquel Coated Steel'], category: 'art', yearCreated: 2030 });
+
+const works = [bag, coif, diceBag, sleeve, lamp];
+
+describe('scoreSimilarity', () => {
+  test('adds up weave, materials, category and era', () => {
+    expect(scoreSimilarity(bag, coif)).toBe(
+      RELATED_WEIGHTS.weaveType + RELATED_WEIGHTS.material + RELATED_WEIGHTS.category + RELATED_WEIGHTS.era
+    );
+    expect(scoreSimilarity(bag, diceBag)).toBe(RELATED_WEIGHTS.weaveType + RELATED_WEIGHTS.category);
+  });
+
+  test('matches materials case-insensitively', () => {
+    expect(scoreSimilarity(diceBag, sleeve)).toBe(
+      RELATED_WEIGHTS.material + RELATED_WEIGHTS.category + RELATED_WEIGHTS.era
+    );
+  });
+
+  test('is zero when nothing is shared', () => {
+    expect(scoreSimilarity(bag, lamp)).toBe(0);
+  });
+});
+
+describe('getRelatedWorks', () => {
+  test('ranks by score and excludes the work itself', () => {
+    expect(getRelatedWorks(bag, works).map(item => item.id)).toEqual([2, 3, 4]);
+  });
+
+  test('breaks ties by closest creation year', () => {
+    const older = work(6, 'Older', { ...coif.specs, category: 'jewelry', yearCreated: 1990 });
+    expect(getRelatedWorks(bag, [older, coif], 2).map(item => item.id)).toEqual([2, 6]);
+  });
+
+  test('never suggests unrelated works', () => {
+    expect(getRelatedWorks(lamp, works)).toEqual([]);
+  });
+
+  test('respects the limit', () => {
+    expect(getRelatedWorks(bag, works, 1)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * CATALOG SEARCH MODULE
+ * =====================
+ *
+ * Client-side full-text search over the catalog, used by the Navbar search box
+ * and the /search results page.
+ *
+ * PURPOSE:
+ * - Let visitors find pieces by keyword instead of scrolling the Gallery
+ * - Rank results by where the words appear (title beats description)
+ * - Tolerate typos ("bizantine", "stainles") and partially typed words
+ * - Report which indexed words matched so result cards can highlight them
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - createSearchIndex builds an inverted index (term -> work -> weight) once
+ * - Queries only look up the index, so typing does not rescan every work
+ * - Pure functions with no React or DOM dependency
+ *
+ * MATCHING RULES:
+ * - Every query word must match the work (AND), results sorted by score
+ * - Exact word > prefix of a word > word within a small edit distance
+ * - Field weights: title 5, shortDescription 3, details 2, description 1
+ *
+ * EXPORTS:
+ * - tokenize: Splits text into normalized search terms
+ * - createSearchIndex: Builds the index and returns its search function
+ * - splitHighlights: Splits text into plain/highlighted segments for rendering
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+// Relative importance of each indexed field
+const FIELD_WEIGHTS = {
+  title: 5,
+  shortDescription: 3,
+  details: 2,
+  description: 1
+};
+
+// Quality multipliers for each kind of term match
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.5
+};
+
+// Minimum query word length before prefix and typo matching kick in
+// (short words would otherwise match half the vocabulary)
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+// =============================================================================
+// TEXT NORMALIZATION
+// =============================================================================
+
+// Lowercases and strips accents so "Morán" and "moran" are the same term
+const normalize = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Splits text into normalized search terms.
+ *
+ * @param {string} text - Any text (title, description, query)
+ * @returns {string[]} Lowercase, accent-free words and numbers
+ */
+export const tokenize = (text) => normalize(String(text || '')).match(/[a-z0-9]+/g) || [];
+
+// Maximum edit distance accepted for a query word of the given length
+const maxTypos = (length) => (length >= 8 ? 2 : 1);
+
+// Damerau-Levenshtein (optimal string alignment) distance with an early exit
+// once every cell in a row exceeds `limit`
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+// =============================================================================
+// INDEX CONSTRUCTION
+// =============================================================================
+
+// Collects the weighted text fields of one work
+const getFields = (work) => [
+  { text: work.title, weight: FIELD_WEIGHTS.title },
+  { text: work.shortDescription, weight: FIELD_WEIGHTS.shortDescription },
+  { text: work.description, weight: FIELD_WEIGHTS.description },
+  ...Object.values(work.details || {}).map(text => ({ text, weight: FIELD_WEIGHTS.details }))
+];
+
+/**
+ * Builds the inverted index for a list of works.
+ *
+ * @param {Array<Object>} works - Works to index (normally allWorks)
+ * @returns {{search: function(string): Array<{work: Object, score: number, terms: string[]}>}}
+ *   Index object; search returns results sorted by descending score
+ */
+export const createSearchIndex = (works) => {
+  // term -> Map(work -> accumulated field weight)
+  const postings = new Map();
+
+  works.forEach(work => {
+    getFields(work).forEach(({ text, weight }) => {
+      tokenize(text).forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const byWork = postings.get(term);
+        byWork.set(work, (byWork.get(work) || 0) + weight);
+      });
+    });
+  });
+
+  const vocabulary = [...postings.keys()];
+
+  // Finds every indexed term a query word may refer to, with its match quality
+  const expandQueryTerm = (queryTerm) => {
+    const matches = [];
+    vocabulary.forEach(term => {
+      if (term === queryTerm) {
+        matches.push({ term, quality: MATCH_QUALITY.exact });
+      } else if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+        matches.push({ term, quality: MATCH_QUALITY.prefix });
+      } else if (queryTerm.length >= MIN_FUZZY_LENGTH) {
+        const limit = maxTypos(queryTerm.length);
+        const distance = editDistance(queryTerm, term, limit);
+        if (distance <= limit) {
+          matches.push({ term, quality: MATCH_QUALITY.fuzzy / distance });
+        }
+      }
+    });
+    return matches;
+  };
+
+  const search = (query) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    // work -> { score, terms } accumulated across query words
+    let candidates = null;
+
+    queryTerms.forEach(queryTerm => {
+      // Best score per work for this query word, plus the indexed terms that matched
+      const hits = new Map();
+      expandQueryTerm(queryTerm).forEach(({ term, quality }) => {
+        postings.get(term).forEach((weight, work) => {
+          const hit = hits.get(work) || { score: 0, terms: [] };
+          hit.score = Math.max(hit.score, weight * quality);
+          hit.terms.push(term);
+          hits.set(work, hit);
+        });
+      });
+
+      // AND semantics: keep only works matched by every query word so far
+      const next = new Map();
+      hits.forEach((hit, work) => {
+        if (candidates && !candidates.has(work)) return;
+        const previous = candidates ? candidates.get(work) : { score: 0, terms: [] };
+        next.set(work, { score: previous.score + hit.score, terms: [...previous.terms, ...hit.terms] });
+      });
+      candidates = next;
+    });
+
+    return [...candidates.entries()]
+      .map(([work, { score, terms }]) => ({ work, score, terms: [...new Set(terms)] }))
+      .sort((a, b) => b.score - a.score || a.work.title.localeCompare(b.work.title));
+  };
+
+  return { search };
+};
+
+// =============================================================================
+// HIGHLIGHTING
+// =============================================================================
+
+/**
+ * Splits text into segments, flagging the words that are in `terms`.
+ * Used by GalleryItem to wrap matched words in <mark>.
+ *
+ * @param {string} text - Text to display
+ * @param {string[]} terms - Normalized terms returned by search()
+ * @returns {Array<{text: string, match: boolean}>} Segments in display order
+ */
+export const splitHighlights = (text, terms) => {
+  if (!text) return [];
+  if (!terms || terms.length === 0) return [{ text, match: false }];
+
+  const termSet = new Set(terms);
+  // Split into words and the separators between them, keeping both
+  return text.split(/([\p{L}\p{N}]+)/u)
+    .filter(part => part !== '')
+    .map(part => ({ text: part, match: termSet.has(tokenize(part).join('')) }));
+};
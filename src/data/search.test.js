@@ -0,0 +1,77 @@
+import { tokenize, createSearchIndex, splitHighlights } from './search';
+
+const works = [
+  {
+    id: 1,
+    title: 'Byzantine Bracelet',
+    shortDescription: 'Rope-like bracelet',
+    description: 'A sturdy bracelet.',
+    details: { materials: 'Stainless Steel', weaveType: 'Byzantine' }
+  },
+  {
+    id: 2,
+    title: 'Dice Bag',
+    shortDescription: 'Belt pouch',
+    description: 'Lined with velvet, with a byzantine trim.',
+    details: { materials: 'Stainless Steel, Velvet', weaveType: 'European 4 in 1' }
+  },
+  {
+    id: 3,
+    title: 'Pyramid Lamp',
+    shortDescription: 'Nightlight',
+    description: 'Dimmable LED lamp.',
+    details: { materials: 'Niquel Coated Steel', weaveType: 'Modified Captive Inverted Round' }
+  }
+];
+
+const index = createSearchIndex(works);
+const ids = (query) => index.search(query).map(result => result.work.id);
+
+describe('tokenize', () => {
+  test('lowercases, strips accents and splits on punctuation', () => {
+    expect(tokenize('Morán\'s 4-in-1 Coif!')).toEqual(['moran', 's', '4', 'in', '1', 'coif']);
+  });
+});
+
+describe('createSearchIndex', () => {
+  test('ranks title matches above description matches', () => {
+    expect(ids('byzantine')).toEqual([1, 2]);
+  });
+
+  test('requires every query word to match', () => {
+    expect(ids('stainless velvet')).toEqual([2]);
+    expect(ids('lamp velvet')).toEqual([]);
+  });
+
+  test('matches prefixes and typos', () => {
+    expect(ids('pyra')).toEqual([3]);
+    expect(ids('bizantine')).toEqual([1, 2]);
+    expect(ids('stainles stel')).toEqual([1, 2]);
+  });
+
+  test('searches detail fields', () => {
+    expect(ids('european')).toEqual([2]);
+  });
+
+  test('returns the matched index terms for highlighting', () => {
+    expect(index.search('bizantine')[0].terms).toEqual(['byzantine']);
+  });
+
+  test('ignores empty queries', () => {
+    expect(ids('  ')).toEqual([]);
+  });
+});
+
+describe('splitHighlights', () => {
+  test('flags words whose normalized form was matched', () => {
+    expect(splitHighlights('Byzantine Bracelet', ['byzantine'])).toEqual([
+      { text: 'Byzantine', match: true },
+      { text: ' ', match: false },
+      { text: 'Bracelet', match: false }
+    ]);
+  });
+
+  test('returns the text untouched without terms', () => {
+    expect(splitHighlights('Dice Bag', undefined)).toEqual([{ text: 'Dice Bag', match: false }]);
+  });
+});
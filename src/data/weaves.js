@@ -0,0 +1,42 @@
+/**
+ * WEAVES DATA MODULE
+ * ==================
+ *
+ * The chainmaille weaves the artist specializes in, shared by the About page
+ * (specialization cards) and the commission wizard on the Contact page
+ * (preferred weave choices), so both always list the same weaves.
+ *
+ * EXPORTS:
+ * - SPECIALTY_WEAVES: Weave names in display order
+ * - getWeaveDescription: Short description of a weave
+ */
+
+// =============================================================================
+// WEAVE DESCRIPTIONS
+// =============================================================================
+// Each description focuses on the visual character of the weave, its structure
+// and what it is commonly used for
+const WEAVE_DESCRIPTIONS = {
+  // Byzantine: Complex rope-like weave with twisted appearance
+  'Byzantine': 'An elegant and complex weave that creates a rope-like structure with a twisted appearance.',
+
+  // European 4-in-1: Classic versatile pattern, foundation of many chainmaille pieces
+  'European 4-in-1': 'A classic and versatile pattern where each ring connects to four others, creating a flexible mesh.',
+
+  // Persian: Dense flowing weave family, often used for statement jewelry
+  'Persian': 'An intricate family of weaves with a dense, flowing appearance, often used for statement pieces.',
+
+  // Japanese: Geometric precision weaves, delicate and precise patterns
+  'Japanese': 'Precise geometric patterns that create beautiful, delicate sheets of chainmaille.'
+};
+
+// Weave names in display order
+export const SPECIALTY_WEAVES = Object.keys(WEAVE_DESCRIPTIONS);
+
+/**
+ * Returns descriptive text for a chainmaille weave.
+ *
+ * @param {string} weave - The name of the chainmaille weave type
+ * @returns {string} Description, or a generic one for weaves not listed
+ */
+export const getWeaveDescription = (weave) => WEAVE_DESCRIPTIONS[weave] || 'A beautiful traditional chainmaille pattern.';
@@ -0,0 +1,128 @@
+/**
+ * PONG ADAPTIVE OPPONENT
+ * ======================
+ *
+ * Adaptive mode for the computer paddle: instead of a fixed level, its
+ * tuning follows how the match is going, so a beginner and a strong player
+ * both get a close game.
+ *
+ * PURPOSE:
+ * - Make the computer stronger while the player is winning points and weaker
+ *   while the player is losing them
+ * - Expose the current tuning so it can be checked on a debug overlay
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - A single skill between 0 (slower, later and less accurate than Easy, so
+ *   there is room below it even with prediction) and 1 (Insane) decides the
+ *   tuning; adaptive mode always predicts, so aimError is its prediction error
+ * - Every point moves a target skill: up when the player scored, down when
+ *   the computer did, further the bigger the player's lead or deficit and
+ *   the shorter the recent rallies (quick points mean a mismatch)
+ * - The skill eases towards the target over a few seconds, so the computer
+ *   never changes abruptly in the middle of a rally
+ * - State in, state out like the engine: adaptAi(adaptive, state, dt) reads
+ *   the step's events and score and returns the next adaptive state, whose
+ *   tuning goes on the AI state (see createAiState)
+ *
+ * EXPORTS:
+ * - ADAPTIVE_TUNING: How fast and how far the skill moves
+ * - tuningForSkill: Computer tuning for a skill
+ * - createAdaptiveState / adaptAi: Adaptive mode
+ * - averageRally: Recent rally length (for the overlay)
+ */
+
+import { AI_LEVELS } from './ai';
+
+export const ADAPTIVE_TUNING = {
+  // Tuning at skill 0; skill 1 is the hardest level
+  weakest: { reactionTime: 0.5, maxSpeed: 150, aimError: 110 },
+  initialSkill: 0.3,
+  // Paddle hits in a rally between evenly matched players
+  targetRally: 6,
+  // Rallies averaged to judge how quickly points are won
+  rallyWindow: 5,
+  // Target skill change for a point, doubled for very quick points
+  pointStep: 0.06,
+  // Target skill change per point of the player's lead (or deficit)
+  leadStep: 0.03,
+  // Seconds for the skill to cover most (63%) of the way to its target
+  easeTime: 3
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const lerp = (from, to, amount) => from + (to - from) * amount;
+
+/**
+ * Computer tuning for a skill, from ADAPTIVE_TUNING.weakest to the hardest level.
+ *
+ * @param {number} skill - 0 (easiest) to 1 (hardest)
+ * @returns {Object} { reactionTime, maxSpeed, aimError, predict }
+ */
+export const tuningForSkill = (skill) => {
+  const easiest = ADAPTIVE_TUNING.weakest;
+  const hardest = AI_LEVELS[AI_LEVELS.length - 1];
+  const amount = clamp(skill, 0, 1);
+  return {
+    reactionTime: lerp(easiest.reactionTime, hardest.reactionTime, amount),
+    maxSpeed: lerp(easiest.maxSpeed, hardest.maxSpeed, amount),
+    aimError: lerp(easiest.aimError, hardest.aimError, amount),
+    predict: true
+  };
+};
+
+/**
+ * Creates the adaptive state for a new match.
+ *
+ * @param {number} [skill=ADAPTIVE_TUNING.initialSkill] - Starting skill (0-1)
+ * @returns {Object} Adaptive state: { skill, targetSkill, rally, rallies, tuning }
+ */
+export const createAdaptiveState = (skill = ADAPTIVE_TUNING.initialSkill) => ({
+  skill,
+  targetSkill: skill,
+  // Paddle hits so far in the current rally
+  rally: 0,
+  // Lengths of the last finished rallies, oldest first
+  rallies: [],
+  tuning: tuningForSkill(skill)
+});
+
+/**
+ * Average length of the recent rallies (targetRally before the first point).
+ *
+ * @param {Object} adaptive - Adaptive state
+ * @returns {number} Paddle hits per rally
+ */
+export const averageRally = (adaptive) => (adaptive.rallies.length === 0
+  ? ADAPTIVE_TUNING.targetRally
+  : adaptive.rallies.reduce((sum, length) => sum + length, 0) / adaptive.rallies.length);
+
+/**
+ * Adapts the computer to a step of the match.
+ *
+ * @param {Object} adaptive - Adaptive state
+ * @param {Object} state - Engine state after the step (its events and score)
+ * @param {number} dt - Step length in seconds
+ * @param {'left'|'right'} [side='right'] - Computer paddle
+ * @returns {Object} Next adaptive state
+ */
+export const adaptAi = (adaptive, state, dt, side = 'right') => {
+  const { targetRally, rallyWindow, pointStep, leadStep, easeTime } = ADAPTIVE_TUNING;
+  const player = side === 'right' ? 'left' : 'right';
+  let { targetSkill, rally, rallies } = adaptive;
+
+  state.events.forEach(event => {
+    if (event.type === 'paddle-hit') rally += 1;
+    if (event.type !== 'score') return;
+
+    rallies = [...rallies, rally].slice(-rallyWindow);
+    rally = 0;
+    const quickness = clamp((targetRally - averageRally({ rallies })) / targetRally, 0, 1);
+    const direction = event.side === player ? 1 : -1;
+    const lead = state.score[player] - state.score[side];
+    targetSkill = clamp(targetSkill + direction * pointStep * (1 + quickness) + leadStep * lead, 0, 1);
+  });
+
+  const skill = adaptive.skill + (targetSkill - adaptive.skill) * (1 - Math.exp(-dt / easeTime));
+  return { skill, targetSkill, rally, rallies, tuning: tuningForSkill(skill) };
+};
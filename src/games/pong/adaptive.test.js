@@ -0,0 +1,121 @@
+import { FIXED_DT, PONG_CONFIG, createPongState, step } from './engine';
+import { AI_LEVELS, AI_PADDLE_SPEED, createAiState, updateAi } from './ai';
+import { ADAPTIVE_TUNING, adaptAi, averageRally, createAdaptiveState, tuningForSkill } from './adaptive';
+
+const config = { ...PONG_CONFIG, paddleSpeed: { left: AI_PADDLE_SPEED, right: AI_PADDLE_SPEED } };
+
+// Engine state after a step with these events and score
+const afterStep = (events, score = { left: 0, right: 0 }) => ({ ...createPongState({ config }), events, score });
+
+const hits = (count) => Array.from({ length: count }, () => ({ type: 'paddle-hit', side: 'left', contact: 'face' }));
+
+// A fixed level on the left against the right paddle, adaptive or fixed;
+// the adaptive state only changes in adaptive mode
+const playMatch = (leftLevel, rightLevel, seconds) => {
+  let state = createPongState({ config, seed: 3 });
+  let adaptive = createAdaptiveState();
+  let left = createAiState(leftLevel, 11);
+  let right = rightLevel === 'adaptive' ? createAiState('adaptive', 12, adaptive.tuning) : createAiState(rightLevel, 12);
+  for (let i = 0; i < seconds / FIXED_DT; i += 1) {
+    const leftMove = updateAi(left, state, FIXED_DT, 'left');
+    const rightMove = updateAi(right, state, FIXED_DT, 'right');
+    left = leftMove.ai;
+    right = rightMove.ai;
+    state = step(state, { left: leftMove.input, right: rightMove.input });
+    if (rightLevel === 'adaptive') {
+      adaptive = adaptAi(adaptive, state, FIXED_DT);
+      right = { ...right, tuning: adaptive.tuning };
+    }
+  }
+  return { score: state.score, adaptive };
+};
+
+describe('tuningForSkill', () => {
+  test('runs from the weakest tuning to the hardest level', () => {
+    const hardest = AI_LEVELS[AI_LEVELS.length - 1];
+
+    expect(tuningForSkill(0)).toEqual({ ...ADAPTIVE_TUNING.weakest, predict: true });
+    expect(tuningForSkill(1)).toEqual({
+      reactionTime: hardest.reactionTime,
+      maxSpeed: hardest.maxSpeed,
+      aimError: hardest.aimError,
+      predict: true
+    });
+    expect(tuningForSkill(0.5).maxSpeed).toBeCloseTo((ADAPTIVE_TUNING.weakest.maxSpeed + hardest.maxSpeed) / 2);
+    expect(tuningForSkill(2)).toEqual(tuningForSkill(1));
+  });
+
+  test('starts below Easy', () => {
+    const easy = AI_LEVELS[0];
+
+    expect(ADAPTIVE_TUNING.weakest.maxSpeed).toBeLessThan(easy.maxSpeed);
+    expect(ADAPTIVE_TUNING.weakest.reactionTime).toBeGreaterThan(easy.reactionTime);
+    expect(ADAPTIVE_TUNING.weakest.aimError).toBeGreaterThan(easy.aimError);
+  });
+});
+
+describe('adaptAi', () => {
+  test('counts paddle hits and keeps the recent rallies', () => {
+    let adaptive = adaptAi(createAdaptiveState(), afterStep(hits(2)), FIXED_DT);
+    expect(adaptive.rally).toBe(2);
+
+    for (let i = 0; i < ADAPTIVE_TUNING.rallyWindow + 1; i += 1) {
+      adaptive = adaptAi(adaptive, afterStep([...hits(i + 1), { type: 'score', side: 'left' }]), FIXED_DT);
+    }
+
+    expect(adaptive.rally).toBe(0);
+    expect(adaptive.rallies).toEqual([2, 3, 4, 5, 6]);
+    expect(averageRally(adaptive)).toBe(4);
+    expect(averageRally(createAdaptiveState())).toBe(ADAPTIVE_TUNING.targetRally);
+  });
+
+  test('aims higher after a player point and lower after a computer point', () => {
+    const adaptive = { ...createAdaptiveState(), rally: ADAPTIVE_TUNING.targetRally };
+
+    const playerPoint = adaptAi(adaptive, afterStep([{ type: 'score', side: 'left' }]), FIXED_DT);
+    const computerPoint = adaptAi(adaptive, afterStep([{ type: 'score', side: 'right' }]), FIXED_DT);
+
+    expect(playerPoint.targetSkill).toBeCloseTo(adaptive.skill + ADAPTIVE_TUNING.pointStep);
+    expect(computerPoint.targetSkill).toBeCloseTo(adaptive.skill - ADAPTIVE_TUNING.pointStep);
+  });
+
+  test('moves further for quick points and a bigger lead', () => {
+    const adaptive = createAdaptiveState();
+    const longRally = adaptAi({ ...adaptive, rally: 10 }, afterStep([{ type: 'score', side: 'left' }]), FIXED_DT);
+    const quickPoint = adaptAi(adaptive, afterStep([{ type: 'score', side: 'left' }]), FIXED_DT);
+    const withLead = adaptAi(
+      { ...adaptive, rally: 10 },
+      afterStep([{ type: 'score', side: 'left' }], { left: 5, right: 1 }),
+      FIXED_DT
+    );
+
+    expect(quickPoint.targetSkill - adaptive.skill).toBeCloseTo(2 * ADAPTIVE_TUNING.pointStep);
+    expect(withLead.targetSkill - longRally.targetSkill).toBeCloseTo(4 * ADAPTIVE_TUNING.leadStep);
+  });
+
+  test('eases the tuning towards the target', () => {
+    let adaptive = { ...createAdaptiveState(0.2), targetSkill: 0.8 };
+
+    adaptive = adaptAi(adaptive, afterStep([]), FIXED_DT);
+    expect(adaptive.skill).toBeGreaterThan(0.2);
+    expect(adaptive.skill).toBeLessThan(0.21);
+    expect(adaptive.tuning).toEqual(tuningForSkill(adaptive.skill));
+
+    for (let i = 0; i < (4 * ADAPTIVE_TUNING.easeTime) / FIXED_DT; i += 1) {
+      adaptive = adaptAi(adaptive, afterStep([]), FIXED_DT);
+    }
+    expect(adaptive.skill).toBeCloseTo(0.8, 1);
+  });
+
+  test('keeps a match against a weak opponent closer than a fixed level does', () => {
+    const adaptive = playMatch('easy', 'adaptive', 240);
+    const fixed = playMatch('easy', 'normal', 240);
+
+    expect(adaptive.adaptive.skill).toBeLessThan(ADAPTIVE_TUNING.initialSkill);
+    expect(adaptive.score.right - adaptive.score.left).toBeLessThan(fixed.score.right - fixed.score.left);
+  });
+
+  test('gets stronger against a strong opponent', () => {
+    expect(playMatch('hard', 'adaptive', 240).adaptive.skill).toBeGreaterThan(ADAPTIVE_TUNING.initialSkill);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * PONG COMPUTER OPPONENT
+ * ======================
+ *
+ * Difficulty levels for the computer paddle, from a slow, late and
+ * inaccurate Easy to an Insane opponent that reads every bounce.
+ *
+ * PURPOSE:
+ * - Let the player pick how hard the computer is (Easy, Normal, Hard, Insane)
+ * - Remember the last level between visits
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Each level is a tuning: reactionTime (seconds before the computer reacts
+ *   to a new shot and between looks at the ball), maxSpeed (px/s), aimError
+ *   (largest miss, px, drawn once per shot) and predict
+ * - Predicting levels aim for where the ball will cross the paddle line,
+ *   following its bounces off the walls; the others chase the ball's height
+ * - State in, state out like the engine: updateAi(ai, state, dt) returns the
+ *   paddle input and the next AI state; aim errors use the engine's seeded
+ *   random numbers, so a game replays identically
+ * - Storage is passed in (like the inquiry list helpers)
+ *
+ * EXPORTS:
+ * - AI_LEVELS / DEFAULT_AI_LEVEL / getAiLevel: Levels
+ * - ADAPTIVE_AI_LEVEL / AI_CHOICES: Adaptive mode and the start screen's choices
+ * - AI_PADDLE_SPEED: Computer paddle top speed for the engine config
+ * - predictInterceptY: Where the ball will reach a paddle
+ * - createAiState / updateAi: Computer paddle control
+ * - AI_LEVEL_STORAGE_KEY / loadAiLevel / saveAiLevel: Last chosen level
+ */
+
+import { nextRandom } from './engine';
+
+// Easiest first (the order of the start screen)
+export const AI_LEVELS = [
+  { id: 'easy', label: 'Easy', reactionTime: 0.4, maxSpeed: 180, aimError: 70, predict: false },
+  // Close to the original opponent
+  { id: 'normal', label: 'Normal', reactionTime: 0.2, maxSpeed: 255, aimError: 35, predict: false },
+  { id: 'hard', label: 'Hard', reactionTime: 0.12, maxSpeed: 360, aimError: 15, predict: true },
+  { id: 'insane', label: 'Insane', reactionTime: 0, maxSpeed: 480, aimError: 0, predict: true }
+];
+
+export const DEFAULT_AI_LEVEL = 'normal';
+
+// Tuned during the match instead (src/games/pong/adaptive.js)
+export const ADAPTIVE_AI_LEVEL = 'adaptive';
+
+// What the start screen offers: the fixed levels, then Adaptive
+export const AI_CHOICES = [
+  ...AI_LEVELS.map(({ id, label }) => ({ id, label })),
+  { id: ADAPTIVE_AI_LEVEL, label: 'Adaptive' }
+];
+
+// The engine moves the computer paddle at up to this speed; each level uses
+// its own share of it
+export const AI_PADDLE_SPEED = Math.max(...AI_LEVELS.map(level => level.maxSpeed));
+
+export const AI_LEVEL_STORAGE_KEY = 'chainlair.pongDifficulty';
+
+/**
+ * Looks up a level.
+ *
+ * @param {string} id - Level id
+ * @returns {Object} The level (Normal for unknown ids)
+ */
+export const getAiLevel = (id) => AI_LEVELS.find(level => level.id === id)
+  || AI_LEVELS.find(level => level.id === DEFAULT_AI_LEVEL);
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// =============================================================================
+// PREDICTION
+// =============================================================================
+
+/**
+ * Height at which the ball's center will reach a paddle's face, following
+ * its bounces off the top and bottom walls.
+ *
+ * @param {Object} state - Engine state
+ * @param {'left'|'right'} [side='right'] - Paddle
+ * @returns {number} Predicted center y (the ball's current y when it moves away)
+ */
+export const predictInterceptY = (state, side = 'right') => {
+  const { court, paddle, ball: { radius } } = state.config;
+  const { x, y, vx, vy } = state.ball;
+  const faceX = side === 'right' ? court.x + court.width - paddle.width - radius : court.x + paddle.width + radius;
+  const time = (faceX - x) / vx;
+  if (!(time > 0)) return y;
+
+  // Unfold the bounces: the ball's height repeats every two court crossings
+  const minY = court.y + radius;
+  const span = court.height - 2 * radius;
+  let offset = (y + vy * time - minY) % (2 * span);
+  if (offset < 0) offset += 2 * span;
+  return minY + (offset <= span ? offset : 2 * span - offset);
+};
+
+// =============================================================================
+// CONTROL
+// =============================================================================
+
+/**
+ * Creates the computer's state for a level.
+ *
+ * @param {string} levelId - Level id
+ * @param {number} [seed=1] - Seed for aim errors
+ * @param {Object} [tuning] - { reactionTime, maxSpeed, aimError, predict } to
+ *   use instead of the level's (adaptive mode); replace `tuning` on the state
+ *   to change it during a match
+ * @returns {Object} AI state: { level, tuning, targetY, aimOffset, timer, approaching, seed }
+ */
+export const createAiState = (levelId, seed = 1, tuning = getAiLevel(levelId)) => {
+  const { reactionTime, maxSpeed, aimError, predict } = tuning;
+  return {
+    level: levelId,
+    tuning: { reactionTime, maxSpeed, aimError, predict },
+    targetY: null,
+    aimOffset: 0,
+    timer: 0,
+    approaching: false,
+    seed: seed | 0
+  };
+};
+
+/**
+ * Decides the computer paddle's input for the next step.
+ *
+ * A new shot towards the computer draws a fresh aim error and starts the
+ * reaction delay; after that the computer looks at the ball again every
+ * reactionTime seconds. Between shots it returns to the middle.
+ *
+ * @param {Object} ai - AI state
+ * @param {Object} state - Engine state about to be stepped
+ * @param {number} dt - Step length in seconds
+ * @param {'left'|'right'} [side='right'] - Computer paddle
+ * @returns {{ai: Object, input: number}} Next AI state and the paddle input (-1 to 1)
+ */
+export const updateAi = (ai, state, dt, side = 'right') => {
+  const { court, paddle } = state.config;
+  const { tuning } = ai;
+  const approaching = side === 'right' ? state.ball.vx > 0 : state.ball.vx < 0;
+  let { targetY, aimOffset, timer, seed } = ai;
+
+  if (approaching !== ai.approaching) {
+    timer = tuning.reactionTime;
+    if (approaching) {
+      const random = nextRandom(seed);
+      seed = random.seed;
+      aimOffset = (random.value * 2 - 1) * tuning.aimError;
+    }
+  }
+
+  timer -= dt;
+  if (timer <= 0) {
+    const ballY = tuning.predict ? predictInterceptY(state, side) : state.ball.y;
+    targetY = approaching ? ballY + aimOffset : court.y + court.height / 2;
+    timer = tuning.reactionTime;
+  }
+
+  // As fast as needed to reach the target this step, up to the level's speed
+  const speed = state.config.paddleSpeed[side];
+  const limit = Math.min(tuning.maxSpeed / speed, 1);
+  const center = state.paddles[side].y + paddle.height / 2;
+  const input = targetY === null ? 0 : clamp((targetY - center) / (speed * dt), -limit, limit);
+
+  return { ai: { ...ai, targetY, aimOffset, timer, approaching, seed }, input };
+};
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+/**
+ * Restores the last chosen level.
+ *
+ * @param {Storage} storage - localStorage (or a test double)
+ * @returns {string} Level id or ADAPTIVE_AI_LEVEL (DEFAULT_AI_LEVEL when none is saved or usable)
+ */
+export const loadAiLevel = (storage) => {
+  try {
+    const saved = storage.getItem(AI_LEVEL_STORAGE_KEY);
+    return AI_CHOICES.some(choice => choice.id === saved) ? saved : DEFAULT_AI_LEVEL;
+  } catch (error) {
+    // Storage unavailable
+    return DEFAULT_AI_LEVEL;
+  }
+};
+
+/**
+ * Remembers the chosen level.
+ *
+ * @param {Storage} storage - localStorage (or a test double)
+ * @param {string} id - Level id
+ * @returns {boolean} Whether it was saved
+ */
+export const saveAiLevel = (storage, id) => {
+  try {
+    storage.setItem(AI_LEVEL_STORAGE_KEY, id);
+    return true;
+  } catch (error) {
+    // Storage unavailable: the level still applies to this visit
+    return false;
+  }
+};
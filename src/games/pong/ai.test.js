@@ -0,0 +1,184 @@
+import { FIXED_DT, PONG_CONFIG, createPongState, step } from './engine';
+import {
+  ADAPTIVE_AI_LEVEL,
+  AI_CHOICES,
+  AI_LEVELS,
+  AI_LEVEL_STORAGE_KEY,
+  AI_PADDLE_SPEED,
+  DEFAULT_AI_LEVEL,
+  createAiState,
+  getAiLevel,
+  loadAiLevel,
+  predictInterceptY,
+  saveAiLevel,
+  updateAi
+} from './ai';
+
+const config = { ...PONG_CONFIG, paddleSpeed: { left: AI_PADDLE_SPEED, right: AI_PADDLE_SPEED } };
+const { court, paddle, ball: { radius } } = config;
+
+const withBall = (ball) => {
+  const state = createPongState({ config });
+  return { ...state, ball: { ...state.ball, ...ball } };
+};
+
+// Minimal localStorage stand-in
+const memoryStorage = (items = {}) => ({
+  getItem: key => (key in items ? items[key] : null),
+  setItem: (key, value) => {
+    items[key] = String(value);
+  }
+});
+
+// Plays two computer levels against each other; left is the first
+const playMatch = (leftLevel, rightLevel, seconds) => {
+  let state = createPongState({ config, seed: 3 });
+  let left = createAiState(leftLevel, 11);
+  let right = createAiState(rightLevel, 12);
+  for (let i = 0; i < seconds / FIXED_DT; i += 1) {
+    const leftMove = updateAi(left, state, FIXED_DT, 'left');
+    const rightMove = updateAi(right, state, FIXED_DT, 'right');
+    left = leftMove.ai;
+    right = rightMove.ai;
+    state = step(state, { left: leftMove.input, right: rightMove.input });
+  }
+  return state.score;
+};
+
+describe('levels', () => {
+  test('run from Easy to Insane, each faster, quicker and more accurate', () => {
+    expect(AI_LEVELS.map(level => level.label)).toEqual(['Easy', 'Normal', 'Hard', 'Insane']);
+    AI_LEVELS.slice(1).forEach((level, index) => {
+      const easier = AI_LEVELS[index];
+      expect(level.maxSpeed).toBeGreaterThan(easier.maxSpeed);
+      expect(level.reactionTime).toBeLessThan(easier.reactionTime);
+      expect(level.aimError).toBeLessThan(easier.aimError);
+    });
+    expect(AI_PADDLE_SPEED).toBe(480);
+  });
+
+  test('falls back to Normal for unknown ids', () => {
+    expect(getAiLevel('godlike').id).toBe(DEFAULT_AI_LEVEL);
+  });
+
+  test('offers Adaptive after the fixed levels', () => {
+    expect(AI_CHOICES.map(choice => choice.label)).toEqual(['Easy', 'Normal', 'Hard', 'Insane', 'Adaptive']);
+  });
+});
+
+describe('predictInterceptY', () => {
+  const faceX = court.x + court.width - paddle.width - radius;
+
+  test('follows a straight shot', () => {
+    expect(predictInterceptY(withBall({ x: faceX - 300, y: 200, vx: 300, vy: 60 }))).toBeCloseTo(260);
+  });
+
+  test('follows bounces off the walls', () => {
+    const top = court.y + radius;
+    const bottom = court.y + court.height - radius;
+
+    // 100px up with 40px to the top wall: bounces back down 60px
+    expect(predictInterceptY(withBall({ x: faceX - 100, y: top + 40, vx: 100, vy: -100 }))).toBeCloseTo(top + 60);
+    // Off the bottom wall, then the top wall
+    const span = bottom - top;
+    expect(predictInterceptY(withBall({ x: faceX - 1000, y: bottom - 10, vx: 100, vy: (span + 30) / 10 }))).toBeCloseTo(top + 20);
+  });
+
+  test('predicts the left paddle too', () => {
+    const leftFace = court.x + paddle.width + radius;
+
+    expect(predictInterceptY(withBall({ x: leftFace + 200, y: 300, vx: -200, vy: -50 }), 'left')).toBeCloseTo(250);
+  });
+
+  test('returns the ball height when it moves away', () => {
+    expect(predictInterceptY(withBall({ y: 123, vx: -300 }))).toBe(123);
+  });
+});
+
+describe('updateAi', () => {
+  test('waits out the reaction time after a new shot', () => {
+    const level = getAiLevel('easy');
+    let ai = createAiState('easy');
+    const state = withBall({ y: court.y + 50, vx: 300, vy: 0 });
+    const reactionSteps = Math.floor(level.reactionTime / FIXED_DT);
+
+    // Nothing to aim at until the reaction time has passed
+    for (let i = 0; i < reactionSteps - 1; i += 1) {
+      const move = updateAi(ai, state, FIXED_DT);
+      ai = move.ai;
+      expect(move.input).toBe(0);
+    }
+    for (let i = 0; i < 3; i += 1) {
+      ai = updateAi(ai, state, FIXED_DT).ai;
+    }
+
+    expect(updateAi(ai, state, FIXED_DT).input).toBeLessThan(0);
+  });
+
+  test('aims at the predicted intercept within its error', () => {
+    const state = withBall({ x: 500, y: 100, vx: 400, vy: -500 });
+    const predicted = predictInterceptY(state);
+
+    AI_LEVELS.filter(level => level.predict).forEach(level => {
+      const { ai } = updateAi({ ...createAiState(level.id, 5), timer: 0, approaching: true }, state, FIXED_DT);
+      expect(Math.abs(ai.targetY - predicted)).toBeLessThanOrEqual(level.aimError);
+    });
+  });
+
+  test('moves no faster than its level and stops on target', () => {
+    const state = withBall({ y: court.y + 20, vx: 300, vy: 0 });
+    const { input } = updateAi({ ...createAiState('easy'), approaching: true, timer: 0 }, state, FIXED_DT);
+
+    expect(input).toBeCloseTo(-180 / AI_PADDLE_SPEED);
+
+    const centered = updateAi({ ...createAiState('insane'), approaching: true }, withBall({ y: 274, vx: 300, vy: 0 }), FIXED_DT);
+    expect(centered.input).toBe(0);
+  });
+
+  test('uses a given tuning instead of the level', () => {
+    const tuning = { reactionTime: 0.3, maxSpeed: 200, aimError: 50, predict: true };
+    const ai = createAiState(ADAPTIVE_AI_LEVEL, 1, tuning);
+
+    expect(ai.level).toBe(ADAPTIVE_AI_LEVEL);
+    expect(ai.tuning).toEqual(tuning);
+  });
+
+  test('replays identically from the same seed', () => {
+    expect(playMatch('hard', 'normal', 30)).toEqual(playMatch('hard', 'normal', 30));
+  });
+
+  test('lets harder levels win', () => {
+    const insaneVsEasy = playMatch('easy', 'insane', 60);
+    const hardVsNormal = playMatch('normal', 'hard', 60);
+
+    expect(insaneVsEasy.right).toBeGreaterThan(insaneVsEasy.left);
+    expect(hardVsNormal.right).toBeGreaterThan(hardVsNormal.left);
+  });
+});
+
+describe('storage', () => {
+  test('remembers the chosen level', () => {
+    const storage = memoryStorage();
+
+    expect(loadAiLevel(storage)).toBe(DEFAULT_AI_LEVEL);
+    expect(saveAiLevel(storage, 'hard')).toBe(true);
+    expect(loadAiLevel(storage)).toBe('hard');
+    saveAiLevel(storage, ADAPTIVE_AI_LEVEL);
+    expect(loadAiLevel(storage)).toBe(ADAPTIVE_AI_LEVEL);
+  });
+
+  test('ignores unknown levels and unavailable storage', () => {
+    const broken = {
+      getItem: () => {
+        throw new Error('SecurityError');
+      },
+      setItem: () => {
+        throw new Error('QuotaExceededError');
+      }
+    };
+
+    expect(loadAiLevel(memoryStorage({ [AI_LEVEL_STORAGE_KEY]: 'godlike' }))).toBe(DEFAULT_AI_LEVEL);
+    expect(loadAiLevel(broken)).toBe(DEFAULT_AI_LEVEL);
+    expect(saveAiLevel(broken, 'easy')).toBe(false);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * PONG COLLISION MODULE
+ * =====================
+ *
+ * Continuous (swept) collision between the moving ball and a paddle, and the
+ * reflection that follows.
+ *
+ * PURPOSE:
+ * - Catch every hit along the ball's path, not just where it ends a step, so
+ *   a fast ball cannot pass through a paddle between two steps
+ * - Tell paddle faces, top/bottom edges and corners apart, so each bounces
+ *   the ball the right way
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - A circle touching a rectangle is the same as its center touching the
+ *   rectangle grown by the radius with rounded corners, so the sweep casts
+ *   the center's path against four shifted sides and four corner circles and
+ *   keeps the earliest contact
+ * - Contacts only count while the ball moves towards the surface, so a ball
+ *   leaving a paddle is never caught again
+ * - Times are fractions (0-1) of the displacement being swept
+ * - Pure functions over plain {x, y} objects, like the engine
+ *
+ * EXPORTS:
+ * - sweepCircleRect: Earliest contact of a moving circle with a rectangle
+ * - separateCircleRect: Pushes an overlapping circle out of a rectangle
+ * - reflect: Velocity mirrored about a contact normal
+ */
+
+// Contacts closer than this are treated as touching
+const EPSILON = 1e-9;
+
+// Which part of the rectangle a contact normal points out of
+const contactOf = (normal) => {
+  if (normal.y === 0) return 'face';
+  if (normal.x === 0) return 'edge';
+  return 'corner';
+};
+
+// Time at which the center, moving from `from` by `delta`, reaches distance
+// `radius` from `center` (smallest root in [0, 1]), or null
+const sweepCircleCircle = (from, delta, center, radius) => {
+  const fx = from.x - center.x;
+  const fy = from.y - center.y;
+  const a = delta.x * delta.x + delta.y * delta.y;
+  const b = 2 * (fx * delta.x + fy * delta.y);
+  const c = fx * fx + fy * fy - radius * radius;
+  if (a < EPSILON) return null;
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return null;
+  const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+  return t >= -EPSILON && t <= 1 ? Math.max(t, 0) : null;
+};
+
+/**
+ * Finds where a moving circle first touches a rectangle.
+ *
+ * @param {{x: number, y: number}} from - Circle center at the start
+ * @param {{x: number, y: number}} delta - Center displacement to sweep
+ * @param {number} radius - Circle radius
+ * @param {{x: number, y: number, width: number, height: number}} rect - Rectangle
+ * @returns {{t: number, x: number, y: number, normal: {x: number, y: number}, contact: 'face'|'edge'|'corner'}|null}
+ *   Earliest contact: fraction of delta travelled, center position, unit
+ *   normal out of the rectangle and the part that was hit; null without one
+ */
+export const sweepCircleRect = (from, delta, radius, rect) => {
+  const left = rect.x;
+  const right = rect.x + rect.width;
+  const top = rect.y;
+  const bottom = rect.y + rect.height;
+  const candidates = [];
+
+  // Sides, moved out by the radius; only the side's own span counts, the
+  // rest is the corners' job
+  const sides = [
+    { axis: 'x', at: left - radius, normal: { x: -1, y: 0 }, span: [top, bottom] },
+    { axis: 'x', at: right + radius, normal: { x: 1, y: 0 }, span: [top, bottom] },
+    { axis: 'y', at: top - radius, normal: { x: 0, y: -1 }, span: [left, right] },
+    { axis: 'y', at: bottom + radius, normal: { x: 0, y: 1 }, span: [left, right] }
+  ];
+  sides.forEach(side => {
+    const other = side.axis === 'x' ? 'y' : 'x';
+    const speed = delta[side.axis];
+    // Moving towards the side?
+    if (speed * side.normal[side.axis] >= 0) return;
+    const t = (side.at - from[side.axis]) / speed;
+    if (t < -EPSILON || t > 1) return;
+    const along = from[other] + delta[other] * Math.max(t, 0);
+    if (along < side.span[0] || along > side.span[1]) return;
+    candidates.push({ t: Math.max(t, 0), normal: side.normal });
+  });
+
+  // Corners
+  [[left, top], [right, top], [left, bottom], [right, bottom]].forEach(([cornerX, cornerY]) => {
+    const t = sweepCircleCircle(from, delta, { x: cornerX, y: cornerY }, radius);
+    if (t === null) return;
+    const x = from.x + delta.x * t;
+    const y = from.y + delta.y * t;
+    // Outside both side spans, i.e. really on the rounded corner
+    if (x >= left && x <= right) return;
+    if (y >= top && y <= bottom) return;
+    const normal = { x: (x - cornerX) / radius, y: (y - cornerY) / radius };
+    if (delta.x * normal.x + delta.y * normal.y >= 0) return;
+    candidates.push({ t, normal });
+  });
+
+  if (candidates.length === 0) return null;
+  const hit = candidates.reduce((earliest, candidate) => (candidate.t < earliest.t ? candidate : earliest));
+  return {
+    t: hit.t,
+    x: from.x + delta.x * hit.t,
+    y: from.y + delta.y * hit.t,
+    normal: hit.normal,
+    contact: contactOf(hit.normal)
+  };
+};
+
+/**
+ * Pushes a circle that overlaps a rectangle (e.g. a paddle moved onto the
+ * ball) out along the shortest way.
+ *
+ * @param {{x: number, y: number}} center - Circle center
+ * @param {number} radius - Circle radius
+ * @param {{x: number, y: number, width: number, height: number}} rect - Rectangle
+ * @param {{x: number, y: number}} fallbackNormal - Direction out when the center is inside the rectangle
+ * @returns {{x: number, y: number, normal: {x: number, y: number}, contact: 'face'|'edge'|'corner'}|null}
+ *   Separated center and the normal it was pushed along; null without overlap
+ */
+export const separateCircleRect = (center, radius, rect, fallbackNormal) => {
+  const closestX = Math.min(Math.max(center.x, rect.x), rect.x + rect.width);
+  const closestY = Math.min(Math.max(center.y, rect.y), rect.y + rect.height);
+  const dx = center.x - closestX;
+  const dy = center.y - closestY;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  if (distance >= radius) return null;
+
+  if (distance > EPSILON) {
+    const normal = { x: dx / distance, y: dy / distance };
+    return {
+      x: closestX + normal.x * radius,
+      y: closestY + normal.y * radius,
+      normal,
+      contact: contactOf(normal)
+    };
+  }
+
+  // Center inside the rectangle: out through the side the fallback points at
+  const normal = fallbackNormal;
+  return {
+    x: normal.x > 0 ? rect.x + rect.width + radius : normal.x < 0 ? rect.x - radius : center.x,
+    y: normal.y > 0 ? rect.y + rect.height + radius : normal.y < 0 ? rect.y - radius : center.y,
+    normal,
+    contact: contactOf(normal)
+  };
+};
+
+/**
+ * Mirrors a velocity about a contact normal (only when moving into it).
+ *
+ * @param {{x: number, y: number}} velocity - Velocity
+ * @param {{x: number, y: number}} normal - Unit normal
+ * @returns {{x: number, y: number}} Reflected velocity
+ */
+export const reflect = (velocity, normal) => {
+  const along = velocity.x * normal.x + velocity.y * normal.y;
+  if (along >= 0) return velocity;
+  return { x: velocity.x - 2 * along * normal.x, y: velocity.y - 2 * along * normal.y };
+};
@@ -0,0 +1,99 @@
+import { reflect, separateCircleRect, sweepCircleRect } from './collision';
+
+const rect = { x: 100, y: 100, width: 10, height: 100 };
+const radius = 8;
+
+describe('sweepCircleRect', () => {
+  test('finds a face contact along the path', () => {
+    const hit = sweepCircleRect({ x: 150, y: 150 }, { x: -100, y: 0 }, radius, rect);
+
+    expect(hit).toEqual({ t: 0.32, x: 118, y: 150, normal: { x: 1, y: 0 }, contact: 'face' });
+  });
+
+  test('finds a contact the end position alone would miss', () => {
+    // Ends far behind the rectangle
+    const hit = sweepCircleRect({ x: 130, y: 120 }, { x: -200, y: 0 }, radius, rect);
+
+    expect(hit.contact).toBe('face');
+    expect(hit.x).toBe(118);
+  });
+
+  test('finds top and bottom edge contacts', () => {
+    expect(sweepCircleRect({ x: 105, y: 50 }, { x: 0, y: 100 }, radius, rect)).toMatchObject({
+      y: 92,
+      normal: { x: 0, y: -1 },
+      contact: 'edge'
+    });
+    expect(sweepCircleRect({ x: 105, y: 250 }, { x: 0, y: -100 }, radius, rect)).toMatchObject({
+      y: 208,
+      normal: { x: 0, y: 1 },
+      contact: 'edge'
+    });
+  });
+
+  test('finds corner contacts on the rounded corner', () => {
+    const hit = sweepCircleRect({ x: 140, y: 70 }, { x: -60, y: 60 }, radius, rect);
+    const diagonal = radius / Math.SQRT2;
+
+    expect(hit.contact).toBe('corner');
+    expect(hit.x).toBeCloseTo(110 + diagonal);
+    expect(hit.y).toBeCloseTo(100 - diagonal);
+    expect(hit.normal.x).toBeCloseTo(Math.SQRT1_2);
+    expect(hit.normal.y).toBeCloseTo(-Math.SQRT1_2);
+  });
+
+  test('misses a path that only grazes past the rounded corner', () => {
+    // Tangent to the corner at 9px: inside the grown box's square corner,
+    // outside its rounded one
+    const closest = { x: 110 + 9 * Math.SQRT1_2, y: 100 - 9 * Math.SQRT1_2 };
+    const from = { x: closest.x - 5, y: closest.y - 5 };
+
+    expect(sweepCircleRect(from, { x: 10, y: 10 }, radius, rect)).toBeNull();
+    expect(sweepCircleRect({ x: 150, y: 80 }, { x: -100, y: 0 }, radius, rect)).toBeNull();
+  });
+
+  test('ignores a circle moving away or falling short', () => {
+    expect(sweepCircleRect({ x: 118, y: 150 }, { x: 50, y: 0 }, radius, rect)).toBeNull();
+    expect(sweepCircleRect({ x: 150, y: 150 }, { x: -20, y: 0 }, radius, rect)).toBeNull();
+    expect(sweepCircleRect({ x: 150, y: 150 }, { x: 0, y: 0 }, radius, rect)).toBeNull();
+  });
+});
+
+describe('separateCircleRect', () => {
+  test('pushes an overlapping circle out along the shortest way', () => {
+    expect(separateCircleRect({ x: 114, y: 150 }, radius, rect, { x: 1, y: 0 })).toEqual({
+      x: 118,
+      y: 150,
+      normal: { x: 1, y: 0 },
+      contact: 'face'
+    });
+    expect(separateCircleRect({ x: 105, y: 204 }, radius, rect, { x: 1, y: 0 })).toMatchObject({
+      y: 208,
+      contact: 'edge'
+    });
+  });
+
+  test('uses the fallback direction for a center inside the rectangle', () => {
+    expect(separateCircleRect({ x: 104, y: 150 }, radius, rect, { x: 1, y: 0 })).toMatchObject({ x: 118, y: 150 });
+  });
+
+  test('leaves a separate circle alone', () => {
+    expect(separateCircleRect({ x: 130, y: 150 }, radius, rect, { x: 1, y: 0 })).toBeNull();
+  });
+});
+
+describe('reflect', () => {
+  test('mirrors the velocity about the normal', () => {
+    expect(reflect({ x: -3, y: 2 }, { x: 1, y: 0 })).toEqual({ x: 3, y: 2 });
+
+    const corner = reflect({ x: -1, y: 1 }, { x: Math.SQRT1_2, y: -Math.SQRT1_2 });
+    expect(corner.x).toBeCloseTo(1);
+    expect(corner.y).toBeCloseTo(-1);
+  });
+
+  test('leaves a velocity already moving away unchanged', () => {
+    const velocity = { x: 3, y: 2 };
+
+    expect(reflect(velocity, { x: 1, y: 0 })).toBe(velocity);
+  });
+});
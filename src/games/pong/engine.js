@@ -0,0 +1,333 @@
+/**
+ * PONG ENGINE MODULE
+ * ==================
+ *
+ * Game rules shared by both Pong pages (pages/pong and pages/pongV2): ball
+ * and paddle movement, wall and paddle bounces, scoring and serving.
+ *
+ * PURPOSE:
+ * - Keep one copy of the physics, so a bug is fixed once for both games
+ * - Run headlessly in Jest (no DOM, canvas, React or timers)
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - State in, state out: step(state, inputs, dt) returns a new state and
+ *   never mutates the one it was given
+ * - Speeds are in pixels per second and dt is in seconds, so the pages
+ *   decide how often to step (FIXED_DT matches one 60 Hz frame)
+ * - Serves use a seeded random generator stored in the state, so a game is
+ *   reproducible from its seed and input sequence
+ * - Collisions are continuous (src/games/pong/collision.js): within a step
+ *   the ball follows its path from contact to contact, so it cannot pass
+ *   through a paddle or leave the court through a wall
+ * - Sounds and other side effects are left to the pages: each step lists
+ *   what happened in `events` ({ type: 'paddle-hit' | 'wall-hit' | 'score',
+ *   side }, paddle hits with the `contact`: 'face', 'edge' or 'corner')
+ * - Coordinates are canvas pixels; the court is the area inside the frame
+ *
+ * EXPORTS:
+ * - PONG_CONFIG / FIXED_DT: Default dimensions, speeds and time step
+ * - SIDES: Paddle sides, left (player) then right (computer)
+ * - nextRandom: Seeded random numbers
+ * - createPongState: New game (ball served from the center, 0-0)
+ * - step: Advances the game by dt seconds
+ * - paddleRect / movePaddleTo: Paddle geometry and direct (drag) positioning
+ * - followBall: The original computer opponent's input
+ */
+
+import { reflect, separateCircleRect, sweepCircleRect } from './collision';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Both pages draw on an 848 x 548 canvas with a 24px frame around the court.
+// Speeds are the original per-frame values at 60 frames per second.
+export const PONG_CONFIG = {
+  court: { x: 24, y: 24, width: 800, height: 500 },
+  paddle: { width: 10, height: 100 },
+  // Player (left) and computer (right) paddle speeds, px/s
+  paddleSpeed: { left: 420, right: 255 },
+  ball: {
+    radius: 8,
+    // Opening serve, px/s
+    serveSpeedX: 300,
+    serveSpeedY: 180,
+    // Later serves get a random vertical speed within +/- half this range
+    serveSpreadY: 360
+  },
+  // Vertical ball speed given per pixel the ball hits away from the paddle
+  // center (1/s), so edge hits send the ball off at a steeper angle
+  spin: 21
+};
+
+// One 60 Hz frame
+export const FIXED_DT = 1 / 60;
+
+export const SIDES = ['left', 'right'];
+
+// =============================================================================
+// RANDOM NUMBERS
+// =============================================================================
+
+/**
+ * Seeded random number (mulberry32: small, fast and good enough for serve
+ * angles and the computer's aim).
+ *
+ * @param {number} seed - Current seed
+ * @returns {{value: number, seed: number}} Number in [0, 1) and the next seed
+ */
+export const nextRandom = (seed) => {
+  const nextSeed = (seed + 0x6D2B79F5) | 0;
+  let t = nextSeed;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, seed: nextSeed };
+};
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const centeredPaddleY = (config) => config.court.y + (config.court.height - config.paddle.height) / 2;
+
+/**
+ * Creates a new game.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config=PONG_CONFIG] - Dimensions and speeds
+ * @param {number} [options.seed=1] - Seed for serve angles
+ * @returns {Object} Game state: { config, ball: {x, y, vx, vy}, paddles: {left: {y}, right: {y}}, score: {left, right}, seed, events }
+ */
+export const createPongState = ({ config = PONG_CONFIG, seed = 1 } = {}) => ({
+  config,
+  ball: {
+    x: config.court.x + config.court.width / 2,
+    y: config.court.y + config.court.height / 2,
+    vx: config.ball.serveSpeedX,
+    vy: config.ball.serveSpeedY
+  },
+  paddles: {
+    left: { y: centeredPaddleY(config) },
+    right: { y: centeredPaddleY(config) }
+  },
+  score: { left: 0, right: 0 },
+  seed: seed | 0,
+  events: []
+});
+
+/**
+ * Paddle rectangle in canvas pixels.
+ *
+ * @param {Object} state - Game state
+ * @param {'left'|'right'} side - Paddle
+ * @returns {{x: number, y: number, width: number, height: number}} Rectangle
+ */
+export const paddleRect = (state, side) => {
+  const { court, paddle } = state.config;
+  return {
+    x: side === 'left' ? court.x : court.x + court.width - paddle.width,
+    y: state.paddles[side].y,
+    width: paddle.width,
+    height: paddle.height
+  };
+};
+
+// Keeps a paddle's top edge inside the court
+const clampPaddleY = (config, y) => clamp(y, config.court.y, config.court.y + config.court.height - config.paddle.height);
+
+/**
+ * Places a paddle directly (touch and mouse dragging), inside the court.
+ *
+ * @param {Object} state - Game state
+ * @param {'left'|'right'} side - Paddle
+ * @param {number} y - Requested top edge
+ * @returns {Object} New game state
+ */
+export const movePaddleTo = (state, side, y) => ({
+  ...state,
+  paddles: { ...state.paddles, [side]: { ...state.paddles[side], y: clampPaddleY(state.config, y) } }
+});
+
+// =============================================================================
+// SIMULATION
+// =============================================================================
+
+// Serves from the center towards the side that just conceded
+const serve = (state, ball) => {
+  const { court, ball: ballConfig } = state.config;
+  const random = nextRandom(state.seed);
+  return {
+    seed: random.seed,
+    ball: {
+      x: court.x + court.width / 2,
+      y: court.y + court.height / 2,
+      vx: -ball.vx,
+      vy: (random.value - 0.5) * ballConfig.serveSpreadY
+    }
+  };
+};
+
+// Most contacts followed within one step (e.g. a paddle corner, then a wall)
+const MAX_CONTACTS = 4;
+
+// Keeps the ball between the top and bottom walls, heading back in
+const keepInsideCourt = (config, ball) => {
+  const { court } = config;
+  const { radius } = config.ball;
+  if (ball.y < court.y + radius) return { ...ball, y: court.y + radius, vy: Math.abs(ball.vy) };
+  if (ball.y > court.y + court.height - radius) return { ...ball, y: court.y + court.height - radius, vy: -Math.abs(ball.vy) };
+  return ball;
+};
+
+// Seconds until the ball touches the wall it is heading for, within `remaining`
+const wallContact = (config, ball, remaining) => {
+  const { court } = config;
+  const { radius } = config.ball;
+  if (ball.vy === 0) return null;
+  const side = ball.vy < 0 ? 'top' : 'bottom';
+  const limit = side === 'top' ? court.y + radius : court.y + court.height - radius;
+  const time = Math.max((limit - ball.y) / ball.vy, 0);
+  return time <= remaining ? { time, side } : null;
+};
+
+// Ball after touching a paddle at `contact`: the face towards the court
+// returns it with spin from where it hit, anything else (back face, top and
+// bottom edges, corners) mirrors it about the contact normal
+const bounceOffPaddle = (state, side, ball, contact) => {
+  const rect = paddleRect(state, side);
+  const courtward = side === 'left' ? 1 : -1;
+  const placed = { ...ball, x: contact.x, y: contact.y };
+  if (contact.contact === 'face' && contact.normal.x === courtward) {
+    return {
+      ...placed,
+      vx: courtward * Math.abs(ball.vx),
+      vy: (contact.y - (rect.y + rect.height / 2)) * state.config.spin
+    };
+  }
+  const velocity = reflect({ x: ball.vx, y: ball.vy }, contact.normal);
+  return { ...placed, vx: velocity.x, vy: velocity.y };
+};
+
+// First wall or paddle the ball reaches within `remaining` seconds:
+// { time, wall } or { time, side, contact }, or null
+const nextContact = (state, ball, remaining) => {
+  const { radius } = state.config.ball;
+  const delta = { x: ball.vx * remaining, y: ball.vy * remaining };
+  const wall = wallContact(state.config, ball, remaining);
+  let earliest = wall ? { time: wall.time, wall: wall.side } : null;
+
+  SIDES.forEach(side => {
+    const contact = sweepCircleRect(ball, delta, radius, paddleRect(state, side));
+    if (contact && (!earliest || contact.t * remaining < earliest.time)) {
+      earliest = { time: contact.t * remaining, side, contact };
+    }
+  });
+  return earliest;
+};
+
+// Moves the ball through dt seconds, bouncing off walls and paddles in the
+// order it reaches them
+const moveBall = (state, dt, events) => {
+  const { config } = state;
+  const { radius } = config.ball;
+  let ball = keepInsideCourt(config, state.ball);
+
+  // A paddle that moved onto the ball pushes it out first
+  SIDES.forEach(side => {
+    const outward = { x: side === 'left' ? 1 : -1, y: 0 };
+    const contact = separateCircleRect(ball, radius, paddleRect(state, side), outward);
+    if (!contact) return;
+    const bounced = bounceOffPaddle(state, side, ball, contact);
+    if (bounced.vx !== ball.vx || bounced.vy !== ball.vy) {
+      events.push({ type: 'paddle-hit', side, contact: contact.contact });
+    }
+    ball = bounced;
+  });
+
+  let remaining = dt;
+  for (let contacts = 0; remaining > 0 && contacts < MAX_CONTACTS; contacts += 1) {
+    const earliest = nextContact(state, ball, remaining);
+
+    if (!earliest) {
+      ball = { ...ball, x: ball.x + ball.vx * remaining, y: ball.y + ball.vy * remaining };
+      remaining = 0;
+    } else if (earliest.wall) {
+      ball = {
+        ...ball,
+        x: ball.x + ball.vx * earliest.time,
+        y: ball.y + ball.vy * earliest.time,
+        vy: -ball.vy
+      };
+      events.push({ type: 'wall-hit', side: earliest.wall });
+      remaining -= earliest.time;
+    } else {
+      ball = bounceOffPaddle(state, earliest.side, ball, earliest.contact);
+      events.push({ type: 'paddle-hit', side: earliest.side, contact: earliest.contact.contact });
+      remaining -= earliest.time;
+    }
+  }
+
+  return keepInsideCourt(config, ball);
+};
+
+/**
+ * Advances the game by dt seconds.
+ *
+ * Order within a step: paddles move, then the ball travels its whole path,
+ * bouncing off walls and paddles in the order it reaches them (swept, so a
+ * fast ball cannot skip a paddle), then a ball past either end scores and is
+ * served again.
+ *
+ * @param {Object} state - Game state
+ * @param {{left?: number, right?: number}} [inputs] - Paddle input per side,
+ *   from -1 (full speed up) to 1 (full speed down)
+ * @param {number} [dt=FIXED_DT] - Seconds to simulate
+ * @returns {Object} New game state; `events` lists what happened during this step
+ */
+export const step = (state, inputs = {}, dt = FIXED_DT) => {
+  const { config } = state;
+  const { court } = config;
+  const events = [];
+
+  // Paddles
+  let next = state;
+  SIDES.forEach(side => {
+    const axis = clamp(Number(inputs[side]) || 0, -1, 1);
+    if (axis !== 0) {
+      next = movePaddleTo(next, side, next.paddles[side].y + axis * config.paddleSpeed[side] * dt);
+    }
+  });
+
+  // Ball
+  let ball = moveBall(next, dt, events);
+
+  // Scoring
+  let { score, seed } = next;
+  const scorer = ball.x < court.x ? 'right' : ball.x > court.x + court.width ? 'left' : null;
+  if (scorer) {
+    score = { ...score, [scorer]: score[scorer] + 1 };
+    ({ ball, seed } = serve(next, ball));
+    events.push({ type: 'score', side: scorer });
+  }
+
+  return { ...next, ball, score, seed, events };
+};
+
+// =============================================================================
+// COMPUTER OPPONENT
+// =============================================================================
+
+/**
+ * Input of the original computer opponent: chase the ball's height at the
+ * paddle's own speed.
+ *
+ * @param {Object} state - Game state
+ * @param {'left'|'right'} [side='right'] - Computer paddle
+ * @returns {number} -1, 0 or 1
+ */
+export const followBall = (state, side = 'right') => {
+  const targetY = state.ball.y - state.config.paddle.height / 2;
+  return Math.sign(targetY - state.paddles[side].y);
+};
@@ -0,0 +1,224 @@
+import {
+  FIXED_DT,
+  PONG_CONFIG,
+  createPongState,
+  followBall,
+  movePaddleTo,
+  paddleRect,
+  step
+} from './engine';
+
+const { court, paddle, ball: ballConfig } = PONG_CONFIG;
+
+// Game with the ball placed and aimed by the test
+const withBall = (ball, state = createPongState()) => ({ ...state, ball: { ...state.ball, ...ball } });
+
+describe('createPongState', () => {
+  test('starts 0-0 with the ball in the center and both paddles centered', () => {
+    const state = createPongState();
+
+    expect(state.score).toEqual({ left: 0, right: 0 });
+    expect(state.ball).toEqual({ x: 424, y: 274, vx: 300, vy: 180 });
+    expect(state.paddles.left.y).toBe(224);
+    expect(state.paddles.right.y).toBe(224);
+    expect(paddleRect(state, 'right')).toEqual({ x: 814, y: 224, width: 10, height: 100 });
+  });
+});
+
+describe('step', () => {
+  test('returns a new state and leaves the given one unchanged', () => {
+    const state = createPongState();
+    const snapshot = JSON.parse(JSON.stringify(state));
+
+    const next = step(state, { left: 1 });
+
+    expect(next).not.toBe(state);
+    expect(JSON.parse(JSON.stringify(state))).toEqual(snapshot);
+    expect(next.ball.x).toBeCloseTo(429);
+    expect(next.ball.y).toBeCloseTo(277);
+  });
+
+  test('moves paddles at their own speed and keeps them inside the court', () => {
+    const state = createPongState();
+
+    expect(step(state, { left: -1, right: 1 }, 0.5).paddles).toEqual({
+      left: { y: 24 },
+      right: { y: 224 + 255 * 0.5 }
+    });
+    expect(step(state, { left: 1 }, 10).paddles.left.y).toBe(court.y + court.height - paddle.height);
+  });
+
+  test('scales movement with dt', () => {
+    const state = withBall({ vx: 300, vy: 0 });
+
+    expect(step(state, {}, 0.1).ball.x).toBeCloseTo(step(step(state, {}, 0.05), {}, 0.05).ball.x);
+  });
+
+  test('bounces off the top and bottom walls', () => {
+    const top = step(withBall({ y: court.y + ballConfig.radius + 1, vy: -180 }));
+    const bottom = step(withBall({ y: court.y + court.height - ballConfig.radius - 1, vy: 180 }));
+
+    expect(top.ball.vy).toBe(180);
+    expect(top.events).toEqual([{ type: 'wall-hit', side: 'top' }]);
+    expect(bottom.ball.vy).toBe(-180);
+    expect(bottom.events).toEqual([{ type: 'wall-hit', side: 'bottom' }]);
+  });
+
+  test('returns the ball off a paddle with spin from where it hit', () => {
+    const state = withBall({ x: court.x + paddle.width + ballConfig.radius + 2, y: 254, vx: -300, vy: 0 });
+
+    const next = step(state);
+
+    expect(next.ball.vx).toBe(300);
+    // 20px above the paddle center (274)
+    expect(next.ball.vy).toBeCloseTo(-20 * PONG_CONFIG.spin);
+    expect(next.events).toEqual([{ type: 'paddle-hit', side: 'left', contact: 'face' }]);
+  });
+
+  test('catches a fast ball that would pass the paddle between two steps', () => {
+    // 120px per step, from 40px in front of the paddle to well behind it
+    const state = withBall({ x: court.x + paddle.width + 40, y: 274, vx: -7200, vy: 0 });
+
+    const next = step(state);
+
+    expect(next.score).toEqual({ left: 0, right: 0 });
+    expect(next.ball.vx).toBe(7200);
+    // Back out by the distance it would have gone past the paddle face
+    expect(next.ball.x).toBeCloseTo(court.x + paddle.width + ballConfig.radius + 88);
+  });
+
+  test('bounces a ball off the top edge of a paddle', () => {
+    const rect = paddleRect(createPongState(), 'left');
+    const state = withBall({ x: rect.x + 5, y: rect.y - ballConfig.radius - 3, vx: 0, vy: 600 });
+
+    const next = step(state);
+
+    expect(next.events).toEqual([{ type: 'paddle-hit', side: 'left', contact: 'edge' }]);
+    expect(next.ball.vy).toBe(-600);
+    expect(next.ball.y).toBeLessThan(rect.y - ballConfig.radius);
+  });
+
+  test('mirrors a ball off a paddle corner along the corner normal', () => {
+    const rect = paddleRect(createPongState(), 'left');
+    // Heading straight at the top court-side corner along the diagonal
+    const offset = ballConfig.radius / Math.SQRT2;
+    const state = withBall({ x: rect.x + rect.width + offset + 3, y: rect.y - offset - 3, vx: -300, vy: 300 });
+
+    const next = step(state);
+
+    expect(next.events).toEqual([{ type: 'paddle-hit', side: 'left', contact: 'corner' }]);
+    expect(next.ball.vx).toBeCloseTo(300);
+    expect(next.ball.vy).toBeCloseTo(-300);
+  });
+
+  test('pushes the ball out of a paddle that moved onto it', () => {
+    const state = createPongState();
+    const rect = paddleRect(state, 'left');
+    // Just below the paddle, which moves down 7px this step
+    const below = withBall({ x: rect.x + 5, y: rect.y + rect.height + ballConfig.radius + 2, vx: 0, vy: -60 }, state);
+
+    const next = step(below, { left: 1 });
+
+    expect(next.ball.y).toBeGreaterThanOrEqual(next.paddles.left.y + rect.height + ballConfig.radius - 1e-9);
+    expect(next.ball.vy).toBeGreaterThan(0);
+  });
+
+  test('bounces off a wall and a paddle within one step, in order', () => {
+    const rect = paddleRect(createPongState(), 'left');
+    // Hits the bottom wall first, then the paddle face
+    const state = movePaddleTo(
+      withBall({ x: rect.x + rect.width + ballConfig.radius + 30, y: court.y + court.height - ballConfig.radius - 10, vx: -1800, vy: 1200 }),
+      'left',
+      court.y + court.height - paddle.height
+    );
+
+    const next = step(state);
+
+    expect(next.events.map(event => event.type)).toEqual(['wall-hit', 'paddle-hit']);
+    expect(next.ball.vx).toBeGreaterThan(0);
+    expect(next.ball.y).toBeLessThanOrEqual(court.y + court.height - ballConfig.radius);
+  });
+
+  test('pushes a ball outside the court back in instead of flipping it in place', () => {
+    const state = withBall({ y: court.y - 5, vy: -120 });
+
+    const next = step(state);
+    const after = step(next);
+
+    expect(next.ball.y).toBeGreaterThanOrEqual(court.y + ballConfig.radius);
+    expect(next.ball.vy).toBe(120);
+    expect(after.ball.vy).toBe(120);
+  });
+
+  test('never lets the ball leave the court through a wall at any speed', () => {
+    let state = withBall({ vx: 900, vy: -5000 });
+    for (let i = 0; i < 600; i += 1) {
+      state = step(state, { right: followBall(state) });
+      expect(state.ball.y).toBeGreaterThanOrEqual(court.y + ballConfig.radius - 1e-9);
+      expect(state.ball.y).toBeLessThanOrEqual(court.y + court.height - ballConfig.radius + 1e-9);
+    }
+  });
+
+  test('does not bounce a ball already moving away from the paddle', () => {
+    const state = withBall({ x: court.x + paddle.width, y: 274, vx: 300, vy: 0 });
+
+    expect(step(state).ball.vx).toBe(300);
+  });
+
+  test('scores a ball past the paddle and serves it back from the center', () => {
+    const state = withBall({ x: court.x + court.width - 2, y: 40, vx: 300, vy: 0 });
+
+    const next = step(state);
+
+    expect(next.score).toEqual({ left: 1, right: 0 });
+    expect(next.events).toEqual([{ type: 'score', side: 'left' }]);
+    expect(next.ball).toMatchObject({ x: 424, y: 274, vx: -300 });
+    expect(Math.abs(next.ball.vy)).toBeLessThanOrEqual(ballConfig.serveSpreadY / 2);
+    expect(next.seed).not.toBe(state.seed);
+  });
+
+  test('replays identically from the same seed and inputs', () => {
+    const play = () => {
+      let state = createPongState({ seed: 42 });
+      for (let i = 0; i < 3000; i += 1) {
+        state = step(state, { left: i % 120 < 60 ? 1 : -1, right: followBall(state) });
+      }
+      return state;
+    };
+
+    const first = play();
+
+    expect(first.score.left + first.score.right).toBeGreaterThan(0);
+    expect(play()).toEqual(first);
+  });
+});
+
+describe('movePaddleTo', () => {
+  test('places the paddle inside the court', () => {
+    const state = createPongState();
+
+    expect(movePaddleTo(state, 'left', 100).paddles.left.y).toBe(100);
+    expect(movePaddleTo(state, 'left', -50).paddles.left.y).toBe(court.y);
+    expect(movePaddleTo(state, 'right', 9999).paddles.right.y).toBe(court.y + court.height - paddle.height);
+  });
+});
+
+describe('followBall', () => {
+  test('chases the ball height', () => {
+    const state = createPongState();
+
+    expect(followBall(withBall({ y: 100 }, state))).toBe(-1);
+    expect(followBall(withBall({ y: 400 }, state))).toBe(1);
+    expect(followBall(withBall({ y: 274 }, state))).toBe(0);
+  });
+
+  test('brings the computer paddle level with the ball', () => {
+    let state = withBall({ y: 100, vx: 0, vy: 0 });
+    for (let i = 0; i < 60; i += 1) {
+      state = step(state, { right: followBall(state) });
+    }
+
+    // Paddle center within one step of the ball
+    expect(Math.abs(state.paddles.right.y + paddle.height / 2 - 100)).toBeLessThanOrEqual(255 * FIXED_DT);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * PONG FIXED-TIMESTEP LOOP
+ * ========================
+ *
+ * Runs the Pong engine at a fixed rate, whatever the display's refresh rate,
+ * and blends the last two steps for drawing.
+ *
+ * PURPOSE:
+ * - Same game speed at 30, 60, 120 or 144 Hz, and when frames are dropped
+ * - Same game for the same inputs, however the frames happened to fall
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Accumulator: each animation frame adds its real duration, and the engine
+ *   steps by FIXED_DT while a whole step is available; the remainder carries
+ *   over to the next frame
+ * - Inputs are read once per step (getInputs(state)), so the computer reacts
+ *   to the state it is stepping and a replay only depends on the steps
+ * - Frame durations are capped (MAX_FRAME_TIME), so returning to a
+ *   background tab does not run seconds of game at once
+ * - Rendering interpolates between the previous and the current step by the
+ *   leftover fraction of a step, so motion stays smooth between steps;
+ *   serves are not interpolated, since the ball jumps to the center
+ * - Pure functions over a plain { previous, current, accumulator } object,
+ *   like the engine, so the loop is testable without requestAnimationFrame
+ *
+ * EXPORTS:
+ * - MAX_FRAME_TIME: Longest frame the loop catches up on (seconds)
+ * - createFixedStepLoop: Loop for a new game state
+ * - advanceFixedStepLoop: Adds one animation frame
+ * - interpolateState / loopRenderState: State to draw
+ */
+
+import { FIXED_DT, step } from './engine';
+
+// 15 steps at 60 Hz
+export const MAX_FRAME_TIME = 0.25;
+
+/**
+ * Creates a loop around a game state.
+ *
+ * @param {Object} state - Engine state
+ * @returns {{previous: Object, current: Object, accumulator: number}} Loop
+ */
+export const createFixedStepLoop = (state) => ({ previous: state, current: state, accumulator: 0 });
+
+/**
+ * Adds one animation frame's time and runs every whole step it completes.
+ *
+ * @param {Object} loop - Loop from createFixedStepLoop or an earlier frame
+ * @param {number} frameTime - Seconds since the previous animation frame
+ * @param {function(Object): Object} getInputs - Paddle inputs for the state about to be stepped
+ * @param {number} [dt=FIXED_DT] - Step length in seconds
+ * @returns {{loop: Object, events: Object[], steps: number}} New loop, the
+ *   engine events of all steps in order, and the number of steps run
+ */
+export const advanceFixedStepLoop = (loop, frameTime, getInputs, dt = FIXED_DT) => {
+  let { previous, current } = loop;
+  let accumulator = loop.accumulator + Math.min(Math.max(frameTime, 0), MAX_FRAME_TIME);
+  const events = [];
+  let steps = 0;
+
+  while (accumulator >= dt) {
+    previous = current;
+    current = step(current, getInputs(current), dt);
+    events.push(...current.events);
+    accumulator -= dt;
+    steps += 1;
+  }
+
+  return { loop: { previous, current, accumulator }, events, steps };
+};
+
+const lerp = (from, to, alpha) => from + (to - from) * alpha;
+
+/**
+ * Blends two consecutive steps for drawing.
+ *
+ * @param {Object} previous - Earlier state
+ * @param {Object} current - Later state
+ * @param {number} alpha - 0 (previous) to 1 (current)
+ * @returns {Object} current with blended ball and paddle positions (current
+ *   as it is after a point, when the ball was served again)
+ */
+export const interpolateState = (previous, current, alpha) => {
+  const served = previous.score.left !== current.score.left || previous.score.right !== current.score.right;
+  if (served || alpha >= 1 || previous === current) return current;
+  return {
+    ...current,
+    ball: {
+      ...current.ball,
+      x: lerp(previous.ball.x, current.ball.x, alpha),
+      y: lerp(previous.ball.y, current.ball.y, alpha)
+    },
+    paddles: {
+      left: { ...current.paddles.left, y: lerp(previous.paddles.left.y, current.paddles.left.y, alpha) },
+      right: { ...current.paddles.right, y: lerp(previous.paddles.right.y, current.paddles.right.y, alpha) }
+    }
+  };
+};
+
+/**
+ * State to draw for the loop's leftover time.
+ *
+ * @param {Object} loop - Loop
+ * @param {number} [dt=FIXED_DT] - Step length in seconds
+ * @returns {Object} Interpolated engine state
+ */
+export const loopRenderState = (loop, dt = FIXED_DT) => interpolateState(loop.previous, loop.current, loop.accumulator / dt);
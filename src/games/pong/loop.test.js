@@ -0,0 +1,103 @@
+import { FIXED_DT, createPongState, followBall, step } from './engine';
+import {
+  MAX_FRAME_TIME,
+  advanceFixedStepLoop,
+  createFixedStepLoop,
+  interpolateState,
+  loopRenderState
+} from './loop';
+
+// Player holds down for a second, then up, decided by step number
+const scriptedInputs = () => {
+  let stepNumber = 0;
+  return (state) => {
+    stepNumber += 1;
+    return { left: stepNumber % 120 < 60 ? 1 : -1, right: followBall(state) };
+  };
+};
+
+// Plays `seconds` of game in animation frames of `frameTime`
+const playFrames = (frameTime, seconds) => {
+  const getInputs = scriptedInputs();
+  let loop = createFixedStepLoop(createPongState({ seed: 7 }));
+  let steps = 0;
+  for (let elapsed = 0; elapsed < seconds; elapsed += frameTime) {
+    const frame = advanceFixedStepLoop(loop, frameTime, getInputs);
+    loop = frame.loop;
+    steps += frame.steps;
+  }
+  return { loop, steps };
+};
+
+describe('advanceFixedStepLoop', () => {
+  test('runs one step per whole FIXED_DT and carries the remainder over', () => {
+    const loop = createFixedStepLoop(createPongState());
+
+    const first = advanceFixedStepLoop(loop, FIXED_DT * 0.6, () => ({}));
+    const second = advanceFixedStepLoop(first.loop, FIXED_DT * 0.6, () => ({}));
+
+    expect(first.steps).toBe(0);
+    expect(first.loop.current).toBe(loop.current);
+    expect(second.steps).toBe(1);
+    expect(second.loop.accumulator).toBeCloseTo(FIXED_DT * 0.2);
+    expect(second.loop.previous).toBe(loop.current);
+  });
+
+  test('plays the same game at every refresh rate', () => {
+    const at60 = playFrames(1 / 60, 20);
+    const at144 = playFrames(1 / 144, 20);
+    const at30 = playFrames(1 / 30, 20);
+
+    // Same inputs, stepped directly
+    const getInputs = scriptedInputs();
+    let direct = createPongState({ seed: 7 });
+    for (let i = 0; i < at144.steps; i += 1) {
+      direct = step(direct, getInputs(direct));
+    }
+
+    expect(Math.abs(at60.steps - at144.steps)).toBeLessThanOrEqual(1);
+    expect(Math.abs(at30.steps - at144.steps)).toBeLessThanOrEqual(2);
+    expect(at144.loop.current).toEqual(direct);
+  });
+
+  test('caps long frames', () => {
+    const frame = advanceFixedStepLoop(createFixedStepLoop(createPongState()), 5, () => ({}));
+
+    expect(frame.steps).toBe(Math.floor(MAX_FRAME_TIME / FIXED_DT + 1e-9));
+  });
+
+  test('collects the events of every step', () => {
+    const state = createPongState();
+    const nearWall = { ...state, ball: { ...state.ball, x: 838, y: 40, vx: 300, vy: 0 } };
+
+    const frame = advanceFixedStepLoop(createFixedStepLoop(nearWall), FIXED_DT * 3, () => ({}));
+
+    expect(frame.events).toContainEqual({ type: 'score', side: 'left' });
+  });
+});
+
+describe('interpolateState', () => {
+  test('blends ball and paddle positions', () => {
+    const previous = createPongState();
+    const current = step(previous, { left: 1 });
+
+    const halfway = interpolateState(previous, current, 0.5);
+
+    expect(halfway.ball.x).toBeCloseTo((previous.ball.x + current.ball.x) / 2);
+    expect(halfway.paddles.left.y).toBeCloseTo((previous.paddles.left.y + current.paddles.left.y) / 2);
+    expect(halfway.score).toBe(current.score);
+  });
+
+  test('shows a served ball where it is', () => {
+    const previous = createPongState();
+    const current = { ...previous, score: { left: 1, right: 0 }, ball: { ...previous.ball, x: 424 } };
+
+    expect(interpolateState({ ...previous, ball: { ...previous.ball, x: 830 } }, current, 0.5)).toBe(current);
+  });
+
+  test('draws the current state of a fresh loop', () => {
+    const loop = createFixedStepLoop(createPongState());
+
+    expect(loopRenderState(loop)).toBe(loop.current);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * PONG COURT RENDERER
+ * ===================
+ *
+ * Draws a Pong game state onto a canvas 2D context: background, the
+ * three-layer frame, the net, ball, paddles and score.
+ *
+ * PURPOSE:
+ * - One drawing of the court for both Pong pages, matching the engine state
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Reads positions from the engine state (src/games/pong/engine.js) and
+ *   never changes it
+ * - Takes the context as an argument and draws nothing outside the canvas,
+ *   so the pages keep their own start and pause screens and buttons on top
+ *
+ * EXPORTS:
+ * - PONG_COLORS: Court colors
+ * - SCORE_POSITION: Baseline and font size of the score (pages align their
+ *   pause buttons with it)
+ * - drawCourt: Draws the whole court
+ */
+
+import { SIDES, paddleRect } from './engine';
+
+export const PONG_COLORS = {
+  BACKGROUND: '#000000',
+  FOREGROUND: '#FFFFFF'
+};
+
+export const SCORE_POSITION = { Y: 75, FONT_SIZE: 48 };
+
+// Outer to inner; together they fill the 24px around the court
+const FRAME_LAYERS = [
+  { color: '#000000', width: 10, offset: 0 },
+  { color: '#FFFFFF', width: 8, offset: 10 },
+  { color: '#808080', width: 8, offset: 18 }
+];
+
+const NET = { WIDTH: 2, DASH_LENGTH: 20, DASH_SPACING: 40 };
+
+const drawFrame = (ctx) => {
+  const { width, height } = ctx.canvas;
+  FRAME_LAYERS.forEach(layer => {
+    const inset = layer.offset + layer.width / 2;
+    ctx.strokeStyle = layer.color;
+    ctx.lineWidth = layer.width;
+    ctx.strokeRect(inset, inset, width - inset * 2, height - inset * 2);
+  });
+};
+
+const drawNet = (ctx, court) => {
+  ctx.fillStyle = PONG_COLORS.FOREGROUND;
+  for (let y = court.y; y < court.y + court.height; y += NET.DASH_SPACING) {
+    ctx.fillRect(court.x + court.width / 2 - NET.WIDTH / 2, y, NET.WIDTH, NET.DASH_LENGTH);
+  }
+};
+
+/**
+ * Draws the court for a game state.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Engine state
+ */
+export const drawCourt = (ctx, state) => {
+  const { court, ball } = state.config;
+
+  ctx.fillStyle = PONG_COLORS.BACKGROUND;
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+  drawFrame(ctx);
+  drawNet(ctx, court);
+
+  ctx.fillStyle = PONG_COLORS.FOREGROUND;
+  ctx.beginPath();
+  ctx.arc(state.ball.x, state.ball.y, ball.radius, 0, Math.PI * 2);
+  ctx.fill();
+
+  SIDES.forEach(side => {
+    const rect = paddleRect(state, side);
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  });
+
+  ctx.font = `${SCORE_POSITION.FONT_SIZE}px Arial`;
+  ctx.textAlign = 'center';
+  ctx.fillText(state.score.left, court.x + court.width / 4, SCORE_POSITION.Y);
+  ctx.fillText(state.score.right, court.x + (3 * court.width) / 4, SCORE_POSITION.Y);
+};
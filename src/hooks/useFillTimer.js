@@ -0,0 +1,32 @@
+import { useEffect, useMemo, useRef } from 'react';
+
+/**
+ * Custom hook that measures how long a form has been on screen.
+ * Used by the contact forms for the minimum time-to-submit spam check
+ * (see src/contact/spam.js).
+ *
+ * - The clock starts after mount, so prerendered pages do not count the time
+ *   before hydration
+ * - restart(alreadySpentMs) starts over, e.g. after a message was sent or
+ *   when a saved draft shows the visitor already spent time on the form
+ *
+ * @returns {{elapsed: function(): number, restart: function(number=): void}}
+ *   Milliseconds since the form appeared, and a way to reset the clock
+ */
+const useFillTimer = () => {
+  const startedAt = useRef(null);
+
+  useEffect(() => {
+    startedAt.current = Date.now();
+  }, []);
+
+  // Stable object, so effects can list the timer as a dependency
+  return useMemo(() => ({
+    elapsed: () => (startedAt.current === null ? 0 : Date.now() - startedAt.current),
+    restart: (alreadySpentMs = 0) => {
+      startedAt.current = Date.now() - alreadySpentMs;
+    }
+  }), []);
+};
+
+export default useFillTimer;
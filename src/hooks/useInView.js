@@ -0,0 +1,43 @@
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * Custom hook that reports when an element first scrolls near the viewport.
+ * Used to defer loading images until they are about to be seen.
+ *
+ * - Stays true once the element has been seen (the observer disconnects)
+ * - Elements hidden with display: none (inactive carousel slides) are not
+ *   reported until they become visible
+ * - Browsers without IntersectionObserver report true immediately
+ *
+ * @param {Object} [options]
+ * @param {string} [options.rootMargin='200px'] - How far outside the viewport to start loading
+ * @returns {[React.RefObject, boolean]} Ref to attach to the element, and whether it has been in view
+ */
+const useInView = ({ rootMargin = '200px' } = {}) => {
+  const ref = useRef(null);
+  const [inView, setInView] = useState(false);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (inView || !element) return undefined;
+
+    if (typeof IntersectionObserver === 'undefined') {
+      setInView(true);
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setInView(true);
+        observer.disconnect();
+      }
+    }, { rootMargin });
+
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [inView, rootMargin]);
+
+  return [ref, inView];
+};
+
+export default useInView;
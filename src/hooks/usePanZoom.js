@@ -0,0 +1,246 @@
+import { useCallback, useRef, useState } from 'react';
+
+// ========================================
+// ZOOM CONFIGURATION
+// ========================================
+export const MIN_SCALE = 1;
+export const MAX_SCALE = 4;
+
+// Zoom level applied by a double tap / double click on an unzoomed image
+export const DOUBLE_TAP_SCALE = 2.5;
+
+// Minimum horizontal travel (px) for a swipe to change images
+export const SWIPE_DISTANCE = 50;
+
+// Zoom factor per keyboard step and per 100px of wheel movement
+const ZOOM_STEP = 1.5;
+const WHEEL_ZOOM_RATE = 0.002;
+
+// A pointer that moves less than this (px) before release counts as a tap
+const TAP_SLOP = 10;
+const DOUBLE_TAP_DELAY = 300;
+
+const INITIAL_VIEW = { scale: MIN_SCALE, offset: { x: 0, y: 0 } };
+
+// ========================================
+// PURE ZOOM MATH
+// ========================================
+// The zoomed element is transformed with `translate(x, y) scale(s)` around its
+// center, so a point q (relative to the center) is drawn at s * q + offset.
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Keeps a zoom level between MIN_SCALE and MAX_SCALE.
+ *
+ * @param {number} scale - Requested zoom level
+ * @returns {number} Clamped zoom level
+ */
+export const clampScale = (scale) => clamp(scale, MIN_SCALE, MAX_SCALE);
+
+/**
+ * Limits panning so the zoomed image always covers its original box.
+ *
+ * @param {{x: number, y: number}} offset - Requested translation
+ * @param {number} scale - Current zoom level
+ * @param {{width: number, height: number}} size - Unzoomed element size
+ * @returns {{x: number, y: number}} Clamped translation
+ */
+export const clampOffset = (offset, scale, size) => {
+  const maxX = ((scale - 1) * size.width) / 2;
+  const maxY = ((scale - 1) * size.height) / 2;
+  // "+ 0" turns -0 (from -maxX at the fitted size) into 0
+  return { x: clamp(offset.x, -maxX, maxX) + 0, y: clamp(offset.y, -maxY, maxY) + 0 };
+};
+
+/**
+ * Zooms to a new level while keeping the content under `point` in place.
+ *
+ * @param {{scale: number, offset: {x: number, y: number}}} view - Current view
+ * @param {number} nextScale - Requested zoom level
+ * @param {{x: number, y: number}} point - Anchor, relative to the element center
+ * @param {{width: number, height: number}} size - Unzoomed element size
+ * @returns {{scale: number, offset: {x: number, y: number}}} New view
+ */
+export const zoomAtPoint = (view, nextScale, point, size) => {
+  const scale = clampScale(nextScale);
+  const ratio = scale / view.scale;
+  const offset = {
+    x: point.x - (point.x - view.offset.x) * ratio,
+    y: point.y - (point.y - view.offset.y) * ratio
+  };
+  return { scale, offset: clampOffset(offset, scale, size) };
+};
+
+/**
+ * Classifies a finished drag as a swipe.
+ *
+ * @param {number} dx - Horizontal travel (px)
+ * @param {number} dy - Vertical travel (px)
+ * @returns {'next'|'prev'|null} Swipe left shows the next image, right the previous
+ */
+export const getSwipeDirection = (dx, dy) => {
+  if (Math.abs(dx) < SWIPE_DISTANCE || Math.abs(dx) < Math.abs(dy) * 1.5) return null;
+  return dx < 0 ? 'next' : 'prev';
+};
+
+// ========================================
+// PAN / ZOOM HOOK
+// ========================================
+
+/**
+ * Custom hook adding wheel, pinch and double-tap zoom, drag panning and swipe
+ * detection to an element.
+ *
+ * - Attach `stageRef` to the element receiving the gestures
+ * - Attach `layerRef` and `style` to the element that is zoomed
+ * - Swipes are only reported while the image is not zoomed
+ *
+ * @param {Object} options
+ * @param {function('next'|'prev')} [options.onSwipe] - Called after a horizontal swipe
+ * @returns {{stageRef, layerRef, style, handlers, scale, zoomIn, zoomOut, reset}} Refs, transform style, pointer handlers and controls
+ */
+const usePanZoom = ({ onSwipe } = {}) => {
+  const stageNode = useRef(null);
+  const layerRef = useRef(null);
+  const [view, setView] = useState(INITIAL_VIEW);
+
+  // Latest view for native event listeners (they are not re-registered per render)
+  const viewRef = useRef(view);
+  viewRef.current = view;
+
+  // Active pointers (id -> position), gesture start and last tap
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const lastTap = useRef(null);
+
+  // Unzoomed size of the layer and a client point relative to its center
+  const measure = useCallback((clientX, clientY) => {
+    const rect = layerRef.current.getBoundingClientRect();
+    const { scale, offset } = viewRef.current;
+    const size = { width: rect.width / scale, height: rect.height / scale };
+    const center = {
+      x: rect.left + rect.width / 2 - offset.x,
+      y: rect.top + rect.height / 2 - offset.y
+    };
+    return { size, point: { x: clientX - center.x, y: clientY - center.y } };
+  }, []);
+
+  const zoomTo = useCallback((nextScale, clientX, clientY) => {
+    if (!layerRef.current) return;
+    const { size, point } = measure(clientX, clientY);
+    setView(current => zoomAtPoint(current, nextScale, point, size));
+  }, [measure]);
+
+  const reset = useCallback(() => setView(INITIAL_VIEW), []);
+
+  // Zooms around the layer center (keyboard and button controls)
+  const zoomBy = useCallback((factor) => {
+    if (!layerRef.current) return;
+    const rect = layerRef.current.getBoundingClientRect();
+    const { offset } = viewRef.current;
+    zoomTo(viewRef.current.scale * factor, rect.left + rect.width / 2 - offset.x, rect.top + rect.height / 2 - offset.y);
+  }, [zoomTo]);
+
+  // Wheel zoom needs a non-passive listener to stop the page from scrolling.
+  // A callback ref attaches it whenever the stage mounts (e.g. inside a Modal
+  // that renders its content only while open).
+  const handleWheel = useCallback((event) => {
+    event.preventDefault();
+    zoomTo(viewRef.current.scale * Math.exp(-event.deltaY * WHEEL_ZOOM_RATE), event.clientX, event.clientY);
+  }, [zoomTo]);
+
+  const stageRef = useCallback((node) => {
+    if (stageNode.current) stageNode.current.removeEventListener('wheel', handleWheel);
+    stageNode.current = node;
+    if (node) node.addEventListener('wheel', handleWheel, { passive: false });
+  }, [handleWheel]);
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    pointers.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    gesture.current = {
+      startX: event.clientX,
+      startY: event.clientY,
+      moved: false,
+      pinched: pointers.current.size > 1
+    };
+  };
+
+  const handlePointerMove = (event) => {
+    const previous = pointers.current.get(event.pointerId);
+    if (!previous) return;
+    const position = { x: event.clientX, y: event.clientY };
+
+    if (pointers.current.size === 2) {
+      // Pinch: scale by the change in finger distance around their midpoint
+      const [other] = [...pointers.current.entries()].filter(([id]) => id !== event.pointerId).map(([, p]) => p);
+      const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+      const after = Math.hypot(position.x - other.x, position.y - other.y);
+      if (before > 0) {
+        zoomTo(viewRef.current.scale * (after / before), (position.x + other.x) / 2, (position.y + other.y) / 2);
+      }
+    } else if (viewRef.current.scale > MIN_SCALE) {
+      // Drag: pan the zoomed image
+      const { size } = measure(position.x, position.y);
+      setView(current => ({
+        scale: current.scale,
+        offset: clampOffset(
+          { x: current.offset.x + position.x - previous.x, y: current.offset.y + position.y - previous.y },
+          current.scale,
+          size
+        )
+      }));
+    }
+
+    pointers.current.set(event.pointerId, position);
+    if (gesture.current && Math.hypot(position.x - gesture.current.startX, position.y - gesture.current.startY) > TAP_SLOP) {
+      gesture.current.moved = true;
+    }
+  };
+
+  const handlePointerUp = (event) => {
+    pointers.current.delete(event.pointerId);
+    const finished = gesture.current;
+    if (!finished || pointers.current.size > 0) return;
+    gesture.current = null;
+    if (finished.pinched || event.type === 'pointercancel') return;
+
+    if (finished.moved) {
+      const direction = getSwipeDirection(event.clientX - finished.startX, event.clientY - finished.startY);
+      if (direction && viewRef.current.scale === MIN_SCALE && onSwipe) onSwipe(direction);
+      return;
+    }
+
+    // Double tap / double click toggles between fit and DOUBLE_TAP_SCALE
+    const now = Date.now();
+    if (lastTap.current && now - lastTap.current < DOUBLE_TAP_DELAY) {
+      lastTap.current = null;
+      if (viewRef.current.scale > MIN_SCALE) {
+        reset();
+      } else {
+        zoomTo(DOUBLE_TAP_SCALE, event.clientX, event.clientY);
+      }
+    } else {
+      lastTap.current = now;
+    }
+  };
+
+  return {
+    stageRef,
+    layerRef,
+    scale: view.scale,
+    style: { transform: `translate(${view.offset.x}px, ${view.offset.y}px) scale(${view.scale})` },
+    handlers: {
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: handlePointerUp,
+      onPointerCancel: handlePointerUp
+    },
+    zoomIn: () => zoomBy(ZOOM_STEP),
+    zoomOut: () => zoomBy(1 / ZOOM_STEP),
+    reset
+  };
+};
+
+export default usePanZoom;
@@ -0,0 +1,64 @@
+import {
+  MAX_SCALE,
+  MIN_SCALE,
+  clampScale,
+  clampOffset,
+  zoomAtPoint,
+  getSwipeDirection
+} from './usePanZoom';
+
+const SIZE = { width: 400, height: 300 };
+const FIT = { scale: 1, offset: { x: 0, y: 0 } };
+
+describe('clampScale', () => {
+  test('keeps the zoom level between the limits', () => {
+    expect(clampScale(0.5)).toBe(MIN_SCALE);
+    expect(clampScale(2)).toBe(2);
+    expect(clampScale(10)).toBe(MAX_SCALE);
+  });
+});
+
+describe('clampOffset', () => {
+  test('allows no panning at the fitted size', () => {
+    expect(clampOffset({ x: 50, y: -20 }, 1, SIZE)).toEqual({ x: 0, y: 0 });
+  });
+
+  test('stops panning at the image edges when zoomed', () => {
+    // At 2x the image overhangs its box by half its size on each axis
+    expect(clampOffset({ x: 500, y: -500 }, 2, SIZE)).toEqual({ x: 200, y: -150 });
+    expect(clampOffset({ x: 10, y: 10 }, 2, SIZE)).toEqual({ x: 10, y: 10 });
+  });
+});
+
+describe('zoomAtPoint', () => {
+  test('zooming at the center keeps the image centered', () => {
+    expect(zoomAtPoint(FIT, 2, { x: 0, y: 0 }, SIZE)).toEqual({ scale: 2, offset: { x: 0, y: 0 } });
+  });
+
+  test('keeps the content under the pointer in place', () => {
+    const point = { x: 100, y: 50 };
+    const view = zoomAtPoint(FIT, 2, point, SIZE);
+
+    // The image point under the pointer, drawn at scale * q + offset, is unchanged
+    const q = { x: (point.x - FIT.offset.x) / FIT.scale, y: (point.y - FIT.offset.y) / FIT.scale };
+    expect(view.scale * q.x + view.offset.x).toBe(point.x);
+    expect(view.scale * q.y + view.offset.y).toBe(point.y);
+  });
+
+  test('zooming back out to the fitted size recenters the image', () => {
+    const zoomed = zoomAtPoint(FIT, 3, { x: 150, y: 100 }, SIZE);
+    expect(zoomAtPoint(zoomed, 0.5, { x: -80, y: 40 }, SIZE)).toEqual({ scale: 1, offset: { x: 0, y: 0 } });
+  });
+});
+
+describe('getSwipeDirection', () => {
+  test('a leftward swipe shows the next image, a rightward one the previous', () => {
+    expect(getSwipeDirection(-120, 10)).toBe('next');
+    expect(getSwipeDirection(120, -10)).toBe('prev');
+  });
+
+  test('ignores short or mostly vertical drags', () => {
+    expect(getSwipeDirection(-20, 0)).toBeNull();
+    expect(getSwipeDirection(-80, 90)).toBeNull();
+  });
+});
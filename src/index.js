@@ -13,6 +13,7 @@
  * 
  * TECHNICAL ARCHITECTURE:
  * - Uses React 18's createRoot API for concurrent features
+ * - Hydrates the static HTML written by scripts/prerender.js when present
  * - Implements right-click protection for images
  * - Integrates Web Vitals for performance monitoring
  * - Loads global CSS styles before component rendering
@@ -33,6 +34,12 @@ import ReactDOM from 'react-dom/client';
 // Must be imported before App component to ensure proper style precedence
 import './styles/main.css';
 
+// ========================================
+// ROUTING
+// ========================================
+// BrowserRouter: Enables HTML5 history API for clean URLs
+import { BrowserRouter } from 'react-router-dom';
+
 // ========================================
 // APPLICATION COMPONENTS
 // ========================================
@@ -63,16 +70,31 @@ document.addEventListener('contextmenu', function(e) {
 // ========================================
 // APPLICATION INITIALIZATION
 // ========================================
-// Create React root using the new React 18 API
 // Targets the 'root' div element in public/index.html
-const root = ReactDOM.createRoot(document.getElementById('root'));
+const container = document.getElementById('root');
 
-// Render the main App component to the DOM
+// Application tree with the browser router
 // StrictMode is intentionally omitted for production build
-root.render(
-    <App />
+const app = (
+    <BrowserRouter>
+        <App />
+    </BrowserRouter>
 );
 
+// Prerendered pages (see scripts/prerender.js) mark the root with the path
+// they were rendered for (without a query string). When it matches the current
+// URL the existing markup is hydrated; otherwise (SPA fallback for unknown
+// paths, or query-driven views such as /gallery?material=... whose content
+// differs from the static HTML) the root is rendered from scratch.
+const isPrerenderedView = container.dataset.prerenderedPath === window.location.pathname
+    && !window.location.search;
+
+if (isPrerenderedView) {
+    ReactDOM.hydrateRoot(container, app);
+} else {
+    ReactDOM.createRoot(container).render(app);
+}
+
 // ========================================
 // PERFORMANCE MONITORING SETUP
 // ========================================
@@ -47,6 +47,18 @@ import React from 'react';
 // Card: Bootstrap card component for content containers
 import { Container, Row, Col, Image, Card } from 'react-bootstrap';
 
+// ========================================
+// SEO IMPORTS
+// ========================================
+// PageMeta: Sets this route's title, description, canonical URL and social tags
+import PageMeta from '../components/PageMeta';
+
+// ========================================
+// DATA IMPORTS
+// ========================================
+// Specialty weaves and their descriptions (src/data/weaves.js)
+import { SPECIALTY_WEAVES, getWeaveDescription } from '../data/weaves';
+
 /**
  * About Component
  * 
@@ -81,6 +93,11 @@ const About = () => {
     // Bootstrap Container with vertical padding for consistent spacing
     // className="py-5": Bootstrap utility for padding top and bottom (3rem each)
     <Container className="py-5">
+      <PageMeta
+        title="About"
+        description="Meet Manuel Morán, the chainmaille artist behind The Chain Lair, and the weaves and process behind each piece."
+        path="/about"
+      />
       
       {/* ========================================
           PAGE HEADER SECTION
@@ -387,12 +404,13 @@ const About = () => {
                 ======================================== */}
             {/* 
               JavaScript map function to generate cards for each weave type
-              - Array: ['Byzantine', 'European 4-in-1', 'Persian', 'Japanese']
+              - SPECIALTY_WEAVES: Byzantine, European 4-in-1, Persian, Japanese
+                (shared with the commission wizard on the Contact page)
               - map(): Creates a card component for each weave
               - index: Used as React key for list rendering
               - Responsive grid: md={3} (4 cards per row on medium+), sm={6} (2 per row on small)
             */}
-            {['Byzantine', 'European 4-in-1', 'Persian', 'Japanese'].map((weave, index) => (
+            {SPECIALTY_WEAVES.map((weave, index) => (
               // ========================================
               // INDIVIDUAL WEAVE CARD COLUMN
               // ========================================
@@ -457,69 +475,6 @@ const About = () => {
   );
 };
 
-/**
- * ========================================
- * WEAVE DESCRIPTION HELPER FUNCTION
- * ========================================
- * 
- * Utility function that returns descriptive text for each chainmaille weave type.
- * This function provides educational content about different weaving techniques.
- * 
- * FUNCTION PURPOSE:
- * - Provide detailed descriptions for each weave specialization
- * - Maintain consistency in description format and length
- * - Enable easy addition of new weave types
- * - Separate content logic from component rendering
- * 
- * TECHNICAL APPROACH:
- * - Object-based lookup for O(1) performance
- * - Fallback description for unknown weave types
- * - Pure function with no side effects
- * - Reusable and testable design
- * 
- * @param {string} weave - The name of the chainmaille weave type
- * @returns {string} Descriptive text explaining the weave characteristics
- */
-const getWeaveDescription = (weave) => {
-  // ========================================
-  // WEAVE DESCRIPTIONS LOOKUP OBJECT
-  // ========================================
-  /**
-   * Object containing descriptions for each weave type
-   * 
-   * Each description focuses on:
-   * - Visual characteristics of the weave
-   * - Structural properties and flexibility
-   * - Common applications or use cases
-   * - Distinguishing features from other weaves
-   */
-  const descriptions = {
-    // Byzantine: Complex rope-like weave with twisted appearance
-    'Byzantine': 'An elegant and complex weave that creates a rope-like structure with a twisted appearance.',
-    
-    // European 4-in-1: Classic versatile pattern, foundation of many chainmaille pieces
-    'European 4-in-1': 'A classic and versatile pattern where each ring connects to four others, creating a flexible mesh.',
-    
-    // Persian: Dense flowing weave family, often used for statement jewelry
-    'Persian': 'An intricate family of weaves with a dense, flowing appearance, often used for statement pieces.',
-    
-    // Japanese: Geometric precision weaves, delicate and precise patterns
-    'Japanese': 'Precise geometric patterns that create beautiful, delicate sheets of chainmaille.'
-  };
-  
-  // ========================================
-  // DESCRIPTION LOOKUP WITH FALLBACK
-  // ========================================
-  /**
-   * Return the specific description for the weave, or a generic fallback
-   * 
-   * - descriptions[weave]: Lookup specific description
-   * - || 'fallback': Provides default description for unknown weaves
-   * - Ensures function always returns a string
-   */
-  return descriptions[weave] || 'A beautiful traditional chainmaille pattern.';
-};
-
 // ========================================
 // COMPONENT EXPORT
 // ========================================
@@ -9,14 +9,15 @@
  * COMPONENT PURPOSE:
  * - Provide a professional contact form for customer inquiries
  * - Handle form validation and submission with user feedback
- * - Integrate with EmailJS for serverless email functionality
+ * - Deliver messages through the configured provider (EmailJS or /api/contact)
  * - Support URL parameters for pre-filled subjects (from gallery items)
  * - Display alternative contact methods (email, social media)
  * 
  * TECHNICAL ARCHITECTURE:
  * - React functional component with multiple state hooks
  * - React Bootstrap for responsive form layout and UI components
- * - EmailJS integration for client-side email sending
+ * - Pluggable delivery (src/contact/delivery.js): EmailJS from the browser or
+ *   the site's own serverless endpoint, chosen by REACT_APP_CONTACT_PROVIDER
  * - React Router integration for URL parameter handling
  * - Form validation with Bootstrap validation classes
  * - Loading states and error handling for better UX
@@ -24,10 +25,19 @@
  * FUNCTIONALITY FEATURES:
  * 1. Dynamic Subject Pre-filling - URL parameters can set initial subject
  * 2. Form Validation - Client-side validation with visual feedback
- * 3. Email Integration - Sends emails via EmailJS service
+ * 3. Email Integration - Sends through EmailJS or the /api/contact endpoint
  * 4. Loading States - Shows spinner during form submission
  * 5. Success/Error Feedback - User-friendly status messages
  * 6. Form Reset - Clears form after successful submission
+ * 7. Commission Mode - Step-by-step CommissionWizard (?type=commission) with
+ *    per-step validation and a locally saved draft
+ * 8. Spam Protection - Hidden honeypot field and minimum time-to-submit
+ *    (src/contact/spam.js); rejected messages get a friendly explanation
+ * 9. Offline Queue - Submissions that fail for lack of network are kept in
+ *    IndexedDB and sent automatically once back online (OutboxProvider)
+ * 10. Inquiry List - Pieces added with "Add to Inquiry List" are shown above
+ *    the message and sent in it (title, id and link of each); the list is
+ *    cleared once the message was sent or queued
  * 
  * USER EXPERIENCE:
  * - Clean, professional form design
@@ -44,7 +54,8 @@
 // useState: Manages multiple form states (validation, submission, data)
 // useEffect: Handles URL parameter changes and side effects
 // useRef: References form element for validation (currently unused but imported)
-import React, { useState, useEffect, useRef } from 'react';
+// useContext: Reads the offline outbox and inquiry list provided by App
+import React, { useState, useEffect, useRef, useContext } from 'react';
 
 // ========================================
 // UI COMPONENT IMPORTS
@@ -56,7 +67,7 @@ import React, { useState, useEffect, useRef } from 'react';
 // Row/Col: Grid system for responsive layout
 // Alert: Success/error message display
 // Spinner: Loading indicator for form submission
-import { Container, Form, Button, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import { Container, Form, Button, ButtonGroup, Row, Col, Alert, Spinner } from 'react-bootstrap';
 
 // ========================================
 // ROUTING IMPORTS
@@ -66,11 +77,46 @@ import { Container, Form, Button, Row, Col, Alert, Spinner } from 'react-bootstr
 import { useLocation } from 'react-router-dom';
 
 // ========================================
-// EMAIL SERVICE IMPORTS
+// CONTACT DELIVERY IMPORTS
 // ========================================
-// EmailJS library for client-side email sending
-// Enables contact form functionality without backend server
-import emailjs from '@emailjs/browser';
+// Sends through the provider configured for this build (EmailJS by default,
+// or the /api/contact serverless endpoint); shared by both forms
+import { sendContactMessage } from '../contact/delivery';
+
+// Extra parameters checked by the spam protection (honeypot, fill time)
+import { HONEYPOT_FIELD, FILL_TIME_FIELD } from '../contact/spam';
+
+// Offline queue: tells network failures apart, and the context to queue them
+import { isNetworkError } from '../contact/outbox';
+import OutboxContext from '../contact/OutboxContext';
+
+// Inquiry list: pieces to ask about, and how they are added to the message
+import InquiryContext from '../contact/InquiryContext';
+import { buildInquiryTemplateParams } from '../contact/inquiry';
+
+// ========================================
+// CUSTOM COMPONENT IMPORTS
+// ========================================
+// Multi-step commission request form (piece, material, size, budget, references)
+import CommissionWizard from '../components/CommissionWizard';
+
+// Off-screen field that only bots fill in
+import HoneypotField from '../components/HoneypotField';
+
+// Pieces from the inquiry list, shown above the message
+import InquiryList from '../components/InquiryList';
+
+// ========================================
+// CUSTOM HOOK IMPORTS
+// ========================================
+// Time the form has been on screen (minimum time-to-submit check)
+import useFillTimer from '../hooks/useFillTimer';
+
+// ========================================
+// SEO IMPORTS
+// ========================================
+// PageMeta: Sets this route's title, description, canonical URL and social tags
+import PageMeta from '../components/PageMeta';
 
 /**
  * Contact Component
@@ -90,8 +136,8 @@ import emailjs from '@emailjs/browser';
  * - Updates when URL changes (useEffect dependency)
  * 
  * EMAIL INTEGRATION:
- * - Uses EmailJS service for sending emails
- * - Requires environment variables for service configuration
+ * - Sends through sendContactMessage (EmailJS or the /api/contact endpoint)
+ * - Requires environment variables for provider configuration
  * - Handles success/error states with user feedback
  * 
  * FORM VALIDATION:
@@ -151,6 +197,19 @@ const Contact = () => {
     return queryParams.get('subject') || '';
   };
 
+  /**
+   * Get Initial Form Mode from URL Parameters
+   * 
+   * ?type=commission opens the commission wizard (e.g. from "commission a
+   * custom design" links); anything else shows the general message form.
+   * 
+   * @returns {'message'|'commission'} The form to show
+   */
+  const getInitialMode = () => {
+    const queryParams = new URLSearchParams(location.search);
+    return queryParams.get('type') === 'commission' ? 'commission' : 'message';
+  };
+
   // ========================================
   // STATE MANAGEMENT
   // ========================================
@@ -210,11 +269,36 @@ const Contact = () => {
    * - string: Error message to display
    * 
    * USAGE:
-   * - Set when EmailJS sending fails
+   * - Set when message delivery fails
    * - Cleared before each new submission attempt
    * - Could be expanded to show different error types
    */
   const [submissionError, setSubmissionError] = useState('');
+
+  /**
+   * Offline Queue State
+   * 
+   * True after a submission failed for lack of network and was saved in
+   * the outbox instead; it will be sent automatically once back online.
+   */
+  const [queuedOffline, setQueuedOffline] = useState(false);
+
+  // Outbox for offline submissions (null when rendered without OutboxProvider)
+  const outbox = useContext(OutboxContext);
+
+  // Inquiry list (null when rendered without InquiryProvider)
+  const inquiry = useContext(InquiryContext);
+
+  /**
+   * Form Mode State
+   * 
+   * Which form is shown below the introduction.
+   * 
+   * STATES:
+   * - 'message': General name/email/subject/message form
+   * - 'commission': Multi-step commission request wizard
+   */
+  const [mode, setMode] = useState(getInitialMode());
   
   /**
    * Form Data State
@@ -240,9 +324,14 @@ const Contact = () => {
     name: '',
     email: '',
     subject: getInitialSubject(),
-    message: ''
+    message: '',
+    // Honeypot: stays empty unless a bot fills in every field
+    [HONEYPOT_FIELD]: ''
   });
 
+  // Clock for the minimum time-to-submit check; restarted after each message
+  const fillTimer = useFillTimer();
+
   // ========================================
   // SIDE EFFECTS AND URL PARAMETER HANDLING
   // ========================================
@@ -271,6 +360,7 @@ const Contact = () => {
       ...prevData,
       subject: getInitialSubject()
     }));
+    setMode(getInitialMode());
   }, [location.search]);
 
   // ========================================
@@ -310,7 +400,7 @@ const Contact = () => {
   /**
    * Form Submission Handler
    * 
-   * Handles form submission, validation, and email sending via EmailJS.
+   * Handles form submission, validation, and message delivery.
    * Manages all submission states and user feedback.
    * 
    * SUBMISSION FLOW:
@@ -318,7 +408,7 @@ const Contact = () => {
    * 2. Validate form using HTML5 validation
    * 3. Set loading state and clear previous errors
    * 4. Prepare email template parameters
-   * 5. Send email via EmailJS service
+   * 5. Send the message through the configured provider
    * 6. Handle success/error responses
    * 7. Update UI state based on result
    * 
@@ -328,7 +418,7 @@ const Contact = () => {
    * - Shows validation feedback to user
    * 
    * EMAIL SENDING:
-   * - Uses environment variables for EmailJS configuration
+   * - Provider and its settings come from environment variables
    * - Sends structured email with form data
    * - Handles both success and error cases
    * 
@@ -366,34 +456,31 @@ const Contact = () => {
     setIsSubmitting(true);
     // Clear any previous error messages
     setSubmissionError('');
-    
-    // ========================================
-    // EMAILJS CONFIGURATION
-    // ========================================
-    // Retrieve EmailJS configuration from environment variables
-    // These should be set in .env file for security
-    const serviceId = process.env.REACT_APP_EMAILJS_SERVICE_ID;
-    const templateId = process.env.REACT_APP_EMAILJS_TEMPLATE_ID;
-    const publicKey = process.env.REACT_APP_EMAILJS_PUBLIC_KEY;
+    setQueuedOffline(false);
     
     // ========================================
     // EMAIL TEMPLATE PREPARATION
     // ========================================
-    // Prepare template parameters for EmailJS
+    // Prepare template parameters for the delivery provider
     // These correspond to variables in the EmailJS email template
-    const templateParams = {
+    // (and are validated again by /api/contact)
+    // Listed inquiry pieces are appended to the message
+    const templateParams = buildInquiryTemplateParams({
       name: formData.name,
       email: formData.email,
       subject: formData.subject,
-      message: formData.message
-    };
+      message: formData.message,
+      // Spam protection: honeypot value and how long the form took to fill in
+      [HONEYPOT_FIELD]: formData[HONEYPOT_FIELD],
+      [FILL_TIME_FIELD]: fillTimer.elapsed()
+    }, inquiry ? inquiry.works : []);
     
     // ========================================
     // EMAIL SENDING PROCESS
     // ========================================
-    // Send email using EmailJS service
+    // Send through the configured provider (EmailJS or /api/contact)
     // Returns a Promise that resolves on success or rejects on error
-    emailjs.send(serviceId, templateId, templateParams, publicKey)
+    sendContactMessage(templateParams)
       .then((response) => {
         // ========================================
         // SUCCESS HANDLING
@@ -403,20 +490,19 @@ const Contact = () => {
         
         // Show success message to user
         setSubmitted(true);
-        
-        // Reset form data to initial state
-        // Subject is reset to current URL parameter (if any)
-        setFormData({ 
-          name: '', 
-          email: '', 
-          subject: getInitialSubject(), 
-          message: '' 
-        });
-        
-        // Reset validation state to hide validation feedback
-        setValidated(false);
+        resetMessageForm();
       })
-      .catch((err) => {
+      .catch(async (err) => {
+        // ========================================
+        // OFFLINE QUEUE
+        // ========================================
+        // No network: the message is saved and sent later, so the form
+        // is cleared as if it had been sent
+        if (await queueIfOffline(err, templateParams, 'message')) {
+          resetMessageForm();
+          return;
+        }
+        
         // ========================================
         // ERROR HANDLING
         // ========================================
@@ -424,8 +510,11 @@ const Contact = () => {
         console.error('Email sending failed:', err);
         
         // Set user-friendly error message
-        // Provides alternative contact method
-        setSubmissionError('Failed to send message. Please try again or contact directly via email.');
+        // Spam rejections explain themselves; other failures offer the
+        // alternative contact method
+        setSubmissionError(err.reason
+          ? err.message
+          : 'Failed to send message. Please try again or contact directly via email.');
       })
       .finally(() => {
         // ========================================
@@ -437,6 +526,95 @@ const Contact = () => {
       });
   };
 
+  /**
+   * Message Form Reset
+   * 
+   * Clears the message form after it was sent (or queued).
+   * Subject is reset to current URL parameter (if any), the spam
+   * protection clock starts over for the next message, and the inquiry
+   * list (now part of the sent message) is emptied.
+   */
+  const resetMessageForm = () => {
+    setFormData({ 
+      name: '', 
+      email: '', 
+      subject: getInitialSubject(), 
+      message: '',
+      [HONEYPOT_FIELD]: ''
+    });
+    fillTimer.restart();
+    if (inquiry) inquiry.clear();
+    
+    // Reset validation state to hide validation feedback
+    setValidated(false);
+  };
+
+  /**
+   * Offline Queue Helper
+   * 
+   * Saves a submission that failed because the network is unavailable,
+   * so OutboxProvider can send it once the visitor is back online.
+   * 
+   * @param {Error} err - Delivery failure
+   * @param {Object} templateParams - Parameters that failed to send
+   * @param {'message'|'commission'} kind - Which form sent them
+   * @returns {Promise<boolean>} Whether the submission was queued
+   */
+  const queueIfOffline = async (err, templateParams, kind) => {
+    if (!isNetworkError(err) || !outbox) return false;
+    const queued = await outbox.enqueue(templateParams, kind);
+    if (queued) setQueuedOffline(true);
+    return queued;
+  };
+
+  /**
+   * Commission Submission Handler
+   * 
+   * Sends the structured commission request built by the wizard.
+   * The wizard keeps its own loading state and clears its draft when the
+   * returned promise resolves (sent, or queued while offline); on failure
+   * the request stays in the form.
+   * 
+   * @param {Object} templateParams - Template parameters from buildCommissionTemplateParams
+   * @returns {Promise} Resolves on success, rejects on failure
+   */
+  const handleCommissionSubmit = (templateParams) => {
+    setSubmitted(false);
+    setSubmissionError('');
+    setQueuedOffline(false);
+    return sendContactMessage(templateParams)
+      .then(() => {
+        setSubmitted(true);
+        window.scrollTo(0, 0);
+      })
+      .catch(async (err) => {
+        if (await queueIfOffline(err, templateParams, 'commission')) {
+          window.scrollTo(0, 0);
+          return;
+        }
+        console.error('Commission request failed:', err);
+        setSubmissionError(err.reason
+          ? err.message
+          : 'Failed to send your commission request. Your answers are saved; please try again or contact directly via email.');
+        throw err;
+      });
+  };
+
+  /**
+   * Form Mode Switch Handler
+   * 
+   * Switches between the message form and the commission wizard and
+   * clears the alerts of the previous form.
+   * 
+   * @param {'message'|'commission'} nextMode - Form to show
+   */
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setSubmitted(false);
+    setSubmissionError('');
+    setQueuedOffline(false);
+  };
+
   return (
     // ========================================
     // MAIN PAGE CONTAINER
@@ -444,6 +622,11 @@ const Contact = () => {
     // Bootstrap Container with vertical padding for consistent page spacing
     // className="py-5": Bootstrap utility for padding top and bottom (3rem each)
     <Container className="py-5">
+      <PageMeta
+        title="Contact"
+        description="Ask about a chainmaille piece or commission a custom design from The Chain Lair."
+        path="/contact"
+      />
       
       {/* ========================================
           RESPONSIVE LAYOUT ROW
@@ -487,11 +670,38 @@ const Contact = () => {
               * text-center: Centers the text horizontally
               * mb-5: Large margin bottom (3rem) before form
           */}
-          <p className="lead text-center mb-5">
+          <p className="lead text-center mb-4">
             Have questions about my chainmaille pieces or interested in commissioning a custom design? 
             Please fill out the form below, and I'll get back to you as soon as possible.
           </p>
           
+          {/* ========================================
+              FORM MODE SWITCH
+              ======================================== */}
+          {/* 
+            Toggle between the general message form and the commission wizard
+            - aria-pressed: Announces which form is active
+            - ?type=commission opens the wizard directly
+          */}
+          <div className="text-center mb-5">
+            <ButtonGroup aria-label="Choose a form">
+              <Button
+                variant={mode === 'message' ? 'primary' : 'outline-primary'}
+                aria-pressed={mode === 'message'}
+                onClick={() => switchMode('message')}
+              >
+                Send a Message
+              </Button>
+              <Button
+                variant={mode === 'commission' ? 'primary' : 'outline-primary'}
+                aria-pressed={mode === 'commission'}
+                onClick={() => switchMode('commission')}
+              >
+                Commission a Piece
+              </Button>
+            </ButtonGroup>
+          </div>
+          
           {/* ========================================
               SUCCESS MESSAGE ALERT
               ======================================== */}
@@ -504,7 +714,25 @@ const Contact = () => {
           */}
           {submitted && (
             <Alert variant="success" onClose={() => setSubmitted(false)} dismissible>
-              Thank you for your message! I'll respond within 48 hours.
+              {mode === 'commission'
+                ? 'Thank you for your commission request! I\'ll review the details and respond within 48 hours.'
+                : 'Thank you for your message! I\'ll respond within 48 hours.'}
+            </Alert>
+          )}
+          
+          {/* ========================================
+              OFFLINE QUEUE ALERT
+              ======================================== */}
+          {/* 
+            Shown when the submission was saved for later instead of sent
+            - OutboxProvider sends it once the connection is back and
+              reports the outcome in a toast on whatever page is open
+          */}
+          {queuedOffline && (
+            <Alert variant="warning" onClose={() => setQueuedOffline(false)} dismissible>
+              <i className="bi bi-cloud-slash me-2" aria-hidden="true"></i>
+              You appear to be offline. Your {mode === 'commission' ? 'commission request' : 'message'} is
+              queued on this device and will be sent when you're back online.
             </Alert>
           )}
           
@@ -532,263 +760,292 @@ const Contact = () => {
             - noValidate: Disables browser validation (uses custom validation)
             - validated: Bootstrap prop for showing validation feedback
             - onSubmit: Handles form submission via handleSubmit function
+            - Replaced by the CommissionWizard in commission mode
           */}
-          <Form noValidate validated={validated} onSubmit={handleSubmit}>
+          {mode === 'message' ? (
+            <Form noValidate validated={validated} onSubmit={handleSubmit}>
             
-            {/* ========================================
-                NAME AND EMAIL ROW
-                ======================================== */}
-            {/* 
-              Bootstrap Row for side-by-side form fields
-              - className="mb-3": Margin bottom for spacing between form sections
-              - Contains name and email fields in responsive columns
-            */}
-            <Row className="mb-3">
+              {/* ========================================
+                  NAME AND EMAIL ROW
+                  ======================================== */}
+              {/* 
+                Bootstrap Row for side-by-side form fields
+                - className="mb-3": Margin bottom for spacing between form sections
+                - Contains name and email fields in responsive columns
+              */}
+              <Row className="mb-3">
+              
+                {/* ========================================
+                    NAME FIELD GROUP
+                    ======================================== */}
+                {/* 
+                  Form group for user's name input
+                  - as={Col} md="6": Renders as Bootstrap column, 50% width on medium+ screens
+                  - controlId: Links label to input for accessibility
+                */}
+                <Form.Group as={Col} md="6" controlId="validationCustom01">
+                
+                  {/* 
+                    Form label for name field
+                    - Semantic HTML for accessibility
+                    - Automatically linked to input via controlId
+                  */}
+                  <Form.Label>Your Name</Form.Label>
+                
+                  {/* 
+                    Name input field
+                    - required: HTML5 validation attribute
+                    - type="text": Standard text input
+                    - name="name": Corresponds to formData.name
+                    - value: Controlled component value from state
+                    - onChange: Updates state via handleChange
+                    - placeholder: Example text for user guidance
+                  */}
+                  <Form.Control
+                    required
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    placeholder="J. Doe"
+                  />
+                
+                  {/* 
+                    Validation feedback message
+                    - type="invalid": Shows when field is invalid
+                    - Bootstrap automatically shows/hides based on validation state
+                  */}
+                  <Form.Control.Feedback type="invalid">
+                    Please provide your name.
+                  </Form.Control.Feedback>
+                
+                </Form.Group>
               
+                {/* ========================================
+                    EMAIL FIELD GROUP
+                    ======================================== */}
+                {/* 
+                  Form group for user's email input
+                  - as={Col} md="6": Renders as Bootstrap column, 50% width on medium+ screens
+                  - controlId: Links label to input for accessibility
+                */}
+                <Form.Group as={Col} md="6" controlId="validationCustom02">
+                
+                  {/* 
+                    Form label for email field
+                    - Semantic HTML for accessibility
+                    - Automatically linked to input via controlId
+                  */}
+                  <Form.Label>Email Address</Form.Label>
+                
+                  {/* 
+                    Email input field
+                    - required: HTML5 validation attribute
+                    - type="email": HTML5 email validation
+                    - name="email": Corresponds to formData.email
+                    - value: Controlled component value from state
+                    - onChange: Updates state via handleChange
+                    - placeholder: Example email format for user guidance
+                  */}
+                  <Form.Control
+                    required
+                    type="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    placeholder="jDoe@example.com"
+                  />
+                
+                  {/* 
+                    Validation feedback message
+                    - type="invalid": Shows when field is invalid
+                    - Bootstrap automatically shows/hides based on validation state
+                  */}
+                  <Form.Control.Feedback type="invalid">
+                    Please provide a valid email.
+                  </Form.Control.Feedback>
+                
+                </Form.Group>
+              
+              </Row>
+            
               {/* ========================================
-                  NAME FIELD GROUP
+                  SUBJECT FIELD GROUP
                   ======================================== */}
               {/* 
-                Form group for user's name input
-                - as={Col} md="6": Renders as Bootstrap column, 50% width on medium+ screens
+                Form group for message subject
+                - className="mb-3": Margin bottom for spacing
                 - controlId: Links label to input for accessibility
+                - Full width field (not in a Row/Col structure)
               */}
-              <Form.Group as={Col} md="6" controlId="validationCustom01">
-                
+              <Form.Group className="mb-3" controlId="validationCustom03">
+              
                 {/* 
-                  Form label for name field
+                  Form label for subject field
                   - Semantic HTML for accessibility
                   - Automatically linked to input via controlId
                 */}
-                <Form.Label>Your Name</Form.Label>
-                
+                <Form.Label>Subject</Form.Label>
+              
                 {/* 
-                  Name input field
+                  Subject input field
                   - required: HTML5 validation attribute
                   - type="text": Standard text input
-                  - name="name": Corresponds to formData.name
-                  - value: Controlled component value from state
+                  - name="subject": Corresponds to formData.subject
+                  - value: Controlled component value from state (may be pre-filled from URL)
                   - onChange: Updates state via handleChange
-                  - placeholder: Example text for user guidance
+                  - placeholder: Example subject for user guidance
                 */}
                 <Form.Control
                   required
                   type="text"
-                  name="name"
-                  value={formData.name}
+                  name="subject"
+                  value={formData.subject}
                   onChange={handleChange}
-                  placeholder="J. Doe"
+                  placeholder="Inquiry about Byzantine Bracelet"
                 />
-                
+              
                 {/* 
                   Validation feedback message
                   - type="invalid": Shows when field is invalid
                   - Bootstrap automatically shows/hides based on validation state
                 */}
                 <Form.Control.Feedback type="invalid">
-                  Please provide your name.
+                  Please provide a subject.
                 </Form.Control.Feedback>
-                
-              </Form.Group>
               
+              </Form.Group>
+            
               {/* ========================================
-                  EMAIL FIELD GROUP
+                  INQUIRY LIST
                   ======================================== */}
               {/* 
-                Form group for user's email input
-                - as={Col} md="6": Renders as Bootstrap column, 50% width on medium+ screens
-                - controlId: Links label to input for accessibility
+                Pieces added with "Add to Inquiry List" on product pages
+                - Renders nothing when the list is empty
+                - Their titles, ids and links are appended to the message
               */}
-              <Form.Group as={Col} md="6" controlId="validationCustom02">
-                
+              <InquiryList />
+            
+              {/* ========================================
+                  MESSAGE FIELD GROUP
+                  ======================================== */}
+              {/* 
+                Form group for message content
+                - className="mb-4": Larger margin bottom before submit button
+                - controlId: Links label to textarea for accessibility
+              */}
+              <Form.Group className="mb-4" controlId="validationCustom04">
+              
                 {/* 
-                  Form label for email field
+                  Form label for message field
                   - Semantic HTML for accessibility
-                  - Automatically linked to input via controlId
+                  - Automatically linked to textarea via controlId
                 */}
-                <Form.Label>Email Address</Form.Label>
-                
+                <Form.Label>Message</Form.Label>
+              
                 {/* 
-                  Email input field
+                  Message textarea field
                   - required: HTML5 validation attribute
-                  - type="email": HTML5 email validation
-                  - name="email": Corresponds to formData.email
+                  - as="textarea": Renders as textarea instead of input
+                  - name="message": Corresponds to formData.message
                   - value: Controlled component value from state
                   - onChange: Updates state via handleChange
-                  - placeholder: Example email format for user guidance
+                  - rows={5}: Sets textarea height to 5 rows
+                  - placeholder: Example message for user guidance
                 */}
                 <Form.Control
                   required
-                  type="email"
-                  name="email"
-                  value={formData.email}
+                  as="textarea"
+                  name="message"
+                  value={formData.message}
                   onChange={handleChange}
-                  placeholder="jDoe@example.com"
+                  rows={5}
+                  placeholder="Your message here..."
                 />
-                
+              
                 {/* 
                   Validation feedback message
                   - type="invalid": Shows when field is invalid
                   - Bootstrap automatically shows/hides based on validation state
                 */}
                 <Form.Control.Feedback type="invalid">
-                  Please provide a valid email.
+                  Please provide a message.
                 </Form.Control.Feedback>
-                
-              </Form.Group>
-              
-            </Row>
-            
-            {/* ========================================
-                SUBJECT FIELD GROUP
-                ======================================== */}
-            {/* 
-              Form group for message subject
-              - className="mb-3": Margin bottom for spacing
-              - controlId: Links label to input for accessibility
-              - Full width field (not in a Row/Col structure)
-            */}
-            <Form.Group className="mb-3" controlId="validationCustom03">
-              
-              {/* 
-                Form label for subject field
-                - Semantic HTML for accessibility
-                - Automatically linked to input via controlId
-              */}
-              <Form.Label>Subject</Form.Label>
-              
-              {/* 
-                Subject input field
-                - required: HTML5 validation attribute
-                - type="text": Standard text input
-                - name="subject": Corresponds to formData.subject
-                - value: Controlled component value from state (may be pre-filled from URL)
-                - onChange: Updates state via handleChange
-                - placeholder: Example subject for user guidance
-              */}
-              <Form.Control
-                required
-                type="text"
-                name="subject"
-                value={formData.subject}
-                onChange={handleChange}
-                placeholder="Inquiry about Byzantine Bracelet"
-              />
-              
-              {/* 
-                Validation feedback message
-                - type="invalid": Shows when field is invalid
-                - Bootstrap automatically shows/hides based on validation state
-              */}
-              <Form.Control.Feedback type="invalid">
-                Please provide a subject.
-              </Form.Control.Feedback>
               
-            </Form.Group>
+              </Form.Group>
             
-            {/* ========================================
-                MESSAGE FIELD GROUP
-                ======================================== */}
-            {/* 
-              Form group for message content
-              - className="mb-4": Larger margin bottom before submit button
-              - controlId: Links label to textarea for accessibility
-            */}
-            <Form.Group className="mb-4" controlId="validationCustom04">
-              
-              {/* 
-                Form label for message field
-                - Semantic HTML for accessibility
-                - Automatically linked to textarea via controlId
-              */}
-              <Form.Label>Message</Form.Label>
-              
-              {/* 
-                Message textarea field
-                - required: HTML5 validation attribute
-                - as="textarea": Renders as textarea instead of input
-                - name="message": Corresponds to formData.message
-                - value: Controlled component value from state
-                - onChange: Updates state via handleChange
-                - rows={5}: Sets textarea height to 5 rows
-                - placeholder: Example message for user guidance
-              */}
-              <Form.Control
-                required
-                as="textarea"
-                name="message"
-                value={formData.message}
-                onChange={handleChange}
-                rows={5}
-                placeholder="Your message here..."
-              />
-              
+              {/* ========================================
+                  HONEYPOT FIELD
+                  ======================================== */}
               {/* 
-                Validation feedback message
-                - type="invalid": Shows when field is invalid
-                - Bootstrap automatically shows/hides based on validation state
+                Spam trap hidden from visitors and assistive technology
+                - A filled-in value rejects the submission as spam
               */}
-              <Form.Control.Feedback type="invalid">
-                Please provide a message.
-              </Form.Control.Feedback>
-              
-            </Form.Group>
+              <HoneypotField value={formData[HONEYPOT_FIELD]} onChange={handleChange} />
             
-            {/* ========================================
-                SUBMIT BUTTON SECTION
-                ======================================== */}
-            {/* 
-              Container for submit button with full-width grid layout
-              - className="d-grid": Bootstrap utility for CSS Grid display
-              - Makes button span full width of container
-            */}
-            <div className="d-grid">
-              
               {/* ========================================
-                  SUBMIT BUTTON
+                  SUBMIT BUTTON SECTION
                   ======================================== */}
               {/* 
-                Form submission button with loading state
-                - type="submit": Triggers form submission
-                - variant="primary": Bootstrap primary button styling (blue)
-                - size="lg": Large button size for prominence
-                - disabled: Prevents submission during loading state
-                - Conditional content based on isSubmitting state
+                Container for submit button with full-width grid layout
+                - className="d-grid": Bootstrap utility for CSS Grid display
+                - Makes button span full width of container
               */}
-              <Button type="submit" variant="primary" size="lg" disabled={isSubmitting}>
-                
+              <div className="d-grid">
+              
                 {/* ========================================
-                    CONDITIONAL BUTTON CONTENT
+                    SUBMIT BUTTON
                     ======================================== */}
                 {/* 
-                  Dynamic button content based on submission state
-                  - Shows spinner and "Sending..." during submission
-                  - Shows "Send Message" when ready for submission
+                  Form submission button with loading state
+                  - type="submit": Triggers form submission
+                  - variant="primary": Bootstrap primary button styling (blue)
+                  - size="lg": Large button size for prominence
+                  - disabled: Prevents submission during loading state
+                  - Conditional content based on isSubmitting state
                 */}
-                {isSubmitting ? (
-                  <>
-                    {/* 
-                      Loading spinner for submission state
-                      - Spinner component from React Bootstrap
-                      - as="span": Renders as inline span element
-                      - animation="border": Border spinning animation
-                      - size="sm": Small size to fit in button
-                      - role="status": Accessibility role for screen readers
-                      - aria-hidden="true": Hides from screen readers (decorative)
-                      - className="me-2": Margin end (right) for spacing
-                    */}
-                    <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2"/>
-                    Sending...
-                  </>
-                ) : (
-                  'Send Message'
-                )}
+                <Button type="submit" variant="primary" size="lg" disabled={isSubmitting}>
                 
-              </Button>
+                  {/* ========================================
+                      CONDITIONAL BUTTON CONTENT
+                      ======================================== */}
+                  {/* 
+                    Dynamic button content based on submission state
+                    - Shows spinner and "Sending..." during submission
+                    - Shows "Send Message" when ready for submission
+                  */}
+                  {isSubmitting ? (
+                    <>
+                      {/* 
+                        Loading spinner for submission state
+                        - Spinner component from React Bootstrap
+                        - as="span": Renders as inline span element
+                        - animation="border": Border spinning animation
+                        - size="sm": Small size to fit in button
+                        - role="status": Accessibility role for screen readers
+                        - aria-hidden="true": Hides from screen readers (decorative)
+                        - className="me-2": Margin end (right) for spacing
+                      */}
+                      <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2"/>
+                      Sending...
+                    </>
+                  ) : (
+                    'Send Message'
+                  )}
+                
+                </Button>
               
-            </div>
+              </div>
             
-          </Form>
+            </Form>
+          ) : (
+            // ========================================
+            // COMMISSION WIZARD
+            // ========================================
+            // Step-by-step commission request, sent through the same delivery
+            // provider with a structured summary as the message
+            <CommissionWizard onSubmit={handleCommissionSubmit} />
+          )}
           
           {/* ========================================
               ALTERNATIVE CONTACT INFORMATION
@@ -2,33 +2,37 @@
  * ========================================
  * GALLERY PAGE COMPONENT - COMPREHENSIVE GUIDE
  * ========================================
- * 
+ *
  * This component displays a filterable gallery of chainmaille works,
- * allowing users to browse all pieces or filter by category.
- * 
+ * allowing users to browse all pieces or narrow them down by facets.
+ *
  * COMPONENT PURPOSE:
  * - Display all chainmaille works in a visual grid layout
- * - Provide category filtering functionality (All, Jewelry, Art Pieces)
+ * - Provide faceted filtering (category, availability, material, weave, year)
+ * - Provide sorting (year, weight, title) and pagination for a growing catalog
  * - Enable users to browse and discover different types of work
  * - Serve as the main showcase for the artist's portfolio
  * - Allow easy navigation to individual work detail pages
- * 
+ *
  * TECHNICAL ARCHITECTURE:
- * - React functional component with useState hook for state management
+ * - React functional component with the URL query string as filter state
  * - React Bootstrap for responsive grid layout and UI components
- * - Dynamic filtering system based on work categories
+ * - Facets generated from work data by the facets data module
  * - Reusable GalleryItem component for consistent work display
  * - External data source integration (works.js data file)
- * 
+ *
  * FUNCTIONALITY FEATURES:
- * 1. Category Filtering - Filter works by type (all, jewelry, art)
- * 2. Responsive Grid - Adapts to different screen sizes
- * 3. Interactive Buttons - Visual feedback for active filter
- * 4. Dynamic Content - Automatically updates when data changes
- * 
+ * 1. Faceted Filtering - Multi-select values per facet, combined across facets
+ * 2. Facet Counts - Each value shows how many works it would display
+ * 3. Shareable Views - Active filters live in the URL (bookmarkable, back button)
+ * 4. Sorting - Newest/oldest, lightest/heaviest, title
+ * 5. Pagination - PAGE_SIZE works per page, only the current page is mounted
+ * 6. Responsive Grid - Adapts to different screen sizes
+ * 7. Dynamic Content - Facets update automatically when data changes
+ *
  * USER EXPERIENCE:
  * - Clean, organized visual presentation
- * - Intuitive filtering controls
+ * - Intuitive filtering controls with visual feedback
  * - Consistent spacing and alignment
  * - Mobile-responsive design
  */
@@ -36,15 +40,23 @@
 // ========================================
 // REACT AND UI LIBRARY IMPORTS
 // ========================================
-import React, { useState } from 'react';
+import React, { useMemo } from 'react';
 
 // React Bootstrap components for layout and UI elements
 // Container: Responsive fixed-width container for content
 // Row: Bootstrap grid row for horizontal grouping
 // Col: Bootstrap grid column for responsive layout
 // Button: Interactive button component with styling variants
-// ButtonGroup: Groups related buttons together visually
-import { Container, Row, Col, Button, ButtonGroup } from 'react-bootstrap';
+// Badge: Count indicator displayed inside facet buttons
+// Form: Sort dropdown
+// Pagination: Page navigation below the grid
+import { Container, Row, Col, Button, Badge, Form, Pagination } from 'react-bootstrap';
+
+// ========================================
+// ROUTING IMPORTS
+// ========================================
+// useSearchParams: Reads and updates the query string holding the active filters
+import { useSearchParams } from 'react-router-dom';
 
 // ========================================
 // CUSTOM COMPONENT IMPORTS
@@ -53,80 +65,152 @@ import { Container, Row, Col, Button, ButtonGroup } from 'react-bootstrap';
 // Handles work preview, title, category, and navigation to detail page
 import GalleryItem from '../components/GalleryItem';
 
+// PageMeta: Sets the page title, description and canonical URL (always /gallery,
+// so filtered and paginated views do not compete in search results)
+import PageMeta from '../components/PageMeta';
+
 // ========================================
 // DATA IMPORTS
 // ========================================
 // allWorks: Array containing all chainmaille work data
-// Each work object includes: id, title, category, images, description, etc.
+// Each work object includes: id, title, category, images, specs, etc.
 import { allWorks } from '../data/works';
 
+// Facet helpers: build filter options and convert the selection to/from the URL
+import {
+  parseFacetSelection,
+  applyFacetSelection,
+  toggleFacetValue,
+  filterWorks,
+  buildFacets
+} from '../data/facets';
+
+// Listing helpers: sort options, pagination and their URL parameters
+import {
+  SORT_OPTIONS,
+  parseListingParams,
+  applyListingParams,
+  sortWorks,
+  paginate
+} from '../data/listing';
+
 /**
  * Gallery Component
- * 
+ *
  * The main gallery page that displays all chainmaille works with filtering capabilities.
- * 
+ *
  * STATE MANAGEMENT:
- * - filter: Current active filter ('all', 'jewelry', 'art')
- * - Manages which category of works to display
- * 
+ * - The query string is the single source of truth for active filters
+ * - Example: /gallery?weave=European+4+in+1&material=Stainless+Steel&sort=title&page=2
+ * - Every filter, sort or page change pushes a history entry, so the back button restores it
+ * - Changing filters or sort returns to page 1
+ *
  * FILTERING LOGIC:
- * - 'all': Shows all works regardless of category
- * - 'jewelry': Shows only works with category === 'jewelry'
- * - 'art': Shows only works with category === 'art'
- * 
+ * - Values inside one facet are combined with OR
+ * - Different facets are combined with AND
+ * - No selected values: all works are shown
+ *
  * RESPONSIVE DESIGN:
  * - Uses Bootstrap grid system for responsive layout
  * - 3 columns on medium+ screens (md={4})
  * - Stacks vertically on smaller screens
- * 
+ *
  * PERFORMANCE CONSIDERATIONS:
- * - Filtering happens in real-time using JavaScript filter method
+ * - Selection, filtered works and facets are memoized on the query string
  * - No API calls needed - data is imported statically
  * - React key prop ensures efficient re-rendering
- * 
+ *
  * @returns {JSX.Element} The complete gallery page with filtering and work grid
  */
 const Gallery = () => {
   // ========================================
-  // STATE MANAGEMENT
+  // URL STATE MANAGEMENT
   // ========================================
   /**
-   * Filter State Hook
-   * 
-   * Manages the current category filter for the gallery.
-   * 
-   * POSSIBLE VALUES:
-   * - 'all': Display all works (default)
-   * - 'jewelry': Display only jewelry pieces
-   * - 'art': Display only art pieces
-   * 
+   * Query String Hook
+   *
+   * Holds the active facet selection (category, availability, material, weave, year).
+   *
    * STATE UPDATES:
-   * - Updated via setFilter when filter buttons are clicked
-   * - Triggers re-render and filteredWorks recalculation
+   * - Updated via setSearchParams when facet buttons are clicked
+   * - Triggers re-render and filteredWorks/facets recalculation
    */
-  const [filter, setFilter] = useState('all');
-  
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Active selection parsed from the URL, e.g. { weave: ['European 4 in 1'] }
+  const selection = useMemo(() => parseFacetSelection(searchParams), [searchParams]);
+
+  // Active sort option and requested page, e.g. { sort: 'title', page: 2 }
+  const { sort, page: requestedPage } = parseListingParams(searchParams);
+
   // ========================================
-  // FILTERED WORKS CALCULATION
+  // FILTERED WORKS AND FACETS CALCULATION
   // ========================================
   /**
    * Dynamic Works Filtering
-   * 
-   * Calculates which works to display based on current filter state.
-   * Uses conditional logic to determine filtering behavior.
-   * 
+   *
+   * Calculates which works to display and the facet options with counts.
+   *
    * FILTERING LOGIC:
-   * - If filter === 'all': Return all works (no filtering)
-   * - Otherwise: Filter works array by matching category
-   * 
-   * PERFORMANCE:
-   * - Recalculates on every render when filter changes
-   * - Could be optimized with useMemo for large datasets
-   * - Current dataset size makes optimization unnecessary
+   * - filterWorks: Works matching every active facet
+   * - buildFacets: Every known value per facet with its resulting count
+   * - sortWorks + paginate: Ordered works, sliced to the current page
+   */
+  const filteredWorks = useMemo(() => filterWorks(allWorks, selection), [selection]);
+  const facets = useMemo(() => buildFacets(allWorks, selection), [selection]);
+  const sortedWorks = useMemo(() => sortWorks(filteredWorks, sort), [filteredWorks, sort]);
+  const { items: pageWorks, page, pageCount } = paginate(sortedWorks, requestedPage);
+  const hasSelection = Object.keys(selection).length > 0;
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+  /**
+   * Facet Toggle Handler
+   *
+   * Adds or removes a facet value and writes the new selection to the URL.
+   *
+   * @param {string} facetKey - Facet the value belongs to
+   * @param {string} value - Clicked facet value
+   */
+  const handleToggle = (facetKey, value) => {
+    const next = applyFacetSelection(searchParams, toggleFacetValue(selection, facetKey, value));
+    setSearchParams(applyListingParams(next, { sort, page: 1 }));
+  };
+
+  /**
+   * Clear Filters Handler
+   *
+   * Removes every facet parameter from the URL, showing all works again.
+   */
+  const handleClear = () => {
+    setSearchParams(applyListingParams(applyFacetSelection(searchParams, {}), { sort, page: 1 }));
+  };
+
+  /**
+   * Sort Change Handler
+   *
+   * Stores the chosen sort option and returns to the first page.
+   *
+   * @param {Event} event - Select change event
+   */
+  const handleSortChange = (event) => {
+    setSearchParams(applyListingParams(searchParams, { sort: event.target.value, page: 1 }));
+  };
+
+  /**
+   * Page Change Handler
+   *
+   * Moves to another page and scrolls back to the top of the grid.
+   * Done here rather than in an effect so returning with the back button
+   * keeps the browser's restored scroll position.
+   *
+   * @param {number} nextPage - Page to display (1-based)
    */
-  const filteredWorks = filter === 'all' 
-    ? allWorks 
-    : allWorks.filter(work => work.category === filter);
+  const handlePageChange = (nextPage) => {
+    setSearchParams(applyListingParams(searchParams, { sort, page: nextPage }));
+    window.scrollTo(0, 0);
+  };
 
   return (
     // ========================================
@@ -135,116 +219,103 @@ const Gallery = () => {
     // Bootstrap Container with vertical padding for consistent spacing
     // className="py-5": Bootstrap utility for padding top and bottom (3rem each)
     <Container className="py-5">
-      
+      <PageMeta
+        title="Gallery"
+        description="Browse handcrafted chainmaille jewelry, bags, armor and lamps by The Chain Lair."
+        path="/gallery"
+      />
+
       {/* ========================================
           PAGE TITLE
           ======================================== */}
-      {/* 
+      {/*
         Main page heading
         - <h1>: Semantic HTML for primary page heading (SEO important)
-        - className="text-center mb-4": 
+        - className="text-center mb-4":
           * text-center: Bootstrap utility for center text alignment
           * mb-4: Bootstrap utility for margin bottom (1.5rem)
       */}
       <h1 className="text-center mb-4">Gallery</h1>
-      
+
       {/* ========================================
           FILTER CONTROLS SECTION
           ======================================== */}
-      {/* 
-        Container for category filter buttons
-        - className="text-center mb-4": 
-          * text-center: Centers the button group horizontally
-          * mb-4: Adds margin bottom before gallery grid (1.5rem)
+      {/*
+        Container for facet filter groups
+        - One labelled group of toggle buttons per facet
+        - aria-pressed exposes the selected state to assistive technology
+        - Values with no matching works are disabled unless already selected
       */}
-      <div className="text-center mb-4">
-        
+      <div className="gallery-facets mb-4">
+        {facets.map(facet => (
+          <div key={facet.key} className="gallery-facet mb-2" role="group" aria-label={facet.label}>
+            <span className="gallery-facet-label me-2">{facet.label}:</span>
+            {facet.values.map(option => (
+              <Button
+                key={option.value}
+                size="sm"
+                className="me-2 mb-2"
+                variant={option.selected ? 'primary' : 'outline-primary'}
+                aria-pressed={option.selected}
+                disabled={option.count === 0 && !option.selected}
+                onClick={() => handleToggle(facet.key, option.value)}
+              >
+                {option.label}{' '}
+                <Badge bg={option.selected ? 'light' : 'secondary'} text={option.selected ? 'dark' : undefined}>
+                  {option.count}
+                </Badge>
+              </Button>
+            ))}
+          </div>
+        ))}
+
         {/* ========================================
-            FILTER BUTTON GROUP
+            RESULT SUMMARY, CLEAR BUTTON AND SORT
             ======================================== */}
-        {/* 
-          Bootstrap ButtonGroup component for related filter buttons
-          - Groups buttons visually and semantically
-          - Provides consistent spacing and alignment
-          - Maintains button relationships for accessibility
-        */}
-        <ButtonGroup>
-          
-          {/* ========================================
-              "ALL" FILTER BUTTON
-              ======================================== */}
-          {/* 
-            Button to show all works regardless of category
-            - variant: Dynamic styling based on active filter
-              * 'primary': Solid blue when active (filter === 'all')
-              * 'outline-primary': Blue outline when inactive
-            - onClick: Updates filter state to 'all'
-          */}
-          <Button 
-            variant={filter === 'all' ? 'primary' : 'outline-primary'} 
-            onClick={() => setFilter('all')}
-          >
-            All
-          </Button>
-          
-          {/* ========================================
-              "JEWELRY" FILTER BUTTON
-              ======================================== */}
-          {/* 
-            Button to show only jewelry category works
-            - variant: Dynamic styling based on active filter
-              * 'primary': Solid blue when active (filter === 'jewelry')
-              * 'outline-primary': Blue outline when inactive
-            - onClick: Updates filter state to 'jewelry'
-          */}
-          <Button 
-            variant={filter === 'jewelry' ? 'primary' : 'outline-primary'} 
-            onClick={() => setFilter('jewelry')}
-          >
-            Jewelry
-          </Button>
-          
-          {/* ========================================
-              "ART PIECES" FILTER BUTTON
-              ======================================== */}
-          {/* 
-            Button to show only art category works
-            - variant: Dynamic styling based on active filter
-              * 'primary': Solid blue when active (filter === 'art')
-              * 'outline-primary': Blue outline when inactive
-            - onClick: Updates filter state to 'art'
-          */}
-          <Button 
-            variant={filter === 'art' ? 'primary' : 'outline-primary'} 
-            onClick={() => setFilter('art')}
+        <div className="d-flex flex-wrap justify-content-center align-items-center gap-3">
+          <span className="text-muted">
+            Showing {filteredWorks.length} of {allWorks.length} works
+          </span>
+          {hasSelection && (
+            <Button variant="link" size="sm" onClick={handleClear}>
+              Clear filters
+            </Button>
+          )}
+          <Form.Select
+            size="sm"
+            className="gallery-sort"
+            value={sort}
+            onChange={handleSortChange}
+            aria-label="Sort works"
           >
-            Art Pieces
-          </Button>
-          
-        </ButtonGroup>
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </Form.Select>
+        </div>
       </div>
-      
+
       {/* ========================================
           GALLERY GRID SECTION
           ======================================== */}
-      {/* 
+      {/*
         Bootstrap Row component for gallery grid layout
         - Contains dynamically generated columns for each work
         - Responsive grid that adapts to screen size
         - Uses CSS Grid/Flexbox under the hood
       */}
       <Row>
-        
+
         {/* ========================================
             DYNAMIC GALLERY ITEMS GENERATION
             ======================================== */}
-        {/* 
+        {/*
           JavaScript map function to generate gallery items
-          - filteredWorks: Array of works based on current filter
+          - pageWorks: Sorted works on the current page only
           - map(): Creates a column and GalleryItem for each work
           - key={work.id}: React key for efficient list rendering
         */}
-        {filteredWorks.map(work => (
+        {pageWorks.map(work => (
           // ========================================
           // INDIVIDUAL WORK COLUMN
           // ========================================
@@ -253,21 +324,50 @@ const Gallery = () => {
           // - Responsive: stacks vertically on small screens
           // - key={work.id}: React key for efficient re-rendering
           <Col md={4} key={work.id}>
-            
+
             {/* ========================================
                 GALLERY ITEM COMPONENT
                 ======================================== */}
-            {/* 
+            {/*
               Custom GalleryItem component for displaying work
               - work: Props object containing all work data
               - Handles: image display, title, category, navigation
               - Consistent styling and behavior across all items
             */}
             <GalleryItem work={work} />
-            
+
           </Col>
         ))}
+
+        {/* ========================================
+            EMPTY STATE
+            ======================================== */}
+        {/* Shown when the combination of filters matches no work */}
+        {filteredWorks.length === 0 && (
+          <Col className="text-center py-5">
+            <p className="lead">No works match the selected filters.</p>
+          </Col>
+        )}
       </Row>
+
+      {/* ========================================
+          PAGINATION CONTROLS
+          ======================================== */}
+      {/*
+        Bootstrap Pagination shown only when there is more than one page
+        - Each page is a URL (?page=N), so the back button returns to it
+      */}
+      {pageCount > 1 && (
+        <Pagination className="justify-content-center mt-4">
+          <Pagination.Prev disabled={page === 1} onClick={() => handlePageChange(page - 1)} />
+          {Array.from({ length: pageCount }, (_, index) => index + 1).map(number => (
+            <Pagination.Item key={number} active={number === page} onClick={() => handlePageChange(number)}>
+              {number}
+            </Pagination.Item>
+          ))}
+          <Pagination.Next disabled={page === pageCount} onClick={() => handlePageChange(page + 1)} />
+        </Pagination>
+      )}
     </Container>
   );
 };
@@ -277,4 +377,4 @@ const Gallery = () => {
 // ========================================
 // Export the Gallery component as the default export
 // This is imported by App.js for the "/gallery" route
-export default Gallery;
\ No newline at end of file
+export default Gallery;
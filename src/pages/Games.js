@@ -42,6 +42,12 @@ import { Container, Row, Col, Card } from 'react-bootstrap';
 // React Router component for client-side navigation between pages
 import { Link } from 'react-router-dom';
 
+// ========================================
+// SEO IMPORTS
+// ========================================
+// PageMeta: Sets this route's title, description, canonical URL and social tags
+import PageMeta from '../components/PageMeta';
+
 /**
  * Games Component
  * 
@@ -58,6 +64,11 @@ const Games = () => {
     // Container: Bootstrap component that provides responsive fixed-width container
     // py-5: Adds padding (top and bottom) for visual spacing from navbar/footer
     <Container className="py-5">
+      <PageMeta
+        title="Games"
+        description="Browser games built by The Chain Lair, including classic and refined versions of Pong."
+        path="/games"
+      />
       
       {/* ========================================
           PAGE TITLE
@@ -54,6 +54,21 @@ import { Link } from 'react-router-dom';
 // FeaturedWorks: Custom component that displays highlighted portfolio pieces
 import FeaturedWorks from '../components/FeaturedWorks';
 
+// ResponsiveImage: Serves the hero in AVIF/WebP/JPEG at the width the screen needs
+import ResponsiveImage from '../components/ResponsiveImage';
+
+// ========================================
+// DATA IMPORTS
+// ========================================
+// Layout hint for the optimized hero variants
+import { IMAGE_SIZES } from '../data/images';
+
+// ========================================
+// SEO IMPORTS
+// ========================================
+// PageMeta: Sets this route's title, description, canonical URL and social tags
+import PageMeta from '../components/PageMeta';
+
 /**
  * Home Component
  * 
@@ -84,16 +99,16 @@ const Home = () => {
   // IMAGE PATH CONFIGURATION
   // ========================================
   /**
-   * Hero image path construction
+   * Hero image reference
    * 
-   * Uses process.env.PUBLIC_URL to ensure correct path resolution
-   * in different deployment environments (development, production, subdirectories)
+   * Root-relative path of the source artwork in public/images/.
+   * It is also the key of the hero's entry in the image manifest, so
+   * ResponsiveImage can swap in the optimized variants from /assets/optimized.
    * 
-   * - process.env.PUBLIC_URL: React environment variable for public folder path
    * - WebP format: Modern image format for better compression and quality
    * - Located in public/images/: Standard location for static assets
    */
-  const heroImage = `${process.env.PUBLIC_URL}/images/TheChainLair.webp`;
+  const heroImage = '/images/TheChainLair.webp';
 
   return (
     // ========================================
@@ -102,6 +117,10 @@ const Home = () => {
     // React Fragment to avoid unnecessary wrapper div
     // Allows multiple top-level elements without extra DOM nodes
     <>
+      <PageMeta
+        description="Handcrafted chainmaille jewelry, wearables, lamps and art pieces by artist Manuel Morán."
+        path="/"
+      />
       
       {/* ========================================
           HERO SECTION
@@ -130,13 +149,15 @@ const Home = () => {
             ======================================== */}
         {/* 
           Main hero background image
-          - src={heroImage}: Dynamic path using environment variable
+          - src={heroImage}: Image reference, resolved to optimized variants
+          - sizes: Hero is never wider than the source artwork
           - alt="The Chain Lair": Descriptive alt text for accessibility
           - className="hero-image": CSS class for image positioning and styling
           - loading="eager": Prioritizes loading for above-the-fold content
         */}
-        <img 
+        <ResponsiveImage 
           src={heroImage}
+          sizes={IMAGE_SIZES.hero}
           alt="The Chain Lair"
           className="hero-image"
           loading="eager"
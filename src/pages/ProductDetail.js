@@ -8,6 +8,7 @@
   - Displays detailed information about a specific chainmaille piece
   - Provides high-quality image gallery with lightbox functionality
   - Shows comprehensive product details and specifications
+  - Shows availability, price and selectable variants (ring metal, lining...)
   - Enables direct contact for inquiries about the piece
   
   TECHNICAL ARCHITECTURE:
@@ -18,12 +19,17 @@
   - Bootstrap components for consistent UI styling
   
   KEY FEATURES:
-  - Dynamic product loading based on URL parameter
-  - Multi-image carousel with thumbnail navigation
-  - Full-screen lightbox modal for detailed image viewing
+  - Dynamic product loading based on URL slug
+  - Redirects legacy numeric URLs (/product/1) to slug URLs
+  - Multi-media carousel (images, looping videos, 360° turntables) with thumbnail navigation
+  - Full-screen lightbox with zoom, panning, swipe and keyboard control
+  - Shareable #image-N links open the lightbox on a specific photo
   - Responsive design for all device sizes
   - Direct contact integration with pre-filled subject
-  - Loading states and error handling
+  - "Add to Inquiry List" to ask about several pieces in one message
+  - "You may also like" strip of related pieces
+  - Per-product title, social tags and schema.org JSON-LD
+  - Error handling for unknown products
   - Image protection with watermarks
   - Keyboard and click navigation
   
@@ -38,20 +44,95 @@
 // ========================================
 // REACT AND ROUTING IMPORTS
 // ========================================
-import React, { useState, useEffect } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
+import React, { useContext, useEffect, useState } from 'react';
+import { useParams, Link, useNavigate, useLocation, Navigate } from 'react-router-dom';
 
 // ========================================
 // UI LIBRARY IMPORTS
 // ========================================
 // Bootstrap components for responsive layout and interactive elements
-import { Container, Row, Col, ListGroup, Button, Carousel, Modal } from 'react-bootstrap';
+import { Container, Row, Col, ListGroup, Button, Carousel, Badge, Form } from 'react-bootstrap';
 
 // ========================================
 // DATA IMPORTS
 // ========================================
-// Custom data utility for fetching individual work details
-import { getWorkById } from '../data/works';
+// Custom data utilities for fetching individual work details
+// - getWorkBySlug: Resolves the current /product/:slug URL
+// - getWorkById: Resolves legacy numeric URLs so they can be redirected
+// - getWorkPath: Builds the canonical slug URL for the redirect target
+import { getWorkById, getWorkBySlug, getWorkPath } from '../data/works';
+
+// Layout hints for the optimized image variants (carousel, thumbnails, lightbox)
+import { IMAGE_SIZES } from '../data/images';
+
+// Poster images for thumbnails and social previews of videos and turntables
+import { getMediaPoster } from '../data/media';
+
+// Sale status labels and price display helpers
+import { AVAILABILITY_LABELS, formatPrice, formatVariantOption, getVariantPrice } from '../data/catalog';
+
+// ========================================
+// CUSTOM COMPONENT IMPORTS
+// ========================================
+// Related pieces strip, ranked by shared weave, material, category and era
+import RelatedWorks from '../components/RelatedWorks';
+
+// <picture> with AVIF/WebP/JPEG variants from the image pipeline
+import ResponsiveImage from '../components/ResponsiveImage';
+
+// Image, looping video or 360° turntable, by media type
+import WorkMedia from '../components/WorkMedia';
+
+// Zoomable, swipeable full-screen image viewer
+import Lightbox from '../components/Lightbox';
+
+// Head tags (title, description, canonical, Open Graph/Twitter) for this page
+import PageMeta from '../components/PageMeta';
+
+// ========================================
+// SEO IMPORTS
+// ========================================
+// schema.org Product/CreativeWork structured data for the current work
+import { buildWorkJsonLd } from '../seo/meta';
+
+// ========================================
+// CONTACT IMPORTS
+// ========================================
+// Pieces the visitor wants to ask about in one message
+import InquiryContext from '../contact/InquiryContext';
+import { INQUIRY_CONTACT_PATH } from '../contact/inquiry';
+
+// ========================================
+// AVAILABILITY BADGES
+// ========================================
+// Badge color per availability status
+const AVAILABILITY_BADGES = {
+  'for-sale': 'success',
+  'made-to-order': 'info',
+  sold: 'secondary',
+  'display-only': 'dark'
+};
+
+// ========================================
+// LIGHTBOX DEEP LINKS
+// ========================================
+// The open lightbox image is kept in the URL hash (1-based, e.g. #image-2),
+// so a specific photo can be shared and reopened
+const IMAGE_HASH_PATTERN = /^#image-(\d+)$/;
+
+/**
+ * Reads the image index from a lightbox hash.
+ *
+ * @param {string} hash - location.hash
+ * @returns {number|null} Zero-based image index, or null when the hash is not a lightbox link
+ */
+const parseImageHash = (hash) => {
+  const match = IMAGE_HASH_PATTERN.exec(hash);
+  return match && Number(match[1]) > 0 ? Number(match[1]) - 1 : null;
+};
+
+// Lightbox hash for a zero-based image index
+const formatImageHash = (index) => `#image-${index + 1}`;
 
 // ========================================
 // MAIN PRODUCT DETAIL COMPONENT
@@ -66,14 +147,15 @@ import { getWorkById } from '../data/works';
   - Provides responsive image gallery experience
   
   STATE MANAGEMENT:
-  - product: Current product data object
+  - product: Current product data object (derived from the URL slug)
   - currentImageIndex: Active image in carousel/lightbox
-  - showLightbox: Modal visibility state
-  - loading: Data loading state
+  - Lightbox visibility and image: derived from the #image-N URL hash
   
   ROUTING INTEGRATION:
-  - useParams: Extracts product ID from URL
-  - useNavigate: Programmatic navigation to contact page
+  - useParams: Extracts product slug from URL
+  - Navigate: Replaces legacy numeric URLs with the slug URL
+  - useNavigate: Programmatic navigation to contact page and lightbox hash updates
+  - useLocation: Reads the lightbox hash
   - Link: Navigation back to gallery
 */
 const ProductDetail = () => {
@@ -84,11 +166,11 @@ const ProductDetail = () => {
   
   /*
     URL Parameter Extraction
-    - Extracts 'id' parameter from current route
+    - Extracts 'slug' parameter from current route
     - Used to identify which product to display
-    - Corresponds to work ID in data structure
+    - Corresponds to work slug in data structure (or a legacy numeric id)
   */
-  const { id } = useParams();
+  const { slug } = useParams();
   
   /*
     Navigation Hook
@@ -97,18 +179,26 @@ const ProductDetail = () => {
     - Maintains React Router's navigation history
   */
   const navigate = useNavigate();
+
+  /*
+    Current Location
+    - hash: Lightbox deep link (#image-N)
+    - search: Preserved when the hash changes
+  */
+  const location = useLocation();
   
   // ========================================
   // COMPONENT STATE MANAGEMENT
   // ========================================
   
   /*
-    Product Data State
-    - Stores the current product/work object
-    - Initially loaded using getWorkById utility
-    - Updated when URL parameter changes
+    Product Data
+    - The current product/work object, looked up from the URL slug
+    - Catalog data is bundled with the app, so the lookup is synchronous and
+      the page renders complete on the first pass (including prerendering)
+    - Recomputed on every render, so navigating between products updates it
   */
-  const [product, setProduct] = useState(getWorkById(id));
+  const product = getWorkBySlug(slug);
   
   /*
     Image Carousel State
@@ -117,70 +207,69 @@ const ProductDetail = () => {
     - Used for thumbnail highlighting and navigation
   */
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
-  
+
   /*
-    Lightbox Modal State
-    - Controls visibility of full-screen image modal
-    - Enables detailed image viewing experience
-    - Managed through user interactions
+    Variant Selection State
+    - Chosen option label per variant name, e.g. { Lining: 'Suede' }
+    - Variants without a choice use their first option
   */
-  const [showLightbox, setShowLightbox] = useState(false);
-  
+  const [variantSelection, setVariantSelection] = useState({});
+
   /*
-    Loading State
-    - Indicates data fetching/processing status
-    - Provides user feedback during transitions
-    - Prevents rendering before data is ready
+    Piece Change Reset
+    - The related works strip moves between pieces inside this same mounted
+      page, so the carousel position and variant choices of the previous
+      piece are dropped as soon as the slug changes (during render, so the
+      new piece never renders with them)
   */
-  const [loading, setLoading] = useState(true);
-  
-  // ========================================
-  // SIDE EFFECTS AND DATA LOADING
-  // ========================================
+  const [shownSlug, setShownSlug] = useState(slug);
+  if (slug !== shownSlug) {
+    setShownSlug(slug);
+    setCurrentImageIndex(0);
+    setVariantSelection({});
+  }
   
   /*
-    Product Data Loading Effect
-    
-    FUNCTIONALITY:
-    - Responds to URL parameter changes
-    - Fetches product data using ID
-    - Manages loading states
-    - Handles product not found scenarios
-    
-    DEPENDENCIES:
-    - [id]: Re-runs when product ID changes
-    - Enables navigation between different products
+    Lightbox Deep Link
+    - Image index requested by the URL hash, or null when the lightbox is closed
+    - Validated against the product's media below
+  */
+  const hashImageIndex = parseImageHash(location.hash);
+  const imageCount = product && Array.isArray(product.media) ? product.media.length : 0;
+
+  /*
+    Carousel Sync
+    - A shared #image-N link also moves the carousel to that image, so it is
+      in place when the lightbox closes (also after a reset for a new piece)
   */
   useEffect(() => {
-    // Set loading state to provide user feedback
-    setLoading(true);
-    
-    // Fetch product data using the ID from URL parameters
-    const foundProduct = getWorkById(id);
-    
-    // Update component state with fetched data
-    setProduct(foundProduct);
-    
-    // Clear loading state to enable rendering
-    setLoading(false);
-  }, [id]);
+    if (hashImageIndex !== null && hashImageIndex < imageCount) {
+      setCurrentImageIndex(hashImageIndex);
+    }
+  }, [slug, hashImageIndex, imageCount]);
+
+  /*
+    Inquiry List
+    - Shared with the Navbar badge and the Contact page (null outside InquiryProvider)
+  */
+  const inquiry = useContext(InquiryContext);
   
   // ========================================
-  // LOADING STATE RENDERING
+  // LEGACY URL REDIRECT
   // ========================================
   
   /*
-    Loading State Display
-    - Shows while data is being fetched
-    - Provides user feedback during transitions
-    - Prevents flash of incorrect content
+    Numeric ID Redirect
+    - Old links used /product/:id (e.g. /product/1)
+    - Numeric params are looked up by id and replaced with the slug URL
+    - replace: Keeps the legacy URL out of the browser history
+    - Query and hash carry over, so old #image-N deep links still open the image
   */
-  if (loading) {
-    return (
-      <Container className="py-5 text-center">
-        <h2>Loading...</h2>
-      </Container>
-    );
+  if (!product && /^\d+$/.test(slug)) {
+    const legacyProduct = getWorkById(slug);
+    if (legacyProduct) {
+      return <Navigate to={{ pathname: getWorkPath(legacyProduct), search: location.search, hash: location.hash }} replace />;
+    }
   }
   
   // ========================================
@@ -189,13 +278,14 @@ const ProductDetail = () => {
   
   /*
     Product Not Found Display
-    - Handles cases where product ID doesn't exist
+    - Handles cases where product slug doesn't exist
     - Provides clear error message to user
     - Offers navigation back to gallery
   */
   if (!product) {
     return (
       <Container className="py-5 text-center">
+        <PageMeta title="Product not found" path={`/product/${slug}`} noIndex />
         <h2>Product not found</h2>
         <Link to="/gallery" className="btn btn-primary mt-3">
           Back to Gallery
@@ -205,17 +295,25 @@ const ProductDetail = () => {
   }
   
   // ========================================
-  // IMAGE DATA PROCESSING
+  // MEDIA DATA PROCESSING
   // ========================================
   
   /*
-    Image Array Validation and Fallback
-    - Checks if product has valid images array
+    Media List Validation and Fallback
+    - Checks if product has a valid media list (images, videos, turntables)
     - Provides fallback image if none available
-    - Ensures consistent image handling throughout component
+    - Ensures consistent media handling throughout component
   */
-  const hasImages = product.images && Array.isArray(product.images) && product.images.length > 0;
-  const images = hasImages ? product.images : ['https://lh3.googleusercontent.com/d/1m75dzoP_RBT4WIXQstCaxe-_s6LUUsEv'];
+  const hasMedia = product.media && Array.isArray(product.media) && product.media.length > 0;
+  const media = hasMedia
+    ? product.media
+    : [{ type: 'image', src: 'https://lh3.googleusercontent.com/d/1m75dzoP_RBT4WIXQstCaxe-_s6LUUsEv' }];
+
+  // Open lightbox item (null when closed or when the hash points past the last item)
+  const lightboxIndex = hasMedia && hashImageIndex !== null && hashImageIndex < media.length ? hashImageIndex : null;
+
+  // Carousel item, kept within this piece's media in case the index is stale
+  const shownImageIndex = Math.min(currentImageIndex, media.length - 1);
 
   // ========================================
   // EVENT HANDLERS
@@ -223,13 +321,21 @@ const ProductDetail = () => {
   
   /*
     Lightbox Opening Handler
-    - Opens full-screen image modal
-    - Sets active image index for lightbox
-    - Enables detailed image viewing
+    - Opens the lightbox (or switches its image) by setting the #image-N hash
+    - replace: Browsing photos does not fill the history; the URL stays shareable
+    - Keeps the carousel on the same image
   */
   const openLightbox = (index) => {
     setCurrentImageIndex(index);
-    setShowLightbox(true);
+    navigate({ search: location.search, hash: formatImageHash(index) }, { replace: true });
+  };
+
+  /*
+    Lightbox Closing Handler
+    - Removes the hash, which closes the lightbox
+  */
+  const closeLightbox = () => {
+    navigate({ search: location.search, hash: '' }, { replace: true });
   };
   
   /*
@@ -243,35 +349,50 @@ const ProductDetail = () => {
   };
 
   /*
-    Lightbox Previous Image Handler
-    - Navigates to previous image in lightbox
-    - Implements circular navigation (wraps to end)
-    - Provides keyboard-friendly navigation
-  */
-  const handleLightboxPrev = () => {
-    setCurrentImageIndex((currentImageIndex + images.length - 1) % images.length);
-  };
-  
-  /*
-    Lightbox Next Image Handler
-    - Navigates to next image in lightbox
-    - Implements circular navigation (wraps to beginning)
-    - Provides keyboard-friendly navigation
+    Chosen Variants and Price
+    - One { name, label } per variant, falling back to its first option
+      (a stale choice from another piece is ignored)
+    - Price includes the chosen options' price differences (only for-sale
+      and made-to-order pieces have one)
   */
-  const handleLightboxNext = () => {
-    setCurrentImageIndex((currentImageIndex + 1) % images.length);
-  };
+  const chosenOptions = product.variants.map(variant => {
+    const chosen = variant.options.find(option => option.label === variantSelection[variant.name]) || variant.options[0];
+    return { name: variant.name, label: chosen.label };
+  });
+  const displayPrice = getVariantPrice(product, variantSelection);
 
   /*
     Contact Navigation Handler
     - Redirects to contact page with pre-filled subject
-    - Includes product title in inquiry subject
+    - Includes product title (and chosen options) in inquiry subject
     - Streamlines user inquiry process
   */
   const handleContactClick = () => {
-    navigate(`/contact?subject=Inquiry about: ${encodeURIComponent(product.title)}`);
+    const options = chosenOptions.map(({ name, label }) => `${name}: ${label}`).join(', ');
+    const subject = options ? `${product.title} (${options})` : product.title;
+    navigate(`/contact?subject=Inquiry about: ${encodeURIComponent(subject)}`);
+  };
+
+  /*
+    Inquiry List Toggle
+    - Adds the piece to the inquiry list, or removes it when already listed
+    - The visitor keeps browsing and sends one message for every listed piece
+  */
+  const isInquiryListed = Boolean(inquiry && inquiry.ids.includes(product.id));
+  const handleInquiryToggle = () => {
+    if (isInquiryListed) {
+      inquiry.remove(product.id);
+    } else {
+      inquiry.add(product.id);
+    }
   };
 
+  /*
+    Canonical Product Path
+    - Slug URL used for the canonical link, og:url and JSON-LD url
+  */
+  const productPath = getWorkPath(product);
+
   return (
     // ========================================
     // MAIN PAGE CONTAINER
@@ -280,6 +401,24 @@ const ProductDetail = () => {
     // className="py-5": Bootstrap utility for padding top and bottom (3rem each)
     <Container className="py-5">
       
+      {/* ========================================
+          HEAD TAGS AND STRUCTURED DATA
+          ======================================== */}
+      {/* 
+        Per-product SEO metadata
+        - title/description/image: Used for the document title and social previews
+        - type="product": Open Graph type for product pages
+        - jsonLd: schema.org Product/CreativeWork built from the work data
+      */}
+      <PageMeta
+        title={product.title}
+        description={product.description}
+        path={productPath}
+        image={getMediaPoster(media[0])}
+        type="product"
+        jsonLd={buildWorkJsonLd(product, productPath)}
+      />
+      
       {/* ========================================
           NAVIGATION BACK TO GALLERY
           ======================================== */}
@@ -323,7 +462,7 @@ const ProductDetail = () => {
             - Shows carousel and thumbnails if images exist
             - Shows placeholder message if no images available
           */}
-          {hasImages ? (
+          {hasMedia ? (
             
             // ========================================
             // PROTECTED IMAGE CONTAINER
@@ -338,11 +477,13 @@ const ProductDetail = () => {
                 Bootstrap Carousel component for image navigation
                 - activeIndex: Currently displayed image index
                 - onSelect: Handler for carousel navigation
+                - touch: Off on turntable slides, where dragging rotates the piece
                 - className="product-carousel mb-3": Custom styling with margin bottom
               */}
               <Carousel 
-                activeIndex={currentImageIndex}
+                activeIndex={shownImageIndex}
                 onSelect={handleSelect}
+                touch={media[shownImageIndex].type !== 'turntable'}
                 className="product-carousel mb-3"
               >
                 
@@ -350,12 +491,13 @@ const ProductDetail = () => {
                     CAROUSEL ITEMS GENERATION
                     ======================================== */}
                 {/* 
-                  Dynamic generation of carousel items from images array
-                  - Maps each image to a Carousel.Item component
-                  - Includes click handler for lightbox opening
+                  Dynamic generation of carousel items from the media list
+                  - Maps each media item to a Carousel.Item component
+                  - Includes click handler for lightbox opening (turntables open
+                    it on a tap without dragging)
                   - Adds watermark for image protection
                 */}
-                {images.map((img, index) => (
+                {media.map((item, index) => (
                   <Carousel.Item key={index}>
                     
                     {/* ========================================
@@ -368,22 +510,27 @@ const ProductDetail = () => {
                     */}
                     <div 
                       className="zoom-container"
-                      onClick={() => openLightbox(index)}
+                      onClick={item.type === 'turntable' ? undefined : () => openLightbox(index)}
                     >
                       
                       {/* ========================================
-                          MAIN PRODUCT IMAGE
+                          MAIN PRODUCT MEDIA
                           ======================================== */}
                       {/* 
-                        Primary product image display
+                        Primary product media display
                         - className="d-block w-100 zoom-image": Bootstrap display and custom zoom styling
-                        - src: Image URL from product data
+                        - item: Image, looping video or 360° turntable from product data
+                        - sizes: Width of the carousel column
+                        - lazy: Hidden image slides load when first shown, blurring up from a placeholder
                         - alt: Descriptive alt text for accessibility
                       */}
-                      <img
+                      <WorkMedia
                         className="d-block w-100 zoom-image"
-                        src={img}
+                        item={item}
+                        sizes={IMAGE_SIZES.productMain}
                         alt={`${product.title} - view ${index + 1}`}
+                        onActivate={() => openLightbox(index)}
+                        lazy
                       />
                       
                       {/* ========================================
@@ -411,7 +558,7 @@ const ProductDetail = () => {
                 - Provides quick navigation between images
                 - Highlights currently active thumbnail
               */}
-              {images.length > 1 && (
+              {media.length > 1 && (
                 <div className="product-thumbnails">
                   
                   {/* ========================================
@@ -419,14 +566,15 @@ const ProductDetail = () => {
                       ======================================== */}
                   {/* 
                     Dynamic generation of thumbnail navigation
-                    - Maps each image to a clickable thumbnail
+                    - Maps each media item to a clickable thumbnail (its poster)
+                    - Videos and turntables are marked with a badge
                     - Highlights active thumbnail with conditional styling
                     - Updates carousel when clicked
                   */}
-                  {images.map((img, index) => (
+                  {media.map((item, index) => (
                     <div 
                       key={index}
-                      className={`thumbnail-wrapper ${index === currentImageIndex ? 'active-thumbnail' : ''}`}
+                      className={`thumbnail-wrapper ${index === shownImageIndex ? 'active-thumbnail' : ''}`}
                       onClick={() => setCurrentImageIndex(index)}
                     >
                       
@@ -435,15 +583,21 @@ const ProductDetail = () => {
                           ======================================== */}
                       {/* 
                         Individual thumbnail image
-                        - src: Same image URL as main carousel
+                        - src: Image, video poster or first turntable frame
                         - alt: Descriptive alt text for accessibility
                         - className="thumbnail-image": Custom thumbnail styling
                       */}
-                      <img 
-                        src={img} 
+                      <ResponsiveImage 
+                        src={getMediaPoster(item)} 
+                        sizes={IMAGE_SIZES.thumbnail}
                         alt={`Thumbnail ${index}`}
                         className="thumbnail-image"
                       />
+                      {item.type !== 'image' && (
+                        <span className="thumbnail-badge" aria-hidden="true">
+                          {item.type === 'video' ? '▶' : '360°'}
+                        </span>
+                      )}
                       
                     </div>
                   ))}
@@ -483,6 +637,22 @@ const ProductDetail = () => {
           */}
           <h1>{product.title}</h1>
           
+          {/* ========================================
+              AVAILABILITY AND PRICE
+              ======================================== */}
+          {/* 
+            Sale status badge, followed by the price when the piece has one
+            - Made-to-order prices are for a new piece with the chosen options
+          */}
+          <p className="product-sale mb-3">
+            <Badge bg={AVAILABILITY_BADGES[product.availability]} className="me-2">
+              {AVAILABILITY_LABELS[product.availability]}
+            </Badge>
+            {displayPrice && (
+              <span className="product-price">{formatPrice(displayPrice)}</span>
+            )}
+          </p>
+          
           {/* ========================================
               PRODUCT DESCRIPTION
               ======================================== */}
@@ -545,6 +715,36 @@ const ProductDetail = () => {
             </>
           ) : null}
           
+          {/* ========================================
+              VARIANT OPTIONS
+              ======================================== */}
+          {/* 
+            One select per variant (ring metal, length, lining...)
+            - Options show their price difference when the piece has a price
+            - The choice updates the price above and is added to the
+              "Contact About This Piece" subject
+          */}
+          {product.variants.length > 0 && (
+            <>
+              <h4 className="mt-4">Options</h4>
+              {product.variants.map((variant, index) => (
+                <Form.Group key={variant.name} className="mb-3" controlId={`product-variant-${index}`}>
+                  <Form.Label>{variant.name}</Form.Label>
+                  <Form.Select
+                    value={chosenOptions[index].label}
+                    onChange={(event) => setVariantSelection(current => ({ ...current, [variant.name]: event.target.value }))}
+                  >
+                    {variant.options.map(option => (
+                      <option key={option.label} value={option.label}>
+                        {formatVariantOption(option, product.price)}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              ))}
+            </>
+          )}
+          
           {/* ========================================
               CONTACT BUTTON SECTION
               ======================================== */}
@@ -567,132 +767,68 @@ const ProductDetail = () => {
             <Button variant="primary" size="lg" onClick={handleContactClick}>
               Contact About This Piece
             </Button>
+
+            {/* ========================================
+                INQUIRY LIST BUTTON
+                ======================================== */}
+            {/* 
+              Adds or removes the piece from the inquiry list
+              - aria-pressed: Announces whether the piece is listed
+              - disabled: The list is full and this piece is not on it
+              - The small link opens the Contact page with the whole list
+            */}
+            {inquiry && (
+              <>
+                <Button
+                  variant={isInquiryListed ? 'success' : 'outline-primary'}
+                  onClick={handleInquiryToggle}
+                  aria-pressed={isInquiryListed}
+                  disabled={!isInquiryListed && inquiry.isFull}
+                >
+                  <i className={`bi ${isInquiryListed ? 'bi-check-lg' : 'bi-bookmark-plus'} me-2`} aria-hidden="true"></i>
+                  {isInquiryListed ? 'In Your Inquiry List' : 'Add to Inquiry List'}
+                </Button>
+                {inquiry.works.length > 0 && (
+                  <p className="text-muted small text-center mb-0">
+                    {inquiry.isFull && !isInquiryListed && 'Your inquiry list is full. '}
+                    {inquiry.works.length} {inquiry.works.length === 1 ? 'piece' : 'pieces'} listed.{' '}
+                    <Link to={INQUIRY_CONTACT_PATH}>Ask about them in one message</Link>
+                  </p>
+                )}
+              </>
+            )}
             
           </div>
         </Col>
       </Row>
 
       {/* ========================================
-          LIGHTBOX MODAL
+          RELATED PIECES
           ======================================== */}
       {/* 
-        Full-screen image viewing modal
-        - show: Controlled by showLightbox state
-        - onHide: Closes modal when user clicks outside or presses escape
-        - size="xl": Extra large modal for optimal image viewing
-        - centered: Centers modal vertically on screen
-        - className="lightbox-modal": Custom styling for lightbox functionality
+        "You may also like" strip
+        - Suggests similar works so the page is not a dead end
+        - Renders nothing when no other work is related
       */}
-      <Modal 
-        show={showLightbox} 
-        onHide={() => setShowLightbox(false)}
-        size="xl"
-        centered
-        className="lightbox-modal"
-      >
-        
-        {/* ========================================
-            MODAL BODY
-            ======================================== */}
-        {/* 
-          Modal body container
-          - className="p-0 position-relative": No padding, relative positioning for absolute elements
-          - Contains close button, image, and navigation controls
-        */}
-        <Modal.Body className="p-0 position-relative">
-          
-          {/* ========================================
-              CLOSE BUTTON
-              ======================================== */}
-          {/* 
-            Modal close button
-            - variant="light": Light button styling for visibility over images
-            - className="position-absolute top-0 end-0 m-2": Positioned in top-right corner
-            - onClick: Closes the lightbox modal
-            - aria-label: Accessibility label for screen readers
-          */}
-          <Button 
-            variant="light" 
-            className="position-absolute top-0 end-0 m-2"
-            onClick={() => setShowLightbox(false)}
-            aria-label="Close"
-          >
-            <span aria-hidden="true">&times;</span>
-          </Button>
-          
-          {/* ========================================
-              LIGHTBOX CONTAINER
-              ======================================== */}
-          {/* 
-            Main lightbox content container
-            - className="lightbox-container text-center": Custom styling with centered content
-            - Contains the full-size image and navigation controls
-          */}
-          <div className="lightbox-container text-center">
-            
-            {/* ========================================
-                LIGHTBOX IMAGE
-                ======================================== */}
-            {/* 
-              Full-size image display
-              - src: Current image based on currentImageIndex
-              - alt: Product title for accessibility
-              - className="lightbox-image": Custom styling for optimal viewing
-            */}
-            <img 
-              src={images[currentImageIndex]} 
-              alt={product.title}
-              className="lightbox-image"
-            />
-            
-            {/* ========================================
-                LIGHTBOX NAVIGATION
-                ======================================== */}
-            {/* 
-              Navigation controls for lightbox
-              - className="lightbox-navigation": Custom positioning and styling
-              - Contains previous and next buttons for image navigation
-            */}
-            <div className="lightbox-navigation">
-              
-              {/* ========================================
-                  PREVIOUS BUTTON
-                  ======================================== */}
-              {/* 
-                Previous image navigation button
-                - variant="dark": Dark button styling for visibility
-                - className="lightbox-nav-btn me-2": Custom styling with margin end
-                - onClick: Navigates to previous image with circular wrapping
-              */}
-              <Button 
-                variant="dark" 
-                className="lightbox-nav-btn me-2"
-                onClick={handleLightboxPrev}
-              >
-                Previous
-              </Button>
-              
-              {/* ========================================
-                  NEXT BUTTON
-                  ======================================== */}
-              {/* 
-                Next image navigation button
-                - variant="dark": Dark button styling for visibility
-                - className="lightbox-nav-btn": Custom styling for navigation
-                - onClick: Navigates to next image with circular wrapping
-              */}
-              <Button 
-                variant="dark" 
-                className="lightbox-nav-btn"
-                onClick={handleLightboxNext}
-              >
-                Next
-              </Button>
-              
-            </div>
-          </div>
-        </Modal.Body>
-      </Modal>
+      <RelatedWorks work={product} />
+
+      {/* ========================================
+          LIGHTBOX
+          ======================================== */}
+      {/* 
+        Full-screen, zoomable image viewer
+        - show/index: Derived from the #image-N URL hash
+        - onNavigate: Updates the hash and keeps the carousel in step
+        - Zoom, swipe and keyboard handling live in the Lightbox component
+      */}
+      <Lightbox
+        show={lightboxIndex !== null}
+        media={media}
+        index={lightboxIndex === null ? shownImageIndex : lightboxIndex}
+        title={product.title}
+        onHide={closeLightbox}
+        onNavigate={openLightbox}
+      />
     </Container>
   );
 };
@@ -0,0 +1,78 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+import ProductDetail from './ProductDetail';
+
+// Shows the router's current URL
+const CurrentUrl = () => {
+  const location = useLocation();
+  return <output data-testid="url">{`${location.pathname}${location.search}${location.hash}`}</output>;
+};
+
+const renderAt = (url) => render(
+  <MemoryRouter initialEntries={[url]}>
+    <Routes>
+      <Route path="/product/:slug" element={<ProductDetail />} />
+    </Routes>
+    <CurrentUrl />
+  </MemoryRouter>
+);
+
+// Follows a card in the related works strip
+const openRelated = (path) => {
+  const card = screen.getAllByRole('link').find(link => link.getAttribute('href') === path);
+  fireEvent.click(card);
+};
+
+const thumbnail = (index) => screen.getByAltText(`Thumbnail ${index}`);
+
+// The carousel indicator of the image on show
+const currentSlide = () => screen.getAllByRole('button', { name: /^Slide \d+$/ })
+  .find(indicator => indicator.getAttribute('aria-current') === 'true');
+
+describe('legacy numeric URLs', () => {
+  test('redirect to the slug URL, keeping the query and the image deep link', () => {
+    renderAt('/product/3?ref=old#image-2');
+
+    expect(screen.getByTestId('url')).toHaveTextContent('/product/v-cut-coif?ref=old#image-2');
+    expect(screen.getByRole('heading', { level: 1, name: 'V-Cut Coif' })).toBeInTheDocument();
+  });
+});
+
+describe('moving between pieces', () => {
+  test('starts the next piece on its first image', async () => {
+    renderAt('/product/european-4-in-1-book-bag');
+    fireEvent.click(thumbnail(1));
+    // The indicator follows once the slide animation has finished
+    await waitFor(() => expect(currentSlide()).toHaveAccessibleName('Slide 2'));
+
+    openRelated('/product/v-cut-coif');
+
+    expect(screen.getByRole('heading', { level: 1, name: 'V-Cut Coif' })).toBeInTheDocument();
+    expect(currentSlide()).toHaveAccessibleName('Slide 1');
+  });
+
+  test('moves from a later image to a piece with fewer media', async () => {
+    renderAt('/product/european-4-in-1-book-bag');
+    fireEvent.click(thumbnail(1));
+    await waitFor(() => expect(currentSlide()).toHaveAccessibleName('Slide 2'));
+
+    openRelated('/product/the-dice-bag');
+
+    expect(screen.getByRole('heading', { level: 1, name: 'The Dice Bag' })).toBeInTheDocument();
+    expect(currentSlide()).toHaveAccessibleName('Slide 1');
+    expect(screen.queryByRole('button', { name: 'Slide 2' })).not.toBeInTheDocument();
+  });
+
+  test('forgets the variant choices of an earlier visit', () => {
+    renderAt('/product/the-dice-bag');
+    const [, lining] = screen.getAllByRole('combobox');
+    fireEvent.change(lining, { target: { value: 'Suede' } });
+    expect(lining).toHaveValue('Suede');
+
+    const away = screen.getAllByRole('link').find(link => /^\/product\//.test(link.getAttribute('href')));
+    fireEvent.click(away);
+    openRelated('/product/the-dice-bag');
+
+    expect(screen.getAllByRole('combobox')[1]).toHaveValue('Black Velvet');
+  });
+});
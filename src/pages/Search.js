@@ -0,0 +1,155 @@
+/**
+ * ========================================
+ * SEARCH PAGE COMPONENT - COMPREHENSIVE GUIDE
+ * ========================================
+ *
+ * This component displays catalog search results for the /search?q= route,
+ * reached from the Navbar search box or by sharing a search URL.
+ *
+ * COMPONENT PURPOSE:
+ * - Let visitors find pieces by keyword (title, descriptions and details)
+ * - Rank the most relevant pieces first
+ * - Highlight the matched words on each result card
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Search index built once when this module loads (not on every keystroke)
+ * - The query lives in the URL (?q=), so results are bookmarkable
+ * - Typing replaces the history entry instead of adding one per keystroke
+ * - Reuses GalleryItem for consistent result presentation
+ *
+ * USER EXPERIENCE:
+ * - Results update while typing
+ * - Typo tolerant ("bizantine" still finds Byzantine)
+ * - Clear empty and no-result states
+ */
+
+// ========================================
+// REACT AND UI LIBRARY IMPORTS
+// ========================================
+import React, { useMemo } from 'react';
+
+// React Bootstrap components for layout and the search input
+import { Container, Row, Col, Form } from 'react-bootstrap';
+
+// ========================================
+// ROUTING IMPORTS
+// ========================================
+// useSearchParams: Reads and updates the ?q= query parameter
+import { useSearchParams } from 'react-router-dom';
+
+// ========================================
+// CUSTOM COMPONENT IMPORTS
+// ========================================
+// GalleryItem: Result card with search term highlighting
+import GalleryItem from '../components/GalleryItem';
+
+// PageMeta: Page title; search results are excluded from search engine indexes
+import PageMeta from '../components/PageMeta';
+
+// ========================================
+// DATA IMPORTS
+// ========================================
+import { allWorks } from '../data/works';
+import { createSearchIndex } from '../data/search';
+
+// ========================================
+// SEARCH INDEX
+// ========================================
+// Built once from the full catalog when the module is first imported
+// Every query after that is an index lookup
+const searchIndex = createSearchIndex(allWorks);
+
+/**
+ * Search Component
+ *
+ * Renders the search input and the ranked result grid for the current query.
+ *
+ * @returns {JSX.Element} The search results page
+ */
+const Search = () => {
+  // ========================================
+  // URL STATE MANAGEMENT
+  // ========================================
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+
+  // Ranked results for the current query (memoized on the query text)
+  const results = useMemo(() => searchIndex.search(query), [query]);
+
+  /**
+   * Query Change Handler
+   *
+   * Writes the typed query back into the URL.
+   * replace: true keeps one history entry per search instead of one per keystroke.
+   *
+   * @param {Event} event - Input change event
+   */
+  const handleChange = (event) => {
+    const next = new URLSearchParams(searchParams);
+    if (event.target.value) {
+      next.set('q', event.target.value);
+    } else {
+      next.delete('q');
+    }
+    setSearchParams(next, { replace: true });
+  };
+
+  return (
+    <Container className="py-5">
+      <PageMeta title={query ? `Search: ${query}` : 'Search'} path="/search" noIndex />
+
+      {/* ========================================
+          PAGE TITLE AND SEARCH INPUT
+          ======================================== */}
+      <h1 className="text-center mb-4">Search</h1>
+
+      <Form className="mb-4" role="search" onSubmit={(event) => event.preventDefault()}>
+        <Form.Control
+          type="search"
+          value={query}
+          onChange={handleChange}
+          placeholder="Search by title, weave, material..."
+          aria-label="Search the catalog"
+          autoFocus
+        />
+      </Form>
+
+      {/* ========================================
+          RESULT SUMMARY
+          ======================================== */}
+      {query && (
+        <p className="text-muted text-center">
+          {results.length} {results.length === 1 ? 'result' : 'results'} for &ldquo;{query}&rdquo;
+        </p>
+      )}
+
+      {/* ========================================
+          RESULTS GRID
+          ======================================== */}
+      {/*
+        Same grid as the Gallery page
+        - highlight: Matched index terms, marked in title and description
+      */}
+      <Row>
+        {results.map(({ work, terms }) => (
+          <Col md={4} key={work.id}>
+            <GalleryItem work={work} highlight={terms} />
+          </Col>
+        ))}
+
+        {query && results.length === 0 && (
+          <Col className="text-center py-5">
+            <p className="lead">No pieces match your search. Try another word or browse the Gallery.</p>
+          </Col>
+        )}
+      </Row>
+    </Container>
+  );
+};
+
+// ========================================
+// COMPONENT EXPORT
+// ========================================
+// Export the Search component as the default export
+// This is imported by App.js for the "/search" route
+export default Search;
@@ -1,6 +1,9 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { Container } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
+import PageMeta from '../../components/PageMeta';
+import { FIXED_DT, PONG_CONFIG, createPongState, followBall, movePaddleTo, step } from '../../games/pong/engine';
+import { SCORE_POSITION, drawCourt } from '../../games/pong/render';
 
 import PADDLE_HIT_SOUND from './assets/sounds/bip.mp3';
 import SCORE_SOUND from './assets/sounds/score.mp3';
@@ -54,24 +57,9 @@ const Pong = () => {
     const ctx = canvas.getContext('2d');
     let gamepadPollingInterval;
     
-    const paddleHeight = 100;
-    const paddleWidth = 10;
-    const ballRadius = 8;
-    const frameOffset = 24;
-    
-    const gameWidth = canvas.width - (frameOffset * 2);
-    const gameHeight = canvas.height - (frameOffset * 2);
-    
-    let ballX = frameOffset + gameWidth / 2;
-    let ballY = frameOffset + gameHeight / 2;
-    let ballSpeedX = 5;
-    let ballSpeedY = 3;
-    
-    let player1Y = frameOffset + (gameHeight - paddleHeight) / 2;
-    let player2Y = frameOffset + (gameHeight - paddleHeight) / 2;
-    
-    let player1Score = 0;
-    let player2Score = 0;
+    // Ball, paddles and score (src/games/pong/engine.js)
+    const { court } = PONG_CONFIG;
+    let game = createPongState({ seed: Date.now() });
     
     let upPressed = false;
     let downPressed = false;
@@ -79,8 +67,6 @@ const Pong = () => {
     let gamepads = {};
     let gamepadIndex = null;
     
-    const computerDifficulty = 0.85;
-    
     const gamepadConnectHandler = (e) => {
       console.log("Gamepad connected:", e.gamepad.id);
       gamepads[e.gamepad.index] = e.gamepad;
@@ -288,18 +274,7 @@ const Pong = () => {
         const deltaY = touchY - touchStartY.current;
         const sensitivityMultiplier = 2.5; // Increased sensitivity for better responsiveness
         const adjustedDeltaY = deltaY * sensitivityMultiplier;
-        const newPaddleY = player1Y + adjustedDeltaY;
-        
-        const minY = frameOffset;
-        const maxY = frameOffset + gameHeight - paddleHeight;
-        
-        if (newPaddleY >= minY && newPaddleY <= maxY) {
-          player1Y = newPaddleY;
-        } else if (newPaddleY < minY) {
-          player1Y = minY;
-        } else if (newPaddleY > maxY) {
-          player1Y = maxY;
-        }
+        game = movePaddleTo(game, 'left', game.paddles.left.y + adjustedDeltaY);
         
         touchStartY.current = touchY;
       }
@@ -318,8 +293,8 @@ const Pong = () => {
     // Helper function to calculate pause button position
     const getPauseButtonBounds = () => {
       const buttonSize = 60;
-      const buttonX = frameOffset + gameWidth - buttonSize - 15;
-      const buttonY = 75 - 48 + 5; // Align with top of score text (75 - font height + small offset)
+      const buttonX = court.x + court.width - buttonSize - 15;
+      const buttonY = SCORE_POSITION.Y - SCORE_POSITION.FONT_SIZE + 5; // Align with top of score text (baseline - font height + small offset)
       
       return {
         x: buttonX,
@@ -330,31 +305,6 @@ const Pong = () => {
       };
     };
     
-    const drawBall = () => {
-      ctx.beginPath();
-      ctx.arc(ballX, ballY, ballRadius, 0, Math.PI * 2);
-      ctx.fillStyle = '#FFFFFF';
-      ctx.fill();
-      ctx.closePath();
-    };
-    
-    const drawPaddle = (x, y) => {
-      ctx.beginPath();
-      ctx.rect(x, y, paddleWidth, paddleHeight);
-      ctx.fillStyle = '#FFFFFF';
-      ctx.fill();
-      ctx.closePath();
-    };
-    
-    const drawScore = () => {
-      ctx.fillStyle = '#FFFFFF';
-      ctx.font = '48px Arial';
-      ctx.textAlign = 'center';
-      
-      ctx.fillText(player1Score, frameOffset + gameWidth / 4, 75);
-      ctx.fillText(player2Score, frameOffset + (3 * gameWidth) / 4, 75);
-    };
-
     const drawPauseButton = () => {
       if (inputSource.current !== 'touch' || gameStateRef.current !== 'playing') return;
       
@@ -402,36 +352,6 @@ const Pong = () => {
       ctx.fill();
     };
     
-    const drawFrame = () => {
-      const borderLayers = [
-        { color: '#000000', width: 10, offset: 0 },
-        { color: '#FFFFFF', width: 8, offset: 10 },
-        { color: '#808080', width: 8, offset: 18 }
-      ];
-      
-      borderLayers.forEach(layer => {
-        ctx.strokeStyle = layer.color;
-        ctx.lineWidth = layer.width;
-        
-        const x = layer.offset + layer.width / 2;
-        const y = layer.offset + layer.width / 2;
-        const width = canvas.width - (layer.offset + layer.width / 2) * 2;
-        const height = canvas.height - (layer.offset + layer.width / 2) * 2;
-        
-        ctx.strokeRect(x, y, width, height);
-      });
-    };
-    
-    const drawNet = () => {
-      for (let i = frameOffset; i < frameOffset + gameHeight; i += 40) {
-        ctx.beginPath();
-        ctx.rect(frameOffset + gameWidth / 2 - 1, i, 2, 20);
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fill();
-        ctx.closePath();
-      }
-    };
-    
     const cleanupGame = () => {
       isGameActive.current = false;
       
@@ -448,8 +368,7 @@ const Pong = () => {
       
       updateGameState('start');
       
-      player1Score = 0;
-      player2Score = 0;
+      game = createPongState({ seed: Date.now() });
       
       setTimeout(() => {
         const goBack = () => {
@@ -539,73 +458,16 @@ const Pong = () => {
     };
 
     const updateGame = () => {
-      // Move player paddle
-      if (upPressed && player1Y > frameOffset) {
-        player1Y -= 7;
-      } else if (downPressed && player1Y < frameOffset + gameHeight - paddleHeight) {
-        player1Y += 7;
-      }
-      
-      // Computer AI
-      const computerTargetY = ballY - (paddleHeight / 2);
-      if (computerTargetY < player2Y) {
-        player2Y -= 5 * computerDifficulty;
-      } else if (computerTargetY > player2Y) {
-        player2Y += 5 * computerDifficulty;
-      }
-      
-      // Constrain computer paddle
-      if (player2Y < frameOffset) {
-        player2Y = frameOffset;
-      } else if (player2Y > frameOffset + gameHeight - paddleHeight) {
-        player2Y = frameOffset + gameHeight - paddleHeight;
-      }
-      
-      // Ball movement
-      ballX += ballSpeedX;
-      ballY += ballSpeedY;
-      
-      // Ball collision with top and bottom walls
-      if (ballY - ballRadius < frameOffset || ballY + ballRadius > frameOffset + gameHeight) {
-        ballSpeedY = -ballSpeedY;
-      }
-      
-      // Ball collision with player paddle
-      if (ballX - ballRadius < frameOffset + paddleWidth && ballY > player1Y && ballY < player1Y + paddleHeight) {
-        ballSpeedX = -ballSpeedX;
-        const deltaY = ballY - (player1Y + paddleHeight / 2);
-        ballSpeedY = deltaY * 0.35;
-        
-        paddleHitSound.current.currentTime = 0;
-        paddleHitSound.current.play();
-      }
-      
-      // Ball collision with computer paddle
-      if (ballX + ballRadius > frameOffset + gameWidth - paddleWidth && ballY > player2Y && ballY < player2Y + paddleHeight) {
-        ballSpeedX = -ballSpeedX;
-        const deltaY = ballY - (player2Y + paddleHeight / 2);
-        ballSpeedY = deltaY * 0.35;
-        
-        paddleHitSound.current.currentTime = 0;
-        paddleHitSound.current.play();
-      }
-      
-      // Scoring
-      if (ballX < frameOffset) {
-        player2Score++;
-        
-        scoreSound.current.currentTime = 0;
-        scoreSound.current.play();
-        
-        resetBall();
-      } else if (ballX > frameOffset + gameWidth) {
-        player1Score++;
-        
-        scoreSound.current.currentTime = 0;
-        scoreSound.current.play();
-        
-        resetBall();
-      }
+      const playerInput = upPressed ? -1 : downPressed ? 1 : 0;
+      game = step(game, { left: playerInput, right: followBall(game) }, FIXED_DT);
+      
+      game.events.forEach(event => {
+        const sound = event.type === 'paddle-hit' ? paddleHitSound.current : event.type === 'score' ? scoreSound.current : null;
+        if (sound) {
+          sound.currentTime = 0;
+          sound.play();
+        }
+      });
     };
     
     const toggleFullscreenMode = () => {
@@ -669,13 +531,6 @@ const Pong = () => {
       });
     };
 
-    const resetBall = () => {
-      ballX = frameOffset + gameWidth / 2;
-      ballY = frameOffset + gameHeight / 2;
-      ballSpeedX = -ballSpeedX;
-      ballSpeedY = Math.random() * 6 - 3;
-    };
-    
     const drawStartScreen = () => {
       ctx.fillStyle = '#000000';
       ctx.fillRect(0, 0, canvas.width, canvas.height);
@@ -780,29 +635,13 @@ const Pong = () => {
         drawStartScreen();
         
       } else if (gameStateRef.current === 'playing') {
-        ctx.fillStyle = '#000000';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        drawFrame();
-        drawNet();
-        drawBall();
-        drawPaddle(frameOffset, player1Y);
-        drawPaddle(frameOffset + gameWidth - paddleWidth, player2Y);
-        drawScore();
+        drawCourt(ctx, game);
         drawPauseButton(); // Add pause button to playing state
         
         updateGame();
         
       } else if (gameStateRef.current === 'paused') {
-        ctx.fillStyle = '#000000';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        drawFrame();
-        drawNet();
-        drawBall();
-        drawPaddle(frameOffset, player1Y);
-        drawPaddle(frameOffset + gameWidth - paddleWidth, player2Y);
-        drawScore();
+        drawCourt(ctx, game);
         
         drawPauseScreen();
       }
@@ -859,6 +698,7 @@ const Pong = () => {
   
   return (
     <Container className="py-5 text-center">
+      <PageMeta title="Pong" description="Play the classic Pong in your browser, with keyboard, mouse, touch and gamepad support." path="/games/pong" />
       <h1 className="mb-4">Pong</h1>
       <p className="mb-4">
         Use the up and down arrow keys to control your paddle (left side).
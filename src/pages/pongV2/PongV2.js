@@ -1,39 +1,22 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { Container } from 'react-bootstrap';
 import { Link, useNavigate } from 'react-router-dom';
+import PageMeta from '../../components/PageMeta';
 import useAudioManager from './hooks/useAudioManager';
+import { FIXED_DT, PONG_CONFIG, createPongState, movePaddleTo } from '../../games/pong/engine';
+import { advanceFixedStepLoop, createFixedStepLoop, loopRenderState } from '../../games/pong/loop';
+import { ADAPTIVE_AI_LEVEL, AI_CHOICES, AI_PADDLE_SPEED, DEFAULT_AI_LEVEL, createAiState, loadAiLevel, saveAiLevel, updateAi } from '../../games/pong/ai';
+import { adaptAi, averageRally, createAdaptiveState } from '../../games/pong/adaptive';
+import { SCORE_POSITION, drawCourt } from '../../games/pong/render';
 
 // Game Configuration Constants
+// (court size, speeds and physics live in PONG_CONFIG, src/games/pong/engine.js)
 const GAME_CONFIG = {
   CANVAS: {
     WIDTH: 848,
     HEIGHT: 548,
     MAX_WIDTH: '100%'
   },
-  PADDLE: {
-    WIDTH: 10,
-    HEIGHT: 100,
-    SPEED: 7,
-    COMPUTER_SPEED: 5
-  },
-  BALL: {
-    RADIUS: 8,
-    INITIAL_SPEED_X: 5,
-    INITIAL_SPEED_Y: 3,
-    SPEED_MULTIPLIER: 0.35,
-    RANDOM_SPEED_RANGE: 6
-  },
-  FRAME: {
-    OFFSET: 24,
-    LAYERS: [
-      { color: '#000000', width: 10, offset: 0 },
-      { color: '#FFFFFF', width: 8, offset: 10 },
-      { color: '#808080', width: 8, offset: 18 }
-    ]
-  },
-  COMPUTER: {
-    DIFFICULTY: 0.85
-  },
   UI: {
     PAUSE_BUTTON_SIZE: 60,
     PAUSE_BUTTON_OFFSET: 15,
@@ -43,10 +26,6 @@ const GAME_CONFIG = {
       X: 20,
       Y: 20
     },
-    SCORE: {
-      FONT_SIZE: 48,
-      Y_POSITION: 75
-    },
     PAUSE_BARS: {
       WIDTH: 8,
       HEIGHT: 28,
@@ -63,6 +42,24 @@ const GAME_CONFIG = {
       SUBTITLE_Y_OFFSET: 2, // canvas.height / 2
       INSTRUCTION_LINE_SPACING: 30
     },
+    DIFFICULTY: {
+      BUTTON_WIDTH: 130,
+      BUTTON_HEIGHT: 40,
+      SPACING: 16,
+      Y: 400,
+      FONT_SIZE: 20,
+      HINT_FONT_SIZE: 16,
+      HINT_Y_OFFSET: 28
+    },
+    // Computer tuning readout, toggled with D or ?debug in the URL
+    DEBUG: {
+      X: 40,
+      BOTTOM: 510, // Grows upwards from the bottom of the court
+      WIDTH: 260,
+      LINE_HEIGHT: 18,
+      FONT_SIZE: 14,
+      PADDING: 8
+    },
     PAUSE_SCREEN: {
       TITLE_FONT_SIZE: 36,
       FONT_SIZE: 20,
@@ -90,25 +87,19 @@ const GAME_CONFIG = {
       EAST: 1,
       NORTH: 3,
       DPAD_UP: 12,
-      DPAD_DOWN: 13
+      DPAD_DOWN: 13,
+      DPAD_LEFT: 14,
+      DPAD_RIGHT: 15
     },
     AXES: {
       LEFT_STICK_Y: 1
     }
   },
-  GAME: {
-    CENTER_LINE: {
-      DASH_LENGTH: 20,
-      DASH_SPACING: 40,
-      WIDTH: 2
-    },
-    INITIAL_SCORES: 0,
-    RESET_DELAY: 0
-  },
   COLORS: {
     BACKGROUND: '#000000',
     FOREGROUND: '#FFFFFF',
     PAUSE_OVERLAY: 'rgba(0, 0, 0, 0.5)',
+    DEBUG_OVERLAY: 'rgba(0, 0, 0, 0.7)',
     EXIT_BUTTON: 'rgba(255, 0, 0, 0.8)',
     FRAME_SHADOW: 'rgba(255, 255, 255, 0.1)'
   }
@@ -167,19 +158,6 @@ const isPointInBounds = (point, bounds) => {
          point.y <= bounds.y + bounds.height;
 };
 
-// Constrain paddle position within game boundaries
-const constrainPaddle = (paddleY, frameOffset, gameHeight, paddleHeight) => {
-  const minY = frameOffset;
-  const maxY = frameOffset + gameHeight - paddleHeight;
-  
-  if (paddleY < minY) {
-    return minY;
-  } else if (paddleY > maxY) {
-    return maxY;
-  }
-  return paddleY;
-};
-
 // Utility function for consistent text rendering
 const drawText = (ctx, text, x, y, fontSize, color = '#FFFFFF', align = 'center') => {
   ctx.fillStyle = color;
@@ -216,6 +194,12 @@ const Pong = () => {
   const lastSouthButtonStateRef = useRef(false);
   const lastEastButtonStateRef = useRef(false);
   const lastNorthButtonStateRef = useRef(false);
+  const lastDpadLeftStateRef = useRef(false);
+  const lastDpadRightStateRef = useRef(false);
+  
+  // Computer difficulty, chosen on the start screen (src/games/pong/ai.js)
+  const aiLevelRef = useRef(DEFAULT_AI_LEVEL);
+  const showDebugRef = useRef(false);
 
   const detectMobileDevice = () => {
     const userAgent = navigator.userAgent || navigator.vendor || window.opera;
@@ -240,24 +224,26 @@ const Pong = () => {
     const ctx = canvas.getContext('2d');
     let gamepadPollingInterval;
     
-    const paddleHeight = GAME_CONFIG.PADDLE.HEIGHT;
-    const paddleWidth = GAME_CONFIG.PADDLE.WIDTH;
-    const ballRadius = GAME_CONFIG.BALL.RADIUS;
-    const frameOffset = GAME_CONFIG.FRAME.OFFSET;
-    
-    const gameWidth = canvas.width - (frameOffset * 2);
-    const gameHeight = canvas.height - (frameOffset * 2);
-    
-    let ballX = frameOffset + gameWidth / 2;
-    let ballY = frameOffset + gameHeight / 2;
-    let ballSpeedX = GAME_CONFIG.BALL.INITIAL_SPEED_X;
-    let ballSpeedY = GAME_CONFIG.BALL.INITIAL_SPEED_Y;
+    // Ball, paddles and score (src/games/pong/engine.js), stepped at a fixed
+    // rate whatever the refresh rate (src/games/pong/loop.js)
+    // The computer paddle may move as fast as the hardest level needs
+    const { court } = PONG_CONFIG;
+    const gameConfig = { ...PONG_CONFIG, paddleSpeed: { ...PONG_CONFIG.paddleSpeed, right: AI_PADDLE_SPEED } };
+    let loop = createFixedStepLoop(createPongState({ config: gameConfig, seed: Date.now() }));
+    let lastFrameTime = null;
     
-    let player1Y = frameOffset + (gameHeight - paddleHeight) / 2;
-    let player2Y = frameOffset + (gameHeight - paddleHeight) / 2;
-    
-    let player1Score = GAME_CONFIG.GAME.INITIAL_SCORES;
-    let player2Score = GAME_CONFIG.GAME.INITIAL_SCORES;
+    // Last chosen difficulty; in adaptive mode the tuning follows the match
+    // (src/games/pong/adaptive.js)
+    aiLevelRef.current = loadAiLevel(window.localStorage);
+    let adaptive = createAdaptiveState();
+    let ai = null;
+    const createComputer = () => {
+      adaptive = createAdaptiveState();
+      const isAdaptive = aiLevelRef.current === ADAPTIVE_AI_LEVEL;
+      ai = createAiState(aiLevelRef.current, Date.now(), isAdaptive ? adaptive.tuning : undefined);
+    };
+    createComputer();
+    showDebugRef.current = new URLSearchParams(window.location.search).has('debug');
     
     let upPressed = false;
     let downPressed = false;
@@ -265,8 +251,6 @@ const Pong = () => {
     let gamepads = {};
     let gamepadIndex = null;
     
-    const computerDifficulty = GAME_CONFIG.COMPUTER.DIFFICULTY;
-    
     const gamepadConnectHandler = (e) => {
       console.log("Gamepad connected:", e.gamepad.id);
       gamepads[e.gamepad.index] = e.gamepad;
@@ -328,6 +312,17 @@ const Pong = () => {
         return;
       }
       
+      if (e.key === 'd' || e.key === 'D') {
+        showDebugRef.current = !showDebugRef.current;
+        return;
+      }
+      
+      if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && gameStateRef.current === 'start') {
+        e.preventDefault();
+        cycleDifficulty(e.key === 'ArrowLeft' ? -1 : 1);
+        return;
+      }
+      
       if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && gameStateRef.current === 'start') {
         e.preventDefault();
         updateGameState('playing');
@@ -403,6 +398,16 @@ const Pong = () => {
         }
       }
       
+      // Difficulty buttons (start state only)
+      if (gameStateRef.current === 'start') {
+        const level = findDifficultyAt({ x: touchX, y: touchY });
+        
+        if (level) {
+          chooseDifficulty(level.id);
+          return;
+        }
+      }
+      
       touchStartY.current = touchY;
       isDragging.current = false;
       
@@ -432,12 +437,7 @@ const Pong = () => {
         const deltaY = touchY - touchStartY.current;
         const sensitivityMultiplier = GAME_CONFIG.MOBILE.SENSITIVITY;
         const adjustedDeltaY = deltaY * sensitivityMultiplier;
-        const newPaddleY = player1Y + adjustedDeltaY;
-        
-        const minY = frameOffset;
-        const maxY = frameOffset + gameHeight - paddleHeight;
-        
-        player1Y = constrainPaddle(newPaddleY, frameOffset, gameHeight, paddleHeight);
+        dragPlayerPaddle(adjustedDeltaY);
         
         touchStartY.current = touchY;
       }
@@ -491,6 +491,16 @@ const Pong = () => {
         }
       }
       
+      // Difficulty buttons (start state only)
+      if (gameStateRef.current === 'start') {
+        const level = findDifficultyAt({ x: touchX, y: touchY });
+        
+        if (level) {
+          chooseDifficulty(level.id);
+          return;
+        }
+      }
+      
       mouseStartY.current = touchY;
       isMouseDragging.current = false;
       
@@ -518,9 +528,7 @@ const Pong = () => {
         const deltaY = touchY - mouseStartY.current;
         const sensitivityMultiplier = GAME_CONFIG.MOBILE.SENSITIVITY;
         const adjustedDeltaY = deltaY * sensitivityMultiplier;
-        const newPaddleY = player1Y + adjustedDeltaY;
-        
-        player1Y = constrainPaddle(newPaddleY, frameOffset, gameHeight, paddleHeight);
+        dragPlayerPaddle(adjustedDeltaY);
         
         mouseStartY.current = touchY;
       }
@@ -541,11 +549,50 @@ const Pong = () => {
       toggleFullscreenMode();
     };
     
+    // Dragging places the paddle directly; both steps are moved so the
+    // interpolated paddle follows the pointer without lagging a step behind
+    const dragPlayerPaddle = (deltaY) => {
+      const paddleY = loop.current.paddles.left.y + deltaY;
+      loop = {
+        ...loop,
+        previous: movePaddleTo(loop.previous, 'left', paddleY),
+        current: movePaddleTo(loop.current, 'left', paddleY)
+      };
+    };
+    
+    // Difficulty buttons on the start screen, easiest on the left
+    const getDifficultyButtonBounds = (index) => {
+      const { BUTTON_WIDTH, BUTTON_HEIGHT, SPACING, Y } = GAME_CONFIG.UI.DIFFICULTY;
+      const rowWidth = AI_CHOICES.length * BUTTON_WIDTH + (AI_CHOICES.length - 1) * SPACING;
+      
+      return {
+        x: (canvas.width - rowWidth) / 2 + index * (BUTTON_WIDTH + SPACING),
+        y: Y,
+        width: BUTTON_WIDTH,
+        height: BUTTON_HEIGHT
+      };
+    };
+    
+    const findDifficultyAt = (point) => AI_CHOICES.find((choice, index) => isPointInBounds(point, getDifficultyButtonBounds(index)));
+    
+    const chooseDifficulty = (levelId) => {
+      aiLevelRef.current = levelId;
+      saveAiLevel(window.localStorage, levelId);
+      createComputer();
+    };
+    
+    // One button left (-1) or right (1), stopping at either end
+    const cycleDifficulty = (direction) => {
+      const index = AI_CHOICES.findIndex(choice => choice.id === aiLevelRef.current);
+      const nextIndex = Math.min(Math.max(index + direction, 0), AI_CHOICES.length - 1);
+      chooseDifficulty(AI_CHOICES[nextIndex].id);
+    };
+    
     // Helper function to calculate pause button position
     const getPauseButtonBounds = () => {
       const buttonSize = GAME_CONFIG.UI.PAUSE_BUTTON_SIZE;
-      const buttonX = frameOffset + gameWidth - buttonSize - GAME_CONFIG.UI.PAUSE_BUTTON_OFFSET;
-      const buttonY = GAME_CONFIG.UI.SCORE.Y_POSITION - GAME_CONFIG.UI.SCORE.FONT_SIZE + 5; // Align with top of score text
+      const buttonX = court.x + court.width - buttonSize - GAME_CONFIG.UI.PAUSE_BUTTON_OFFSET;
+      const buttonY = SCORE_POSITION.Y - SCORE_POSITION.FONT_SIZE + 5; // Align with top of score text
       
       return {
         x: buttonX,
@@ -556,27 +603,6 @@ const Pong = () => {
       };
     };
     
-    const drawBall = () => {
-      ctx.beginPath();
-      ctx.arc(ballX, ballY, ballRadius, 0, Math.PI * 2);
-      ctx.fillStyle = GAME_CONFIG.COLORS.FOREGROUND;
-      ctx.fill();
-      ctx.closePath();
-    };
-    
-    const drawPaddle = (x, y) => {
-      ctx.beginPath();
-      ctx.rect(x, y, paddleWidth, paddleHeight);
-      ctx.fillStyle = GAME_CONFIG.COLORS.FOREGROUND;
-      ctx.fill();
-      ctx.closePath();
-    };
-    
-    const drawScore = () => {
-      drawText(ctx, player1Score, frameOffset + gameWidth / 4, GAME_CONFIG.UI.SCORE.Y_POSITION, GAME_CONFIG.UI.SCORE.FONT_SIZE, GAME_CONFIG.COLORS.FOREGROUND);
-      drawText(ctx, player2Score, frameOffset + (3 * gameWidth) / 4, GAME_CONFIG.UI.SCORE.Y_POSITION, GAME_CONFIG.UI.SCORE.FONT_SIZE, GAME_CONFIG.COLORS.FOREGROUND);
-    };
-
     const drawPauseButton = () => {
       if ((inputSource.current !== 'touch' && inputSource.current !== 'mouse') || gameStateRef.current !== 'playing') return;
       
@@ -624,32 +650,6 @@ const Pong = () => {
       ctx.fill();
     };
     
-    const drawFrame = () => {
-      const borderLayers = GAME_CONFIG.FRAME.LAYERS;
-      
-      borderLayers.forEach(layer => {
-        ctx.strokeStyle = layer.color;
-        ctx.lineWidth = layer.width;
-        
-        const x = layer.offset + layer.width / 2;
-        const y = layer.offset + layer.width / 2;
-        const width = canvas.width - (layer.offset + layer.width / 2) * 2;
-        const height = canvas.height - (layer.offset + layer.width / 2) * 2;
-        
-        ctx.strokeRect(x, y, width, height);
-      });
-    };
-    
-    const drawNet = () => {
-      for (let i = frameOffset; i < frameOffset + gameHeight; i += GAME_CONFIG.GAME.CENTER_LINE.DASH_SPACING) {
-        ctx.beginPath();
-        ctx.rect(frameOffset + gameWidth / 2 - GAME_CONFIG.GAME.CENTER_LINE.WIDTH / 2, i, GAME_CONFIG.GAME.CENTER_LINE.WIDTH, GAME_CONFIG.GAME.CENTER_LINE.DASH_LENGTH);
-        ctx.fillStyle = GAME_CONFIG.COLORS.FOREGROUND;
-        ctx.fill();
-        ctx.closePath();
-      }
-    };
-    
     const cleanupGame = () => {
       isGameActive.current = false;
       
@@ -660,8 +660,8 @@ const Pong = () => {
       
       updateGameState('start');
       
-      player1Score = GAME_CONFIG.GAME.INITIAL_SCORES;
-      player2Score = GAME_CONFIG.GAME.INITIAL_SCORES;
+      loop = createFixedStepLoop(createPongState({ config: gameConfig, seed: Date.now() }));
+      createComputer();
       
       // Navigate back to games page using React Router
       navigate('/games');
@@ -710,6 +710,22 @@ const Pong = () => {
             lastSouthButtonStateRef.current = false;
           }
           
+          // D-pad left/right picks the difficulty on the start screen
+          const dpadLeft = gamepad.buttons[GAME_CONFIG.GAMEPAD.BUTTON_INDICES.DPAD_LEFT].pressed;
+          const dpadRight = gamepad.buttons[GAME_CONFIG.GAMEPAD.BUTTON_INDICES.DPAD_RIGHT].pressed;
+          
+          if (gameStateRef.current === 'start') {
+            if (dpadLeft && !lastDpadLeftStateRef.current) {
+              inputSource.current = 'gamepad';
+              cycleDifficulty(-1);
+            } else if (dpadRight && !lastDpadRightStateRef.current) {
+              inputSource.current = 'gamepad';
+              cycleDifficulty(1);
+            }
+          }
+          lastDpadLeftStateRef.current = dpadLeft;
+          lastDpadRightStateRef.current = dpadRight;
+          
           const leftStickY = gamepad.axes[GAME_CONFIG.GAMEPAD.AXES.LEFT_STICK_Y];
           const dpadUp = gamepad.buttons[GAME_CONFIG.GAMEPAD.BUTTON_INDICES.DPAD_UP].pressed;
           const dpadDown = gamepad.buttons[GAME_CONFIG.GAMEPAD.BUTTON_INDICES.DPAD_DOWN].pressed;
@@ -746,68 +762,27 @@ const Pong = () => {
       }
     };
 
-    const updateGame = () => {
-      // Move player paddle
-      let newPlayer1Y = player1Y;
-      if (upPressed) {
-        newPlayer1Y -= 7;
-      } else if (downPressed) {
-        newPlayer1Y += 7;
-      }
-      player1Y = constrainPaddle(newPlayer1Y, frameOffset, gameHeight, paddleHeight);
-      
-      // Computer AI
-      const computerTargetY = ballY - (paddleHeight / 2);
-      if (computerTargetY < player2Y) {
-        player2Y -= 5 * computerDifficulty;
-      } else if (computerTargetY > player2Y) {
-        player2Y += 5 * computerDifficulty;
-      }
-      
-      // Constrain computer paddle
-      player2Y = constrainPaddle(player2Y, frameOffset, gameHeight, paddleHeight);
-      
-      // Ball movement
-      ballX += ballSpeedX;
-      ballY += ballSpeedY;
-      
-      // Ball collision with top and bottom walls
-      if (ballY - ballRadius < frameOffset || ballY + ballRadius > frameOffset + gameHeight) {
-        ballSpeedY = -ballSpeedY;
-      }
-      
-      // Ball collision with player paddle
-      if (ballX - ballRadius < frameOffset + paddleWidth && ballY > player1Y && ballY < player1Y + paddleHeight) {
-        ballSpeedX = -ballSpeedX;
-        const deltaY = ballY - (player1Y + paddleHeight / 2);
-        ballSpeedY = deltaY * GAME_CONFIG.BALL.SPEED_MULTIPLIER;
-        
-        playPaddleHitSound();
-      }
-      
-      // Ball collision with computer paddle
-      if (ballX + ballRadius > frameOffset + gameWidth - paddleWidth && ballY > player2Y && ballY < player2Y + paddleHeight) {
-        ballSpeedX = -ballSpeedX;
-        const deltaY = ballY - (player2Y + paddleHeight / 2);
-        ballSpeedY = deltaY * GAME_CONFIG.BALL.SPEED_MULTIPLIER;
-        
-        playPaddleHitSound();
-      }
+    const updateGame = (frameTime) => {
+      const playerInput = upPressed ? -1 : downPressed ? 1 : 0;
+      const frame = advanceFixedStepLoop(loop, frameTime, state => {
+        // Adapt to the step that led here before deciding the next move
+        if (ai.level === ADAPTIVE_AI_LEVEL) {
+          adaptive = adaptAi(adaptive, state, FIXED_DT);
+          ai = { ...ai, tuning: adaptive.tuning };
+        }
+        const computer = updateAi(ai, state, FIXED_DT);
+        ai = computer.ai;
+        return { left: playerInput, right: computer.input };
+      });
+      loop = frame.loop;
       
-      // Scoring
-      if (ballX < frameOffset) {
-        player2Score++;
-        
-        playScoreSound();
-        
-        resetBall();
-      } else if (ballX > frameOffset + gameWidth) {
-        player1Score++;
-        
-        playScoreSound();
-        
-        resetBall();
-      }
+      frame.events.forEach(event => {
+        if (event.type === 'paddle-hit') {
+          playPaddleHitSound();
+        } else if (event.type === 'score') {
+          playScoreSound();
+        }
+      });
     };
     
     const toggleFullscreenMode = () => {
@@ -871,13 +846,6 @@ const Pong = () => {
       });
     };
 
-    const resetBall = () => {
-      ballX = frameOffset + gameWidth / 2;
-      ballY = frameOffset + gameHeight / 2;
-      ballSpeedX = -ballSpeedX;
-      ballSpeedY = Math.random() * GAME_CONFIG.BALL.RANDOM_SPEED_RANGE - (GAME_CONFIG.BALL.RANDOM_SPEED_RANGE / 2);
-    };
-    
     const drawStartScreen = () => {
       ctx.fillStyle = GAME_CONFIG.COLORS.BACKGROUND;
       ctx.fillRect(0, 0, canvas.width, canvas.height);
@@ -904,6 +872,64 @@ const Pong = () => {
           drawText(ctx, 'or Press Y Button for fullscreen', canvas.width / 2, canvas.height / GAME_CONFIG.UI.START_SCREEN.SUBTITLE_Y_OFFSET + GAME_CONFIG.UI.START_SCREEN.INSTRUCTION_LINE_SPACING * 3, GAME_CONFIG.UI.START_SCREEN.INSTRUCTION_FONT_SIZE, GAME_CONFIG.COLORS.FOREGROUND);
         }
       }
+      
+      drawDifficultySelector();
+    };
+    
+    const drawDifficultySelector = () => {
+      const { BUTTON_HEIGHT, Y, FONT_SIZE, HINT_FONT_SIZE, HINT_Y_OFFSET } = GAME_CONFIG.UI.DIFFICULTY;
+      
+      AI_CHOICES.forEach((choice, index) => {
+        const bounds = getDifficultyButtonBounds(index);
+        const selected = choice.id === aiLevelRef.current;
+        
+        // Selected level: filled button with dark text
+        if (selected) {
+          ctx.fillStyle = GAME_CONFIG.COLORS.FOREGROUND;
+          ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        }
+        ctx.strokeStyle = GAME_CONFIG.COLORS.FOREGROUND;
+        ctx.lineWidth = GAME_CONFIG.UI.LINE_WIDTH;
+        ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        
+        drawText(ctx, choice.label, bounds.x + bounds.width / 2, bounds.y + bounds.height / 2 + FONT_SIZE / 3, FONT_SIZE, selected ? GAME_CONFIG.COLORS.BACKGROUND : GAME_CONFIG.COLORS.FOREGROUND);
+      });
+      
+      let hint = 'Press LEFT/RIGHT or click a level to choose the difficulty';
+      if (inputSource.current === 'touch') {
+        hint = 'Tap a level to choose the difficulty';
+      } else if (inputSource.current === 'gamepad') {
+        hint = 'Press D-pad LEFT/RIGHT to choose the difficulty';
+      }
+      drawText(ctx, hint, canvas.width / 2, Y + BUTTON_HEIGHT + HINT_Y_OFFSET, HINT_FONT_SIZE, GAME_CONFIG.COLORS.FOREGROUND);
+    };
+    
+    // Current computer tuning, to check what adaptive mode is doing
+    const drawDebugOverlay = () => {
+      const { X, BOTTOM, WIDTH, LINE_HEIGHT, FONT_SIZE, PADDING } = GAME_CONFIG.UI.DEBUG;
+      const { reactionTime, maxSpeed, aimError, predict } = ai.tuning;
+      const lines = [
+        `Computer: ${AI_CHOICES.find(choice => choice.id === ai.level).label}`,
+        `Reaction: ${reactionTime.toFixed(2)} s`,
+        `Max speed: ${Math.round(maxSpeed)} px/s`,
+        `${predict ? 'Prediction' : 'Aim'} error: ±${Math.round(aimError)} px`
+      ];
+      if (ai.level === ADAPTIVE_AI_LEVEL) {
+        const { score } = loop.current;
+        lines.push(
+          `Skill: ${adaptive.skill.toFixed(2)} → ${adaptive.targetSkill.toFixed(2)}`,
+          `Rally: ${adaptive.rally} (avg ${averageRally(adaptive).toFixed(1)})`,
+          `Player lead: ${score.left - score.right}`
+        );
+      }
+      
+      const height = lines.length * LINE_HEIGHT + PADDING * 2;
+      const top = BOTTOM - height;
+      ctx.fillStyle = GAME_CONFIG.COLORS.DEBUG_OVERLAY;
+      ctx.fillRect(X, top, WIDTH, height);
+      lines.forEach((line, index) => {
+        drawText(ctx, line, X + PADDING, top + PADDING + (index + 1) * LINE_HEIGHT - 4, FONT_SIZE, GAME_CONFIG.COLORS.FOREGROUND, 'left');
+      });
     };
     
     const drawPauseScreen = () => {
@@ -956,34 +982,25 @@ const Pong = () => {
       }
     };
     
-    const gameLoop = () => {
+    const gameLoop = (timestamp) => {
+      // Real time since the previous frame. The clock also runs on the start
+      // and pause screens, so time spent there is never caught up on.
+      const frameTime = lastFrameTime === null ? 0 : (timestamp - lastFrameTime) / 1000;
+      lastFrameTime = timestamp;
+      
       if (gameStateRef.current === 'start') {
         drawStartScreen();
         
       } else if (gameStateRef.current === 'playing') {
-        ctx.fillStyle = GAME_CONFIG.COLORS.BACKGROUND;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        updateGame(frameTime);
         
-        drawFrame();
-        drawNet();
-        drawBall();
-        drawPaddle(frameOffset, player1Y);
-        drawPaddle(frameOffset + gameWidth - paddleWidth, player2Y);
-        drawScore();
+        drawCourt(ctx, loopRenderState(loop));
         drawPauseButton(); // Add pause button to playing state
-        
-        updateGame();
+        if (showDebugRef.current) drawDebugOverlay();
         
       } else if (gameStateRef.current === 'paused') {
-        ctx.fillStyle = GAME_CONFIG.COLORS.BACKGROUND;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        drawFrame();
-        drawNet();
-        drawBall();
-        drawPaddle(frameOffset, player1Y);
-        drawPaddle(frameOffset + gameWidth - paddleWidth, player2Y);
-        drawScore();
+        drawCourt(ctx, loopRenderState(loop));
+        if (showDebugRef.current) drawDebugOverlay();
         
         drawPauseScreen();
       }
@@ -1056,7 +1073,7 @@ const Pong = () => {
     }
     
     checkGamepads();
-    gameLoop();
+    requestAnimationFrame(gameLoop);
     
     gamepadPollingInterval = setInterval(pollGamepad, GAME_CONFIG.GAMEPAD.POLLING_INTERVAL);
     
@@ -1113,9 +1130,11 @@ const Pong = () => {
   
   return (
     <Container className="py-5 text-center">
+      <PageMeta title="Refined Pong" description="A refined React Pong with keyboard, mouse, touch and gamepad support." path="/games/pong-refined" />
       <h1 className="mb-4">Refined React Pong</h1>
       <p className="mb-4">
         Use the up and down arrow keys to control your paddle (left side).
+        Choose the computer's difficulty on the start screen, or Adaptive to have it match your level as you play.
         {gamepadConnected && (
           <span className="ms-2 badge bg-success">
             Gamepad Connected! Use D-pad or left stick
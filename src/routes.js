@@ -0,0 +1,60 @@
+/**
+ * ROUTE REGISTRY
+ * ==============
+ *
+ * Single list of the site's routes, shared by the React router (src/App.js)
+ * and the sitemap endpoint (api/sitemap.js), so a page added to the app is
+ * listed in the sitemap without a second hand-maintained list.
+ *
+ * ROUTE FIELDS:
+ * - path: React Router path pattern
+ * - sitemap: Sitemap settings (changefreq, priority), or null to leave the
+ *   route out of the sitemap (e.g. query-driven pages that are noindex)
+ *
+ * NOTES:
+ * - Plain data with no React dependency, so serverless handlers can import it
+ * - Routes with parameters (/product/:slug) are expanded by the sitemap from
+ *   the catalog; App.js maps each entry to its page component
+ */
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+export const ROUTES = {
+  home: {
+    path: '/',
+    sitemap: { changefreq: 'weekly', priority: 1.0 }
+  },
+  about: {
+    path: '/about',
+    sitemap: { changefreq: 'yearly', priority: 0.8 }
+  },
+  gallery: {
+    path: '/gallery',
+    sitemap: { changefreq: 'weekly', priority: 0.8 }
+  },
+  contact: {
+    path: '/contact',
+    sitemap: { changefreq: 'yearly', priority: 0.8 }
+  },
+  search: {
+    path: '/search',
+    sitemap: null
+  },
+  product: {
+    path: '/product/:slug',
+    sitemap: { changefreq: 'monthly', priority: 0.7 }
+  },
+  games: {
+    path: '/games',
+    sitemap: { changefreq: 'monthly', priority: 0.5 }
+  },
+  pong: {
+    path: '/games/pong',
+    sitemap: { changefreq: 'yearly', priority: 0.4 }
+  },
+  pongRefined: {
+    path: '/games/pong-refined',
+    sitemap: { changefreq: 'yearly', priority: 0.4 }
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * HEAD CONTEXT
+ * ============
+ *
+ * React context used by build-time prerendering to collect the head tags of
+ * the page being rendered.
+ *
+ * USAGE:
+ * - scripts/prerender.js provides a plain object ({}) as the value
+ * - PageMeta writes { tags, jsonLd } into it while rendering
+ * - In the browser there is no provider, so the value is null and PageMeta
+ *   updates document.head from its effects as usual
+ */
+import { createContext } from 'react';
+
+const HeadContext = createContext(null);
+
+export default HeadContext;
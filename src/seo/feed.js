@@ -0,0 +1,158 @@
+/**
+ * FEED MODULE
+ * ===========
+ *
+ * Builds the RSS 2.0 and Atom feeds of new works served by api/feed.js, so
+ * followers can subscribe to new pieces in a feed reader.
+ *
+ * PURPOSE:
+ * - List the most recently added works first (catalog `dateAdded`)
+ * - Give each entry the work's first image, short description and product link
+ * - Offer both RSS (/feed.xml) and Atom (/atom.xml) from the same data
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Pure functions returning XML strings (no feed library needed)
+ * - Imports use explicit .js extensions so the api/ handler can load them
+ *
+ * EXPORTS:
+ * - FEED_SIZE / RSS_URL / ATOM_URL: Feed configuration
+ * - getNewestWorks: Works ordered by date added, newest first
+ * - buildRssFeed / buildAtomFeed: Feed documents
+ */
+
+import { getWorkPath } from '../data/works.js';
+import { absoluteUrl, SITE_URL, SITE_NAME, ARTIST_NAME, DEFAULT_DESCRIPTION } from './meta.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+// Number of entries in each feed
+export const FEED_SIZE = 20;
+
+// Public feed URLs (rewritten to api/feed.js in vercel.json)
+export const RSS_URL = `${SITE_URL}/feed.xml`;
+export const ATOM_URL = `${SITE_URL}/atom.xml`;
+
+const FEED_TITLE = `${SITE_NAME} | New Works`;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// Escapes text for XML element content and attribute values
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Catalog dates are calendar days; feeds want full timestamps (midnight UTC)
+const toDate = (isoDay) => new Date(`${isoDay}T00:00:00Z`);
+
+// HTML body of an entry: first image followed by the short description
+const buildEntryHtml = (work) => (
+  `<p><img src="${escapeXml(absoluteUrl(work.images[0]))}" alt="${escapeXml(work.title)}"></p>`
+  + `<p>${escapeXml(work.shortDescription)}</p>`
+);
+
+/**
+ * Returns works ordered by the date they were added, newest first.
+ * Works added on the same day are ordered by id (higher ids were added later).
+ *
+ * @param {Array<Object>} works - Catalog works
+ * @param {number} [limit=FEED_SIZE] - Maximum number of works
+ * @returns {Array<Object>} Newest works
+ */
+export const getNewestWorks = (works, limit = FEED_SIZE) => [...works]
+  .sort((a, b) => b.dateAdded.localeCompare(a.dateAdded) || b.id - a.id)
+  .slice(0, limit);
+
+// =============================================================================
+// RSS 2.0
+// =============================================================================
+
+/**
+ * Builds the RSS 2.0 feed document.
+ *
+ * @param {Array<Object>} works - Catalog works (normally allWorks)
+ * @returns {string} RSS XML
+ */
+export const buildRssFeed = (works) => {
+  const entries = getNewestWorks(works);
+  const items = entries.map(work => {
+    const url = absoluteUrl(getWorkPath(work));
+    return [
+      '<item>',
+      `<title>${escapeXml(work.title)}</title>`,
+      `<link>${escapeXml(url)}</link>`,
+      `<guid isPermaLink="true">${escapeXml(url)}</guid>`,
+      `<pubDate>${toDate(work.dateAdded).toUTCString()}</pubDate>`,
+      `<category>${escapeXml(work.category)}</category>`,
+      `<description>${escapeXml(buildEntryHtml(work))}</description>`,
+      '</item>'
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `<title>${escapeXml(FEED_TITLE)}</title>`,
+    `<link>${escapeXml(absoluteUrl('/gallery'))}</link>`,
+    `<description>${escapeXml(DEFAULT_DESCRIPTION)}</description>`,
+    '<language>en</language>',
+    `<atom:link href="${escapeXml(RSS_URL)}" rel="self" type="application/rss+xml"/>`,
+    entries.length > 0 ? `<lastBuildDate>${toDate(entries[0].dateAdded).toUTCString()}</lastBuildDate>` : '',
+    ...items,
+    '</channel>',
+    '</rss>'
+  ].join('\n');
+};
+
+// =============================================================================
+// ATOM
+// =============================================================================
+
+/**
+ * Builds the Atom feed document.
+ *
+ * @param {Array<Object>} works - Catalog works (normally allWorks)
+ * @returns {string} Atom XML
+ */
+export const buildAtomFeed = (works) => {
+  const entries = getNewestWorks(works);
+  const updated = entries
+    .map(work => work.lastModified)
+    .reduce((latest, date) => (date > latest ? date : latest), '2000-01-01');
+
+  const items = entries.map(work => {
+    const url = absoluteUrl(getWorkPath(work));
+    return [
+      '<entry>',
+      `<title>${escapeXml(work.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+      `<id>${escapeXml(url)}</id>`,
+      `<published>${toDate(work.dateAdded).toISOString()}</published>`,
+      `<updated>${toDate(work.lastModified).toISOString()}</updated>`,
+      `<category term="${escapeXml(work.category)}"/>`,
+      `<summary>${escapeXml(work.shortDescription)}</summary>`,
+      `<content type="html">${escapeXml(buildEntryHtml(work))}</content>`,
+      '</entry>'
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<title>${escapeXml(FEED_TITLE)}</title>`,
+    `<subtitle>${escapeXml(DEFAULT_DESCRIPTION)}</subtitle>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(ATOM_URL)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(absoluteUrl('/gallery'))}"/>`,
+    `<id>${escapeXml(`${SITE_URL}/`)}</id>`,
+    `<updated>${toDate(updated).toISOString()}</updated>`,
+    `<author><name>${escapeXml(ARTIST_NAME)}</name></author>`,
+    ...items,
+    '</feed>'
+  ].join('\n');
+};
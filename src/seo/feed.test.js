@@ -0,0 +1,51 @@
+import { getNewestWorks, buildRssFeed, buildAtomFeed, RSS_URL } from './feed';
+import { buildRobotsTxt } from './robots';
+import { SITEMAP_URL } from './sitemap';
+import { allWorks } from '../data/works';
+
+// Two works with distinct dates and text that needs escaping
+const works = [
+  { ...allWorks[0], id: 1, dateAdded: '2024-01-10', lastModified: '2024-02-01' },
+  { ...allWorks[1], id: 2, title: 'Rings & Scales', dateAdded: '2024-05-03', lastModified: '2024-05-03' }
+];
+
+describe('getNewestWorks', () => {
+  test('orders by date added, newest first, then by id', () => {
+    expect(getNewestWorks(works).map(work => work.id)).toEqual([2, 1]);
+    const sameDay = works.map(work => ({ ...work, dateAdded: '2024-01-01' }));
+    expect(getNewestWorks(sameDay).map(work => work.id)).toEqual([2, 1]);
+    expect(getNewestWorks(works, 1)).toHaveLength(1);
+  });
+});
+
+describe('buildRssFeed', () => {
+  const rss = buildRssFeed(works);
+
+  test('lists items with link, date, image and short description', () => {
+    expect(rss).toContain(`<atom:link href="${RSS_URL}" rel="self" type="application/rss+xml"/>`);
+    expect(rss.indexOf('Rings &amp; Scales')).toBeLessThan(rss.indexOf(works[0].title));
+    expect(rss).toContain(`<link>https://thechainlair.com/product/${works[1].slug}</link>`);
+    expect(rss).toContain('<pubDate>Fri, 03 May 2024 00:00:00 GMT</pubDate>');
+    expect(rss).toContain(`&lt;img src=&quot;${works[1].images[0]}&quot;`);
+    expect(rss).toContain(works[1].shortDescription);
+  });
+});
+
+describe('buildAtomFeed', () => {
+  const atom = buildAtomFeed(works);
+
+  test('uses published/updated dates and the latest change as feed update', () => {
+    expect(atom).toContain('<published>2024-01-10T00:00:00.000Z</published>');
+    expect(atom).toContain('<updated>2024-02-01T00:00:00.000Z</updated>');
+    expect(atom).toContain('<updated>2024-05-03T00:00:00.000Z</updated>\n<author>');
+    expect(atom).toContain('<title>Rings &amp; Scales</title>');
+  });
+});
+
+describe('buildRobotsTxt', () => {
+  test('points at the sitemap and keeps search results out', () => {
+    const robots = buildRobotsTxt();
+    expect(robots).toContain(`Sitemap: ${SITEMAP_URL}`);
+    expect(robots).toContain('Disallow: /search');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * SEO METADATA MODULE
+ * ===================
+ *
+ * Pure builders for per-route head tags (title, description, canonical URL,
+ * Open Graph and Twitter cards) and schema.org JSON-LD for works.
+ *
+ * PURPOSE:
+ * - Give every route its own title, description and preview image
+ * - Describe product pages to search engines with structured data
+ * - Keep the site URL and defaults in one place for the app and api/ handlers
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - No React or DOM dependency: returns plain objects
+ * - PageMeta (src/components/PageMeta.js) applies them to document.head
+ * - scripts/prerender.js writes them into the static HTML of every route
+ *
+ * EXPORTS:
+ * - SITE_URL / SITE_NAME / DEFAULT_DESCRIPTION / DEFAULT_IMAGE: Site defaults
+ * - JSON_LD_ID: Id of the per-page structured data script
+ * - absoluteUrl: Resolves root-relative paths against SITE_URL
+ * - buildHeadTags: Title, canonical link and meta tags for a page
+ * - buildWorkJsonLd: schema.org Product/CreativeWork description of a work
+ * - serializeHeadTags: Serializes head tags and JSON-LD to HTML (build-time prerendering)
+ */
+
+// =============================================================================
+// SITE DEFAULTS
+// =============================================================================
+export const SITE_URL = 'https://thechainlair.com';
+export const SITE_NAME = 'The Chain Lair';
+export const ARTIST_NAME = 'Manuel Alberto Moran Lazaro';
+export const DEFAULT_DESCRIPTION = 'Explore chainmaille creations by artist Manuel Morán.';
+export const DEFAULT_IMAGE = '/images/TheChainLair.webp';
+
+// Id of the per-page <script type="application/ld+json"> (index.html keeps its
+// own site-wide WebSite JSON-LD untouched)
+export const JSON_LD_ID = 'page-structured-data';
+
+// Search engines truncate descriptions around this length
+const MAX_DESCRIPTION_LENGTH = 160;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Resolves a root-relative path against the production site URL.
+ * Absolute URLs (e.g. Google Drive images) are returned unchanged.
+ *
+ * @param {string} pathOrUrl - "/gallery" or "https://..."
+ * @returns {string} Absolute URL
+ */
+export const absoluteUrl = (pathOrUrl) => (
+  /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${SITE_URL}${pathOrUrl.startsWith('/') ? '' : '/'}${pathOrUrl}`
+);
+
+// Shortens text on a word boundary and appends an ellipsis
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[\s,.;:]+$/, '')}…`;
+};
+
+// =============================================================================
+// HEAD TAGS
+// =============================================================================
+
+/**
+ * Builds the head tags for one page.
+ *
+ * @param {Object} page - Page metadata
+ * @param {string} [page.title] - Page title without the site suffix (home uses the site title)
+ * @param {string} [page.description] - Meta description (defaults to the site description)
+ * @param {string} page.path - Route path used for the canonical and og:url (no query string)
+ * @param {string} [page.image] - Preview image URL or root-relative path
+ * @param {string} [page.type="website"] - Open Graph type
+ * @param {boolean} [page.noIndex=false] - Ask search engines not to index the page
+ * @returns {{title: string, canonical: string, meta: Array<Object>}} Head tags
+ */
+export const buildHeadTags = ({ title, description, path, image, type = 'website', noIndex = false }) => {
+  const fullTitle = title ? `${title} | ${SITE_NAME}` : `${SITE_NAME} | Chainmaille Portfolio`;
+  const summary = truncate(description || DEFAULT_DESCRIPTION, MAX_DESCRIPTION_LENGTH);
+  const url = absoluteUrl(path);
+  const imageUrl = absoluteUrl(image || DEFAULT_IMAGE);
+
+  return {
+    title: fullTitle,
+    canonical: url,
+    meta: [
+      { name: 'description', content: summary },
+      { name: 'robots', content: noIndex ? 'noindex, follow' : 'index, follow' },
+      { property: 'og:type', content: type },
+      { property: 'og:site_name', content: SITE_NAME },
+      { property: 'og:title', content: fullTitle },
+      { property: 'og:description', content: summary },
+      { property: 'og:image', content: imageUrl },
+      { property: 'og:url', content: url },
+      { name: 'twitter:card', content: 'summary_large_image' },
+      { name: 'twitter:title', content: fullTitle },
+      { name: 'twitter:description', content: summary },
+      { name: 'twitter:image', content: imageUrl }
+    ]
+  };
+};
+
+// =============================================================================
+// STRUCTURED DATA
+// =============================================================================
+
+// schema.org item availability for each catalog availability status
+const OFFER_AVAILABILITY = {
+  'for-sale': 'https://schema.org/InStock',
+  'made-to-order': 'https://schema.org/MadeToOrder',
+  sold: 'https://schema.org/SoldOut'
+};
+
+/**
+ * Builds the schema.org JSON-LD for a work.
+ *
+ * Typed as both Product (a piece that can be inquired about) and CreativeWork
+ * (a handmade artwork with a creator and creation date). Priced works also
+ * get an Offer with their price and availability.
+ *
+ * @param {Object} work - Normalized work from allWorks
+ * @param {string} path - Product page path (see getWorkPath)
+ * @returns {Object} JSON-LD object ready for JSON.stringify
+ */
+export const buildWorkJsonLd = (work, path) => ({
+  '@context': 'https://schema.org',
+  '@type': ['Product', 'CreativeWork'],
+  '@id': `${absoluteUrl(path)}#work`,
+  name: work.title,
+  description: work.description,
+  url: absoluteUrl(path),
+  image: work.images.map(absoluteUrl),
+  sku: String(work.id),
+  material: work.specs.materials.join(', '),
+  category: work.category,
+  dateCreated: String(work.specs.yearCreated),
+  brand: { '@type': 'Brand', name: SITE_NAME },
+  creator: { '@type': 'Person', name: ARTIST_NAME },
+  ...(work.price && {
+    offers: {
+      '@type': 'Offer',
+      price: work.price.amount.toFixed(2),
+      priceCurrency: work.price.currency,
+      availability: OFFER_AVAILABILITY[work.availability],
+      url: absoluteUrl(path)
+    }
+  })
+});
+
+// =============================================================================
+// HTML SERIALIZATION
+// =============================================================================
+
+// Escapes text for use inside HTML attribute values and element content
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Serializes head tags (and optional JSON-LD) to an HTML string.
+ * The output mirrors what PageMeta writes into document.head on the client,
+ * so a prerendered page and a hydrated page carry identical tags.
+ *
+ * @param {{title: string, canonical: string, meta: Array<Object>}} tags - Result of buildHeadTags
+ * @param {Object} [jsonLd] - Structured data for the page
+ * @returns {string} HTML for the document head
+ */
+export const serializeHeadTags = (tags, jsonLd) => {
+  const lines = [
+    `<title>${escapeHtml(tags.title)}</title>`,
+    `<link rel="canonical" href="${escapeHtml(tags.canonical)}">`,
+    ...tags.meta.map(({ name, property, content }) => (
+      `<meta ${name ? 'name' : 'property'}="${escapeHtml(name || property)}" content="${escapeHtml(content)}">`
+    ))
+  ];
+  if (jsonLd) {
+    // "<" is escaped so text inside the JSON can never close the script element
+    const json = JSON.stringify(jsonLd).replace(/</g, '\\u003c');
+    lines.push(`<script type="application/ld+json" id="${JSON_LD_ID}">${json}</script>`);
+  }
+  return lines.join('');
+};
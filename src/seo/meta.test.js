@@ -0,0 +1,74 @@
+import { buildHeadTags, buildWorkJsonLd, serializeHeadTags, absoluteUrl, SITE_URL } from './meta';
+import { getWorkBySlug, getWorkPath } from '../data/works';
+
+const contentOf = (tags, key) => tags.meta.find(tag => tag.name === key || tag.property === key).content;
+
+describe('absoluteUrl', () => {
+  test('resolves root-relative paths and keeps absolute URLs', () => {
+    expect(absoluteUrl('/gallery')).toBe(`${SITE_URL}/gallery`);
+    expect(absoluteUrl('https://example.com/a.jpg')).toBe('https://example.com/a.jpg');
+  });
+});
+
+describe('buildHeadTags', () => {
+  test('builds title, canonical and social tags for a page', () => {
+    const tags = buildHeadTags({ title: 'Gallery', description: 'All pieces', path: '/gallery' });
+
+    expect(tags.title).toBe('Gallery | The Chain Lair');
+    expect(tags.canonical).toBe(`${SITE_URL}/gallery`);
+    expect(contentOf(tags, 'og:title')).toBe('Gallery | The Chain Lair');
+    expect(contentOf(tags, 'twitter:description')).toBe('All pieces');
+    expect(contentOf(tags, 'og:image')).toBe(`${SITE_URL}/images/TheChainLair.webp`);
+    expect(contentOf(tags, 'robots')).toBe('index, follow');
+  });
+
+  test('truncates long descriptions on a word boundary', () => {
+    const description = 'word '.repeat(60);
+    const summary = contentOf(buildHeadTags({ description, path: '/' }), 'description');
+    expect(summary.length).toBeLessThanOrEqual(160);
+    expect(summary.endsWith('word…')).toBe(true);
+  });
+
+  test('marks pages as noindex on request', () => {
+    expect(contentOf(buildHeadTags({ path: '/search', noIndex: true }), 'robots')).toBe('noindex, follow');
+  });
+});
+
+describe('buildWorkJsonLd', () => {
+  test('describes a work as a Product and CreativeWork', () => {
+    const work = getWorkBySlug('the-dice-bag');
+    const jsonLd = buildWorkJsonLd(work, getWorkPath(work));
+
+    expect(jsonLd['@type']).toEqual(['Product', 'CreativeWork']);
+    expect(jsonLd.name).toBe('The Dice Bag');
+    expect(jsonLd.url).toBe(`${SITE_URL}/product/the-dice-bag`);
+    expect(jsonLd.material).toBe('Stainless Steel, Velvet');
+    expect(jsonLd.dateCreated).toBe('2004');
+    expect(jsonLd.image).toEqual(work.images);
+    expect(jsonLd.offers).toBeUndefined();
+  });
+
+  test('adds an offer for priced works', () => {
+    const work = { ...getWorkBySlug('the-dice-bag'), availability: 'made-to-order', price: { amount: 45, currency: 'USD' } };
+
+    expect(buildWorkJsonLd(work, getWorkPath(work)).offers).toEqual({
+      '@type': 'Offer',
+      price: '45.00',
+      priceCurrency: 'USD',
+      availability: 'https://schema.org/MadeToOrder',
+      url: `${SITE_URL}/product/the-dice-bag`
+    });
+  });
+});
+
+describe('serializeHeadTags', () => {
+  test('serializes escaped tags and JSON-LD for static HTML', () => {
+    const tags = buildHeadTags({ title: 'Rings & "Links"', path: '/gallery' });
+    const head = serializeHeadTags(tags, { name: '</script><b>' });
+
+    expect(head).toContain('<title>Rings &amp; &quot;Links&quot; | The Chain Lair</title>');
+    expect(head).toContain(`<link rel="canonical" href="${SITE_URL}/gallery">`);
+    expect(head).toContain('<meta property="og:title" content="Rings &amp; &quot;Links&quot; | The Chain Lair">');
+    expect(head).toContain('<script type="application/ld+json" id="page-structured-data">{"name":"\\u003c/script>\\u003cb>"}</script>');
+  });
+});
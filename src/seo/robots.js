@@ -0,0 +1,32 @@
+/**
+ * ROBOTS.TXT MODULE
+ * =================
+ *
+ * Builds the robots.txt served by api/robots.js.
+ *
+ * PURPOSE:
+ * - Allow crawling of the whole site
+ * - Point crawlers at the generated sitemap
+ * - Keep the search results page (/search) out of crawls; it is query-driven
+ *   and excluded from the sitemap as well
+ *
+ * EXPORTS:
+ * - buildRobotsTxt: robots.txt contents
+ */
+
+import { ROUTES } from '../routes.js';
+import { SITEMAP_URL } from './sitemap.js';
+
+/**
+ * Builds robots.txt.
+ *
+ * @returns {string} robots.txt contents
+ */
+export const buildRobotsTxt = () => [
+  'User-agent: *',
+  'Allow: /',
+  `Disallow: ${ROUTES.search.path}`,
+  '',
+  `Sitemap: ${SITEMAP_URL}`,
+  ''
+].join('\n');
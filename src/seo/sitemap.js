@@ -0,0 +1,133 @@
+/**
+ * SITEMAP MODULE
+ * ==============
+ *
+ * Builds the sitemap entries served by api/sitemap.js from the route registry
+ * (src/routes.js) and the catalog.
+ *
+ * PURPOSE:
+ * - List every indexable route without a separate hand-maintained list
+ * - Expand /product/:slug into one entry per work
+ * - Attach image sitemap entries (each work's images) and lastmod dates
+ * - Split large sitemaps into pages referenced by a sitemap index
+ *
+ * PROTOCOL LIMITS (sitemaps.org / Google image sitemaps):
+ * - At most 50,000 URLs per sitemap file (larger sets need a sitemap index)
+ * - At most 1,000 images per URL
+ *
+ * TECHNICAL ARCHITECTURE:
+ * - Pure functions returning plain objects in the shape the `sitemap` package
+ *   expects ({ url, changefreq, priority, lastmod, img })
+ * - Imports use explicit .js extensions so the api/ handler can load them
+ *
+ * EXPORTS:
+ * - SITEMAP_URL: Public sitemap URL (also listed in robots.txt)
+ * - MAX_URLS_PER_SITEMAP / MAX_IMAGES_PER_URL: Protocol limits
+ * - buildSitemapLinks: All sitemap entries for the site
+ * - splitSitemap: Splits entries into protocol-sized pages
+ * - parseSitemapPage: Strict ?page= parsing
+ */
+
+import { ROUTES } from '../routes.js';
+import { getWorkPath } from '../data/works.js';
+import { absoluteUrl, SITE_URL } from './meta.js';
+
+// Public sitemap URL (rewritten to api/sitemap.js in vercel.json); index pages are ?page=N
+export const SITEMAP_URL = `${SITE_URL}/sitemap.xml`;
+
+// =============================================================================
+// PROTOCOL LIMITS
+// =============================================================================
+export const MAX_URLS_PER_SITEMAP = 50000;
+export const MAX_IMAGES_PER_URL = 1000;
+
+// =============================================================================
+// ENTRY BUILDERS
+// =============================================================================
+
+// Most recent lastModified date across the catalog (YYYY-MM-DD strings sort as dates)
+const latestChange = (works) => works
+  .map(work => work.lastModified)
+  .reduce((latest, date) => (date > latest ? date : latest), '');
+
+// Sitemap entry for one product page, with its images
+const buildWorkLink = (work, sitemap) => ({
+  url: getWorkPath(work),
+  changefreq: sitemap.changefreq,
+  priority: sitemap.priority,
+  lastmod: work.lastModified,
+  img: work.images.slice(0, MAX_IMAGES_PER_URL).map(image => ({
+    url: absoluteUrl(image),
+    title: work.title,
+    caption: work.shortDescription
+  }))
+});
+
+// Routes with URL parameters and how to expand them into concrete entries
+const ROUTE_EXPANDERS = {
+  product: (works, sitemap) => works.map(work => buildWorkLink(work, sitemap))
+};
+
+// Pages whose content is the catalog listing change whenever a work changes
+const CATALOG_PAGES = ['home', 'gallery'];
+
+/**
+ * Builds the sitemap entries for every route in the registry.
+ *
+ * @param {Array<Object>} works - Catalog works (normally allWorks)
+ * @returns {Array<Object>} Sitemap entries in registry order
+ * @throws {Error} When a parameterized route has no expander (it could not be listed)
+ */
+export const buildSitemapLinks = (works) => Object.entries(ROUTES).flatMap(([key, route]) => {
+  if (!route.sitemap) return [];
+
+  if (route.path.includes(':')) {
+    const expand = ROUTE_EXPANDERS[key];
+    if (!expand) {
+      throw new Error(`Route "${key}" (${route.path}) has parameters but no sitemap expander`);
+    }
+    return expand(works, route.sitemap);
+  }
+
+  const link = { url: route.path, changefreq: route.sitemap.changefreq, priority: route.sitemap.priority };
+  if (CATALOG_PAGES.includes(key) && works.length > 0) {
+    link.lastmod = latestChange(works);
+  }
+  return [link];
+});
+
+// =============================================================================
+// PAGINATION
+// =============================================================================
+
+/**
+ * Splits sitemap entries into pages that respect the URL limit.
+ * A single page means no sitemap index is needed.
+ *
+ * @param {Array<Object>} links - Sitemap entries
+ * @param {number} [maxUrls=MAX_URLS_PER_SITEMAP] - URLs per sitemap file
+ * @returns {Array<Array<Object>>} Pages of entries (at least one, possibly empty)
+ */
+export const splitSitemap = (links, maxUrls = MAX_URLS_PER_SITEMAP) => {
+  const pages = [];
+  for (let start = 0; start < links.length; start += maxUrls) {
+    pages.push(links.slice(start, start + maxUrls));
+  }
+  return pages.length > 0 ? pages : [[]];
+};
+
+/**
+ * Reads the page number of a sitemap request (`?page=N`).
+ *
+ * Only the canonical form of a positive integer counts: "0", "-1", "01",
+ * "1.5", "abc", an empty value or a repeated parameter are invalid, so they
+ * get a 404 instead of quietly serving page 1 under a second URL.
+ *
+ * @param {string|string[]|undefined} value - req.query.page
+ * @returns {number|null} The page number, null when the parameter is absent,
+ *   or 0 when it is invalid (no page 0 exists)
+ */
+export const parseSitemapPage = (value) => {
+  if (value === undefined) return null;
+  return typeof value === 'string' && /^[1-9]\d*$/.test(value) ? Number(value) : 0;
+};
@@ -0,0 +1,68 @@
+import { buildSitemapLinks, parseSitemapPage, splitSitemap, MAX_IMAGES_PER_URL } from './sitemap';
+import { allWorks } from '../data/works';
+import { SITE_URL } from './meta';
+
+describe('buildSitemapLinks', () => {
+  const links = buildSitemapLinks(allWorks);
+  const urls = links.map(link => link.url);
+
+  test('lists every registry route except noindex ones', () => {
+    expect(urls).toEqual(expect.arrayContaining([
+      '/', '/about', '/gallery', '/contact', '/games', '/games/pong', '/games/pong-refined'
+    ]));
+    expect(urls).not.toContain('/search');
+    expect(urls.some(url => url.includes(':'))).toBe(false);
+  });
+
+  test('adds one entry per work with lastmod and images', () => {
+    const dice = links.find(link => link.url === '/product/the-dice-bag');
+    const work = allWorks.find(item => item.slug === 'the-dice-bag');
+
+    expect(urls.filter(url => url.startsWith('/product/'))).toHaveLength(allWorks.length);
+    expect(dice.lastmod).toBe(work.lastModified);
+    expect(dice.img).toHaveLength(work.images.length);
+    expect(dice.img[0]).toEqual({ url: work.images[0], title: 'The Dice Bag', caption: work.shortDescription });
+  });
+
+  test('dates catalog pages by the most recent work change', () => {
+    const works = [
+      { ...allWorks[0], lastModified: '2023-05-01' },
+      { ...allWorks[1], lastModified: '2024-02-10' }
+    ];
+    const gallery = buildSitemapLinks(works).find(link => link.url === '/gallery');
+    expect(gallery.lastmod).toBe('2024-02-10');
+  });
+
+  test('resolves root-relative images and caps images per URL', () => {
+    const images = Array.from({ length: MAX_IMAGES_PER_URL + 5 }, (_, i) => `/images/${i}.jpg`);
+    const [link] = buildSitemapLinks([{ ...allWorks[0], images }]).filter(item => item.img);
+    expect(link.img).toHaveLength(MAX_IMAGES_PER_URL);
+    expect(link.img[0].url).toBe(`${SITE_URL}/images/0.jpg`);
+  });
+});
+
+describe('splitSitemap', () => {
+  test('keeps small sitemaps in a single page', () => {
+    expect(splitSitemap([1, 2, 3])).toEqual([[1, 2, 3]]);
+    expect(splitSitemap([])).toEqual([[]]);
+  });
+
+  test('splits past the URL limit', () => {
+    expect(splitSitemap([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+  });
+});
+
+describe('parseSitemapPage', () => {
+  test('accepts positive integers and treats a missing parameter as no page', () => {
+    expect(parseSitemapPage(undefined)).toBeNull();
+    expect(parseSitemapPage('1')).toBe(1);
+    expect(parseSitemapPage('12')).toBe(12);
+  });
+
+  test('rejects anything else instead of falling back to page 1', () => {
+    ['0', '-1', '01', '1.5', '1e3', 'abc', '', ' 2'].forEach(value => {
+      expect(parseSitemapPage(value)).toBe(0);
+    });
+    expect(parseSitemapPage(['1', '2'])).toBe(0);
+  });
+});